@@ -1,27 +1,227 @@
 const express = require('express');
+const path = require('path');
 const bodyParser = require('body-parser');
 const whatsappManager = require('./whatsappManager');
 const qrcode = require('qrcode-terminal');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+const createWebhookRouter = require('./routes/webhooks');
+const createEventStreamRouter = require('./routes/events');
+const { createMessageQueue } = require('./lib/messageQueue');
+const createMessageRouter = require('./routes/messages');
+const { createFileMediaStore } = require('./lib/mediaStore');
+const createMediaRouter = require('./routes/media');
+const createChatRouter = require('./routes/chats');
+const createGroupRouter = require('./routes/groups');
+const createContactRouter = require('./routes/contacts');
+const createMessageActionRouter = require('./routes/messageActions');
+const { createMessageArchive } = require('./lib/messageArchive');
+const createArchiveRouter = require('./routes/archive');
+const { createAutoResponder } = require('./lib/autoResponder');
+const createAutoReplyRouter = require('./routes/autoReply');
+const { createMessageScheduler } = require('./lib/messageScheduler');
+const createScheduledMessageRouter = require('./routes/scheduledMessages');
+const { createOptOutList } = require('./lib/optOuts');
+const { createCampaignRunner } = require('./lib/campaigns');
+const createCampaignRouter = require('./routes/campaigns');
+const { createFileSessionStore } = require('./lib/sessionStore');
+const createSessionTransferRouter = require('./routes/sessionTransfer');
+const { createReceiptTracker } = require('./lib/receipts');
+const createReceiptRouter = require('./routes/receipts');
+const { createApiKeyStore } = require('./lib/apiKeys');
+const { createAuditLog } = require('./lib/auditLog');
+const createAuthMiddleware = require('./routes/auth');
+const createApiKeyRouter = require('./routes/apiKeys');
+const createOpenApiRouter = require('./routes/openapi');
+const { createMetrics } = require('./lib/metrics');
+const createMonitoringRouter = require('./routes/monitoring');
+const { createLogger } = require('./lib/logger');
+const createRequestLogger = require('./routes/requestLogger');
+const { ERROR_CODES } = require('./lib/errors');
+const { sendError, respondWithError } = require('./routes/helpers');
+const { validate } = require('./routes/validation');
+const { PHONE, sessionParams } = require('./routes/schemas');
+const { version } = require('./package.json');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Directory for the server's own data (webhook subscriptions, message queue, logs, ...)
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// How long /send-message and /send-media wait for a queued message to be sent before answering 202
+const SEND_WAIT_MS = parseInt(process.env.SEND_WAIT_MS, 10) || 30000;
+
+// Largest JSON body accepted (media can be sent inline as base64)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '25mb';
+
+// JSON logger shared by the manager and the routes (LOG_LEVEL=debug for state changes,
+// LOG_REDACT=false to log message content and full phone numbers)
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  redact: process.env.LOG_REDACT !== 'false'
+});
+app.locals.logger = logger;
+
 // Middleware
-app.use(bodyParser.json());
+app.use(createRequestLogger(logger));
+app.use(bodyParser.json({ limit: JSON_BODY_LIMIT }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// API keys and the audit log of what each key did
+const apiKeys = createApiKeyStore({ dataDir: DATA_DIR, formatPhoneNumber: phone => whatsappManager.formatPhoneNumber(phone) });
+const auditLog = createAuditLog({ dataDir: DATA_DIR, logger });
+app.locals.apiKeys = apiKeys;
+app.locals.auditLog = auditLog;
+
+// Every route needs an API key, ADMIN_API_KEY or a JWT signed with JWT_SECRET (AUTH_DISABLED=true turns this off)
+const AUTH_ENABLED = process.env.AUTH_DISABLED !== 'true';
+app.use(createAuthMiddleware(whatsappManager, apiKeys, {
+  enabled: AUTH_ENABLED,
+  adminKey: process.env.ADMIN_API_KEY,
+  jwtSecret: process.env.JWT_SECRET,
+  auditLog
+}));
+
+// Store for the media of incoming messages (MEDIA_DOWNLOAD=true turns downloading on)
+const mediaStore = process.env.MEDIA_DOWNLOAD === 'true'
+  ? createFileMediaStore({ dir: process.env.MEDIA_DIR || path.join(DATA_DIR, 'media') })
+  : null;
+app.locals.mediaStore = mediaStore;
+
 // Initialize WhatsApp Manager
-whatsappManager.initialize();
+// Set WHATSAPP_DRIVER=simulated to run against the in-process fake backend (no Chromium, no phone);
+// logins are kept in SESSIONS_DIR (default './sessions')
+whatsappManager.initialize({
+  driver: process.env.WHATSAPP_DRIVER,
+  sessionStore: createFileSessionStore({ root: process.env.SESSIONS_DIR || './sessions' }),
+  logger,
+  mediaUrlAllowedHosts: process.env.MEDIA_URL_ALLOWED_HOSTS ? process.env.MEDIA_URL_ALLOWED_HOSTS.split(',').map(host => host.trim()) : undefined,
+  mediaDownload: mediaStore && {
+    store: mediaStore,
+    maxBytes: parseInt(process.env.MEDIA_MAX_BYTES, 10) || undefined,
+    mimeTypes: process.env.MEDIA_MIME_TYPES ? process.env.MEDIA_MIME_TYPES.split(',').map(type => type.trim()) : undefined
+  }
+});
+
+// Send outgoing messages through a durable, rate-limited queue
+const messageQueue = createMessageQueue(whatsappManager, { dataDir: DATA_DIR });
+app.locals.messageQueue = messageQueue;
+
+// Prometheus metrics of the accounts, messages, queue and webhook deliveries
+const metrics = createMetrics(whatsappManager, { messageQueue });
+app.locals.metrics = metrics;
+
+// Deliver incoming messages and client events to webhook subscribers
+const webhooks = createWebhookDispatcher(whatsappManager, {
+  dataDir: DATA_DIR,
+  onDelivery: delivery => metrics.recordWebhookDelivery(delivery)
+});
+app.locals.webhooks = webhooks;
+
+// Record the delivery and read receipts of sent messages
+const receipts = createReceiptTracker(whatsappManager, {
+  dataDir: DATA_DIR,
+  retentionDays: parseInt(process.env.RECEIPT_RETENTION_DAYS, 10) || 30
+});
+app.locals.receipts = receipts;
 
-// Store the active phone number
+// Archive every received and sent message for search (MESSAGE_ARCHIVE=false turns it off)
+const messageArchive = process.env.MESSAGE_ARCHIVE === 'false'
+  ? null
+  : createMessageArchive(whatsappManager, {
+    dataDir: DATA_DIR,
+    retentionDays: parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || null
+  });
+app.locals.messageArchive = messageArchive;
+
+// Answer incoming messages from auto-reply rules (AUTO_REPLY_RULES names a JSON or YAML rules file,
+// reloaded when it changes); replies go through the message queue like any other message
+const autoResponder = createAutoResponder(whatsappManager, {
+  dataDir: DATA_DIR,
+  rulesFile: process.env.AUTO_REPLY_RULES,
+  timezone: process.env.AUTO_REPLY_TIMEZONE,
+  send: ({ sender, recipient, content }) => messageQueue.enqueue({ sender, recipient, content })
+});
+app.locals.autoResponder = autoResponder;
+
+// Send scheduled and recurring messages (SCHEDULE_GRACE_SECONDS: how late a message whose sender
+// is not ready may still be sent before it counts as missed)
+const scheduler = createMessageScheduler(whatsappManager, {
+  dataDir: DATA_DIR,
+  graceMs: process.env.SCHEDULE_GRACE_SECONDS ? parseInt(process.env.SCHEDULE_GRACE_SECONDS, 10) * 1000 : undefined
+});
+app.locals.scheduler = scheduler;
+
+// Opt contacts out of campaigns when they reply STOP (OPT_OUT_KEYWORDS replaces the stop keywords)
+const optOuts = createOptOutList(whatsappManager, {
+  dataDir: DATA_DIR,
+  stopKeywords: process.env.OPT_OUT_KEYWORDS ? process.env.OPT_OUT_KEYWORDS.split(',').map(keyword => keyword.trim()) : undefined
+});
+app.locals.optOuts = optOuts;
+
+// Send bulk campaigns at a steady pace through the message queue, skipping contacts who opted out
+const campaigns = createCampaignRunner(whatsappManager, {
+  dataDir: DATA_DIR,
+  messageQueue,
+  optOuts,
+  messagesPerMinute: parseFloat(process.env.CAMPAIGN_MESSAGES_PER_MINUTE) || undefined
+});
+app.locals.campaigns = campaigns;
+
+// Store the active phone number (last number passed to /qr, used by the legacy single-session routes)
 let activePhoneNumber = null;
 
+/**
+ * Get the QR code or authentication status for a phone number and send it as the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} phoneNumber - Phone number in international format
+ * @returns {Promise<Object>} - The Express response
+ */
+async function respondWithLoginQR(req, res, phoneNumber) {
+  // Directly get the QR code or authentication status
+  req.log.info({ clientId: whatsappManager.formatPhoneNumber(phoneNumber) }, 'Getting QR code');
+  const { qr, authenticated } = await whatsappManager.getLoginQR(phoneNumber);
+  
+  if (authenticated) {
+    return res.json({ 
+      success: true, 
+      authenticated: true,
+      message: 'Already authenticated' 
+    });
+  } else if (qr) {
+    // Display QR code in terminal for convenience
+    req.log.info('Scan this QR code with your WhatsApp app');
+    qrcode.generate(qr, { small: true });
+    
+    return res.json({ 
+      success: true, 
+      authenticated: false,
+      qr: qr,
+      message: 'QR code generated successfully' 
+    });
+  } else {
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to generate QR code');
+  }
+}
+
+// Query of the legacy single-session routes (?phone= defaults to the active phone number)
+const ACTIVE_PHONE_QUERY = { properties: { phone: PHONE } };
+
 // Routes
 
-// Status endpoint
-app.get('/status', async (req, res) => {
-  if (!activePhoneNumber) {
+// Status endpoint (?phone= selects a number, defaults to the active phone number)
+app.get('/status', validate({
+  tag: 'Sessions',
+  summary: 'Connection status of a phone number',
+  description: 'Kept for existing clients; use GET /sessions/{phone}/status.',
+  deprecated: true,
+  query: ACTIVE_PHONE_QUERY
+}), async (req, res) => {
+  const phoneNumber = req.query.phone || activePhoneNumber;
+  
+  if (!phoneNumber) {
     return res.json({
       status: 'disconnected',
       phoneNumber: null
@@ -30,138 +230,100 @@ app.get('/status', async (req, res) => {
   
   try {
     // Try to get or initialize the client
-    const { authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(activePhoneNumber);
+    const { state, authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(phoneNumber);
     
     res.json({
       status: authenticated ? 'connected' : 'disconnected',
-      phoneNumber: activePhoneNumber,
+      state: state,
+      phoneNumber: phoneNumber,
       requiresQR: requiresQR,
       error: error
     });
   } catch (error) {
-    console.error('Error checking status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    req.log.error({ err: error }, 'Error checking status');
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
 // Get QR code endpoint
-app.get('/qr', async (req, res) => {
+app.get('/qr', validate({
+  tag: 'Sessions',
+  summary: 'QR code to log a phone number in',
+  description: 'Kept for existing clients; use GET /sessions/{phone}/qr.',
+  deprecated: true,
+  query: { properties: { phone: PHONE }, required: ['phone'] }
+}), async (req, res) => {
   try {
     // Get phone number from query
     const phoneNumber = req.query.phone;
     
-    if (!phoneNumber) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number is required. Use /qr?phone=1234567890'
-      });
-    }
-    
     // Store the phone number
     activePhoneNumber = phoneNumber;
     
-    // Directly get the QR code or authentication status
-    console.log(`Getting QR code for phone number ${phoneNumber}...`);
-    const { qr, authenticated, clientId } = await whatsappManager.getLoginQR(phoneNumber);
-    
-    if (authenticated) {
-      return res.json({ 
-        success: true, 
-        authenticated: true,
-        message: 'Already authenticated' 
-      });
-    } else if (qr) {
-      // Display QR code in terminal for convenience
-      console.log('Scan this QR code with your WhatsApp app:');
-      qrcode.generate(qr, { small: true });
-      
-      return res.json({ 
-        success: true, 
-        authenticated: false,
-        qr: qr,
-        message: 'QR code generated successfully' 
-      });
-    } else {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to generate QR code' 
-      });
-    }
+    return await respondWithLoginQR(req, res, phoneNumber);
   } catch (error) {
-    console.error('Error generating QR code:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    respondWithError(res, error, 'generating QR code');
   }
 });
 
-// Check authentication status endpoint
-app.get('/auth-status', async (req, res) => {
-  if (!activePhoneNumber) {
-    return res.status(400).json({
-      success: false,
-      error: 'No phone number has been set. Use /qr?phone=1234567890 first.'
-    });
+// Check authentication status endpoint (?phone= selects a number, defaults to the active phone number)
+app.get('/auth-status', validate({
+  tag: 'Sessions',
+  summary: 'Authentication status of a phone number',
+  description: 'Kept for existing clients; use GET /sessions/{phone}/status.',
+  deprecated: true,
+  query: ACTIVE_PHONE_QUERY
+}), async (req, res) => {
+  const phoneNumber = req.query.phone || activePhoneNumber;
+  
+  if (!phoneNumber) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'No phone number has been set. Use /qr?phone=1234567890 first.');
   }
   
   try {
     // Try to get or initialize the client
-    const { authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(activePhoneNumber);
+    const { state, authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(phoneNumber);
     
     // No need to set up message listener
     
     res.json({ 
       success: true, 
+      state: state,
       authenticated: authenticated,
       requiresQR: requiresQR,
       error: error,
-      phoneNumber: activePhoneNumber
+      phoneNumber: phoneNumber
     });
   } catch (error) {
-    console.error('Error checking authentication status:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    req.log.error({ err: error }, 'Error checking authentication status');
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
 
-// Get last 10 messages endpoint
-app.get('/last10messages/:phoneNumber', async (req, res) => {
+// Get last 10 messages endpoint (kept for existing clients; see /sessions/:phone/chats for paging)
+app.get('/last10messages/:phoneNumber', validate({
+  tag: 'Sessions',
+  summary: 'Last 10 messages of each chat',
+  description: 'Kept for existing clients; use GET /sessions/{phone}/chats and its messages.',
+  deprecated: true,
+  params: { properties: { phoneNumber: PHONE }, required: ['phoneNumber'] }
+}), async (req, res) => {
   const { phoneNumber } = req.params;
   
-  if (!phoneNumber) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Phone number is required' 
-    });
-  }
-  
   try {
     // Try to get or initialize the client
-    const { authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(phoneNumber);
+    const { authenticated, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(phoneNumber);
     
     if (!authenticated) {
-      return res.status(400).json({ 
-        success: false, 
-        error: error,
-        requiresQR: requiresQR
-      });
+      return sendError(res, 400, code, error, { requiresQR: requiresQR });
     }
     
     // Client is authenticated, get messages
     const messages = await whatsappManager.getLast10Messages(phoneNumber);
     
     if (!messages) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to retrieve messages'
-      });
+      return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'Failed to retrieve messages');
     }
     
     res.json({
@@ -169,126 +331,260 @@ app.get('/last10messages/:phoneNumber', async (req, res) => {
       messages: messages
     });
   } catch (error) {
-    console.error('Error retrieving messages:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    req.log.error({ err: error }, 'Error retrieving messages');
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
-// Send message between clients endpoint
-app.post('/send-message', async (req, res) => {
-  const { senderPhoneNumber, recipientPhoneNumber, message } = req.body;
-  
-  if (!senderPhoneNumber || !recipientPhoneNumber || !message) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Sender phone number, recipient phone number, and message are required' 
-    });
-  }
-  
+/**
+ * Log an authenticated phone number out and send the result as the response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} phoneNumber - Phone number in international format
+ * @returns {Promise<Object>} - The Express response
+ */
+async function respondWithLogout(req, res, phoneNumber) {
   try {
-    // Try to get or initialize the sender client
-    const { authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(senderPhoneNumber);
+    // Try to get or initialize the client
+    const { authenticated, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(phoneNumber);
     
     if (!authenticated) {
-      return res.status(400).json({ 
-        success: false, 
-        error: error,
-        requiresQR: requiresQR
-      });
+      return sendError(res, 400, code, error, { requiresQR: requiresQR });
     }
     
-    // Sender client is authenticated, send the message
-    const result = await whatsappManager.sendMessage(
-      senderPhoneNumber, 
-      recipientPhoneNumber, 
-      message
-    );
-    
-    if (!result) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to send message'
-      });
-    }
+    // Client is authenticated, logout
+    const result = await whatsappManager.logout(phoneNumber);
     
-    res.json({ 
-      success: true, 
-      message: 'Message sent successfully'
+    return res.json({ 
+      success: result, 
+      message: result ? 'Logged out successfully' : 'Failed to logout'
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    req.log.error({ err: error }, 'Error logging out');
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
-});
+}
 
 // Logout endpoint
-app.post('/logout', async (req, res) => {
-  // Get phone number from query
-  const phoneNumber = req.query.phone;
+app.post('/logout', validate({
+  tag: 'Sessions',
+  summary: 'Log a phone number out',
+  description: 'Kept for existing clients; use POST /sessions/{phone}/logout.',
+  deprecated: true,
+  query: { properties: { phone: PHONE }, required: ['phone'] }
+}), (req, res) => respondWithLogout(req, res, req.query.phone));
+
+// Session routes (one entry per phone number in whatsappManager.clients)
+
+// List all sessions endpoint
+app.get('/sessions', validate({ tag: 'Sessions', summary: 'List sessions' }), (req, res) => {
+  res.json({
+    success: true,
+    sessions: whatsappManager.listSessions()
+  });
+});
+
+// Get session details endpoint
+app.get('/sessions/:phone', validate({
+  tag: 'Sessions',
+  summary: 'Get a session',
+  params: sessionParams()
+}), (req, res) => {
+  const session = whatsappManager.getSessionInfo(req.params.phone);
   
-  if (!phoneNumber) {
-    return res.status(400).json({
-      success: false,
-      error: 'Phone number is required. Use /logout?phone=1234567890'
-    });
+  if (!session) {
+    return sendError(res, 404, ERROR_CODES.CLIENT_NOT_FOUND, `No session for phone number ${req.params.phone}`);
   }
   
+  res.json({
+    success: true,
+    session: session
+  });
+});
+
+// Get session QR code endpoint
+app.get('/sessions/:phone/qr', validate({
+  tag: 'Sessions',
+  summary: 'QR code to log a phone number in',
+  params: sessionParams()
+}), async (req, res) => {
+  try {
+    return await respondWithLoginQR(req, res, req.params.phone);
+  } catch (error) {
+    respondWithError(res, error, 'generating QR code');
+  }
+});
+
+// Session status endpoint
+app.get('/sessions/:phone/status', validate({
+  tag: 'Sessions',
+  summary: 'Connection status of a session',
+  params: sessionParams()
+}), async (req, res) => {
+  const phoneNumber = req.params.phone;
+  
   try {
     // Try to get or initialize the client
-    const { authenticated, requiresQR, error } = await whatsappManager.getOrInitializeClient(phoneNumber);
+    const { state, authenticated, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(phoneNumber);
     
-    if (!authenticated) {
-      return res.status(400).json({ 
-        success: false, 
-        error: error,
-        requiresQR: requiresQR
-      });
-    }
-    
-    // Client is authenticated, logout
-    const result = await whatsappManager.logout(phoneNumber);
+    res.json({
+      success: true,
+      status: authenticated ? 'connected' : 'disconnected',
+      state: state,
+      requiresQR: requiresQR,
+      error: error,
+      code: code,
+      session: whatsappManager.getSessionInfo(phoneNumber)
+    });
+  } catch (error) {
+    req.log.error({ err: error }, 'Error checking status');
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Session logout endpoint (the session's stored login is removed; it needs a new QR scan)
+app.post('/sessions/:phone/logout', validate({
+  tag: 'Sessions',
+  summary: 'Log a session out',
+  params: sessionParams()
+}), (req, res) => respondWithLogout(req, res, req.params.phone));
+
+// Delete session endpoint (logs out authenticated clients, stops pending ones)
+app.delete('/sessions/:phone', validate({
+  tag: 'Sessions',
+  summary: 'Remove a session',
+  description: 'Logs authenticated clients out and stops pending ones.',
+  params: sessionParams()
+}), async (req, res) => {
+  const phoneNumber = req.params.phone;
+  
+  if (!whatsappManager.hasClient(phoneNumber)) {
+    return sendError(res, 404, ERROR_CODES.CLIENT_NOT_FOUND, `No session for phone number ${phoneNumber}`);
+  }
+  
+  try {
+    const result = whatsappManager.isAuthenticated(phoneNumber)
+      ? await whatsappManager.logout(phoneNumber)
+      : await whatsappManager.removeClient(phoneNumber);
     
-    res.json({ 
+    res.status(result ? 200 : 500).json({ 
       success: result, 
-      message: result ? 'Logged out successfully' : 'Failed to logout'
+      message: result ? 'Session removed successfully' : 'Failed to remove session'
     });
   } catch (error) {
-    console.error('Error logging out:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    req.log.error({ err: error }, 'Error removing session');
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
-// Message listener function removed as requested
+// Session export and import routes (encrypted with the request's passphrase or SESSION_EXPORT_KEY)
+app.use(createSessionTransferRouter(whatsappManager, { exportKey: process.env.SESSION_EXPORT_KEY }));
+
+// Chat history routes (paginated chats and messages per session)
+app.use(createChatRouter(whatsappManager));
+
+// Group management routes
+app.use(createGroupRouter(whatsappManager));
+
+// Contact routes (registration checks, profiles, blocking)
+app.use(createContactRouter(whatsappManager));
+
+// Message action routes (reply, react, edit, delete, forward, star, read, presence)
+app.use(createMessageActionRouter(whatsappManager));
+
+// Message archive routes (full-text search and purge)
+app.use(createArchiveRouter(whatsappManager, messageArchive));
+
+// Webhook routes (incoming messages and client events are delivered to subscribers)
+app.use(createWebhookRouter(whatsappManager, webhooks));
+
+// Auto-reply rule routes
+app.use(createAutoReplyRouter(whatsappManager, autoResponder));
+
+// Scheduled message routes
+app.use(createScheduledMessageRouter(whatsappManager, scheduler));
+
+// Campaign and opt-out routes
+app.use(createCampaignRouter(whatsappManager, campaigns, optOuts));
+
+// Message routes (/send-message, /send-media, queued jobs and their status)
+app.use(createMessageRouter(whatsappManager, messageQueue, { sendWaitMs: SEND_WAIT_MS }));
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('WhatsApp Manager initialized. Use /qr?phone=1234567890 endpoint to get a QR code for login.');
+// Message status routes (delivery and read receipts)
+app.use(createReceiptRouter(receipts, messageQueue));
+
+// API key management and audit log routes
+app.use(createApiKeyRouter(whatsappManager, apiKeys, auditLog));
+
+// Downloaded media routes (media of incoming messages, by the id in their 'media' reference)
+app.use(createMediaRouter(whatsappManager, mediaStore));
+
+// Live event stream routes (Server-Sent Events: QR refreshes, state changes, incoming messages)
+app.use(createEventStreamRouter(whatsappManager));
+
+// Monitoring routes (/metrics, and the /healthz and /readyz checks, which need no credentials)
+app.use(createMonitoringRouter(whatsappManager, metrics));
+
+// API description routes (/openapi.json, Swagger UI at /docs; no credentials needed)
+app.use(createOpenApiRouter(app, { title: 'WhatsApp Manager API', version }));
+
+// Unknown routes answer in the error envelope too
+app.use((req, res) => {
+  sendError(res, 404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.path}`);
 });
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  if (activePhoneNumber) {
+// Errors raised outside the routes (malformed or oversized JSON bodies, ...); Express only
+// treats the handler as an error handler when it takes all four arguments
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, `Malformed JSON body: ${error.message}`);
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Body larger than ${JSON_BODY_LIMIT}`);
+  }
+  req.log.error({ err: error }, 'Unhandled error');
+  sendError(res, error.status || 500, ERROR_CODES.INTERNAL_ERROR, error.expose ? error.message : 'Internal server error');
+});
+
+// Start server and register process handlers only when run directly (tests import the app)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info({ port: Number(PORT) }, 'Server running');
+    logger.info('Use GET /sessions/:phone/qr to get a QR code for login');
+    if (AUTH_ENABLED && !process.env.ADMIN_API_KEY && apiKeys.list().length === 0) {
+      logger.warn('No API keys exist: set ADMIN_API_KEY to create the first keys with POST /api-keys');
+    }
+  });
+
+  // Handle process termination: stop the clients without logging out,
+  // so their sessions are restored when the server starts again
+  const shutdown = async () => {
     try {
-      // Try to get or initialize the client
-      const { authenticated } = await whatsappManager.getOrInitializeClient(activePhoneNumber);
-      
-      if (authenticated) {
-        console.log('Logging out WhatsApp client...');
-        await whatsappManager.logout(activePhoneNumber);
+      logger.info('Stopping WhatsApp clients');
+      autoResponder.stop();
+      scheduler.stop();
+      campaigns.stop();
+      optOuts.stop();
+      await Promise.all([scheduler.idle(), campaigns.idle()]);
+      messageQueue.stop();
+      webhooks.stop();
+      await webhooks.idle();
+      metrics.stop();
+      receipts.stop();
+      await receipts.idle();
+      await auditLog.idle();
+      if (messageArchive) {
+        messageArchive.stop();
+        await messageArchive.idle();
       }
+      await whatsappManager.shutdown();
     } catch (error) {
-      console.error('Error during logout on termination:', error);
+      logger.error({ err: error }, 'Error stopping clients on termination');
     }
-  }
-  process.exit(0);
-});
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = app;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+/**
+ * API Keys - Credentials for the HTTP API, scoped to accounts and permissions
+ *
+ * A key is shown once, when it is created ('wam_<id>_<secret>'); only its SHA-256 hash is kept
+ * in {dataDir}/api-keys.json. Each key lists the accounts (phone numbers, or '*' for all) it may
+ * act for and its permissions:
+ *
+ *   read   Sessions, chats, messages, contacts, groups, search, events
+ *   send   Send and queue messages, message actions, group and contact changes
+ *   admin  Everything, including logins (QR), logouts, webhooks, API keys and the audit log
+ *
+ * Revoked keys stay in the file (marked revokedAt) so audit entries keep pointing at them.
+ */
+
+const PERMISSIONS = Object.freeze(['read', 'send', 'admin']);
+
+const KEY_PREFIX = 'wam_';
+
+/**
+ * Hash a key for storage and comparison
+ * @param {string} key - Full API key
+ * @returns {string} - Hex SHA-256 digest
+ * @private
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether a set of permissions grants one ('admin' grants every permission)
+ * @param {Array<string>} permissions - Granted permissions
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+function hasPermission(permissions, permission) {
+  return permissions.includes('admin') || permissions.includes(permission);
+}
+
+/**
+ * Validate the parameters of a new key
+ * @param {Object} params - Key parameters ({ name, phones, permissions })
+ * @returns {string|null} - Error message, or null if the parameters are valid
+ */
+function validateKey({ name, phones, permissions } = {}) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'A key name is required';
+  }
+  if (!Array.isArray(phones) || phones.length === 0 || !phones.every(phone => typeof phone === 'string' && phone)) {
+    return "phones must be a non-empty array of phone numbers, or ['*'] for every account";
+  }
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'permissions must be a non-empty array';
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(', ')}. Valid permissions: ${PERMISSIONS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Get a key without its hash
+ * @param {Object} key - Stored key
+ * @returns {Object}
+ * @private
+ */
+function publicKey({ hash, ...key }) {
+  return { ...key, phones: [...key.phones], permissions: [...key.permissions] };
+}
+
+/**
+ * Create the API key store
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for api-keys.json (default './data')
+ * @param {Function} options.formatPhoneNumber - Turns the phone numbers of new keys into client ids
+ *   (default: keep them as given)
+ * @returns {Object} - Store with create, list, get, revoke and verify
+ */
+function createApiKeyStore(options = {}) {
+  const file = createJsonFileStore(path.join(options.dataDir || './data', 'api-keys.json'), []);
+  const formatPhoneNumber = options.formatPhoneNumber || (phone => phone);
+  const keys = new Map(file.read().map(key => [key.id, key]));
+
+  const save = () => file.write(Array.from(keys.values()));
+
+  return {
+    /**
+     * Create a key
+     * @param {Object} params - Key parameters
+     * @param {string} params.name - Who or what uses the key
+     * @param {Array<string>} params.phones - Accounts the key may act for ('*' for all)
+     * @param {Array<string>} params.permissions - read, send and/or admin
+     * @returns {{key: Object, apiKey: string}} - The stored key (without hash) and the full key, which is not kept
+     * @throws {Error} - When the parameters are invalid (see validateKey)
+     */
+    create: function({ name, phones, permissions }) {
+      const validationError = validateKey({ name, phones, permissions });
+      if (validationError) {
+        throw new Error(validationError);
+      }
+
+      const id = crypto.randomBytes(6).toString('hex');
+      const apiKey = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+      const key = {
+        id,
+        name: name.trim(),
+        phones: phones.includes('*') ? ['*'] : Array.from(new Set(phones.map(formatPhoneNumber))),
+        permissions: Array.from(new Set(permissions)),
+        createdAt: new Date().toISOString(),
+        revokedAt: null,
+        hash: hashKey(apiKey)
+      };
+      keys.set(id, key);
+      save();
+      return { key: publicKey(key), apiKey };
+    },
+
+    /**
+     * List keys, revoked ones included
+     * @returns {Array<Object>} - Keys without their hash
+     */
+    list: function() {
+      return Array.from(keys.values()).map(publicKey);
+    },
+
+    /**
+     * Get a key
+     * @param {string} id - Key id
+     * @returns {Object|null} - Key without its hash, or null if unknown
+     */
+    get: function(id) {
+      const key = keys.get(id);
+      return key ? publicKey(key) : null;
+    },
+
+    /**
+     * Revoke a key; it is refused from then on
+     * @param {string} id - Key id
+     * @returns {boolean} - False if the key is unknown or already revoked
+     */
+    revoke: function(id) {
+      const key = keys.get(id);
+      if (!key || key.revokedAt) return false;
+      key.revokedAt = new Date().toISOString();
+      save();
+      return true;
+    },
+
+    /**
+     * Look up the key a request presented
+     * @param {string} apiKey - Full API key
+     * @returns {Object|null} - Key without its hash, or null if unknown or revoked
+     */
+    verify: function(apiKey) {
+      const match = /^wam_([0-9a-f]+)_/.exec(apiKey || '');
+      const key = match && keys.get(match[1]);
+      if (!key || key.revokedAt) return null;
+
+      const expected = Buffer.from(key.hash, 'hex');
+      const actual = Buffer.from(hashKey(apiKey), 'hex');
+      return crypto.timingSafeEqual(expected, actual) ? publicKey(key) : null;
+    }
+  };
+}
+
+module.exports = { createApiKeyStore, validateKey, hasPermission, PERMISSIONS };
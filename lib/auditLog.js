@@ -0,0 +1,87 @@
+const path = require('path');
+const { appendJsonLine, readJsonLines } = require('./jsonFileStore');
+const { createLogger } = require('./logger');
+
+/**
+ * Audit Log - Append-only record of what each credential did
+ *
+ * Every entry is one line of {dataDir}/audit.jsonl; entries are never rewritten or removed by
+ * the service. An entry holds:
+ *
+ *   at          When the request finished (ISO 8601)
+ *   actor       { type: 'api_key' | 'jwt' | 'admin_key', id, name } of the credential, null if none was valid
+ *   method      HTTP method
+ *   path        Request path (without the query string)
+ *   clientId    Account acted for, null when the request names none
+ *   status      HTTP status answered
+ *   recipient   Recipient of sent messages
+ *   contentType Type of sent content (text, image, document, ...)
+ *   jobId, messageId  Queue job and WhatsApp message of sent messages
+ *   error       Why the request was refused, for 401 and 403 answers
+ */
+
+/**
+ * Create the audit log
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for audit.jsonl (default './data')
+ * @param {Object} options.logger - Logger for write errors (see lib/logger)
+ * @returns {Object} - Log with record, query and idle
+ */
+function createAuditLog(options = {}) {
+  const filePath = path.join(options.dataDir || './data', 'audit.jsonl');
+  const logger = options.logger || createLogger();
+
+  // Appends run one after the other, in order
+  let writing = Promise.resolve();
+
+  return {
+    filePath,
+
+    /**
+     * Append an entry
+     * @param {Object} entry - Entry fields (see above); 'at' is added when missing
+     */
+    record: function(entry) {
+      const line = { at: new Date().toISOString(), ...entry };
+      writing = writing
+        .then(() => appendJsonLine(filePath, line))
+        .catch(error => logger.error({ err: error }, 'Error writing audit entry'));
+    },
+
+    /**
+     * Read entries, newest first
+     * @param {Object} filter - Optional filters
+     * @param {string} filter.actorId - Only entries of this key id or token subject
+     * @param {string} filter.clientId - Only entries acting for this account
+     * @param {string} filter.since - Only entries at or after this ISO 8601 time
+     * @param {number} filter.limit - Most entries returned (default 100)
+     * @returns {Promise<Array<Object>>}
+     */
+    query: async function({ actorId, clientId, since, limit = 100 } = {}) {
+      await writing;
+      const sinceMs = since ? Date.parse(since) : null;
+      return (await readJsonLines(filePath))
+        .filter(entry =>
+          (!actorId || (entry.actor && entry.actor.id === actorId)) &&
+          (!clientId || entry.clientId === clientId) &&
+          (sinceMs === null || Date.parse(entry.at) >= sinceMs)
+        )
+        .reverse()
+        .slice(0, limit);
+    },
+
+    /**
+     * Wait for every queued write
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      let current;
+      do {
+        current = writing;
+        await current;
+      } while (current !== writing);
+    }
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,672 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { validateSchema } = require('./schema');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+
+/**
+ * Auto Responder - Rule-based automatic replies and keyword commands
+ *
+ * Rules come from three places: a JSON or YAML rules file (reloaded when it changes), the REST
+ * API (stored in {dataDir}/auto-reply-rules.json) and command handlers registered in code. Rules
+ * from the file can only be changed in the file.
+ *
+ *   { "id": "prices", "account": "+1234567890", "keywords": ["price", "cost"],
+ *     "reply": "Hi {{name}}, our prices are at https://example.com/prices", "cooldownSeconds": 3600 }
+ *
+ * A rule matches a received message by keywords (whole words, any case), a regex on the body or a
+ * command ('/order 42' runs the 'order' command with the argument '42'); a rule with none of them
+ * matches every message, e.g. an away message limited to outsideHours. Command rules are tried
+ * first, then the others, each in file, API, code order; the first rule that matches (and whose
+ * business hours apply) answers, unless its cooldown for the contact is still running, in which
+ * case the message gets no reply. Replies are templates: {{name}}, {{phone}}, {{account}},
+ * {{body}}, {{command}}, {{args}}, {{arg1}}..{{argN}}, {{date}} and {{time}} are replaced, unknown
+ * variables become ''. Cooldowns are kept in memory and start over on restart.
+ */
+
+const DAYS = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+// Sources a rule can come from, in the order their rules are tried
+const RULE_SOURCES = Object.freeze({
+  FILE: 'file',
+  API: 'api',
+  CODE: 'code'
+});
+
+const TIME = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM, 24-hour clock' };
+
+// Schema of a rule from the rules file or the REST API
+const RULE_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    id: { type: 'string', pattern: '^[\\w.-]{1,64}$', description: 'Rule id (generated when omitted)' },
+    description: { type: 'string' },
+    enabled: { type: 'boolean', description: 'Whether the rule answers (default true)' },
+    account: {
+      type: ['string', 'array'],
+      format: 'phone',
+      items: { type: 'string', format: 'phone' },
+      minItems: 1,
+      description: 'Account phone number(s) the rule answers for (default all)'
+    },
+    chats: { type: 'string', enum: ['direct', 'groups', 'all'], description: 'Chats answered (default direct)' },
+    keywords: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, description: 'Words matched anywhere in the body, in any case' },
+    regex: { type: 'string', minLength: 1, description: 'Pattern matched against the body' },
+    flags: { type: 'string', pattern: '^[imsu]*$', description: 'Flags of regex (default i)' },
+    command: { type: 'string', pattern: '^[\\w-]{1,32}$', description: 'Command name, sent as /name followed by arguments' },
+    minArgs: { type: 'integer', minimum: 0, description: 'Arguments the command needs; fewer are answered with usage' },
+    usage: { type: 'string', minLength: 1, description: 'Reply when the command has fewer than minArgs arguments' },
+    businessHours: {
+      type: 'object',
+      properties: {
+        timezone: { type: 'string', description: 'IANA time zone (default the responder\'s)' },
+        windows: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              days: { type: 'array', items: { type: 'string', enum: DAYS }, minItems: 1 },
+              start: TIME,
+              end: TIME
+            },
+            required: ['days', 'start', 'end'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['windows'],
+      additionalProperties: false
+    },
+    outsideHours: { type: 'boolean', description: 'Answer outside businessHours instead of during them' },
+    cooldownSeconds: { type: 'integer', minimum: 0, description: 'Time before the rule answers the same contact again (default 0)' },
+    reply: { type: 'string', minLength: 1, description: 'Reply template' }
+  },
+  additionalProperties: false
+});
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  rulesFile: null,
+  watchIntervalMs: 2000,
+  commandPrefix: '/',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  now: Date.now
+};
+
+// Cooldown entries kept before the expired ones are pruned
+const COOLDOWN_PRUNE_SIZE = 1000;
+
+/**
+ * Validate a rule
+ * @param {Object} rule - Rule from the rules file or the REST API
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+function validateRule(rule) {
+  const errors = validateSchema(RULE_SCHEMA, rule);
+  if (errors.length) {
+    return errors.map(error => error.message).join('; ');
+  }
+  if (!rule.reply && !rule.command) {
+    return 'A rule needs a reply (or a command handled in code)';
+  }
+  if (rule.regex) {
+    try {
+      new RegExp(rule.regex, rule.flags === undefined ? 'i' : rule.flags);
+    } catch (error) {
+      return `regex is invalid: ${error.message}`;
+    }
+  }
+  if (rule.businessHours && rule.businessHours.timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: rule.businessHours.timezone });
+    } catch (error) {
+      return `businessHours.timezone ${rule.businessHours.timezone} is not a known time zone`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace the {{variables}} of a template
+ * @param {string} template - Reply template
+ * @param {Object} variables - Values by name
+ * @returns {string}
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  );
+}
+
+/**
+ * Split a command message into its name and arguments ("double quotes" keep spaces in an argument)
+ * @param {string} body - Message body
+ * @param {string} prefix - Command prefix (e.g. '/')
+ * @returns {{name: string, args: Array<string>, argsText: string}|null} - null if the body is not a command
+ */
+function parseCommand(body, prefix) {
+  const text = (body || '').trim();
+  if (!text.startsWith(prefix)) return null;
+
+  const match = /^([\w-]+)(?:\s+([\s\S]*))?$/.exec(text.slice(prefix.length));
+  if (!match) return null;
+
+  const argsText = (match[2] || '').trim();
+  const args = [];
+  for (const [, quoted, plain] of argsText.matchAll(/"([^"]*)"|(\S+)/g)) {
+    args.push(quoted !== undefined ? quoted : plain);
+  }
+  return { name: match[1].toLowerCase(), args, argsText };
+}
+
+/**
+ * Get the weekday and minutes since midnight of a time in a time zone
+ * @param {number} time - Timestamp
+ * @param {string} timezone - IANA time zone
+ * @returns {{day: string, minutes: number, date: string, time: string}}
+ * @private
+ */
+function localTime(time, timezone) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  for (const { type, value } of format.formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+/**
+ * Check whether a time falls in one of the business hours windows
+ *
+ * A window whose end is before its start runs past midnight into the next day; one whose start
+ * equals its end lasts the whole day.
+ * @param {Object} businessHours - { windows: [{ days, start, end }] }
+ * @param {{day: string, minutes: number}} local - Local time (see localTime)
+ * @returns {boolean}
+ */
+function isWithinHours(businessHours, local) {
+  const toMinutes = value => Number(value.slice(0, 2)) * 60 + Number(value.slice(3));
+  const previousDay = DAYS[(DAYS.indexOf(local.day) + 6) % 7];
+
+  return businessHours.windows.some(({ days, start, end }) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    if (from === to) return days.includes(local.day);
+    if (from < to) return days.includes(local.day) && local.minutes >= from && local.minutes < to;
+    return (days.includes(local.day) && local.minutes >= from) || (days.includes(previousDay) && local.minutes < to);
+  });
+}
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} value
+ * @returns {string}
+ * @private
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Read the rules of a rules file (.yaml/.yml as YAML, anything else as JSON)
+ * @param {string} filePath - Path of the file: a list of rules, or { rules: [...] }
+ * @returns {Array<Object>} - Rules (empty if the file does not exist)
+ * @throws {WhatsAppManagerError} - VALIDATION_FAILED when the file cannot be parsed or a rule is invalid
+ */
+function readRulesFile(filePath) {
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(filePath) ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `Cannot parse ${path.basename(filePath)}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(parsed) ? parsed : (parsed && parsed.rules) || [];
+  if (!Array.isArray(rules)) {
+    throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `${path.basename(filePath)} must hold a list of rules or { rules: [...] }`);
+  }
+
+  const ids = new Set();
+  return rules.map((rule, index) => {
+    const validationError = validateRule(rule);
+    if (validationError) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `Rule ${index + 1} of ${path.basename(filePath)}: ${validationError}`);
+    }
+    const id = rule.id || `file-${index + 1}`;
+    if (ids.has(id)) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `Rule id ${id} is used twice in ${path.basename(filePath)}`);
+    }
+    ids.add(id);
+    return { ...rule, id };
+  });
+}
+
+/**
+ * Create an auto responder answering a manager's incoming messages
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for auto-reply-rules.json (default './data')
+ * @param {string} options.rulesFile - JSON or YAML rules file, reloaded when it changes (default none)
+ * @param {number} options.watchIntervalMs - How often the rules file is checked for changes (default 2000)
+ * @param {string} options.commandPrefix - Prefix of command messages (default '/')
+ * @param {string} options.timezone - Time zone of business hours and {{date}}/{{time}} (default the system's)
+ * @param {Function} options.send - async ({ sender, recipient, content }) sending a reply (default manager.deliverMessage)
+ * @param {Function} options.now - Clock, for tests (default Date.now)
+ * @returns {Object} - Responder
+ */
+function createAutoResponder(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  // Options given as undefined (e.g. from unset environment variables) keep their defaults
+  for (const [name, value] of Object.entries(options)) {
+    if (value !== undefined) settings[name] = value;
+  }
+  const store = createJsonFileStore(path.join(settings.dataDir, 'auto-reply-rules.json'), []);
+  const send = settings.send || (({ sender, recipient, content }) => manager.deliverMessage(sender, recipient, content));
+
+  let fileRules = [];
+  let apiRules = store.read();
+
+  // Command handlers registered in code, by command name: { id, command, handler, account, chats, cooldownSeconds }
+  const codeRules = new Map();
+
+  // Rules compiled for matching, rebuilt whenever a source changes
+  let compiled = [];
+
+  // End of each running cooldown, by rule id, account and contact
+  const cooldowns = new Map();
+
+  // Replies being sent, so callers can wait for them (see idle())
+  const pending = new Set();
+
+  /**
+   * Compile a rule for matching
+   * @param {Object} rule - Rule
+   * @param {string} source - One of RULE_SOURCES
+   * @returns {Object} - { rule, source, clientIds, test(text, command) }
+   */
+  const compile = (rule, source) => {
+    const clientIds = rule.account ? [].concat(rule.account).map(phone => manager.formatPhoneNumber(phone)) : null;
+    const keywords = (rule.keywords || []).map(keyword =>
+      new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(keyword)}($|[^\\p{L}\\p{N}_])`, 'iu')
+    );
+    const pattern = rule.regex ? new RegExp(rule.regex, rule.flags === undefined ? 'i' : rule.flags) : null;
+
+    const test = (text, command) => {
+      if (rule.command) return Boolean(command) && command.name === rule.command.toLowerCase();
+      if (keywords.length && !keywords.some(keyword => keyword.test(text))) return false;
+      if (pattern && !pattern.test(text)) return false;
+      return true;
+    };
+    return { rule, source, clientIds, test };
+  };
+
+  const rebuild = () => {
+    const all = [
+      ...fileRules.map(rule => compile(rule, RULE_SOURCES.FILE)),
+      ...apiRules.map(rule => compile(rule, RULE_SOURCES.API)),
+      ...Array.from(codeRules.values()).map(rule => compile(rule, RULE_SOURCES.CODE))
+    ];
+    // Commands first, so '/help' reaches the help command even when a keyword rule matches 'help'
+    compiled = [...all.filter(entry => entry.rule.command), ...all.filter(entry => !entry.rule.command)];
+  };
+
+  /**
+   * Find the rule answering a message
+   * @param {Object} message - Converted message
+   * @returns {{entry: Object, command: Object|null, local: Object}|null}
+   */
+  const findRule = (message) => {
+    const text = message.body || '';
+    const command = parseCommand(text, settings.commandPrefix);
+
+    for (const entry of compiled) {
+      const { rule } = entry;
+      if (rule.enabled === false) continue;
+      if (entry.clientIds && !entry.clientIds.includes(message.clientId)) continue;
+      const chats = rule.chats || 'direct';
+      if ((chats === 'direct' && message.isGroup) || (chats === 'groups' && !message.isGroup)) continue;
+      if (!entry.test(text, command)) continue;
+
+      const timezone = (rule.businessHours && rule.businessHours.timezone) || settings.timezone;
+      const local = localTime(settings.now(), timezone);
+      if (rule.businessHours && isWithinHours(rule.businessHours, local) === Boolean(rule.outsideHours)) continue;
+
+      return { entry, command, local };
+    }
+    return null;
+  };
+
+  /**
+   * Build the reply of a rule to a message
+   * @param {Object} match - Result of findRule
+   * @param {Object} message - Converted message
+   * @returns {Promise<string|Object|null>} - Reply content, or null for no reply
+   */
+  const buildReply = async ({ entry, command, local }, message) => {
+    const { rule } = entry;
+    const args = command ? command.args : [];
+    const sender = message.sender || {};
+    const variables = {
+      name: sender.name || sender.phoneNumber || '',
+      phone: sender.phoneNumber || '',
+      account: `+${message.clientId}`,
+      body: message.body || '',
+      command: command ? command.name : '',
+      args: command ? command.argsText : '',
+      date: local.date,
+      time: local.time
+    };
+    args.forEach((arg, index) => {
+      variables[`arg${index + 1}`] = arg;
+    });
+
+    if (rule.minArgs !== undefined && args.length < rule.minArgs) {
+      return renderTemplate(rule.usage || `Usage: ${settings.commandPrefix}${rule.command}`, variables);
+    }
+    if (rule.handler) {
+      const result = await rule.handler({ message, command: variables.command, args, argsText: variables.args, variables });
+      return result === undefined ? null : result;
+    }
+    if (rule.reply) {
+      return renderTemplate(rule.reply, variables);
+    }
+    manager.logFor(message.clientId).warn({ ruleId: rule.id, command: rule.command }, 'No handler for auto-reply command');
+    return null;
+  };
+
+  /**
+   * Answer a message with the first matching rule
+   * @param {Object} message - Converted message
+   * @returns {Promise<void>}
+   */
+  const respond = async (message) => {
+    // Reactions, edits, deletions and status updates are never answered
+    if (message.reaction || message.edit || message.revoke || (message.chatId || '').endsWith('@broadcast')) return;
+
+    const match = findRule(message);
+    if (!match) return;
+
+    const { rule } = match.entry;
+    const log = manager.logFor(message.clientId);
+    const contact = (message.sender && message.sender.id) || message.chatId;
+    const cooldownKey = `${rule.id}:${message.clientId}:${contact}`;
+    const now = settings.now();
+    if ((cooldowns.get(cooldownKey) || 0) > now) {
+      log.debug({ ruleId: rule.id, chatId: message.chatId }, 'Auto-reply rule cooling down');
+      return;
+    }
+
+    const content = await buildReply(match, message);
+    if (content === null || content === '') return;
+
+    if (rule.cooldownSeconds) {
+      if (cooldowns.size >= COOLDOWN_PRUNE_SIZE) {
+        for (const [key, until] of cooldowns) {
+          if (until <= now) cooldowns.delete(key);
+        }
+      }
+      cooldowns.set(cooldownKey, now + rule.cooldownSeconds * 1000);
+    }
+
+    await send({ sender: message.clientId, recipient: message.chatId, content });
+    log.info({ ruleId: rule.id, chatId: message.chatId }, 'Auto-reply sent');
+  };
+
+  /**
+   * Reload the rules file
+   * @returns {number} - Rules read from the file
+   */
+  const loadFile = () => {
+    fileRules = readRulesFile(settings.rulesFile);
+    rebuild();
+    return fileRules.length;
+  };
+
+  /**
+   * Find a rule by id
+   * @param {string} id - Rule id
+   * @returns {{rule: Object, source: string}|null}
+   */
+  const findById = (id) => {
+    const entry = compiled.find(candidate => candidate.rule.id === id);
+    return entry ? { rule: entry.rule, source: entry.source } : null;
+  };
+
+  /**
+   * Describe a rule for listing
+   * @param {Object} rule - Rule
+   * @param {string} source - One of RULE_SOURCES
+   * @returns {Object}
+   */
+  const describe = (rule, source) => {
+    const { handler, ...fields } = rule;
+    return { ...fields, source };
+  };
+
+  /**
+   * Make sure a rule exists and was created through the API
+   * @param {string} id - Rule id
+   * @throws {WhatsAppManagerError} - NOT_FOUND or RULE_READ_ONLY
+   */
+  const requireApiRule = (id) => {
+    const found = findById(id);
+    if (!found) {
+      throw new WhatsAppManagerError(ERROR_CODES.NOT_FOUND, `No auto-reply rule with id ${id}`);
+    }
+    if (found.source !== RULE_SOURCES.API) {
+      throw new WhatsAppManagerError(ERROR_CODES.RULE_READ_ONLY, `Auto-reply rule ${id} comes from the ${found.source === RULE_SOURCES.FILE ? 'rules file' : 'code'} and cannot be changed here`);
+    }
+  };
+
+  /**
+   * Validate a rule from the API
+   * @param {Object} rule - Rule
+   * @throws {WhatsAppManagerError} - VALIDATION_FAILED
+   */
+  const requireValid = (rule) => {
+    const validationError = validateRule(rule);
+    if (validationError) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, validationError);
+    }
+  };
+
+  // Reload the rules file when it changes; an invalid file keeps the previous rules
+  const onFileChange = () => {
+    try {
+      const count = loadFile();
+      manager.logger.info({ rules: count }, 'Auto-reply rules reloaded');
+    } catch (error) {
+      manager.logger.error({ err: error }, 'Error reloading auto-reply rules, keeping the previous rules');
+    }
+  };
+
+  if (settings.rulesFile) {
+    try {
+      loadFile();
+    } catch (error) {
+      manager.logger.error({ err: error }, 'Error loading auto-reply rules');
+    }
+    fs.watchFile(settings.rulesFile, { interval: settings.watchIntervalMs, persistent: false }, onFileChange);
+  } else {
+    rebuild();
+  }
+
+  const subscription = manager.subscribe((message) => {
+    const reply = respond(message)
+      .catch(error => manager.logFor(message.clientId).error({ err: error, chatId: message.chatId }, 'Error sending auto-reply'))
+      .finally(() => pending.delete(reply));
+    pending.add(reply);
+    return reply;
+  }, { fromMe: false });
+
+  return {
+    /**
+     * List the rules in the order they are tried
+     * @param {string} [clientId] - Only rules answering for this client
+     * @returns {Array<Object>} - Rules with their source (file, api or code)
+     */
+    listRules: function(clientId) {
+      return compiled
+        .filter(entry => !clientId || !entry.clientIds || entry.clientIds.includes(clientId))
+        .map(entry => describe(entry.rule, entry.source));
+    },
+
+    /**
+     * Get a rule
+     * @param {string} id - Rule id
+     * @returns {Object|null} - The rule with its source
+     */
+    getRule: function(id) {
+      const found = findById(id);
+      return found ? describe(found.rule, found.source) : null;
+    },
+
+    /**
+     * Add a rule through the API
+     * @param {Object} rule - Rule (see RULE_SCHEMA)
+     * @returns {Object} - The stored rule with its source
+     * @throws {WhatsAppManagerError} - VALIDATION_FAILED when the rule is invalid or its id is taken
+     */
+    createRule: function(rule) {
+      requireValid(rule);
+      const id = rule.id || crypto.randomUUID();
+      if (findById(id)) {
+        throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `An auto-reply rule with id ${id} already exists`);
+      }
+      const stored = { ...rule, id, createdAt: new Date().toISOString() };
+      apiRules = [...apiRules, stored];
+      store.write(apiRules);
+      rebuild();
+      return describe(stored, RULE_SOURCES.API);
+    },
+
+    /**
+     * Replace a rule created through the API (its id and creation time are kept)
+     * @param {string} id - Rule id
+     * @param {Object} rule - New rule (see RULE_SCHEMA)
+     * @returns {Object} - The stored rule with its source
+     * @throws {WhatsAppManagerError} - NOT_FOUND, RULE_READ_ONLY or VALIDATION_FAILED
+     */
+    updateRule: function(id, rule) {
+      requireApiRule(id);
+      requireValid(rule);
+      if (rule.id && rule.id !== id) {
+        throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, 'The id of a rule cannot be changed');
+      }
+      const previous = apiRules.find(candidate => candidate.id === id);
+      const stored = { ...rule, id, createdAt: previous.createdAt, updatedAt: new Date().toISOString() };
+      apiRules = apiRules.map(candidate => (candidate.id === id ? stored : candidate));
+      store.write(apiRules);
+      rebuild();
+      return describe(stored, RULE_SOURCES.API);
+    },
+
+    /**
+     * Delete a rule created through the API
+     * @param {string} id - Rule id
+     * @throws {WhatsAppManagerError} - NOT_FOUND or RULE_READ_ONLY
+     */
+    deleteRule: function(id) {
+      requireApiRule(id);
+      apiRules = apiRules.filter(rule => rule.id !== id);
+      store.write(apiRules);
+      rebuild();
+    },
+
+    /**
+     * Read the rules file again (it is also reloaded when it changes)
+     * @returns {number} - Rules read from the file
+     * @throws {WhatsAppManagerError} - NOT_FOUND without a rules file, VALIDATION_FAILED when it is invalid
+     *   (the previous rules are kept)
+     */
+    reload: function() {
+      if (!settings.rulesFile) {
+        throw new WhatsAppManagerError(ERROR_CODES.NOT_FOUND, 'No auto-reply rules file is configured');
+      }
+      return loadFile();
+    },
+
+    /**
+     * Handle a command in code
+     * @param {string} name - Command name (sent as prefix + name, e.g. '/order 42')
+     * @param {Function} handler - async ({ message, command, args, argsText, variables }) returning the
+     *   reply (text or message content), or null for no reply
+     * @param {Object} [ruleOptions] - account, chats, cooldownSeconds, minArgs and usage, as in a rule
+     * @returns {{id: string, remove: Function}} - Handle removing the command
+     */
+    registerCommand: function(name, handler, ruleOptions = {}) {
+      if (typeof handler !== 'function') {
+        throw new TypeError('Command handler must be a function');
+      }
+      const command = name.toLowerCase();
+      const rule = { ...ruleOptions, id: `command-${command}`, command, handler };
+      codeRules.set(command, rule);
+      rebuild();
+      return {
+        id: rule.id,
+        remove: () => {
+          if (codeRules.get(command) !== rule) return false;
+          codeRules.delete(command);
+          rebuild();
+          return true;
+        }
+      };
+    },
+
+    /**
+     * Wait for the replies being sent
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      while (pending.size) {
+        await Promise.all(Array.from(pending));
+      }
+    },
+
+    /**
+     * Stop answering messages and watching the rules file
+     */
+    stop: function() {
+      subscription.unsubscribe();
+      if (settings.rulesFile) {
+        fs.unwatchFile(settings.rulesFile, onFileChange);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createAutoResponder,
+  validateRule,
+  renderTemplate,
+  parseCommand,
+  isWithinHours,
+  readRulesFile,
+  RULE_SCHEMA,
+  RULE_SOURCES
+};
@@ -0,0 +1,594 @@
+const crypto = require('crypto');
+const path = require('path');
+const { CLIENT_STATES } = require('./clientState');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { JOB_STATUS } = require('./messageQueue');
+const { normalizePhoneNumber } = require('./phone');
+const { parseCsv } = require('./csv');
+const { renderTemplate } = require('./autoResponder');
+
+/**
+ * Campaigns - The same message sent to many recipients, paced and tracked per recipient
+ *
+ * A campaign has a sender, a message template and a list of recipients, each with its own
+ * template variables ({{name}}, {{order}}, ...; {{phone}} is the recipient's number). Texts and
+ * media captions are templates. Recipients are sent to one at a time, in list order, at the
+ * campaign's messagesPerMinute, through the message queue when one is given (so its rate limits
+ * and retries apply) or else with the manager's deliverMessage.
+ *
+ * Campaigns are stored in {dataDir}/campaigns.json and carry on after a restart. Status changes
+ * are written at once and recipient results in batches, every saveIntervalMs; after a crash, the
+ * recipients of the last batch are sent to again unless the queue already has their message.
+ * Only the newest maxFinishedCampaigns completed or cancelled campaigns are kept.
+ *
+ * Recipient statuses: pending -> sent | failed | unregistered (not on WhatsApp) | opted_out (on
+ * the opt-out list when their turn came, see lib/optOuts) | cancelled (still pending when the
+ * campaign was cancelled). While the sender is not ready the campaign waits for it.
+ *
+ * Campaign statuses: running <-> paused -> completed | cancelled.
+ */
+
+const CAMPAIGN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+});
+
+const RECIPIENT_STATUS = Object.freeze({
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  UNREGISTERED: 'unregistered',
+  OPTED_OUT: 'opted_out',
+  CANCELLED: 'cancelled'
+});
+
+// Send errors that mean the sender cannot send right now; the recipient waits for it
+const NOT_READY_ERROR_CODES = [ERROR_CODES.CLIENT_NOT_FOUND, ERROR_CODES.CLIENT_NOT_READY];
+
+// How often a send waiting in the message queue checks whether the runner was stopped
+const QUEUE_POLL_MS = 1000;
+
+// Errors that retrying cannot fix
+const PERMANENT_ERROR_CODES = [
+  ERROR_CODES.UNSUPPORTED_CONTENT,
+  ERROR_CODES.INVALID_MEDIA,
+  ERROR_CODES.MEDIA_TOO_LARGE,
+  ERROR_CODES.RECIPIENT_INVALID
+];
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  messagesPerMinute: 20,
+  maxMessagesPerMinute: 60,
+  maxRecipients: 10000,
+  maxAttempts: 3,
+  maxFinishedCampaigns: 100,
+  saveIntervalMs: 5000,
+  messageQueue: null,
+  optOuts: null,
+  send: null
+};
+
+/**
+ * Read a recipient list into { phone, variables } entries
+ *
+ * A list is an array of phone numbers or of objects with a phone and either a variables object
+ * or the variables as the other fields; CSV text has a header row with a 'phone' column, and the
+ * other columns are the variables.
+ * @param {Array|string} recipients - Array, or CSV text
+ * @returns {{recipients: Array<Object>, duplicates: number}} - Recipients in list order, without repeated numbers
+ * @throws {WhatsAppManagerError} - VALIDATION_FAILED naming the first invalid entries
+ */
+function parseRecipients(recipients) {
+  let rows = recipients;
+  if (typeof recipients === 'string') {
+    try {
+      rows = parseCsv(recipients);
+    } catch (error) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `Cannot read the recipients CSV: ${error.message}`);
+    }
+    if (rows.length && !Object.prototype.hasOwnProperty.call(rows[0], 'phone')) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, 'The recipients CSV needs a phone column');
+    }
+  }
+  if (!Array.isArray(rows)) {
+    throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, 'recipients must be an array or CSV text');
+  }
+
+  const parsed = [];
+  const seen = new Set();
+  const errors = [];
+  let duplicates = 0;
+  rows.forEach((row, index) => {
+    const entry = typeof row === 'string' ? { phone: row } : row;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`Recipient ${index + 1} must be a phone number or an object with a phone`);
+      return;
+    }
+
+    const { phone: given, variables, ...fields } = entry;
+    const phone = normalizePhoneNumber(given);
+    if (!phone) {
+      errors.push(`Recipient ${index + 1}: ${JSON.stringify(given === undefined ? null : given)} is not a valid phone number`);
+      return;
+    }
+    if (variables !== undefined && (typeof variables !== 'object' || variables === null || Array.isArray(variables))) {
+      errors.push(`Recipient ${index + 1}: variables must be an object`);
+      return;
+    }
+    if (seen.has(phone)) {
+      duplicates++;
+      return;
+    }
+    seen.add(phone);
+    parsed.push({ phone, variables: { ...fields, ...variables } });
+  });
+
+  if (errors.length) {
+    const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+    throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `${errors.slice(0, 5).join('; ')}${more}`);
+  }
+  return { recipients: parsed, duplicates };
+}
+
+/**
+ * Fill in the template of a message for one recipient
+ * @param {string|Object} content - Text, or content object whose caption is a template
+ * @param {Object} variables - Values by name
+ * @returns {string|Object}
+ */
+function renderContent(content, variables) {
+  if (typeof content === 'string') return renderTemplate(content, variables);
+  if (content && typeof content.caption === 'string') {
+    return { ...content, caption: renderTemplate(content.caption, variables) };
+  }
+  return content;
+}
+
+/**
+ * Create the campaign runner of a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for campaigns.json (default './data')
+ * @param {number} options.messagesPerMinute - Pace of campaigns that set none (default 20)
+ * @param {number} options.maxMessagesPerMinute - Fastest pace a campaign may set (default 60)
+ * @param {number} options.maxRecipients - Recipients a campaign may have (default 10000)
+ * @param {number} options.maxAttempts - Send attempts per recipient before it fails (default 3)
+ * @param {number} options.maxFinishedCampaigns - Completed/cancelled campaigns kept (default 100)
+ * @param {number} options.saveIntervalMs - Longest wait before recipient results are written (default 5000)
+ * @param {Object} options.messageQueue - Queue the messages are sent through (see lib/messageQueue)
+ * @param {Object} options.optOuts - Opt-out list checked before each send (see lib/optOuts)
+ * @param {Function} options.send - async ({ sender, recipient, content }) => message, used without a
+ *   message queue (default manager.deliverMessage)
+ * @returns {Object} - Campaign runner
+ */
+function createCampaignRunner(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const store = createJsonFileStore(path.join(settings.dataDir, 'campaigns.json'), []);
+
+  // Campaigns in creation order
+  let campaigns = store.read();
+
+  // Time each campaign may send its next message, by id
+  const nextSendAt = new Map();
+
+  // Senders with a send in progress
+  const busy = new Set();
+
+  // Sends in progress, for idle()
+  const pending = new Set();
+
+  let timer = null;
+  let saveTimer = null;
+  let stopped = false;
+
+  const isFinished = campaign =>
+    campaign.status === CAMPAIGN_STATUS.COMPLETED || campaign.status === CAMPAIGN_STATUS.CANCELLED;
+
+  // Write the campaigns now, dropping the oldest finished ones over maxFinishedCampaigns
+  const persist = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const finished = campaigns.filter(isFinished);
+    if (finished.length > settings.maxFinishedCampaigns) {
+      const drop = new Set(finished.slice(0, finished.length - settings.maxFinishedCampaigns));
+      campaigns = campaigns.filter(campaign => !drop.has(campaign));
+    }
+    store.write(campaigns);
+  };
+
+  // Write the campaigns within saveIntervalMs, with the other results recorded until then
+  const persistSoon = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(persist, settings.saveIntervalMs);
+    }
+  };
+
+  const countRecipients = (campaign) => {
+    const counts = Object.fromEntries(Object.values(RECIPIENT_STATUS).map(status => [status, 0]));
+    for (const recipient of campaign.recipients) {
+      counts[recipient.status]++;
+    }
+    return counts;
+  };
+
+  // Campaign without its recipients, with the number of recipients in each status
+  const summarize = (campaign) => {
+    const { recipients, ...summary } = campaign;
+    return JSON.parse(JSON.stringify({ ...summary, total: recipients.length, counts: countRecipients(campaign) }));
+  };
+
+  const findCampaign = (id) => {
+    const campaign = campaigns.find(candidate => candidate.id === id);
+    if (!campaign) {
+      throw new WhatsAppManagerError(ERROR_CODES.NOT_FOUND, `No campaign with id ${id}`);
+    }
+    return campaign;
+  };
+
+  const requireOpen = (campaign) => {
+    if (isFinished(campaign)) {
+      throw new WhatsAppManagerError(ERROR_CODES.CAMPAIGN_FINISHED, `Campaign ${campaign.id} is ${campaign.status}`);
+    }
+  };
+
+  const setStatus = (campaign, status) => {
+    const now = new Date().toISOString();
+    campaign.status = status;
+    campaign.updatedAt = now;
+    if (isFinished(campaign)) campaign.finishedAt = now;
+  };
+
+  const completeIfDone = (campaign) => {
+    if (campaign.status !== CAMPAIGN_STATUS.RUNNING) return;
+    if (campaign.recipients.some(recipient => recipient.status === RECIPIENT_STATUS.PENDING)) return;
+
+    setStatus(campaign, CAMPAIGN_STATUS.COMPLETED);
+    nextSendAt.delete(campaign.id);
+    manager.logFor(campaign.sender).info({ campaignId: campaign.id, counts: countRecipients(campaign) }, 'Campaign completed');
+  };
+
+  const finishRecipient = (recipient, changes) => {
+    Object.assign(recipient, changes, { at: new Date().toISOString() });
+  };
+
+  /**
+   * Send a message through the message queue and wait until the queue is done with it
+   * @param {Object} params - Message parameters
+   * @param {string} params.sender - Sender phone number
+   * @param {string} params.recipient - Recipient phone number
+   * @param {string|Object} params.content - Message content
+   * @param {string} params.key - Idempotency key of the attempt, so a restart finds its job again
+   * @returns {Promise<string|null>} - Message ID
+   * @throws {WhatsAppManagerError} - The error of a failed job, or CLIENT_NOT_READY when the runner
+   *   is stopped first (the recipient stays pending)
+   */
+  const sendQueued = async ({ sender, recipient, content, key }) => {
+    let { job } = settings.messageQueue.enqueue({ sender, recipient, content, idempotencyKey: key });
+    while (job.status !== JOB_STATUS.SENT && job.status !== JOB_STATUS.FAILED) {
+      if (stopped) {
+        throw new WhatsAppManagerError(ERROR_CODES.CLIENT_NOT_READY, 'The campaign runner was stopped');
+      }
+      job = await settings.messageQueue.waitForJob(job.id, QUEUE_POLL_MS);
+      if (!job) {
+        throw new WhatsAppManagerError(ERROR_CODES.SEND_FAILED, 'The queued message is no longer known');
+      }
+    }
+
+    if (job.status === JOB_STATUS.FAILED) {
+      throw new WhatsAppManagerError(job.errorCode || ERROR_CODES.SEND_FAILED, job.error);
+    }
+    return job.messageId;
+  };
+
+  /**
+   * Send a message, through the message queue when there is one
+   * @param {Object} params - Message parameters (see sendQueued)
+   * @returns {Promise<string|null>} - Message ID
+   */
+  const send = async ({ sender, recipient, content, key }) => {
+    if (settings.messageQueue) {
+      return sendQueued({ sender, recipient, content, key });
+    }
+    const message = settings.send
+      ? await settings.send({ sender, recipient, content })
+      : await manager.deliverMessage(sender, recipient, content);
+    return message && message.id ? message.id._serialized : null;
+  };
+
+  /**
+   * Send the campaign's message to one recipient and record the outcome
+   * @param {Object} campaign - Running campaign
+   * @param {Object} recipient - Its next pending recipient
+   * @returns {Promise<void>}
+   */
+  const sendTo = async (campaign, recipient) => {
+    busy.add(campaign.sender);
+    nextSendAt.set(campaign.id, Date.now() + Math.round(60000 / campaign.messagesPerMinute));
+    try {
+      const content = renderContent(campaign.content, { ...recipient.variables, phone: recipient.phone });
+      const messageId = await send({
+        sender: campaign.sender,
+        recipient: recipient.phone,
+        content,
+        key: `campaign:${campaign.id}:${recipient.phone}:${recipient.attempts}`
+      });
+      recipient.attempts++;
+      finishRecipient(recipient, {
+        status: RECIPIENT_STATUS.SENT,
+        messageId,
+        error: null,
+        code: null
+      });
+    } catch (error) {
+      if (NOT_READY_ERROR_CODES.includes(error.code)) {
+        // Tried again once the sender is ready
+        nextSendAt.delete(campaign.id);
+      } else {
+        recipient.attempts++;
+        const unregistered = error.code === ERROR_CODES.RECIPIENT_NOT_REGISTERED;
+        if (unregistered || PERMANENT_ERROR_CODES.includes(error.code) || recipient.attempts >= settings.maxAttempts) {
+          finishRecipient(recipient, {
+            status: unregistered ? RECIPIENT_STATUS.UNREGISTERED : RECIPIENT_STATUS.FAILED,
+            error: error.message,
+            code: error.code || ERROR_CODES.SEND_FAILED
+          });
+        } else {
+          Object.assign(recipient, { error: error.message, code: error.code || ERROR_CODES.SEND_FAILED });
+        }
+      }
+    } finally {
+      busy.delete(campaign.sender);
+      completeIfDone(campaign);
+      if (isFinished(campaign) || stopped) {
+        persist();
+      } else {
+        persistSoon();
+      }
+      pump();
+    }
+  };
+
+  /**
+   * Start the next send of every campaign that may send now and set a timer for the next one
+   */
+  const pump = () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (const campaign of campaigns) {
+      if (campaign.status !== CAMPAIGN_STATUS.RUNNING) continue;
+      // Senders that are not ready are woken up by the manager's 'ready' event
+      if (busy.has(campaign.sender) || manager.getState(campaign.sender) !== CLIENT_STATES.READY) continue;
+
+      const freeAt = nextSendAt.get(campaign.id) || 0;
+      if (freeAt > now) {
+        wakeAt = Math.min(wakeAt, freeAt);
+        continue;
+      }
+
+      // Recipients who opted out are skipped without using up a turn
+      let next = null;
+      let changed = false;
+      for (const recipient of campaign.recipients) {
+        if (recipient.status !== RECIPIENT_STATUS.PENDING) continue;
+        if (settings.optOuts && settings.optOuts.isOptedOut(campaign.sender, recipient.phone)) {
+          finishRecipient(recipient, { status: RECIPIENT_STATUS.OPTED_OUT });
+          changed = true;
+          continue;
+        }
+        next = recipient;
+        break;
+      }
+
+      if (next) {
+        const sending = sendTo(campaign, next);
+        pending.add(sending);
+        sending.finally(() => pending.delete(sending));
+        if (changed) persistSoon();
+      } else {
+        completeIfDone(campaign);
+        persist();
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      timer = setTimeout(pump, Math.max(0, wakeAt - now));
+    }
+  };
+
+  const onReady = () => pump();
+  manager.on('ready', onReady);
+
+  // Carry on with the campaigns that were running before a restart
+  setImmediate(pump);
+
+  return {
+    /**
+     * Create a campaign and start sending it (unless it is created paused)
+     * @param {Object} params - Campaign parameters
+     * @param {string} params.sender - Sender phone number
+     * @param {string|Object} params.content - Message; texts and captions are templates
+     * @param {Array|string} params.recipients - Recipients, or CSV text (see parseRecipients)
+     * @param {string} [params.name] - Name shown in lists
+     * @param {number} [params.messagesPerMinute] - Pace (default options.messagesPerMinute)
+     * @param {boolean} [params.paused] - Create the campaign paused, to start it with resume()
+     * @returns {Object} - Campaign summary
+     * @throws {WhatsAppManagerError} - UNSUPPORTED_CONTENT, VALIDATION_FAILED
+     */
+    create: function({ sender, content, recipients, name, messagesPerMinute, paused }) {
+      const contentError = manager.validateContent(content);
+      if (contentError) {
+        throw new WhatsAppManagerError(ERROR_CODES.UNSUPPORTED_CONTENT, contentError);
+      }
+      const pace = messagesPerMinute === undefined ? settings.messagesPerMinute : messagesPerMinute;
+      if (!(pace > 0 && pace <= settings.maxMessagesPerMinute)) {
+        throw new WhatsAppManagerError(
+          ERROR_CODES.VALIDATION_FAILED,
+          `messagesPerMinute must be more than 0 and at most ${settings.maxMessagesPerMinute}`
+        );
+      }
+
+      const { recipients: parsed, duplicates } = parseRecipients(recipients);
+      if (!parsed.length) {
+        throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, 'A campaign needs at least one recipient');
+      }
+      if (parsed.length > settings.maxRecipients) {
+        throw new WhatsAppManagerError(
+          ERROR_CODES.VALIDATION_FAILED,
+          `A campaign may have at most ${settings.maxRecipients} recipients, got ${parsed.length}`
+        );
+      }
+
+      const now = new Date().toISOString();
+      const campaign = {
+        id: crypto.randomUUID(),
+        name: name || null,
+        sender: manager.formatPhoneNumber(sender),
+        content,
+        messagesPerMinute: pace,
+        status: paused ? CAMPAIGN_STATUS.PAUSED : CAMPAIGN_STATUS.RUNNING,
+        duplicates,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        recipients: parsed.map(recipient => ({
+          ...recipient,
+          status: RECIPIENT_STATUS.PENDING,
+          attempts: 0,
+          at: null,
+          messageId: null,
+          error: null,
+          code: null
+        }))
+      };
+      campaigns.push(campaign);
+      persist();
+      manager.logFor(campaign.sender).info({ campaignId: campaign.id, recipients: parsed.length }, 'Campaign created');
+
+      const created = summarize(campaign);
+      pump();
+      return created;
+    },
+
+    /**
+     * Get a campaign summary
+     * @param {string} id - Campaign ID
+     * @returns {Object|null}
+     */
+    get: function(id) {
+      const campaign = campaigns.find(candidate => candidate.id === id);
+      return campaign ? summarize(campaign) : null;
+    },
+
+    /**
+     * List campaign summaries
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.sender - Sender phone number
+     * @param {string} filter.status - Campaign status
+     * @returns {Array<Object>}
+     */
+    list: function({ sender, status } = {}) {
+      const clientId = sender ? manager.formatPhoneNumber(sender) : null;
+      return campaigns
+        .filter(campaign => (!clientId || campaign.sender === clientId) && (!status || campaign.status === status))
+        .map(summarize);
+    },
+
+    /**
+     * Get the results of a campaign's recipients
+     * @param {string} id - Campaign ID
+     * @param {string} [status] - Only recipients in this status
+     * @returns {Array<Object>} - Recipients in list order
+     * @throws {WhatsAppManagerError} - NOT_FOUND
+     */
+    getRecipients: function(id, status) {
+      return findCampaign(id).recipients
+        .filter(recipient => !status || recipient.status === status)
+        .map(recipient => JSON.parse(JSON.stringify(recipient)));
+    },
+
+    /**
+     * Stop sending a campaign until it is resumed (a send in progress finishes)
+     * @param {string} id - Campaign ID
+     * @returns {Object} - Campaign summary
+     * @throws {WhatsAppManagerError} - NOT_FOUND, CAMPAIGN_FINISHED
+     */
+    pause: function(id) {
+      const campaign = findCampaign(id);
+      requireOpen(campaign);
+      if (campaign.status === CAMPAIGN_STATUS.RUNNING) {
+        setStatus(campaign, CAMPAIGN_STATUS.PAUSED);
+        persist();
+      }
+      return summarize(campaign);
+    },
+
+    /**
+     * Carry on sending a paused campaign
+     * @param {string} id - Campaign ID
+     * @returns {Object} - Campaign summary
+     * @throws {WhatsAppManagerError} - NOT_FOUND, CAMPAIGN_FINISHED
+     */
+    resume: function(id) {
+      const campaign = findCampaign(id);
+      requireOpen(campaign);
+      if (campaign.status === CAMPAIGN_STATUS.PAUSED) {
+        setStatus(campaign, CAMPAIGN_STATUS.RUNNING);
+        persist();
+        pump();
+      }
+      return summarize(campaign);
+    },
+
+    /**
+     * Cancel a campaign; its pending recipients are marked cancelled
+     * @param {string} id - Campaign ID
+     * @returns {Object} - Campaign summary
+     * @throws {WhatsAppManagerError} - NOT_FOUND, CAMPAIGN_FINISHED
+     */
+    cancel: function(id) {
+      const campaign = findCampaign(id);
+      requireOpen(campaign);
+      setStatus(campaign, CAMPAIGN_STATUS.CANCELLED);
+      for (const recipient of campaign.recipients) {
+        if (recipient.status === RECIPIENT_STATUS.PENDING) {
+          finishRecipient(recipient, { status: RECIPIENT_STATUS.CANCELLED });
+        }
+      }
+      nextSendAt.delete(campaign.id);
+      persist();
+      return summarize(campaign);
+    },
+
+    /**
+     * Wait until the sends in progress are finished
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      await Promise.all(Array.from(pending));
+    },
+
+    /**
+     * Stop sending and detach from the manager (campaigns stay stored, with the results not written yet)
+     */
+    stop: function() {
+      stopped = true;
+      clearTimeout(timer);
+      if (saveTimer) persist();
+      manager.removeListener('ready', onReady);
+    }
+  };
+}
+
+module.exports = { createCampaignRunner, parseRecipients, renderContent, CAMPAIGN_STATUS, RECIPIENT_STATUS };
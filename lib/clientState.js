@@ -0,0 +1,59 @@
+/**
+ * Client State - Lifecycle states of a WhatsApp client and the transitions allowed between them
+ *
+ * Normal login: initializing -> awaiting_qr -> authenticating -> ready
+ * Restored session: initializing -> authenticating -> ready
+ * A dropped connection moves to disconnected, from where the client can be reconnected.
+ */
+
+const CLIENT_STATES = Object.freeze({
+  INITIALIZING: 'initializing',     // Client created, browser/session starting
+  AWAITING_QR: 'awaiting_qr',       // QR code emitted, waiting for the phone to scan it
+  AUTHENTICATING: 'authenticating', // QR scanned or session found, WhatsApp Web loading
+  READY: 'ready',                   // Connected and able to send/receive messages
+  DISCONNECTED: 'disconnected',     // Connection closed by WhatsApp or the browser
+  RECONNECTING: 'reconnecting',     // Waiting to start a new client after a disconnect
+  LOGGED_OUT: 'logged_out',         // Session removed, a new QR scan is required
+  FAILED: 'failed'                  // Authentication or initialization failed
+});
+
+const S = CLIENT_STATES;
+
+// Allowed transitions, keyed by current state
+const TRANSITIONS = Object.freeze({
+  [S.INITIALIZING]: [S.AWAITING_QR, S.AUTHENTICATING, S.READY, S.DISCONNECTED, S.LOGGED_OUT, S.FAILED],
+  [S.AWAITING_QR]: [S.AUTHENTICATING, S.READY, S.DISCONNECTED, S.LOGGED_OUT, S.FAILED],
+  [S.AUTHENTICATING]: [S.READY, S.DISCONNECTED, S.LOGGED_OUT, S.FAILED],
+  [S.READY]: [S.DISCONNECTED, S.LOGGED_OUT, S.FAILED],
+  [S.DISCONNECTED]: [S.INITIALIZING, S.RECONNECTING, S.LOGGED_OUT],
+  [S.RECONNECTING]: [S.INITIALIZING, S.DISCONNECTED, S.LOGGED_OUT, S.FAILED],
+  [S.LOGGED_OUT]: [S.INITIALIZING],
+  [S.FAILED]: [S.INITIALIZING, S.RECONNECTING, S.LOGGED_OUT]
+});
+
+// States in which the client object is no longer running
+const INACTIVE_STATES = Object.freeze([S.DISCONNECTED, S.RECONNECTING, S.LOGGED_OUT, S.FAILED]);
+
+/**
+ * Check whether a client may move from one state to another
+ * @param {string|null} from - Current state (null for a client that does not exist yet)
+ * @param {string} to - Requested state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (from === null) {
+    return to === S.INITIALIZING;
+  }
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a state means the underlying client is no longer running
+ * @param {string} state - Client state
+ * @returns {boolean}
+ */
+function isInactive(state) {
+  return INACTIVE_STATES.includes(state);
+}
+
+module.exports = { CLIENT_STATES, TRANSITIONS, canTransition, isInactive };
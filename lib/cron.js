@@ -0,0 +1,243 @@
+/**
+ * Cron - Five-field cron expressions evaluated in a time zone
+ *
+ *   ┌ minute (0-59)
+ *   │ ┌ hour (0-23)
+ *   │ │ ┌ day of the month (1-31)
+ *   │ │ │ ┌ month (1-12 or jan-dec)
+ *   │ │ │ │ ┌ day of the week (0-7 or sun-sat, 0 and 7 are Sunday)
+ *   0 9 * * mon-fri
+ *
+ * Fields take '*', values, ranges ('1-5'), lists ('1,15') and steps ('*\/15', '0-30/10'). As in
+ * Vixie cron, a time matches when both day fields match, or either one when both are restricted
+ * (a field starting with '*', such as '*\/2', is not restricted).
+ * The macros @yearly, @monthly, @weekly, @daily and @hourly are accepted too. Times are wall-clock
+ * times in the given time zone: a time skipped by a daylight saving change does not occur that
+ * day, and a time that occurs twice is used the first time.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MACROS = Object.freeze({
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+});
+
+// Fields in expression order: name, lowest and highest value, names for the values from the lowest
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of the month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'day of the week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// Calendar days searched for the next time (covers leap days)
+const SEARCH_DAYS = 366 * 5;
+
+const MINUTE_MS = 60000;
+
+// Date formatters by time zone (creating one is slow)
+const formatters = new Map();
+
+/**
+ * Parse one field of an expression
+ * @param {string} text - Field text
+ * @param {Object} field - Field description (see FIELDS)
+ * @returns {Set<number>} - Matching values
+ * @throws {Error} - When the field is invalid
+ * @private
+ */
+function parseField(text, field) {
+  const readValue = (value) => {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    if (index !== -1) return index + field.min;
+    if (!/^\d+$/.test(value)) throw new Error(`Invalid ${field.name} '${value}'`);
+    const number = Number(value);
+    if (number < field.min || number > field.max) {
+      throw new Error(`${field.name} ${number} is out of range ${field.min}-${field.max}`);
+    }
+    return number;
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') throw new Error(`Invalid ${field.name} '${part}'`);
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} '${part}'`);
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      [from, to] = [readValue(start), readValue(end)];
+      if (from > to) throw new Error(`Invalid range in ${field.name} '${part}'`);
+    } else {
+      from = readValue(range);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a macro such as '@daily'
+ * @returns {Object} - Parsed expression for nextRun
+ * @throws {Error} - When the expression is invalid
+ */
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`A cron expression has 5 fields (minute hour day month weekday), got ${fields.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  // 7 is another name for Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: !fields[2].startsWith('*'),
+    weekdaysRestricted: !fields[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression
+ * @returns {string|null} - Error message, or null if the expression is valid
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Get the wall-clock fields of a time in a time zone
+ * @param {number} time - Timestamp
+ * @param {string} timezone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ * @private
+ */
+function wallClock(time, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(time))) {
+    parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a timestamp
+ * @param {Object} wall - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA time zone
+ * @returns {number|null} - Timestamp, or null when the time does not occur (daylight saving gap)
+ * @private
+ */
+function fromWallClock(wall, timezone) {
+  const asUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute);
+  const offsetAt = (time) => {
+    const local = wallClock(time, timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  };
+  const matches = (time) => {
+    const local = wallClock(time, timezone);
+    return local.year === wall.year && local.month === wall.month && local.day === wall.day &&
+      local.hour === wall.hour && local.minute === wall.minute;
+  };
+
+  // The offsets on either side of the time cover both readings of a time that occurs twice
+  const candidates = [asUtc - offsetAt(asUtc - 12 * 60 * MINUTE_MS), asUtc - offsetAt(asUtc + 12 * 60 * MINUTE_MS)]
+    .filter(matches)
+    .sort((a, b) => a - b);
+  return candidates.length ? candidates[0] : null;
+}
+
+/**
+ * Get the next time a cron expression matches
+ * @param {string|Object} expression - Cron expression, or the result of parseCron
+ * @param {Object} options - Optional configuration
+ * @param {number} options.after - The time returned is later than this (default now)
+ * @param {string} options.timezone - IANA time zone of the expression (default UTC)
+ * @returns {Date|null} - Next time, or null if it never matches (e.g. '0 0 31 2 *')
+ * @throws {Error} - When the expression or time zone is invalid
+ */
+function nextRun(expression, options = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const timezone = options.timezone || 'UTC';
+  const after = options.after === undefined ? Date.now() : Number(options.after);
+
+  const start = wallClock(after, timezone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const date = new Date(startDay + offset * 24 * 60 * MINUTE_MS);
+    const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+    if (!cron.months.has(month)) continue;
+
+    const dayMatches = cron.days.has(day);
+    const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+    const matches = cron.daysRestricted && cron.weekdaysRestricted
+      ? dayMatches || weekdayMatches
+      : dayMatches && weekdayMatches;
+    if (!matches) continue;
+
+    for (const hour of Array.from(cron.hours).sort((a, b) => a - b)) {
+      for (const minute of Array.from(cron.minutes).sort((a, b) => a - b)) {
+        // Times of the first day before the start cannot be later than it
+        if (offset === 0 && (hour < start.hour || (hour === start.hour && minute < start.minute))) continue;
+        const time = fromWallClock({ year, month, day, hour, minute }, timezone);
+        if (time !== null && time > after) return new Date(time);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a string is a time zone known to this runtime
+ * @param {string} timezone - IANA time zone ('Europe/Berlin')
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { parseCron, validateCron, nextRun, isValidTimezone };
@@ -0,0 +1,84 @@
+/**
+ * CSV - Reads comma-separated values (RFC 4180)
+ *
+ * Fields may be quoted with double quotes, inside which commas, line breaks and doubled quotes
+ * ("") are part of the value. Lines end with \n or \r\n; a byte order mark and blank lines are
+ * ignored.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows in file order
+ * @throws {Error} - When a quoted field is not closed or a quote appears inside an unquoted field
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+        if (![',', '\n', '\r', undefined].includes(input[index + 1])) {
+          throw new Error(`Unexpected text after a closing quote on line ${line}`);
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      if (field !== '') throw new Error(`Unexpected quote inside a field on line ${line}`);
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quote on line ${line}`);
+  endRow();
+  return rows;
+}
+
+/**
+ * Read CSV text whose first row names the columns
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - One object per row, keyed by the trimmed column names
+ * @throws {Error} - When the text is not valid CSV or a row has more fields than the header
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return rows.map((fields, index) => {
+    if (fields.length > columns.length) {
+      throw new Error(`Row ${index + 1} has ${fields.length} fields, the header has ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((name, column) => [name, fields[column] === undefined ? '' : fields[column]]));
+  });
+}
+
+module.exports = { parseCsv, parseCsvRows };
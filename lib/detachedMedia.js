@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { getMediaType, parseSource } = require('./media');
+const { mediaId, isMediaId } = require('./mediaStore');
+
+/**
+ * Detached Media - Keeps the media bytes of stored message content in files of their own
+ *
+ * Stores that keep message content for later sends (the message queue, the scheduler) write
+ * media given as bytes (base64 data, data URI or Buffer) to a directory, named by its SHA-256,
+ * and keep { file, mimetype, filename } in the content, so their JSON files stay small. The bytes
+ * are read back when the message is sent.
+ */
+
+/**
+ * Create the media files of a store
+ * @param {string} dir - Directory of the media files
+ * @returns {Object} - { detach, attach, fileOf, remove }
+ */
+function createDetachedMedia(dir) {
+  return {
+    /**
+     * Move the media bytes of message content to the media directory
+     * @param {string|Object} content - Message content
+     * @returns {string|Object} - Content with { file, mimetype, filename } in place of the bytes
+     */
+    detach: function(content) {
+      const type = getMediaType(content);
+      if (!type) return content;
+
+      let source;
+      try {
+        source = parseSource(content[type]);
+      } catch (error) {
+        // Left as is; the send fails with INVALID_MEDIA
+        return content;
+      }
+      if (!source.buffer) return content;
+
+      const file = mediaId(source.buffer);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, file), source.buffer);
+      return { ...content, [type]: { file, mimetype: source.mimetype, filename: source.filename } };
+    },
+
+    /**
+     * Read back the media bytes of content made by detach
+     * @param {string|Object} content - Stored message content
+     * @returns {Promise<string|Object>} - Content with base64 data, as accepted by deliverMessage
+     * @throws {WhatsAppManagerError} - INVALID_MEDIA when the media file is gone
+     */
+    attach: async function(content) {
+      const type = getMediaType(content);
+      const source = type ? content[type] : null;
+      if (!source || !isMediaId(source.file)) return content;
+
+      let buffer;
+      try {
+        buffer = await fs.promises.readFile(path.join(dir, source.file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        throw new WhatsAppManagerError(ERROR_CODES.INVALID_MEDIA, 'The media of this message is no longer stored');
+      }
+      return { ...content, [type]: { data: buffer.toString('base64'), mimetype: source.mimetype, filename: source.filename } };
+    },
+
+    /**
+     * Get the media file of stored content
+     * @param {string|Object} content - Stored message content
+     * @returns {string|null}
+     */
+    fileOf: function(content) {
+      const type = getMediaType(content);
+      return type && content[type] && isMediaId(content[type].file) ? content[type].file : null;
+    },
+
+    /**
+     * Delete a media file
+     * @param {string} file - File name returned by fileOf
+     */
+    remove: function(file) {
+      fs.rmSync(path.join(dir, file), { force: true });
+    }
+  };
+}
+
+module.exports = { createDetachedMedia };
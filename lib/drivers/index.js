@@ -0,0 +1,27 @@
+const whatsappWebDriver = require('./whatsappWebDriver');
+const { createSimulatedDriver, SimulatedClient } = require('./simulatedDriver');
+
+/**
+ * Resolve a driver from a driver object or a driver name
+ * @param {Object|string} [driver] - Driver object, 'whatsapp-web' or 'simulated' (defaults to 'whatsapp-web')
+ * @returns {Object} - Driver instance
+ */
+function resolveDriver(driver) {
+  if (!driver || driver === 'whatsapp-web') {
+    return whatsappWebDriver;
+  }
+  if (driver === 'simulated') {
+    return createSimulatedDriver();
+  }
+  if (typeof driver === 'object' && typeof driver.createClient === 'function') {
+    return driver;
+  }
+  throw new Error(`Unknown WhatsApp driver: ${driver}`);
+}
+
+module.exports = {
+  whatsappWebDriver,
+  createSimulatedDriver,
+  SimulatedClient,
+  resolveDriver
+};
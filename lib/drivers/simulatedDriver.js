@@ -0,0 +1,762 @@
+const EventEmitter = require('events');
+const { detectMimeType } = require('../media');
+
+/**
+ * Simulated Driver - In-process fake WhatsApp backend
+ *
+ * Creates clients that behave like whatsapp-web.js clients (same events, same method names)
+ * without Chromium or a phone, so the manager and the Express routes can run offline.
+ * The driver keeps a set of "stored sessions" that plays the role of LocalAuth: a client
+ * whose clientId is in the set becomes ready on initialize, any other client emits a QR code
+ * and waits for scanQR() to be called.
+ */
+
+/**
+ * Build a message object shaped like a whatsapp-web.js Message
+ * @param {Object} data - Message fields (whatsapp-web.js names, plus media, notifyName and
+ *   quoted: { id, author, type, body } for replies)
+ * @returns {Object} - Simulated message
+ * @private
+ */
+function buildMessage(data) {
+  const fromMe = data.fromMe === true;
+  const remote = fromMe ? data.to : data.from;
+  const id = data.id || `SIM${Date.now().toString(16).toUpperCase()}${Math.floor(Math.random() * 1e6)}`;
+  const media = data.media || null;
+
+  // Raw message data: announced media type and size, sender name and reply context
+  const raw = { notifyName: data.notifyName };
+  if (media) {
+    Object.assign(raw, { mimetype: media.mimetype, size: Buffer.from(media.data, 'base64').length, filename: media.filename });
+  }
+  if (data.quoted) {
+    Object.assign(raw, {
+      quotedMsg: { type: data.quoted.type || 'chat', body: data.quoted.body || '' },
+      quotedStanzaID: data.quoted.id,
+      quotedParticipant: data.quoted.author
+    });
+  }
+
+  return {
+    id: {
+      fromMe,
+      remote,
+      id,
+      _serialized: `${fromMe}_${remote}_${id}`
+    },
+    from: data.from,
+    to: data.to,
+    author: data.author,
+    body: data.body || '',
+    type: data.type || 'chat',
+    timestamp: data.timestamp || Math.floor(Date.now() / 1000),
+    fromMe,
+    ack: data.ack === undefined ? 0 : data.ack,
+    hasMedia: data.hasMedia === true || Boolean(data.media),
+    hasQuotedMsg: Boolean(data.quoted),
+    filename: data.filename,
+    duration: data.duration,
+    mentionedIds: data.mentionedIds || [],
+    isForwarded: data.isForwarded === true,
+    location: data.location,
+    vCards: data.vCards || [],
+    pollName: data.pollName,
+    pollOptions: data.pollOptions,
+    allowMultipleAnswers: data.allowMultipleAnswers,
+    _data: raw,
+    // Resolves to undefined when there is no media, like an expired whatsapp-web.js download
+    downloadMedia: async () => (media ? { ...media } : undefined)
+  };
+}
+
+/**
+ * Simulated whatsapp-web.js client
+ */
+class SimulatedClient extends EventEmitter {
+  /**
+   * @param {Object} driver - Driver that created this client
+   * @param {Object} params - Client parameters
+   * @param {string} params.clientId - Client ID (formatted phoneNumber)
+   * @param {string} params.phoneNumber - Phone number as given by the caller
+   * @param {string} params.sessionDir - Session directory (recorded, never written)
+   */
+  constructor(driver, { clientId, phoneNumber, sessionDir }) {
+    super();
+    this.driver = driver;
+    this.clientId = clientId;
+    this.phoneNumber = phoneNumber;
+    this.sessionDir = sessionDir;
+    this.info = null;
+    this.qrCount = 0;
+    this.destroyed = false;
+
+    // Every message passed to sendMessage, in order
+    this.sentMessages = [];
+
+    // Message history keyed by chat id, oldest first
+    this.chats = new Map();
+
+    // Contact ids this client blocked
+    this.blocked = new Set();
+
+    // Unread message count per chat id
+    this.unread = new Map();
+
+    // Presence state shown in each chat ('typing', 'recording' or 'paused')
+    this.presence = new Map();
+  }
+
+  /**
+   * Start the client: become ready when a stored session exists, emit a QR code otherwise
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await new Promise(resolve => setImmediate(resolve));
+    if (this.destroyed) return;
+
+    if (this.driver.sessions.has(this.clientId)) {
+      this.emitReady();
+    } else {
+      this.refreshQR();
+    }
+  }
+
+  /**
+   * Emit a new QR code, as WhatsApp Web does every ~20 seconds while waiting for a scan
+   * @returns {string} - The emitted QR string
+   */
+  refreshQR() {
+    this.qrCount += 1;
+    const qr = `simulated-qr:${this.clientId}:${this.qrCount}`;
+    this.emit('qr', qr);
+    return qr;
+  }
+
+  /**
+   * Simulate the phone scanning the QR code successfully
+   */
+  scanQR() {
+    this.driver.sessions.add(this.clientId);
+    this.emitReady();
+  }
+
+  /**
+   * Simulate an authentication failure
+   * @param {string} [message] - Failure message
+   */
+  failAuth(message = 'Simulated authentication failure') {
+    this.emit('auth_failure', message);
+  }
+
+  /**
+   * Simulate the connection being closed by WhatsApp
+   * @param {string} [reason] - Disconnect reason (whatsapp-web.js uses e.g. 'NAVIGATION', 'LOGOUT')
+   */
+  disconnect(reason = 'NAVIGATION') {
+    if (reason === 'LOGOUT') {
+      this.driver.sessions.delete(this.clientId);
+    }
+    this.info = null;
+    this.emit('disconnected', reason);
+  }
+
+  /**
+   * Simulate an incoming message
+   * @param {Object} data - Message fields (from, body, type, author, media: { mimetype, data, filename }, ...)
+   * @returns {Object} - The message object that was emitted
+   */
+  receiveMessage(data) {
+    const message = buildMessage({
+      ...data,
+      to: data.to || `${this.clientId}@c.us`,
+      fromMe: false
+    });
+    this.storeMessage(message.from, message);
+    this.emit('message', message);
+    return message;
+  }
+
+  /**
+   * Simulate a reaction to a message
+   * @param {Object} data - Reaction fields
+   * @param {Object} data.message - Message reacted to
+   * @param {string} data.from - Chat the reaction comes from
+   * @param {string} data.reaction - Emoji ('' removes the reaction)
+   * @param {string} [data.senderId] - Reacting contact (defaults to data.from)
+   * @returns {Object} - The reaction object that was emitted
+   */
+  receiveReaction({ message, from, reaction, senderId }) {
+    const id = `SIMR${Date.now().toString(16).toUpperCase()}${Math.floor(Math.random() * 1e6)}`;
+    const event = {
+      id: { fromMe: false, remote: from, id, _serialized: `false_${from}_${id}` },
+      msgId: { ...message.id },
+      reaction,
+      senderId: senderId || from,
+      timestamp: Math.floor(Date.now() / 1000)
+    };
+    this.emit('message_reaction', event);
+    return event;
+  }
+
+  /**
+   * Simulate the sender editing a message
+   * @param {Object} message - Message that was received
+   * @param {string} body - New text
+   */
+  editMessage(message, body) {
+    const previousBody = message.body;
+    message.body = body;
+    this.emit('message_edit', message, body, previousBody);
+  }
+
+  /**
+   * Simulate WhatsApp reporting the delivery progress of a sent message
+   * @param {Object} message - Message returned by sendMessage
+   * @param {number} ack - Ack level (1 server, 2 device, 3 read, 4 played, -1 error)
+   */
+  ackMessage(message, ack) {
+    message.ack = ack;
+    this.emit('message_ack', message, ack);
+  }
+
+  /**
+   * Simulate the sender deleting a message for everyone
+   * @param {Object} message - Message that was received
+   */
+  revokeMessage(message) {
+    const original = { ...message };
+    Object.assign(message, { type: 'revoked', body: '', hasMedia: false });
+    this.emit('message_revoke_everyone', message, original);
+  }
+
+  /**
+   * Record an outgoing message and return it like whatsapp-web.js does
+   * @param {string} chatId - Recipient chat id (e.g. '1234567890@c.us')
+   * @param {string|Object} content - Text or media object
+   * @param {Object} [options] - Send options (caption, ...)
+   * @returns {Promise<Object>} - The sent message
+   */
+  async sendMessage(chatId, content, options = {}) {
+    if (!this.info) {
+      throw new Error('Simulated client is not ready');
+    }
+
+    const isText = typeof content === 'string';
+    const isLocation = !isText && content.latitude !== undefined;
+    const quoted = options.quotedMessageId ? await this.getMessageById(options.quotedMessageId) : null;
+    const message = buildMessage({
+      from: `${this.clientId}@c.us`,
+      to: chatId,
+      body: isText ? content : (options.caption || ''),
+      type: isText ? 'chat' : (isLocation ? 'location' : 'media'),
+      hasMedia: !isText && !isLocation,
+      quoted: quoted ? { id: quoted.id.id, author: quoted.author || quoted.from, type: quoted.type, body: quoted.body } : undefined,
+      fromMe: true
+    });
+
+    this.sentMessages.push({ chatId, content, options, message });
+    this.storeMessage(chatId, message);
+    return message;
+  }
+
+  /**
+   * Create a group owned by this client, like whatsapp-web.js createGroup
+   * @param {string} title - Group subject
+   * @param {Array<string>} participants - Contact ids to add ('1111@c.us')
+   * @returns {Promise<Object>} - { title, gid, participants } with a { statusCode, message } per participant
+   */
+  async createGroup(title, participants = []) {
+    if (!this.info) {
+      throw new Error('Simulated client is not ready');
+    }
+
+    const self = `${this.clientId}@c.us`;
+    const group = this.driver.addGroup({ subject: title, owner: self, participants, admins: [self] });
+    this.chats.set(group.id, []);
+
+    const added = {};
+    for (const id of participants) {
+      added[id] = { statusCode: 200, message: 'The participant was added to the group successfully' };
+    }
+    return { title, gid: { _serialized: group.id }, participants: added };
+  }
+
+  /**
+   * Join a group with an invite code, like whatsapp-web.js acceptInvite
+   * @param {string} inviteCode - Invite code
+   * @returns {Promise<string>} - Group id
+   */
+  async acceptInvite(inviteCode) {
+    const group = Array.from(this.driver.groups.values()).find(candidate => candidate.inviteCode === inviteCode);
+    if (!group) {
+      throw new Error('Invite code not found or revoked');
+    }
+    const self = `${this.clientId}@c.us`;
+    if (!group.participants.has(self)) {
+      group.participants.set(self, { isAdmin: false, isSuperAdmin: false });
+    }
+    if (!this.chats.has(group.id)) {
+      this.chats.set(group.id, []);
+    }
+    return group.id;
+  }
+
+  /**
+   * Build the group metadata and GroupChat methods of a group chat
+   * @param {string} chatId - Group id
+   * @returns {Object} - groupMetadata plus participant, subject, description and invite methods
+   * @private
+   */
+  buildGroupChat(chatId) {
+    const group = this.driver.groups.get(chatId) || this.driver.addGroup({ id: chatId, subject: chatId.split('@')[0] });
+    const self = `${this.clientId}@c.us`;
+    const isAdmin = () => Boolean((group.participants.get(self) || {}).isAdmin);
+
+    // Like whatsapp-web.js: { status } for the whole change, 403 when the client is not an admin
+    const changeParticipants = (ids, change) => {
+      if (!isAdmin()) return { status: 403 };
+      ids.forEach(change);
+      return { status: 200 };
+    };
+
+    return {
+      name: group.subject,
+      groupMetadata: {
+        subject: group.subject,
+        desc: group.desc,
+        owner: group.owner ? { _serialized: group.owner } : null,
+        creation: group.creation,
+        participants: Array.from(group.participants, ([id, roles]) => ({ id: { _serialized: id }, ...roles }))
+      },
+      addParticipants: async (ids) => {
+        if (!isAdmin()) return 'AddParticipantsError: The client is not a group admin';
+        const results = {};
+        for (const id of ids) {
+          if (group.participants.has(id)) {
+            results[id] = { code: 409, message: 'The participant is already a group member', isInviteV4Sent: false };
+          } else {
+            group.participants.set(id, { isAdmin: false, isSuperAdmin: false });
+            results[id] = { code: 200, message: 'The participant was added to the group successfully', isInviteV4Sent: false };
+          }
+        }
+        return results;
+      },
+      removeParticipants: async (ids) => changeParticipants(ids, id => group.participants.delete(id)),
+      promoteParticipants: async (ids) => changeParticipants(ids, id => {
+        if (group.participants.has(id)) group.participants.get(id).isAdmin = true;
+      }),
+      demoteParticipants: async (ids) => changeParticipants(ids, id => {
+        if (group.participants.has(id)) group.participants.get(id).isAdmin = false;
+      }),
+      // Like whatsapp-web.js: false when the change is refused
+      setSubject: async (subject) => {
+        if (!isAdmin()) return false;
+        group.subject = subject;
+        return true;
+      },
+      setDescription: async (description) => {
+        if (!isAdmin()) return false;
+        group.desc = description;
+        return true;
+      },
+      getInviteCode: async () => {
+        if (!isAdmin()) throw new Error('Only admins can get the invite code');
+        return group.inviteCode;
+      },
+      revokeInvite: async () => {
+        if (!isAdmin()) throw new Error('Only admins can revoke the invite code');
+        group.inviteCode = inviteCode();
+      }
+    };
+  }
+
+  /**
+   * Find a stored message by its serialized id
+   * @param {string} messageId - Serialized message id
+   * @returns {Promise<Object|undefined>}
+   */
+  async getMessageById(messageId) {
+    for (const messages of this.chats.values()) {
+      const message = messages.find(candidate => candidate.id._serialized === messageId);
+      if (message) return message;
+    }
+    return undefined;
+  }
+
+  /**
+   * Build a chat object shaped like a whatsapp-web.js Chat
+   * @param {string} chatId - Chat id
+   * @returns {Object} - Chat with fetchMessages() (and the GroupChat methods for groups)
+   * @private
+   */
+  buildChat(chatId) {
+    const messages = this.chats.get(chatId);
+    const lastMessage = messages[messages.length - 1];
+    const isGroup = chatId.endsWith('@g.us');
+    const group = isGroup ? this.buildGroupChat(chatId) : {};
+
+    return {
+      id: { _serialized: chatId },
+      name: chatId.split('@')[0],
+      isGroup,
+      timestamp: lastMessage ? lastMessage.timestamp : (group.groupMetadata ? group.groupMetadata.creation : 0),
+      unreadCount: this.unread.get(chatId) || 0,
+      archived: false,
+      pinned: false,
+      isMuted: false,
+      lastMessage,
+      // Like whatsapp-web.js: the latest `limit` messages, oldest first
+      fetchMessages: async ({ limit = 50, fromMe } = {}) => messages
+        .filter(message => fromMe === undefined || message.fromMe === fromMe)
+        .slice(-limit),
+      sendSeen: async () => {
+        this.unread.delete(chatId);
+        return true;
+      },
+      sendStateTyping: async () => {
+        this.presence.set(chatId, 'typing');
+      },
+      sendStateRecording: async () => {
+        this.presence.set(chatId, 'recording');
+      },
+      clearState: async () => {
+        this.presence.set(chatId, 'paused');
+      },
+      ...group
+    };
+  }
+
+  /**
+   * Get all chats that have history, most recent first
+   * @returns {Promise<Array>} - Chat objects with fetchMessages()
+   */
+  async getChats() {
+    const chats = Array.from(this.chats.keys()).map(chatId => this.buildChat(chatId));
+    return chats.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Get one chat
+   * @param {string} chatId - Chat id
+   * @returns {Promise<Object>} - Chat object with fetchMessages()
+   */
+  async getChatById(chatId) {
+    if (!this.chats.has(chatId)) {
+      throw new Error(`Chat ${chatId} not found`);
+    }
+    return this.buildChat(chatId);
+  }
+
+  /**
+   * Look up a phone number on WhatsApp, like whatsapp-web.js getNumberId
+   * @param {string} number - Phone number digits
+   * @returns {Promise<Object|null>} - WhatsApp id, or null for numbers in the driver's unregisteredNumbers
+   */
+  async getNumberId(number) {
+    const user = String(number).replace(/[^0-9]/g, '');
+    if (!user || this.driver.unregisteredNumbers.has(user)) return null;
+    return { server: 'c.us', user, _serialized: `${user}@c.us` };
+  }
+
+  /**
+   * Check whether a contact id is registered on WhatsApp
+   * @param {string} id - Contact id or phone number
+   * @returns {Promise<boolean>}
+   */
+  async isRegisteredUser(id) {
+    return Boolean(await this.getNumberId(String(id).split('@')[0]));
+  }
+
+  /**
+   * Get a contact, like whatsapp-web.js getContactById (unknown numbers give a bare contact)
+   * @param {string} contactId - Contact id ('1111@c.us')
+   * @returns {Promise<Object>} - Contact with getAbout(), getProfilePicUrl(), block() and unblock()
+   */
+  async getContactById(contactId) {
+    const details = this.driver.contacts.get(contactId) || {};
+    const user = contactId.split('@')[0];
+    const isGroup = contactId.endsWith('@g.us');
+
+    return {
+      id: { server: contactId.split('@')[1], user, _serialized: contactId },
+      number: user,
+      name: details.name,
+      pushname: details.pushname,
+      shortName: details.name ? details.name.split(' ')[0] : undefined,
+      isBusiness: details.isBusiness === true,
+      isMyContact: Boolean(details.name),
+      isBlocked: this.blocked.has(contactId),
+      isGroup,
+      isUser: !isGroup,
+      isWAContact: !this.driver.unregisteredNumbers.has(user),
+      getAbout: async () => details.about || null,
+      getProfilePicUrl: async () => details.profilePicUrl,
+      block: async () => {
+        if (isGroup) return false;
+        this.blocked.add(contactId);
+        return true;
+      },
+      unblock: async () => {
+        if (isGroup) return false;
+        this.blocked.delete(contactId);
+        return true;
+      }
+    };
+  }
+
+  /**
+   * Get every contact: the driver's known contacts plus everyone the client has chatted with
+   * @returns {Promise<Array<Object>>}
+   */
+  async getContacts() {
+    const ids = new Set([
+      ...this.driver.contacts.keys(),
+      ...Array.from(this.chats.keys()).filter(chatId => chatId.endsWith('@c.us'))
+    ]);
+    return Promise.all(Array.from(ids, id => this.getContactById(id)));
+  }
+
+  /**
+   * Get the contacts this client blocked
+   * @returns {Promise<Array<Object>>}
+   */
+  async getBlockedContacts() {
+    return Promise.all(Array.from(this.blocked, id => this.getContactById(id)));
+  }
+
+  /**
+   * Log out and forget the stored session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    this.driver.sessions.delete(this.clientId);
+    this.info = null;
+  }
+
+  /**
+   * Stop the client without touching the stored session
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    this.destroyed = true;
+    this.info = null;
+  }
+
+  /**
+   * Mark the client as ready
+   * @private
+   */
+  emitReady() {
+    this.info = {
+      wid: { user: this.clientId, server: 'c.us', _serialized: `${this.clientId}@c.us` },
+      pushname: `Simulated ${this.clientId}`,
+      platform: 'simulated'
+    };
+    this.emit('authenticated');
+    this.emit('ready');
+  }
+
+  /**
+   * Append a message to a chat's history
+   * @param {string} chatId - Chat id
+   * @param {Object} message - Message object
+   * @private
+   */
+  storeMessage(chatId, message) {
+    if (!this.chats.has(chatId)) {
+      this.chats.set(chatId, []);
+    }
+    this.chats.get(chatId).push(message);
+    this.attachActions(chatId, message);
+    if (!message.fromMe) {
+      this.unread.set(chatId, (this.unread.get(chatId) || 0) + 1);
+    }
+  }
+
+  /**
+   * Give a stored message the whatsapp-web.js Message action methods
+   * @param {string} chatId - Chat the message is stored in
+   * @param {Object} message - Message object
+   * @private
+   */
+  attachActions(chatId, message) {
+    Object.assign(message, {
+      isStarred: false,
+      // The client's own reaction ('' when none)
+      myReaction: '',
+      react: async (emoji) => {
+        message.myReaction = emoji;
+      },
+      // Like whatsapp-web.js: null when the edit is refused (not sent by the client, or older than 15 minutes)
+      edit: async (body) => {
+        if (!message.fromMe || Date.now() / 1000 - message.timestamp > 15 * 60) return null;
+        message.body = body;
+        return message;
+      },
+      delete: async (everyone) => {
+        if (everyone) {
+          Object.assign(message, { type: 'revoked', body: '', hasMedia: false });
+        } else {
+          const messages = this.chats.get(chatId);
+          messages.splice(messages.indexOf(message), 1);
+        }
+      },
+      forward: async (toChatId) => {
+        const forwarded = buildMessage({
+          from: `${this.clientId}@c.us`,
+          to: toChatId,
+          body: message.body,
+          type: message.type,
+          isForwarded: true,
+          fromMe: true
+        });
+        this.storeMessage(toChatId, forwarded);
+      },
+      star: async () => {
+        message.isStarred = true;
+      },
+      unstar: async () => {
+        message.isStarred = false;
+      }
+    });
+  }
+}
+
+/**
+ * Create a simulated driver
+ * @param {Object} options - Optional configuration
+ * @param {Array<string>} options.authenticatedSessions - Client IDs that already have a stored session
+ * @param {Array<string>} options.unregisteredNumbers - Phone numbers that are not on WhatsApp
+ * @param {Object} options.contacts - Contact details keyed by contact id ('1111@c.us'):
+ *   { name, pushname, about, profilePicUrl, isBusiness }; a name marks a saved contact
+ * @returns {Object} - Driver instance
+ */
+function createSimulatedDriver(options = {}) {
+  return {
+    name: 'simulated',
+
+    // Client IDs with a stored session (the simulated equivalent of LocalAuth data)
+    sessions: new Set(options.authenticatedSessions || []),
+
+    // Most recently created client per clientId
+    clients: new Map(),
+
+    // Groups keyed by group id, shared by every client like WhatsApp's servers
+    groups: new Map(),
+
+    // Phone numbers (digits) that are not on WhatsApp; every other number is
+    unregisteredNumbers: new Set((options.unregisteredNumbers || []).map(number => String(number).replace(/[^0-9]/g, ''))),
+
+    // Contact details keyed by contact id: { name, pushname, about, profilePicUrl, isBusiness }
+    contacts: new Map(Object.entries(options.contacts || {})),
+
+    /**
+     * Create a simulated client
+     * @param {Object} params - Client parameters ({ clientId, phoneNumber, sessionDir, sessionStore })
+     * @returns {SimulatedClient}
+     */
+    createClient: function(params) {
+      const client = new SimulatedClient(this, params);
+      this.clients.set(params.clientId, client);
+      return client;
+    },
+
+    /**
+     * Create a group (clients see it once they created it, joined it or received a message in it)
+     * @param {Object} params - Group fields
+     * @param {string} [params.id] - Group id (generated when omitted)
+     * @param {string} params.subject - Group subject
+     * @param {string} [params.owner] - Owner contact id
+     * @param {Array<string>} [params.participants] - Member contact ids
+     * @param {Array<string>} [params.admins] - Admin contact ids (also members)
+     * @returns {Object} - Group { id, subject, desc, owner, creation, participants, inviteCode }
+     */
+    addGroup: function({ id, subject, owner = null, participants = [], admins = [] }) {
+      const group = {
+        id: id || `1203630${Date.now()}${Math.floor(Math.random() * 1e4)}@g.us`,
+        subject,
+        desc: '',
+        owner,
+        creation: Math.floor(Date.now() / 1000),
+        participants: new Map(),
+        inviteCode: inviteCode()
+      };
+      for (const member of new Set([...admins, ...participants])) {
+        group.participants.set(member, { isAdmin: admins.includes(member), isSuperAdmin: member === owner });
+      }
+      this.groups.set(group.id, group);
+      return group;
+    },
+
+    /**
+     * Get the most recently created client for a clientId
+     * @param {string} clientId - Client ID (formatted phoneNumber)
+     * @returns {SimulatedClient|undefined}
+     */
+    getClient: function(clientId) {
+      return this.clients.get(clientId);
+    },
+
+    /**
+     * Create a media object from base64 data
+     * @param {string} mimetype - MIME type
+     * @param {string} data - Base64 data
+     * @param {string} [filename] - Optional file name
+     * @returns {Object}
+     */
+    createMedia: function(mimetype, data, filename) {
+      return { mimetype, data, filename };
+    },
+
+    /**
+     * Create a media object from a URL without downloading it (MIME type guessed from the extension)
+     * @param {string} url - Media URL
+     * @param {Object} [options] - Download options, unused since nothing is downloaded
+     * @returns {Promise<Object>}
+     */
+    mediaFromUrl: async function(url, options = {}) {
+      const filename = urlFilename(url);
+      return { mimetype: detectMimeType(null, filename) || 'application/octet-stream', data: '', filename, url };
+    },
+
+    /**
+     * Create a location object
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} [options] - { name, address }
+     * @returns {Object}
+     */
+    createLocation: function(latitude, longitude, options = {}) {
+      return { latitude, longitude, name: options.name, address: options.address };
+    },
+
+    /**
+     * List client IDs with a stored session (the session store is ignored)
+     * @returns {Promise<Array<string>>}
+     */
+    listStoredSessions: async function() {
+      return Array.from(this.sessions);
+    }
+  };
+}
+
+/**
+ * Generate a random group invite code
+ * @returns {string}
+ * @private
+ */
+function inviteCode() {
+  return Math.random().toString(36).slice(2, 12).toUpperCase() + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Get the last path segment of a URL
+ * @param {string} url - URL
+ * @returns {string}
+ * @private
+ */
+function urlFilename(url) {
+  return url.split('?')[0].split('/').pop() || 'file';
+}
+
+module.exports = { createSimulatedDriver, SimulatedClient };
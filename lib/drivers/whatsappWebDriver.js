@@ -0,0 +1,146 @@
+const { Client, LocalAuth, RemoteAuth, MessageMedia, Location } = require('whatsapp-web.js');
+const fs = require('fs');
+const path = require('path');
+const { createFileSessionStore, SESSION_STORE_TYPES } = require('../sessionStore');
+const { detectMimeType } = require('../media');
+const { downloadMedia } = require('../remoteMedia');
+
+/**
+ * whatsapp-web.js Driver - Default client driver backed by a real WhatsApp Web session
+ *
+ * A driver is the object whatsappManager uses to create clients and media. Every driver
+ * exposes the same functions, so the manager never talks to whatsapp-web.js directly:
+ * - createClient({ clientId, phoneNumber, sessionDir, sessionStore, downloadMedia }): returns a whatsapp-web.js compatible client
+ * - createMedia(mimetype, data, filename): builds a media object from base64 data
+ * - mediaFromUrl(url, { maxBytes, allowedHosts }): builds a media object from a remote URL (see lib/remoteMedia)
+ * - createLocation(latitude, longitude, { name, address }): builds a location to send
+ * - listStoredSessions(sessionStore): lists the clientIds that have a stored authenticated session
+ */
+
+const whatsappWebDriver = {
+  name: 'whatsapp-web',
+
+  /**
+   * Create a whatsapp-web.js client using headless Chromium, with LocalAuth, or RemoteAuth when
+   * the session store is remote (see lib/sessionStore)
+   * @param {Object} params - Client parameters
+   * @param {string} params.clientId - Client ID (formatted phoneNumber), also the LocalAuth/RemoteAuth clientId
+   * @param {string} params.phoneNumber - Phone number as given by the caller
+   * @param {string} params.sessionDir - Directory where LocalAuth stores the session
+   * @param {Object} [params.sessionStore] - Session store of the manager
+   * @param {boolean} params.downloadMedia - Keep media of incoming messages downloadable
+   * @returns {Client} - Uninitialized whatsapp-web.js client
+   */
+  createClient: function({ clientId, sessionDir, sessionStore, downloadMedia = false }) {
+    let authStrategy;
+    if (sessionStore && sessionStore.type === SESSION_STORE_TYPES.REMOTE) {
+      authStrategy = new RemoteAuth({
+        clientId,
+        dataPath: path.resolve(sessionStore.root),
+        store: sessionStore.remote,
+        backupSyncIntervalMs: sessionStore.backupSyncIntervalMs
+      });
+    } else {
+      // The profile is {sessionDir}/session-{clientId}, the directory the session store and
+      // listStoredSessions look in
+      adoptLegacyProfile(sessionDir, clientId);
+      authStrategy = new LocalAuth({ dataPath: path.resolve(sessionDir), clientId });
+    }
+
+    return new Client({
+      authStrategy,
+      restartOnAuthFail: true,
+      puppeteer: {
+          headless: true,
+          bypassCSPL: true,
+          timeout: 60000,
+          args: [
+              '--no-sandbox',
+              '--disable-setuid-sandbox',
+              '--disable-dev-shm-usage',
+              '--disable-accelerated-2d-canvas',
+              '--disable-gpu',
+              '--window-size=1920,1080',
+          ]
+      },
+      mediaOptions: {
+          disableMedia: !downloadMedia,
+          ffmpegPath: null,
+          downloadMedia: downloadMedia
+      }
+    });
+  },
+
+  /**
+   * Create a media object from base64 data
+   * @param {string} mimetype - MIME type of the media
+   * @param {string} data - Base64 encoded media data
+   * @param {string} [filename] - Optional file name
+   * @returns {MessageMedia}
+   */
+  createMedia: function(mimetype, data, filename) {
+    return new MessageMedia(mimetype, data, filename);
+  },
+
+  /**
+   * Create a media object by downloading a URL
+   * @param {string} url - URL of the media
+   * @param {Object} [options] - { maxBytes, allowedHosts } (see lib/remoteMedia)
+   * @returns {Promise<MessageMedia>}
+   * @throws {WhatsAppManagerError} - INVALID_MEDIA for a private host, MEDIA_TOO_LARGE past maxBytes
+   */
+  mediaFromUrl: async function(url, options = {}) {
+    const { buffer, mimetype, filename } = await downloadMedia(url, options);
+    return new MessageMedia(
+      mimetype || detectMimeType(buffer, filename) || 'application/octet-stream',
+      buffer.toString('base64'),
+      filename,
+      buffer.length
+    );
+  },
+
+  /**
+   * Create a location to send
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {Object} [options] - { name, address }
+   * @returns {Location}
+   */
+  createLocation: function(latitude, longitude, options = {}) {
+    return new Location(latitude, longitude, options);
+  },
+
+  /**
+   * List clientIds with an authenticated session in a session store
+   *
+   * LocalAuth keeps a Chromium profile in {sessionsRoot}/{clientId}/session-{clientId};
+   * the profile only gets a 'Default' directory once WhatsApp Web has been logged in.
+   * @param {Object|string} sessionStore - Session store, or the root directory of LocalAuth sessions
+   * @returns {Promise<Array<string>>} - Client IDs
+   */
+  listStoredSessions: async function(sessionStore) {
+    const store = typeof sessionStore === 'string' ? createFileSessionStore({ root: sessionStore }) : sessionStore;
+    const sessions = await store.list();
+    return sessions.filter(session => session.authenticated).map(session => session.clientId);
+  }
+};
+
+/**
+ * Give a LocalAuth profile that an older version named after the phone number as the caller
+ * typed it (e.g. session-001234567890) the name LocalAuth now looks for, session-{clientId}
+ * @param {string} sessionDir - Session directory of the client
+ * @param {string} clientId - Client ID (formatted phoneNumber)
+ * @private
+ */
+function adoptLegacyProfile(sessionDir, clientId) {
+  const profile = path.join(sessionDir, `session-${clientId}`);
+  if (fs.existsSync(profile) || !fs.existsSync(sessionDir)) return;
+
+  const legacy = fs.readdirSync(sessionDir)
+    .filter(name => name.startsWith('session') && fs.existsSync(path.join(sessionDir, name, 'Default')));
+  if (legacy.length === 1) {
+    fs.renameSync(path.join(sessionDir, legacy[0]), profile);
+  }
+}
+
+module.exports = whatsappWebDriver;
@@ -0,0 +1,59 @@
+/**
+ * Errors - Error type carrying a machine-readable code
+ *
+ * Manager methods that report why something failed (instead of returning null) throw a
+ * WhatsAppManagerError, so callers can branch on error.code rather than on message text.
+ */
+
+const ERROR_CODES = Object.freeze({
+  CLIENT_NOT_FOUND: 'CLIENT_NOT_FOUND',       // No client for the phone number
+  CLIENT_NOT_READY: 'CLIENT_NOT_READY',       // Client exists but is not in the ready state
+  NOT_AUTHENTICATED: 'NOT_AUTHENTICATED',     // Client is starting, reconnecting or failed instead of being logged in
+  QR_REQUIRED: 'QR_REQUIRED',                 // Client is waiting for its login QR code to be scanned
+  PHONE_INVALID: 'PHONE_INVALID',             // An account phone number is not a valid E.164 number
+  RECIPIENT_INVALID: 'RECIPIENT_INVALID',     // A recipient is neither a valid phone number nor a WhatsApp id
+  UNSUPPORTED_CONTENT: 'UNSUPPORTED_CONTENT', // Message content has no known type
+  INVALID_MEDIA: 'INVALID_MEDIA',             // Media source unreadable or of the wrong MIME type
+  MEDIA_TOO_LARGE: 'MEDIA_TOO_LARGE',         // Media exceeds the size limit of its type
+  MEDIA_NOT_ALLOWED: 'MEDIA_NOT_ALLOWED',     // Received media's MIME type is not in the download allowlist
+  MEDIA_DOWNLOAD_FAILED: 'MEDIA_DOWNLOAD_FAILED', // Received media could not be downloaded
+  CHAT_NOT_FOUND: 'CHAT_NOT_FOUND',           // The client has no chat with the given id
+  INVALID_CURSOR: 'INVALID_CURSOR',           // A pagination cursor or time bound could not be read
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',         // The client has no group with the given id
+  GROUP_ACTION_FAILED: 'GROUP_ACTION_FAILED', // WhatsApp refused a group change (e.g. the client is not an admin)
+  INVALID_INVITE: 'INVALID_INVITE',           // A group invite code or link is malformed, expired or revoked
+  RECIPIENT_NOT_REGISTERED: 'RECIPIENT_NOT_REGISTERED', // The recipient's number is not on WhatsApp
+  CONTACT_NOT_FOUND: 'CONTACT_NOT_FOUND',     // The id is not a contact (e.g. a group id)
+  MESSAGE_NOT_FOUND: 'MESSAGE_NOT_FOUND',     // The client has no message with the given id
+  MESSAGE_ACTION_FAILED: 'MESSAGE_ACTION_FAILED', // WhatsApp refused a reaction, edit, deletion, forward, ...
+  LOOKUP_FAILED: 'LOOKUP_FAILED',             // WhatsApp could not be asked whether a number is registered
+  SEND_FAILED: 'SEND_FAILED',                // whatsapp-web.js failed to send the message
+  UNAUTHORIZED: 'UNAUTHORIZED',               // The HTTP request has no valid API key or token
+  FORBIDDEN: 'FORBIDDEN',                     // The API key or token lacks the permission or account
+  VALIDATION_FAILED: 'VALIDATION_FAILED',     // An HTTP request's parameters or body do not match the route's schema
+  NOT_FOUND: 'NOT_FOUND',                     // No route, job, webhook, API key, media, auto-reply rule, scheduled message or campaign with the given path or id
+  RULE_READ_ONLY: 'RULE_READ_ONLY',           // An auto-reply rule comes from the rules file or code and cannot be changed through the API
+  SCHEDULE_FINISHED: 'SCHEDULE_FINISHED',     // A scheduled message was already sent, missed, completed or cancelled and cannot be changed
+  CAMPAIGN_FINISHED: 'CAMPAIGN_FINISHED',     // A campaign was already completed or cancelled
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',     // The account has no stored, logged-in session to export
+  SESSION_IN_USE: 'SESSION_IN_USE',           // A session cannot be imported while the account's client is running
+  SESSION_ARCHIVE_INVALID: 'SESSION_ARCHIVE_INVALID', // A session archive is damaged, for another account or store, or its passphrase is wrong
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',     // An HTTP request body exceeds the size limit
+  INTERNAL_ERROR: 'INTERNAL_ERROR'            // Unexpected server error
+});
+
+class WhatsAppManagerError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra information (e.g. the underlying error message)
+   */
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'WhatsAppManagerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { WhatsAppManagerError, ERROR_CODES };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON File Store - Keeps a single JSON value in a file
+ *
+ * Writes go to a temporary file that is then renamed over the original, so a crash during a
+ * write never leaves a half-written file behind.
+ */
+
+/**
+ * Create a store for one JSON file
+ * @param {string} filePath - Path of the JSON file (parent directories are created on write)
+ * @param {*} defaultValue - Value returned by read() while the file does not exist
+ * @returns {{read: Function, write: Function, filePath: string}}
+ */
+function createJsonFileStore(filePath, defaultValue) {
+  return {
+    filePath,
+
+    /**
+     * Read the stored value
+     * @returns {*} - Parsed JSON, or a copy of the default value if the file does not exist
+     */
+    read: function() {
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return JSON.parse(JSON.stringify(defaultValue));
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Replace the stored value
+     * @param {*} value - JSON-serializable value
+     */
+    write: function(value) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Append one JSON line to a log file
+ * @param {string} filePath - Path of the .jsonl file (parent directories are created)
+ * @param {Object} entry - JSON-serializable entry
+ * @returns {Promise<void>}
+ */
+async function appendJsonLine(filePath, entry) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Read the entries of a JSON lines file
+ * @param {string} filePath - Path of the .jsonl file
+ * @returns {Promise<Array<Object>>} - Entries in file order (empty if the file does not exist)
+ */
+async function readJsonLines(filePath) {
+  let content;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+module.exports = { createJsonFileStore, appendJsonLine, readJsonLines };
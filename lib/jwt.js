@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/**
+ * JWT - Verification of HS256 JSON Web Tokens
+ *
+ * Lets an identity provider issue short-lived credentials for the HTTP API instead of API keys.
+ * Only HS256 with a shared secret is accepted. The claims used are:
+ *
+ *   sub          Who the token was issued to (recorded in the audit log)
+ *   phones       Accounts the token may act for (['*'] for all)
+ *   permissions  read, send and/or admin (see lib/apiKeys)
+ *   exp, nbf     Validity window in seconds since the epoch (exp is required)
+ */
+
+/**
+ * Sign claims as an HS256 token (for issuing tokens from scripts and tests)
+ * @param {Object} claims - Token claims
+ * @param {string} secret - Shared secret
+ * @returns {string} - Compact JWT
+ */
+function signJwt(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Verify an HS256 token and read its claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @param {number} [now] - Current time in milliseconds (default Date.now())
+ * @returns {Object|null} - Claims, or null if the token is malformed, badly signed, expired or not yet valid
+ */
+function verifyJwt(token, secret, now = Date.now()) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!header || header.alg !== 'HS256' || !claims || typeof claims !== 'object') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const actual = Buffer.from(parts[2], 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  const seconds = now / 1000;
+  if (typeof claims.exp !== 'number' || claims.exp <= seconds) return null;
+  if (typeof claims.nbf === 'number' && claims.nbf > seconds) return null;
+  return claims;
+}
+
+module.exports = { signJwt, verifyJwt };
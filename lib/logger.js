@@ -0,0 +1,179 @@
+const os = require('os');
+
+/**
+ * Logger - Leveled JSON logger with child loggers and redaction
+ *
+ * Writes one JSON object per line in pino's format ({ level, time, pid, hostname, ...bindings,
+ * ...fields, msg }), so the output can be read with pino tooling, and any pino logger can be
+ * passed instead (whatsappManager.initialize({ logger })). Call styles:
+ *
+ *   logger.info('Server started');
+ *   logger.warn({ clientId, attempt }, 'Reconnecting');
+ *   logger.error({ err: error }, 'Error sending message');
+ *   logger.child({ clientId }).info('Connection established');
+ *
+ * Redaction (on by default) replaces message content (the fields named in CONTENT_KEYS, at any
+ * depth) with '[Redacted]' and masks every phone number found in string values, keeping its last
+ * 4 digits ('1234567890@c.us' becomes '******7890@c.us'). Log calls in this project keep phone
+ * numbers out of msg and in fields such as clientId, so pino's own redact option can cover them
+ * too (see REDACT_PATHS).
+ */
+
+// Numeric values of the levels, as in pino
+const LEVELS = Object.freeze({
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity
+});
+
+// Fields holding message content
+const CONTENT_KEYS = Object.freeze(['body', 'caption', 'content', 'text', 'vcard']);
+
+// Fields holding phone numbers or chat ids
+const PHONE_KEYS = Object.freeze(['clientId', 'phoneNumber', 'recipient', 'chatId', 'from', 'to']);
+
+// Paths for pino's redact option covering the same fields, for an injected pino logger
+const REDACT_PATHS = Object.freeze([
+  ...CONTENT_KEYS,
+  ...CONTENT_KEYS.map(key => `*.${key}`),
+  ...PHONE_KEYS,
+  ...PHONE_KEYS.map(key => `*.${key}`)
+]);
+
+// Phone numbers, alone or inside ids ('1234567890@c.us', 'false_1234567890@c.us_3EB0')
+const PHONE_NUMBER = /(?<![A-Za-z0-9-])\+?\d{7,15}(?![A-Za-z0-9-])/g;
+
+const REDACTED = '[Redacted]';
+
+/**
+ * Mask the phone numbers in a string, keeping their last 4 digits
+ * @param {string} value
+ * @returns {string}
+ */
+function maskPhoneNumbers(value) {
+  return value.replace(PHONE_NUMBER, number => {
+    const digits = number.replace('+', '');
+    return `${number.startsWith('+') ? '+' : ''}${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+  });
+}
+
+/**
+ * Convert an error to plain fields (type, message, code, stack)
+ * @param {Error} error
+ * @returns {Object}
+ * @private
+ */
+function serializeError(error) {
+  return {
+    type: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+/**
+ * Redact a value for logging: content fields are replaced, phone numbers in strings are masked
+ * @param {*} value - Value to redact
+ * @param {WeakSet} [seen] - Objects already visited (circular references are dropped)
+ * @returns {*} - Redacted copy
+ */
+function redactValue(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return maskPhoneNumbers(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redactValue(item, seen));
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = CONTENT_KEYS.includes(key) && item !== null && item !== undefined
+      ? REDACTED
+      : redactValue(item, seen);
+  }
+  return redacted;
+}
+
+/**
+ * Create a logger
+ * @param {Object} options - Optional configuration
+ * @param {string} options.level - Lowest level written: trace, debug, info, warn, error, fatal or silent (default 'info')
+ * @param {boolean} options.redact - Redact message content and phone numbers (default true)
+ * @param {Object} options.destination - Stream the lines are written to (default process.stdout)
+ * @param {Object} options.bindings - Fields added to every line
+ * @returns {Object} - Logger with trace, debug, info, warn, error, fatal, child and isLevelEnabled
+ */
+function createLogger(options = {}) {
+  const level = options.level || 'info';
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level ${level}; use one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const settings = {
+    level,
+    redact: options.redact !== false,
+    destination: options.destination || process.stdout
+  };
+  const base = { pid: process.pid, hostname: os.hostname() };
+
+  const build = (bindings) => {
+    const write = (levelName, args) => {
+      if (LEVELS[levelName] < LEVELS[settings.level]) return;
+
+      let fields = {};
+      let msg = args[0];
+      if (args[0] instanceof Error) {
+        fields = { err: args[0] };
+        msg = args[1] !== undefined ? args[1] : args[0].message;
+      } else if (args[0] !== null && typeof args[0] === 'object') {
+        fields = args[0];
+        msg = args[1];
+      }
+
+      const entry = { level: LEVELS[levelName], time: Date.now(), ...base, ...bindings };
+      for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+      }
+      if (msg !== undefined) entry.msg = String(msg);
+
+      let line;
+      try {
+        line = JSON.stringify(settings.redact ? redactValue(entry) : entry);
+      } catch (error) {
+        line = JSON.stringify({ level: entry.level, time: entry.time, ...base, msg: `Unloggable entry: ${error.message}` });
+      }
+      settings.destination.write(`${line}\n`);
+    };
+
+    const logger = { level: settings.level };
+    for (const levelName of Object.keys(LEVELS)) {
+      if (levelName !== 'silent') {
+        logger[levelName] = (...args) => write(levelName, args);
+      }
+    }
+
+    /**
+     * Create a logger adding fields to every line
+     * @param {Object} childBindings - Fields such as { clientId } or { reqId }
+     * @returns {Object} - Logger
+     */
+    logger.child = (childBindings) => build({ ...bindings, ...childBindings });
+
+    /**
+     * Check whether a level is written
+     * @param {string} levelName
+     * @returns {boolean}
+     */
+    logger.isLevelEnabled = (levelName) => LEVELS[levelName] >= LEVELS[settings.level];
+
+    return logger;
+  };
+
+  return build({ ...options.bindings });
+}
+
+module.exports = { createLogger, redactValue, maskPhoneNumbers, LEVELS, REDACT_PATHS };
@@ -0,0 +1,296 @@
+const path = require('path');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+
+/**
+ * Media - Turns message content objects into driver media objects and send options
+ *
+ * Media content has one of the keys image, document, audio, video or sticker, whose value is the
+ * media source:
+ * - a Buffer
+ * - an http(s) URL string (downloaded by the driver when the message is sent)
+ * - a data URI string ('data:application/pdf;base64,...')
+ * - an object { data: <base64>, mimetype?, filename? } or { url, filename? }
+ *
+ * The MIME type comes from the source when given, otherwise from the file's leading bytes,
+ * otherwise from the file name extension.
+ */
+
+// Media content types, their accepted MIME type prefix (null for any) and default size limit
+const MEDIA_TYPES = Object.freeze({
+  image: { mimePrefix: 'image/', maxBytes: 16 * 1024 * 1024, fallbackMime: 'image/jpeg' },
+  video: { mimePrefix: 'video/', maxBytes: 16 * 1024 * 1024, fallbackMime: 'video/mp4' },
+  audio: { mimePrefix: 'audio/', maxBytes: 16 * 1024 * 1024, fallbackMime: 'audio/ogg' },
+  sticker: { mimePrefix: 'image/', maxBytes: 1024 * 1024, fallbackMime: 'image/webp' },
+  document: { mimePrefix: null, maxBytes: 100 * 1024 * 1024, fallbackMime: 'application/octet-stream' }
+});
+
+// Leading bytes of common file formats
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimetype: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mimetype: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimetype: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mimetype: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+const EXTENSIONS = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mov': 'video/quicktime',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Detect a MIME type from file content and name
+ * @param {Buffer} buffer - File content
+ * @param {string} [filename] - File name
+ * @returns {string|null} - MIME type, or null if unknown
+ */
+function detectMimeType(buffer, filename) {
+  if (buffer && buffer.length >= 12) {
+    // RIFF containers (WebP) and ISO media files (MP4, MOV, M4A) have their type at an offset
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return 'image/webp';
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+      const brand = buffer.toString('ascii', 8, 12);
+      if (brand.startsWith('M4A')) return 'audio/mp4';
+      if (brand === 'qt  ') return 'video/quicktime';
+      if (brand.startsWith('3gp')) return 'video/3gpp';
+      return 'video/mp4';
+    }
+  }
+
+  if (buffer) {
+    const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+    // Office documents are zip files; their extension is more precise
+    if (signature && !(signature.mimetype === 'application/zip' && filename && mimeFromFilename(filename))) {
+      return signature.mimetype;
+    }
+  }
+
+  return filename ? mimeFromFilename(filename) : null;
+}
+
+/**
+ * Get a MIME type from a file name extension
+ * @param {string} filename - File name
+ * @returns {string|null}
+ * @private
+ */
+function mimeFromFilename(filename) {
+  return EXTENSIONS[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Find the media type key of a content object
+ * @param {Object} content - Message content
+ * @returns {string|null} - One of the MEDIA_TYPES keys, or null
+ */
+function getMediaType(content) {
+  if (!content || typeof content !== 'object') return null;
+  return Object.keys(MEDIA_TYPES).find(type => content[type] !== undefined && content[type] !== null) || null;
+}
+
+/**
+ * Normalize a media source to { buffer } or { url } plus its declared MIME type and file name
+ * @param {*} source - Media source (see module comment)
+ * @returns {{buffer: Buffer|null, url: string|null, mimetype: string|null, filename: string|null}}
+ * @throws {WhatsAppManagerError} - INVALID_MEDIA when the source has no usable form
+ */
+function parseSource(source) {
+  if (Buffer.isBuffer(source)) {
+    return { buffer: source, url: null, mimetype: null, filename: null };
+  }
+
+  if (typeof source === 'string') {
+    const dataUri = source.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (dataUri) {
+      return { buffer: Buffer.from(dataUri[3], dataUri[2] ? 'base64' : 'utf8'), url: null, mimetype: dataUri[1] || null, filename: null };
+    }
+    if (/^https?:\/\//i.test(source)) {
+      return { buffer: null, url: source, mimetype: null, filename: null };
+    }
+  }
+
+  if (source && typeof source === 'object') {
+    if (typeof source.data === 'string') {
+      return { buffer: Buffer.from(source.data, 'base64'), url: null, mimetype: source.mimetype || null, filename: source.filename || null };
+    }
+    if (typeof source.url === 'string' && /^https?:\/\//i.test(source.url)) {
+      return { buffer: null, url: source.url, mimetype: source.mimetype || null, filename: source.filename || null };
+    }
+  }
+
+  throw new WhatsAppManagerError(
+    ERROR_CODES.INVALID_MEDIA,
+    'Media must be a Buffer, an http(s) URL, a data URI, or an object with base64 data or a url'
+  );
+}
+
+/**
+ * Check a media type's MIME type and size
+ * @param {string} type - Media type key
+ * @param {string} mimetype - MIME type
+ * @param {number} size - Size in bytes
+ * @param {Object} limits - Size limits in bytes per media type
+ * @throws {WhatsAppManagerError} - INVALID_MEDIA or MEDIA_TOO_LARGE
+ * @private
+ */
+function checkMedia(type, mimetype, size, limits) {
+  const { mimePrefix } = MEDIA_TYPES[type];
+  if (mimePrefix && !(mimetype || '').startsWith(mimePrefix)) {
+    throw new WhatsAppManagerError(ERROR_CODES.INVALID_MEDIA, `A ${type} must have a ${mimePrefix}* MIME type, got ${mimetype}`);
+  }
+
+  const maxBytes = limits[type];
+  if (size > maxBytes) {
+    throw new WhatsAppManagerError(
+      ERROR_CODES.MEDIA_TOO_LARGE,
+      `The ${type} is ${size} bytes, the limit is ${maxBytes} bytes`,
+      { size, maxBytes }
+    );
+  }
+}
+
+/**
+ * Get the size limits per media type, with overrides
+ * @param {Object} overrides - Size limits in bytes keyed by media type
+ * @returns {Object}
+ */
+function getMediaLimits(overrides = {}) {
+  const limits = {};
+  for (const [type, { maxBytes }] of Object.entries(MEDIA_TYPES)) {
+    limits[type] = overrides[type] || maxBytes;
+  }
+  return limits;
+}
+
+/**
+ * Validate media content without downloading URLs
+ * @param {Object} content - Message content
+ * @param {Object} limits - Size limits (see getMediaLimits)
+ * @returns {string|null} - Error message, or null if the content looks sendable
+ */
+function validateMediaContent(content, limits = getMediaLimits()) {
+  const type = getMediaType(content);
+  if (!type) return 'Unsupported message type';
+
+  try {
+    const { buffer, mimetype, filename } = parseSource(content[type]);
+    if (buffer) {
+      const name = content.filename || filename;
+      checkMedia(type, mimetype || detectMimeType(buffer, name) || MEDIA_TYPES[type].fallbackMime, buffer.length, limits);
+    }
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Build the driver media object and send options for media content
+ * @param {Object} content - Message content with one media key, plus caption / filename / voiceNote
+ * @param {Object} driver - Client driver (createMedia, mediaFromUrl)
+ * @param {Object} limits - Size limits (see getMediaLimits)
+ * @param {Array<string>} allowedHosts - Media URL hosts that may resolve to private addresses (see lib/remoteMedia)
+ * @returns {Promise<{media: Object, options: Object}>}
+ * @throws {WhatsAppManagerError} - UNSUPPORTED_CONTENT, INVALID_MEDIA or MEDIA_TOO_LARGE
+ */
+async function buildMedia(content, driver, limits = getMediaLimits(), allowedHosts = []) {
+  const type = getMediaType(content);
+  if (!type) {
+    throw new WhatsAppManagerError(ERROR_CODES.UNSUPPORTED_CONTENT, 'Unsupported message type');
+  }
+
+  const source = parseSource(content[type]);
+  const filename = content.filename || source.filename || undefined;
+  let media;
+
+  if (source.buffer) {
+    const mimetype = source.mimetype || detectMimeType(source.buffer, filename) || MEDIA_TYPES[type].fallbackMime;
+    checkMedia(type, mimetype, source.buffer.length, limits);
+    media = driver.createMedia(mimetype, source.buffer.toString('base64'), filename);
+  } else {
+    // The download stops at the type's limit; the MIME type is only known once it is done
+    media = await driver.mediaFromUrl(source.url, { maxBytes: limits[type], allowedHosts });
+    if (filename) {
+      media.filename = filename;
+    }
+    if (source.mimetype) {
+      media.mimetype = source.mimetype;
+    }
+    const size = Math.floor((media.data || '').length * 3 / 4);
+    checkMedia(type, media.mimetype, size, limits);
+  }
+
+  const options = {};
+  if (['image', 'video', 'document'].includes(type)) {
+    options.caption = content.caption || '';
+  }
+  if (type === 'document') {
+    options.sendMediaAsDocument = true;
+  }
+  if (type === 'audio' && content.voiceNote) {
+    options.sendAudioAsVoice = true;
+  }
+  if (type === 'sticker') {
+    options.sendMediaAsSticker = true;
+  }
+
+  return { media, options };
+}
+
+/**
+ * Describe message content without its media data (for logs and archives)
+ * @param {string|Object} content - Message content
+ * @returns {{type: string, body: string, filename: string|null}}
+ */
+function describeContent(content) {
+  if (typeof content === 'string') {
+    return { type: 'chat', body: content, filename: null };
+  }
+  if (content && content.location) {
+    return { type: 'location', body: content.location.name || '', filename: null };
+  }
+  const type = getMediaType(content);
+  const source = type ? content[type] : null;
+  return {
+    type: type || 'unknown',
+    body: (content && content.caption) || '',
+    filename: (content && content.filename) || (source && source.filename) || null
+  };
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  describeContent,
+  detectMimeType,
+  getMediaType,
+  getMediaLimits,
+  parseSource,
+  validateMediaContent,
+  buildMedia
+};
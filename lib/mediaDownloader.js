@@ -0,0 +1,122 @@
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { mediaId } = require('./mediaStore');
+
+/**
+ * Media Downloader - Saves the media of incoming messages to a media store
+ *
+ * Only media whose MIME type matches the allowlist and whose size is within maxBytes is kept.
+ * WhatsApp reports the size and MIME type of most media before it is downloaded, so media that
+ * is refused that way is never fetched; both are checked again on the downloaded data.
+ */
+
+// MIME types downloaded by default ('type/*' matches every subtype)
+const DEFAULT_MIME_TYPES = Object.freeze([
+  'image/*',
+  'audio/*',
+  'video/*',
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.*',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-powerpoint'
+]);
+
+const DEFAULT_MAX_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Check a MIME type against an allowlist
+ * @param {string} mimetype - MIME type, possibly with parameters ('audio/ogg; codecs=opus')
+ * @param {Array<string>} allowlist - Exact types, 'prefix*' patterns, or '*' for any
+ * @returns {boolean}
+ */
+function isMimeTypeAllowed(mimetype, allowlist) {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  if (!type) return false;
+  return allowlist.some(pattern =>
+    pattern === '*' || (pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern)
+  );
+}
+
+/**
+ * Create a downloader for incoming media
+ * @param {Object} options - Downloader options
+ * @param {Object} options.store - Media store (see lib/mediaStore)
+ * @param {number} options.maxBytes - Largest file kept (default 16 MB)
+ * @param {Array<string>} options.mimeTypes - MIME type allowlist (default DEFAULT_MIME_TYPES)
+ * @returns {Object} - Downloader with download(message) and the store
+ */
+function createMediaDownloader(options = {}) {
+  const settings = {
+    store: options.store,
+    maxBytes: options.maxBytes || DEFAULT_MAX_BYTES,
+    mimeTypes: options.mimeTypes || DEFAULT_MIME_TYPES
+  };
+  if (!settings.store) {
+    throw new Error('A media store is required to download media');
+  }
+
+  const check = (mimetype, size) => {
+    if (mimetype && !isMimeTypeAllowed(mimetype, settings.mimeTypes)) {
+      throw new WhatsAppManagerError(ERROR_CODES.MEDIA_NOT_ALLOWED, `Media of type ${mimetype} is not downloaded`, { mimetype });
+    }
+    if (size > settings.maxBytes) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.MEDIA_TOO_LARGE,
+        `Media is ${size} bytes, the limit is ${settings.maxBytes} bytes`,
+        { size, maxBytes: settings.maxBytes }
+      );
+    }
+  };
+
+  return {
+    store: settings.store,
+
+    /**
+     * Download the media of a message and store it
+     * @param {Object} message - whatsapp-web.js message with hasMedia set
+     * @returns {Promise<Object>} - Media reference { id, mimetype, filename, size, createdAt }
+     * @throws {WhatsAppManagerError} - MEDIA_NOT_ALLOWED, MEDIA_TOO_LARGE or MEDIA_DOWNLOAD_FAILED
+     */
+    download: async function(message) {
+      // Announced type and size (whatsapp-web.js keeps them in the raw message data)
+      const announced = message._data || {};
+      check(announced.mimetype, announced.size || 0);
+
+      let media;
+      try {
+        media = await message.downloadMedia();
+      } catch (error) {
+        throw new WhatsAppManagerError(ERROR_CODES.MEDIA_DOWNLOAD_FAILED, `Failed to download media: ${error.message}`, {
+          cause: error.message
+        });
+      }
+      // whatsapp-web.js resolves to undefined once the media has expired from the phone
+      if (!media || !media.data) {
+        throw new WhatsAppManagerError(ERROR_CODES.MEDIA_DOWNLOAD_FAILED, 'Media is no longer available');
+      }
+
+      if (!media.mimetype) {
+        throw new WhatsAppManagerError(ERROR_CODES.MEDIA_NOT_ALLOWED, 'Media has no MIME type');
+      }
+      const buffer = Buffer.from(media.data, 'base64');
+      check(media.mimetype, buffer.length);
+
+      const id = mediaId(buffer);
+      const existing = await settings.store.head(id);
+      if (existing) return existing;
+
+      const meta = {
+        id,
+        mimetype: media.mimetype,
+        filename: media.filename || message.filename || null,
+        size: buffer.length,
+        createdAt: new Date().toISOString()
+      };
+      await settings.store.put(id, buffer, meta);
+      return meta;
+    }
+  };
+}
+
+module.exports = { createMediaDownloader, isMimeTypeAllowed, DEFAULT_MIME_TYPES };
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Media Store - Keeps downloaded media files, named by the SHA-256 of their content
+ *
+ * A store is an object with these async functions, so the filesystem can be swapped for object
+ * storage without touching the code that downloads media:
+ * - put(id, buffer, meta): stores the file and its metadata ({ id, mimetype, filename, size, createdAt })
+ * - get(id): returns { buffer, meta }, or null if the file is not stored
+ * - head(id): returns the metadata, or null
+ * - remove(id): deletes the file, returns true if it existed
+ *
+ * Since ids are content hashes, receiving the same file twice stores it once.
+ */
+
+/**
+ * Compute the id of a media file
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Hex SHA-256 digest
+ */
+function mediaId(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Check that a string is a media id (guards stores against path traversal)
+ * @param {string} id - Candidate id
+ * @returns {boolean}
+ */
+function isMediaId(id) {
+  return typeof id === 'string' && /^[a-f0-9]{64}$/.test(id);
+}
+
+/**
+ * Create a store keeping media in a local directory ({dir}/{id} plus {dir}/{id}.json)
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory for the files (created on first write)
+ * @returns {Object} - Media store
+ */
+function createFileMediaStore({ dir }) {
+  const filePath = (id) => path.join(dir, id);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  const readMeta = async (id) => {
+    if (!isMediaId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'file',
+
+    put: async function(id, buffer, meta) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(filePath(id), buffer);
+      // Metadata last: a file without metadata is treated as not stored
+      await fs.promises.writeFile(metaPath(id), JSON.stringify(meta, null, 2));
+    },
+
+    get: async function(id) {
+      const meta = await readMeta(id);
+      if (!meta) return null;
+      try {
+        return { buffer: await fs.promises.readFile(filePath(id)), meta };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    head: readMeta,
+
+    remove: async function(id) {
+      if (!(await readMeta(id))) return false;
+      await fs.promises.rm(metaPath(id), { force: true });
+      await fs.promises.rm(filePath(id), { force: true });
+      return true;
+    }
+  };
+}
+
+/**
+ * Read an S3 object body, which is a Buffer or (AWS SDK v3) a stream with transformToByteArray()
+ * @param {*} body - Object body
+ * @returns {Promise<Buffer>}
+ * @private
+ */
+async function readBody(body) {
+  if (Buffer.isBuffer(body)) return body;
+  if (body && typeof body.transformToByteArray === 'function') {
+    return Buffer.from(await body.transformToByteArray());
+  }
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check whether an S3 error means the object does not exist
+ * @param {Error} error - Error thrown by the S3 client
+ * @returns {boolean}
+ * @private
+ */
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * Create a store keeping media in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ *
+ * The client is any object with promise-returning putObject, getObject, headObject and
+ * deleteObject taking AWS-style parameters, such as `new S3({...})` from @aws-sdk/client-s3.
+ * Metadata is kept in the object's user metadata.
+ * @param {Object} options - Store options
+ * @param {Object} options.client - S3 client
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.prefix - Key prefix (default 'media/')
+ * @returns {Object} - Media store
+ */
+function createS3MediaStore({ client, bucket, prefix = 'media/' }) {
+  const key = (id) => `${prefix}${id}`;
+
+  const toMeta = (id, response) => {
+    const metadata = response.Metadata || {};
+    return {
+      id,
+      mimetype: response.ContentType,
+      filename: metadata.filename ? decodeURIComponent(metadata.filename) : null,
+      size: Number(response.ContentLength),
+      createdAt: metadata.createdat || null
+    };
+  };
+
+  return {
+    name: 's3',
+
+    put: async function(id, buffer, meta) {
+      await client.putObject({
+        Bucket: bucket,
+        Key: key(id),
+        Body: buffer,
+        ContentType: meta.mimetype,
+        // S3 user metadata must be ASCII
+        Metadata: {
+          filename: meta.filename ? encodeURIComponent(meta.filename) : '',
+          createdat: meta.createdAt
+        }
+      });
+    },
+
+    get: async function(id) {
+      if (!isMediaId(id)) return null;
+      try {
+        const response = await client.getObject({ Bucket: bucket, Key: key(id) });
+        const buffer = await readBody(response.Body);
+        return { buffer, meta: { ...toMeta(id, response), size: buffer.length } };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    head: async function(id) {
+      if (!isMediaId(id)) return null;
+      try {
+        return toMeta(id, await client.headObject({ Bucket: bucket, Key: key(id) }));
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    remove: async function(id) {
+      if (!(await this.head(id))) return false;
+      await client.deleteObject({ Bucket: bucket, Key: key(id) });
+      return true;
+    }
+  };
+}
+
+module.exports = { createFileMediaStore, createS3MediaStore, mediaId, isMediaId };
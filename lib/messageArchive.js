@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { encodeCursor, parseBound, pageLimit } = require('./pagination');
+
+/**
+ * Message Archive - Keeps every message the manager sees, with full-text search
+ *
+ * Received messages (including reactions, edits and deletions), sent messages and failed sends
+ * are stored as records in {dataDir}/archive/{clientId}/{YYYY-MM-DD}.jsonl, one file per account
+ * and UTC day of the message. Files are only appended to, except when records are purged.
+ * On start every file is loaded into memory with an inverted index of the record text, so
+ * searches do not touch the disk.
+ *
+ * Record fields: recordId, event (message, reaction, edit, revoke, failed), messageId, clientId,
+ * chatId, direction (in, out), status (received, sent, failed), timestamp (seconds), type, body,
+ * senderId, senderName, archivedAt, error, code, and message (the converted message; null for
+ * failed sends).
+ */
+
+const DIRECTIONS = Object.freeze({ IN: 'in', OUT: 'out' });
+
+const RECORD_STATUS = Object.freeze({
+  RECEIVED: 'received',
+  SENT: 'sent',
+  FAILED: 'failed'
+});
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  retentionDays: null,
+  retentionIntervalMs: 60 * 60 * 1000
+};
+
+/**
+ * Split text into lowercase search tokens without diacritics
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Get the searchable text of a record
+ * @param {Object} record - Archive record
+ * @returns {string}
+ * @private
+ */
+function recordText(record) {
+  const parts = [record.body, record.senderName];
+  const message = record.message;
+  if (message) {
+    if (message.media) parts.push(message.media.filename);
+    if (message.location) parts.push(message.location.name, message.location.address);
+    if (message.contacts) parts.push(...message.contacts.map(contact => contact.name));
+    if (message.poll) parts.push(message.poll.name, ...message.poll.options);
+  } else {
+    parts.push(record.filename);
+  }
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Get the event kind of a converted message
+ * @param {Object} message - Converted message
+ * @returns {string}
+ * @private
+ */
+function eventOf(message) {
+  if (message.reaction) return 'reaction';
+  if (message.edit) return 'edit';
+  if (message.revoke) return 'revoke';
+  return 'message';
+}
+
+/**
+ * Build an archive record from a converted message
+ * @param {Object} message - Converted message (see lib/messageConverter)
+ * @param {string} status - RECORD_STATUS value
+ * @returns {Object}
+ * @private
+ */
+function recordFromMessage(message, status) {
+  return {
+    recordId: crypto.randomUUID(),
+    event: eventOf(message),
+    messageId: message.id,
+    clientId: message.clientId,
+    chatId: message.chatId,
+    direction: message.fromMe ? DIRECTIONS.OUT : DIRECTIONS.IN,
+    status,
+    timestamp: message.timestamp || Math.floor(Date.now() / 1000),
+    type: message.type,
+    body: message.body,
+    senderId: message.sender.id,
+    senderName: message.sender.name,
+    archivedAt: new Date().toISOString(),
+    error: null,
+    code: null,
+    message
+  };
+}
+
+/**
+ * Create a message archive recording a manager's messages
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory holding the archive directory (default './data')
+ * @param {number} options.retentionDays - Delete records older than this many days (default: keep forever)
+ * @param {number} options.retentionIntervalMs - How often the retention policy runs (default 1 hour)
+ * @returns {Object} - Archive
+ */
+function createMessageArchive(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const root = path.join(settings.dataDir, 'archive');
+
+  // Records by recordId
+  const records = new Map();
+
+  // Arrival order of each record, which orders records with the same timestamp
+  const arrival = new Map();
+  let arrivals = 0;
+
+  // Record ids per search token
+  const index = new Map();
+
+  // Record ids per day file ('clientId/YYYY-MM-DD')
+  const segments = new Map();
+
+  // 'clientId:messageId' of stored messages, so a message seen twice is stored once
+  const seen = new Set();
+
+  // Disk writes run one after the other, in order
+  let writing = Promise.resolve();
+
+  const segmentOf = (record) => {
+    const account = String(record.clientId).replace(/[^\w.-]/g, '_');
+    const day = new Date(record.timestamp * 1000).toISOString().slice(0, 10);
+    return `${account}/${day}`;
+  };
+
+  const segmentPath = (segment) => path.join(root, `${segment}.jsonl`);
+
+  const add = (record) => {
+    records.set(record.recordId, record);
+    arrival.set(record.recordId, arrivals++);
+    for (const token of new Set(tokenize(recordText(record)))) {
+      if (!index.has(token)) index.set(token, new Set());
+      index.get(token).add(record.recordId);
+    }
+    const segment = segmentOf(record);
+    if (!segments.has(segment)) segments.set(segment, new Set());
+    segments.get(segment).add(record.recordId);
+    if (record.event === 'message' && record.messageId) {
+      seen.add(`${record.clientId}:${record.messageId}`);
+    }
+  };
+
+  const drop = (record) => {
+    records.delete(record.recordId);
+    arrival.delete(record.recordId);
+    for (const token of new Set(tokenize(recordText(record)))) {
+      const ids = index.get(token);
+      if (!ids) continue;
+      ids.delete(record.recordId);
+      if (!ids.size) index.delete(token);
+    }
+    const ids = segments.get(segmentOf(record));
+    ids.delete(record.recordId);
+    if (record.event === 'message' && record.messageId) {
+      seen.delete(`${record.clientId}:${record.messageId}`);
+    }
+  };
+
+  const write = (task) => {
+    writing = writing.then(task).catch(error => manager.logger.error({ err: error }, 'Error writing message archive'));
+    return writing;
+  };
+
+  const store = (record) => {
+    if (record.event === 'message' && record.messageId && seen.has(`${record.clientId}:${record.messageId}`)) {
+      return;
+    }
+    add(record);
+    const filePath = segmentPath(segmentOf(record));
+    write(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`);
+    });
+  };
+
+  // Load the stored records
+  const accounts = fs.existsSync(root) ? fs.readdirSync(root, { withFileTypes: true }) : [];
+  for (const account of accounts.filter(entry => entry.isDirectory())) {
+    for (const file of fs.readdirSync(path.join(root, account.name)).filter(name => name.endsWith('.jsonl'))) {
+      const lines = fs.readFileSync(path.join(root, account.name, file), 'utf8').split('\n').filter(Boolean);
+      for (const line of lines) {
+        try {
+          add(JSON.parse(line));
+        } catch (error) {
+          manager.logger.warn({ clientId: account.name, file }, 'Skipping unreadable archive record');
+        }
+      }
+    }
+  }
+
+  const listeners = {
+    message: (message) => store(recordFromMessage(message, RECORD_STATUS.RECEIVED)),
+    message_sent: (message) => store(recordFromMessage(message, RECORD_STATUS.SENT)),
+    message_failed: ({ clientId, chatId, content, error, code }) => store({
+      recordId: crypto.randomUUID(),
+      event: 'failed',
+      messageId: null,
+      clientId,
+      chatId,
+      direction: DIRECTIONS.OUT,
+      status: RECORD_STATUS.FAILED,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: content.type,
+      body: content.body,
+      filename: content.filename,
+      senderId: `${clientId}@c.us`,
+      senderName: null,
+      archivedAt: new Date().toISOString(),
+      error,
+      code,
+      message: null
+    })
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    manager.on(event, listener);
+  }
+
+  const archive = {
+    /**
+     * Search the archive, newest first
+     * @param {string} query - Words to find (all must match; 'word*' matches words starting with 'word'); empty for all records
+     * @param {Object} options - Optional scope and paging
+     * @param {string} options.clientId - Only records of this account
+     * @param {string} options.chatId - Only records of this chat
+     * @param {string} options.direction - 'in' or 'out'
+     * @param {number} options.since - Only records at or after this time (seconds)
+     * @param {number} options.until - Only records before this time (seconds)
+     * @param {number} options.limit - Records per page (default 50, at most 200)
+     * @param {string} options.before - Cursor (nextCursor of the previous page)
+     * @returns {{results: Array<Object>, total: number, nextCursor: string|null}}
+     * @throws {WhatsAppManagerError} - INVALID_CURSOR
+     */
+    search: function(query, options = {}) {
+      const limit = pageLimit(options.limit);
+      const before = options.before ? parseBound(options.before) : null;
+
+      // Each word of the query narrows the candidates
+      let candidates = null;
+      for (const word of String(query || '').split(/\s+/).filter(Boolean)) {
+        const prefix = word.endsWith('*');
+        for (const token of tokenize(word)) {
+          const matches = new Set();
+          if (prefix) {
+            for (const [key, ids] of index) {
+              if (key.startsWith(token)) ids.forEach(id => matches.add(id));
+            }
+          } else {
+            (index.get(token) || []).forEach(id => matches.add(id));
+          }
+          candidates = candidates ? new Set([...candidates].filter(id => matches.has(id))) : matches;
+        }
+      }
+
+      const matching = Array.from(candidates || records.keys(), id => records.get(id))
+        .filter(record => !options.clientId || record.clientId === options.clientId)
+        .filter(record => !options.chatId || record.chatId === options.chatId)
+        .filter(record => !options.direction || record.direction === options.direction)
+        .filter(record => options.since === undefined || record.timestamp >= options.since)
+        .filter(record => options.until === undefined || record.timestamp < options.until)
+        .sort((a, b) => b.timestamp - a.timestamp || arrival.get(b.recordId) - arrival.get(a.recordId));
+
+      const cursorArrival = before ? arrival.get(before.id) : undefined;
+      const remaining = before
+        ? matching.filter(record => record.timestamp < before.timestamp ||
+            (cursorArrival !== undefined && record.timestamp === before.timestamp && arrival.get(record.recordId) < cursorArrival))
+        : matching;
+      const page = remaining.slice(0, limit);
+      const last = page[page.length - 1];
+
+      return {
+        results: page,
+        total: matching.length,
+        nextCursor: remaining.length > limit ? encodeCursor(last.timestamp, last.recordId) : null
+      };
+    },
+
+    /**
+     * Delete records
+     * @param {Object} criteria - Records to delete (at least one criterion)
+     * @param {string} criteria.clientId - Records of this account
+     * @param {string} criteria.chatId - Records of this chat
+     * @param {number} criteria.before - Records older than this time (seconds)
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    purge: async function({ clientId, chatId, before } = {}) {
+      if (!clientId && !chatId && before === undefined) {
+        throw new Error('purge needs a clientId, chatId or before');
+      }
+
+      const doomed = Array.from(records.values()).filter(record =>
+        (!clientId || record.clientId === clientId) &&
+        (!chatId || record.chatId === chatId) &&
+        (before === undefined || record.timestamp < before)
+      );
+      const affected = new Set(doomed.map(segmentOf));
+      doomed.forEach(drop);
+
+      // Records kept in each affected day file; records arriving later are appended after the rewrite
+      const kept = Array.from(affected, segment => {
+        const remaining = Array.from(segments.get(segment), id => records.get(id));
+        if (!remaining.length) segments.delete(segment);
+        return [segment, remaining];
+      });
+
+      // Rewrite the day files that lost records, after the appends already queued
+      await write(async () => {
+        for (const [segment, remaining] of kept) {
+          const filePath = segmentPath(segment);
+          if (!remaining.length) {
+            await fs.promises.rm(filePath, { force: true });
+            continue;
+          }
+          const tempPath = `${filePath}.${process.pid}.tmp`;
+          await fs.promises.writeFile(tempPath, remaining.map(record => `${JSON.stringify(record)}\n`).join(''));
+          await fs.promises.rename(tempPath, filePath);
+        }
+      });
+      return doomed.length;
+    },
+
+    /**
+     * Delete records older than the retention period
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    applyRetention: async function() {
+      if (!settings.retentionDays) return 0;
+      const cutoff = Math.floor(Date.now() / 1000) - settings.retentionDays * 24 * 60 * 60;
+      const removed = await this.purge({ before: cutoff });
+      if (removed) {
+        manager.logger.info({ removed, retentionDays: settings.retentionDays }, 'Message archive retention removed old records');
+      }
+      return removed;
+    },
+
+    /**
+     * Count the stored records
+     * @returns {number}
+     */
+    size: function() {
+      return records.size;
+    },
+
+    /**
+     * Wait for every queued disk write
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      let current;
+      do {
+        current = writing;
+        await current;
+      } while (current !== writing);
+    },
+
+    /**
+     * Stop recording and stop the retention timer
+     */
+    stop: function() {
+      clearInterval(retentionTimer);
+      for (const [event, listener] of Object.entries(listeners)) {
+        manager.removeListener(event, listener);
+      }
+    }
+  };
+
+  let retentionTimer = null;
+  if (settings.retentionDays) {
+    archive.applyRetention();
+    retentionTimer = setInterval(() => archive.applyRetention(), settings.retentionIntervalMs);
+    // The sweep alone should not keep the process running
+    retentionTimer.unref();
+  }
+
+  return archive;
+}
+
+module.exports = { createMessageArchive, tokenize, DIRECTIONS, RECORD_STATUS };
@@ -0,0 +1,334 @@
+/**
+ * Message Converter - Turns whatsapp-web.js messages into the manager's message schema
+ *
+ * Live messages (the 'message' event, the message handler, webhooks) and history
+ * (getLast10Messages) use this converter, so consumers see one structure everywhere.
+ * schemaVersion is raised whenever a field changes meaning or is removed; new fields may be
+ * added within a version.
+ *
+ * Schema version 2:
+ *
+ *   schemaVersion  2
+ *   id             Serialized message id ('false_1111@c.us_3EB0...')
+ *   clientId       Client that sent or received the message
+ *   chatId         Chat the message belongs to ('1111@c.us' or a group '...@g.us')
+ *   from, to       Sender and recipient ids as reported by WhatsApp
+ *   fromMe         True for messages sent by the client
+ *   timestamp      Seconds since the epoch
+ *   type           whatsapp-web.js message type (chat, image, ptt, document, location, vcard,
+ *                  multi_vcard, poll_creation, revoked, ...) or 'reaction'
+ *   body           Text, or the caption of media
+ *   sender         { id, phoneNumber, name } of the author (the participant in groups)
+ *   isGroup        True for group chats
+ *   group          { id, participant } for group messages, null otherwise
+ *   quoted         Reply context { id, author, type, body }, null when not a reply
+ *   mentions       Mentioned contact ids
+ *   isForwarded    True for forwarded messages
+ *   hasMedia       True for media messages
+ *   media          { mimetype, filename, size, duration } plus, when media downloading is on,
+ *                  the stored media reference (id, createdAt) or { error, code }; null otherwise
+ *   location       { latitude, longitude, name, address, url } for location messages
+ *   contacts       [{ name, phoneNumbers, vcard }] for contact cards
+ *   poll           { name, options, allowMultipleAnswers } for polls
+ *   reaction       { emoji, messageId } for reactions (emoji '' when a reaction is removed)
+ *   edit           { previousBody, editedAt } when the event reports an edit
+ *   revoke         { messageId, previousBody } when the event reports a message deleted for everyone
+ *   ack            Delivery level of sent messages (0 pending, 1 server, 2 device, 3 read, 4 played,
+ *                  -1 error; see lib/receipts), null when unknown
+ *
+ * The fields of schema version 1 stay available for existing consumers:
+ *   key            { remoteJid, fromMe }
+ *   message        { conversation, imageMessage?: { caption }, documentMessage?: { fileName } }
+ *   clientInfo     { id, phoneNumber } (both the clientId)
+ */
+
+const MESSAGE_SCHEMA_VERSION = 2;
+
+/**
+ * Get the serialized form of a WhatsApp id (ids are strings or { _serialized } objects)
+ * @param {string|Object} id - WhatsApp id
+ * @returns {string|null}
+ */
+function serializeId(id) {
+  if (!id) return null;
+  return typeof id === 'string' ? id : id._serialized || null;
+}
+
+/**
+ * Get the phone number of a contact id ('1111@c.us' -> '+1111'); null for groups and other ids
+ * @param {string} id - Serialized contact id
+ * @returns {string|null}
+ * @private
+ */
+function phoneNumberOf(id) {
+  const match = /^(\d+)@(c\.us|s\.whatsapp\.net)$/.exec(id || '');
+  return match ? `+${match[1]}` : null;
+}
+
+/**
+ * Read the name and phone numbers of a vCard
+ * @param {string} vcard - vCard text
+ * @returns {{name: string|null, phoneNumbers: Array<string>, vcard: string}}
+ */
+function parseVCard(vcard) {
+  const lines = String(vcard || '').split(/\r?\n/);
+  const nameLine = lines.find(line => /^FN[:;]/i.test(line));
+  const phoneNumbers = lines
+    .filter(line => /^(item\d+\.)?TEL[:;]/i.test(line))
+    .map(line => {
+      // WhatsApp puts the WhatsApp id in waid=; the value after ':' is the formatted number
+      const waid = /waid=(\d+)/i.exec(line);
+      return waid ? `+${waid[1]}` : line.slice(line.lastIndexOf(':') + 1).trim();
+    })
+    .filter(Boolean);
+
+  return {
+    name: nameLine ? nameLine.slice(nameLine.indexOf(':') + 1).trim() : null,
+    phoneNumbers,
+    vcard: String(vcard || '')
+  };
+}
+
+/**
+ * Build the fields shared by every message of the schema
+ * @param {string} clientId - Client ID (formatted phoneNumber)
+ * @param {Object} params - Message fields
+ * @returns {Object}
+ * @private
+ */
+function baseMessage(clientId, { id, from, to, fromMe, timestamp, type, body, author, name }) {
+  const chatId = fromMe ? to : from;
+  const isGroup = (chatId || '').endsWith('@g.us');
+  const senderId = author || from;
+
+  return {
+    schemaVersion: MESSAGE_SCHEMA_VERSION,
+    id,
+    clientId,
+    chatId,
+    from,
+    to,
+    fromMe: Boolean(fromMe),
+    timestamp: timestamp || null,
+    type,
+    body: body || '',
+    sender: {
+      id: senderId || null,
+      phoneNumber: phoneNumberOf(senderId),
+      name: name || null
+    },
+    isGroup,
+    group: isGroup ? { id: chatId, participant: senderId || null } : null,
+    quoted: null,
+    mentions: [],
+    isForwarded: false,
+    hasMedia: false,
+    media: null,
+    location: null,
+    contacts: null,
+    poll: null,
+    reaction: null,
+    edit: null,
+    revoke: null,
+    ack: null,
+    key: {
+      remoteJid: from,
+      fromMe: Boolean(fromMe)
+    },
+    message: {
+      conversation: body || ''
+    },
+    clientInfo: {
+      id: clientId,
+      phoneNumber: clientId
+    }
+  };
+}
+
+/**
+ * Convert a whatsapp-web.js message
+ * @param {string} clientId - Client ID (formatted phoneNumber) the message belongs to
+ * @param {Object} message - whatsapp-web.js Message
+ * @param {Object} [details] - Extra information from the event
+ * @param {Object} [details.media] - Stored media reference (see lib/mediaDownloader)
+ * @param {Object} [details.edit] - { previousBody, editedAt } for message_edit events
+ * @param {Object} [details.revoke] - { messageId, previousBody } for message_revoke_everyone events
+ * @returns {Object} - Message in the manager's schema
+ */
+function convertMessage(clientId, message, details = {}) {
+  const data = message._data || {};
+  const converted = baseMessage(clientId, {
+    id: serializeId(message.id),
+    from: message.from,
+    to: message.to,
+    fromMe: message.fromMe,
+    timestamp: message.timestamp,
+    type: message.type,
+    body: message.body,
+    author: message.author,
+    name: data.notifyName
+  });
+
+  if (message.hasQuotedMsg || data.quotedMsg) {
+    const quoted = data.quotedMsg || {};
+    converted.quoted = {
+      id: data.quotedStanzaID || null,
+      author: serializeId(data.quotedParticipant),
+      type: quoted.type || null,
+      body: quoted.body || quoted.caption || ''
+    };
+  }
+
+  converted.mentions = (message.mentionedIds || []).map(serializeId).filter(Boolean);
+  converted.isForwarded = Boolean(message.isForwarded);
+
+  if (message.hasMedia) {
+    converted.hasMedia = true;
+    converted.media = {
+      mimetype: data.mimetype || null,
+      filename: data.filename || message.filename || null,
+      size: data.size || null,
+      duration: message.duration ? Number(message.duration) : null,
+      ...details.media
+    };
+    if (message.type === 'image') {
+      converted.message.imageMessage = { caption: message.body };
+    } else if (message.type === 'document') {
+      converted.message.documentMessage = { fileName: converted.media.filename || 'document' };
+    }
+  }
+
+  if (message.location) {
+    const { latitude, longitude, name, address, url } = message.location;
+    converted.location = {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      name: name || null,
+      address: address || null,
+      url: url || null
+    };
+  }
+
+  if (message.vCards && message.vCards.length) {
+    converted.contacts = message.vCards.map(parseVCard);
+  }
+
+  if (message.type === 'poll_creation') {
+    converted.poll = {
+      name: message.pollName || '',
+      options: (message.pollOptions || []).map(option => option.name),
+      allowMultipleAnswers: Boolean(message.allowMultipleAnswers)
+    };
+  }
+
+  if (typeof message.ack === 'number') {
+    converted.ack = message.ack;
+  }
+
+  if (details.edit) {
+    converted.edit = details.edit;
+  }
+  if (details.revoke) {
+    converted.revoke = details.revoke;
+  }
+
+  return converted;
+}
+
+/**
+ * Convert a whatsapp-web.js reaction ('message_reaction' event)
+ * @param {string} clientId - Client ID (formatted phoneNumber) that received the reaction
+ * @param {Object} reaction - whatsapp-web.js Reaction
+ * @returns {Object} - Message of type 'reaction' in the manager's schema
+ */
+function convertReaction(clientId, reaction) {
+  const id = reaction.id || {};
+  const fromMe = Boolean(id.fromMe);
+  const remote = serializeId(id.remote);
+  const self = `${clientId}@c.us`;
+
+  const converted = baseMessage(clientId, {
+    id: serializeId(id),
+    from: fromMe ? self : remote,
+    to: fromMe ? remote : self,
+    fromMe,
+    // Reaction timestamps are in milliseconds on some WhatsApp Web versions
+    timestamp: reaction.timestamp > 1e12 ? Math.floor(reaction.timestamp / 1000) : reaction.timestamp,
+    type: 'reaction',
+    body: reaction.reaction,
+    author: serializeId(reaction.senderId)
+  });
+  converted.reaction = {
+    emoji: reaction.reaction || '',
+    messageId: serializeId(reaction.msgId)
+  };
+  return converted;
+}
+
+/**
+ * Summarize a whatsapp-web.js chat
+ * @param {string} clientId - Client ID (formatted phoneNumber) the chat belongs to
+ * @param {Object} chat - whatsapp-web.js Chat
+ * @returns {Object} - { id, name, isGroup, unreadCount, timestamp, archived, pinned, isMuted, lastMessage }
+ */
+function convertChat(clientId, chat) {
+  return {
+    id: serializeId(chat.id),
+    name: chat.name || null,
+    isGroup: Boolean(chat.isGroup),
+    unreadCount: chat.unreadCount || 0,
+    timestamp: chat.timestamp || null,
+    archived: Boolean(chat.archived),
+    pinned: Boolean(chat.pinned),
+    isMuted: Boolean(chat.isMuted),
+    lastMessage: chat.lastMessage ? convertMessage(clientId, chat.lastMessage) : null
+  };
+}
+
+/**
+ * Summarize a whatsapp-web.js group chat with its metadata
+ * @param {string} clientId - Client ID (formatted phoneNumber) the group belongs to
+ * @param {Object} chat - whatsapp-web.js GroupChat
+ * @returns {Object} - The convertChat fields plus { description, owner, createdAt, participants },
+ *   participants being [{ id, phoneNumber, isAdmin, isSuperAdmin }]
+ */
+function convertGroup(clientId, chat) {
+  const metadata = chat.groupMetadata || {};
+  return {
+    ...convertChat(clientId, chat),
+    description: metadata.desc || null,
+    owner: serializeId(metadata.owner),
+    createdAt: metadata.creation || null,
+    participants: (metadata.participants || []).map(participant => {
+      const id = serializeId(participant.id);
+      return {
+        id,
+        phoneNumber: phoneNumberOf(id),
+        isAdmin: Boolean(participant.isAdmin),
+        isSuperAdmin: Boolean(participant.isSuperAdmin)
+      };
+    })
+  };
+}
+
+/**
+ * Summarize a whatsapp-web.js contact
+ * @param {Object} contact - whatsapp-web.js Contact
+ * @returns {Object} - { id, phoneNumber, name, pushname, shortName, isBusiness, isMyContact, isBlocked };
+ *   name is the name saved in the phone's address book, pushname the name the contact chose
+ */
+function convertContact(contact) {
+  const id = serializeId(contact.id);
+  return {
+    id,
+    phoneNumber: phoneNumberOf(id),
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    shortName: contact.shortName || null,
+    isBusiness: Boolean(contact.isBusiness),
+    isMyContact: Boolean(contact.isMyContact),
+    isBlocked: Boolean(contact.isBlocked)
+  };
+}
+
+module.exports = { convertMessage, convertReaction, convertChat, convertGroup, convertContact, parseVCard, serializeId, MESSAGE_SCHEMA_VERSION };
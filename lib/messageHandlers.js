@@ -0,0 +1,273 @@
+/**
+ * Message Handlers - Filtered subscriptions and a middleware chain for incoming messages
+ *
+ * Any number of handlers can subscribe to the incoming messages, each with an optional filter,
+ * and get a handle whose unsubscribe() removes them. Before a message reaches the handlers it
+ * passes through the middleware in the order they were added: a middleware may change the
+ * message or return a new one, and drops it by returning null or false. The manager's 'message'
+ * event is emitted before the middleware runs and always carries the message as received.
+ *
+ * Middleware and handlers may be async and are awaited. The handlers of a message run
+ * concurrently; those of the next message of the same account start once they have all settled,
+ * so each handler sees an account's messages in order. A handler that throws, rejects or runs
+ * longer than the manager's handlerTimeoutMs is logged and does not affect the others; a
+ * middleware that fails is logged and skipped, passing the message on unchanged.
+ *
+ * Filter fields (all optional, every given field must match):
+ *
+ *   account  Account phone number, or a list of them
+ *   chatId   Chat id or phone number of the chat ('1111@c.us', '+1111', '...@g.us'), or a list
+ *   sender   Id or phone number of the sender (the participant in groups), or a list
+ *   type     Message type ('chat', 'image', 'reaction', ...), or a list
+ *   isGroup  true for group messages only, false for direct messages only
+ *   fromMe   true for messages sent from the account's phone only, false for received ones only
+ *   body     RegExp (or pattern string) the body must match
+ */
+
+const FILTER_FIELDS = Object.freeze(['account', 'chatId', 'sender', 'type', 'isGroup', 'fromMe', 'body']);
+
+/**
+ * Turn a filter value into a list
+ * @param {string|Array<string>} value
+ * @param {string} field - Filter field, for the error message
+ * @returns {Array<string>}
+ * @throws {TypeError} - When the value is not a string or a list of strings
+ * @private
+ */
+function toList(value, field) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item === '')) {
+    throw new TypeError(`Filter ${field} must be a string or a non-empty list of strings`);
+  }
+  return list;
+}
+
+/**
+ * Compile a filter into a predicate over converted messages
+ * @param {Object} manager - The whatsappManager instance (formats account and chat ids)
+ * @param {Object} [filter] - Filter fields (see above)
+ * @returns {Function} - (message) => boolean
+ * @throws {TypeError} - When the filter has unknown fields or values of the wrong type
+ */
+function compileFilter(manager, filter = {}) {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new TypeError('Filter must be an object');
+  }
+  const unknown = Object.keys(filter).filter(field => !FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown filter field ${unknown.join(', ')}; use ${FILTER_FIELDS.join(', ')}`);
+  }
+
+  const checks = [];
+  if (filter.account !== undefined) {
+    const clientIds = toList(filter.account, 'account').map(phone => manager.formatPhoneNumber(phone));
+    checks.push(message => clientIds.includes(message.clientId));
+  }
+  if (filter.chatId !== undefined) {
+    const chatIds = toList(filter.chatId, 'chatId').map(chatId => manager.formatChatId(chatId));
+    checks.push(message => chatIds.includes(message.chatId));
+  }
+  if (filter.sender !== undefined) {
+    const senderIds = toList(filter.sender, 'sender').map(sender => manager.formatChatId(sender));
+    checks.push(message => Boolean(message.sender) && senderIds.includes(message.sender.id));
+  }
+  if (filter.type !== undefined) {
+    const types = toList(filter.type, 'type');
+    checks.push(message => types.includes(message.type));
+  }
+  for (const field of ['isGroup', 'fromMe']) {
+    if (filter[field] === undefined) continue;
+    if (typeof filter[field] !== 'boolean') {
+      throw new TypeError(`Filter ${field} must be a boolean`);
+    }
+    checks.push(message => Boolean(message[field]) === filter[field]);
+  }
+  if (filter.body !== undefined) {
+    if (!(filter.body instanceof RegExp) && typeof filter.body !== 'string') {
+      throw new TypeError('Filter body must be a RegExp or a pattern string');
+    }
+    const pattern = filter.body instanceof RegExp ? filter.body : new RegExp(filter.body);
+    checks.push(message => {
+      // Global and sticky patterns remember where they last matched
+      pattern.lastIndex = 0;
+      return pattern.test(message.body || '');
+    });
+  }
+
+  return message => checks.every(check => check(message));
+}
+
+/**
+ * Create the handler registry of a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @returns {Object} - Registry with subscribe, unsubscribe, use, dispatch, clear and size
+ */
+function createMessageHandlers(manager) {
+  // Subscriptions in the order they were made: { id, handler, matches }
+  let subscriptions = [];
+
+  // Middleware in the order they were added: { id, middleware }
+  let middlewares = [];
+
+  // Per-account promise for the message whose handlers are running, so messages are handled in order
+  const queues = new Map();
+
+  let nextId = 1;
+
+  /**
+   * Call a middleware or handler right away, giving up waiting for its promise after the
+   * manager's handlerTimeoutMs
+   * @param {Function} fn - Middleware or handler
+   * @param {Object} message - Converted message
+   * @returns {Promise<*>} - Its result; rejects with its error or a timeout error
+   */
+  const runWithTimeout = (fn, message) => {
+    let result;
+    try {
+      result = fn(message);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (!result || typeof result.then !== 'function') {
+      return Promise.resolve(result);
+    }
+
+    const timeoutMs = manager.handlerTimeoutMs;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs);
+    });
+    return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+  };
+
+  /**
+   * Pass a message through the middleware and to the matching handlers
+   * @param {Object} message - Converted message
+   * @returns {Promise<void>} - Never rejects
+   */
+  const handle = async (message) => {
+    const log = manager.logFor(message.clientId);
+
+    // Middleware works on a copy, so listeners of the 'message' event keep the message as received
+    let current = middlewares.length > 0 ? structuredClone(message) : message;
+    for (const { id, middleware } of middlewares.slice()) {
+      let result;
+      try {
+        result = await runWithTimeout(middleware, current);
+      } catch (error) {
+        log.error({ err: error, middlewareId: id, messageId: current.id }, 'Error in message middleware');
+        continue;
+      }
+      if (result === null || result === false) {
+        log.debug({ middlewareId: id, messageId: current.id }, 'Message dropped by middleware');
+        return;
+      }
+      if (result !== undefined) current = result;
+    }
+
+    const matching = subscriptions.filter(subscription => {
+      try {
+        return subscription.matches(current);
+      } catch (error) {
+        log.error({ err: error, subscriptionId: subscription.id }, 'Error in message filter');
+        return false;
+      }
+    });
+    await Promise.all(matching.map(({ id, handler }) =>
+      runWithTimeout(handler, current).catch(error => {
+        log.error({ err: error, subscriptionId: id, messageId: current.id }, 'Error in message handler');
+      })
+    ));
+  };
+
+  const registry = {
+    /**
+     * Subscribe a handler to the incoming messages matching a filter
+     * @param {Function} handler - Called with each matching message; may return a promise
+     * @param {Object} [filter] - Filter fields (see above)
+     * @returns {{id: number, unsubscribe: Function}} - Handle; unsubscribe() returns whether it was still subscribed
+     * @throws {TypeError} - When the handler is not a function or the filter is invalid
+     */
+    subscribe: function(handler, filter = {}) {
+      if (typeof handler !== 'function') {
+        throw new TypeError('Message handler must be a function');
+      }
+      const subscription = { id: nextId++, handler, matches: compileFilter(manager, filter) };
+      subscriptions.push(subscription);
+      return { id: subscription.id, unsubscribe: () => registry.unsubscribe(subscription.id) };
+    },
+
+    /**
+     * Remove a subscription or middleware
+     * @param {Object|number} handle - Handle returned by subscribe or use, or its id
+     * @returns {boolean} - False if it was already removed
+     */
+    unsubscribe: function(handle) {
+      const id = handle !== null && typeof handle === 'object' ? handle.id : handle;
+      const before = subscriptions.length + middlewares.length;
+      subscriptions = subscriptions.filter(subscription => subscription.id !== id);
+      middlewares = middlewares.filter(entry => entry.id !== id);
+      return subscriptions.length + middlewares.length < before;
+    },
+
+    /**
+     * Add a middleware at the end of the chain
+     * @param {Function} middleware - Called with the message; returns the message (or a new one,
+     *   or nothing to keep it as is) or null/false to drop it; may return a promise
+     * @returns {{id: number, remove: Function}} - Handle; remove() returns whether it was still in the chain
+     * @throws {TypeError} - When the middleware is not a function
+     */
+    use: function(middleware) {
+      if (typeof middleware !== 'function') {
+        throw new TypeError('Message middleware must be a function');
+      }
+      const entry = { id: nextId++, middleware };
+      middlewares.push(entry);
+      return { id: entry.id, remove: () => registry.unsubscribe(entry.id) };
+    },
+
+    /**
+     * Hand a message to the middleware and handlers once the account's previous message is handled
+     * @param {Object} message - Converted message
+     * @returns {Promise<void>} - Resolves once every handler has settled; never rejects
+     */
+    dispatch: function(message) {
+      const previous = queues.get(message.clientId);
+      if (!previous && subscriptions.length === 0) {
+        return Promise.resolve();
+      }
+
+      // Without a previous message to wait for, the handlers are called before dispatch returns
+      const handled = previous ? previous.then(() => handle(message)) : handle(message);
+      const done = handled
+        .catch(error => manager.logFor(message.clientId).error({ err: error }, 'Error handling message'))
+        .finally(() => {
+          if (queues.get(message.clientId) === done) {
+            queues.delete(message.clientId);
+          }
+        });
+      queues.set(message.clientId, done);
+      return done;
+    },
+
+    /**
+     * Remove every subscription and middleware
+     */
+    clear: function() {
+      subscriptions = [];
+      middlewares = [];
+      queues.clear();
+    },
+
+    /**
+     * Count the subscriptions and middleware
+     * @returns {{handlers: number, middleware: number}}
+     */
+    size: function() {
+      return { handlers: subscriptions.length, middleware: middlewares.length };
+    }
+  };
+  return registry;
+}
+
+module.exports = { createMessageHandlers, compileFilter, FILTER_FIELDS };
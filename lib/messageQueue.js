@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const path = require('path');
+const { CLIENT_STATES } = require('./clientState');
+const { ERROR_CODES } = require('./errors');
+const { createDetachedMedia } = require('./detachedMedia');
+const { describeContent } = require('./media');
+const { computeDelay } = require('./reconnectSupervisor');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+/**
+ * Message Queue - Durable outbound queue with rate limiting and retries
+ *
+ * Every message is stored as a job in {dataDir}/message-queue.json before it is sent. Each sender
+ * sends one job at a time, waits a random delay between sends and respects per-sender and
+ * per-recipient limits over a sliding one-minute window. Jobs of a sender that is not ready wait
+ * until it becomes ready. Transient failures are retried with exponential backoff; permanent
+ * ones (e.g. unsupported content) fail the job at once.
+ *
+ * Job statuses: queued -> sending -> sent | failed (a retried job goes back to queued).
+ * A job that was 'sending' when the process stopped is queued again on restart, so a message
+ * can be sent twice after a crash but is never lost.
+ *
+ * Media given as bytes is kept in {dataDir}/message-queue-media (see lib/detachedMedia). A finished
+ * job keeps only the summary of its content (see describeContent in lib/media).
+ */
+
+const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+});
+
+// Errors that retrying cannot fix
+const PERMANENT_ERROR_CODES = [
+  ERROR_CODES.UNSUPPORTED_CONTENT,
+  ERROR_CODES.INVALID_MEDIA,
+  ERROR_CODES.MEDIA_TOO_LARGE,
+  ERROR_CODES.RECIPIENT_INVALID,
+  ERROR_CODES.RECIPIENT_NOT_REGISTERED
+];
+
+const WINDOW_MS = 60000;
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  perClientPerMinute: 20,
+  perRecipientPerMinute: 6,
+  minDelayMs: 1000,
+  maxDelayMs: 3000,
+  maxAttempts: 5,
+  baseDelayMs: 2000,
+  maxBackoffMs: 60000,
+  maxFinishedJobs: 1000,
+  random: Math.random
+};
+
+/**
+ * Check whether a job is finished
+ * @param {Object} job - Job
+ * @returns {boolean}
+ * @private
+ */
+function isFinished(job) {
+  return job.status === JOB_STATUS.SENT || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Copy a job for a listing, without its content
+ * @param {Object} job - Job
+ * @returns {Object}
+ * @private
+ */
+function summarize(job) {
+  const { content, ...summary } = job;
+  return summary;
+}
+
+/**
+ * Get the time at which a sliding window has room for one more send
+ * @param {Array<number>} times - Send timestamps, oldest first (pruned in place)
+ * @param {number} limit - Sends allowed per window
+ * @param {number} now - Current time
+ * @returns {number} - Timestamp (<= now when a send is allowed right away)
+ * @private
+ */
+function windowFreeAt(times, limit, now) {
+  while (times.length && times[0] <= now - WINDOW_MS) {
+    times.shift();
+  }
+  return times.length < limit ? now : times[times.length - limit] + WINDOW_MS;
+}
+
+/**
+ * Create a message queue sending through a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for message-queue.json (default './data')
+ * @param {number} options.perClientPerMinute - Messages a sender may send per minute (default 20)
+ * @param {number} options.perRecipientPerMinute - Messages a sender may send to one recipient per minute (default 6)
+ * @param {number} options.minDelayMs - Minimum random delay between two sends of a sender (default 1000)
+ * @param {number} options.maxDelayMs - Maximum random delay between two sends of a sender (default 3000)
+ * @param {number} options.maxAttempts - Send attempts before a job fails (default 5)
+ * @param {number} options.baseDelayMs - Delay before the first retry (default 2000)
+ * @param {number} options.maxBackoffMs - Upper bound for the retry delay (default 60000)
+ * @param {number} options.maxFinishedJobs - Sent/failed jobs kept for status queries (default 1000)
+ * @param {string} options.mediaDir - Directory for the media of queued jobs (default '{dataDir}/message-queue-media')
+ * @param {Function} options.random - Random number source, for tests (default Math.random)
+ * @returns {Object} - Queue
+ */
+function createMessageQueue(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const store = createJsonFileStore(path.join(settings.dataDir, 'message-queue.json'), []);
+  const media = createDetachedMedia(settings.mediaDir || path.join(settings.dataDir, 'message-queue-media'));
+
+  /**
+   * Drop the content of a finished job, and its media file unless another job still needs it
+   * @param {Object} job - Finished job
+   */
+  const releaseContent = (job) => {
+    const file = media.fileOf(job.content);
+    job.content = null;
+    if (file && !jobs.some(other => !isFinished(other) && media.fileOf(other.content) === file)) {
+      media.remove(file);
+    }
+  };
+
+  // Jobs in creation order (jobs stored before media was kept apart are converted on load)
+  let jobs = store.read().map(job => ({
+    ...job,
+    status: job.status === JOB_STATUS.SENDING ? JOB_STATUS.QUEUED : job.status,
+    summary: job.summary || describeContent(job.content),
+    content: isFinished(job) ? null : media.detach(job.content)
+  }));
+
+  // Per-sender runtime state: { busy, nextSendAt, sendTimes }
+  const senders = new Map();
+
+  // Send timestamps per 'sender:recipient' within the last window (see pruneRecipientTimes)
+  const recipientSendTimes = new Map();
+
+  // Callbacks waiting for a job to finish, keyed by job id
+  const waiters = new Map();
+
+  let timer = null;
+  let stopped = false;
+
+  const persist = () => {
+    const finished = jobs.filter(isFinished);
+    if (finished.length > settings.maxFinishedJobs) {
+      const drop = new Set(finished.slice(0, finished.length - settings.maxFinishedJobs));
+      jobs = jobs.filter(job => !drop.has(job));
+    }
+    store.write(jobs);
+  };
+
+  const senderState = (sender) => {
+    if (!senders.has(sender)) {
+      senders.set(sender, { busy: false, nextSendAt: 0, sendTimes: [] });
+    }
+    return senders.get(sender);
+  };
+
+  const recipientTimes = (sender, recipient) => {
+    const key = `${sender}:${recipient}`;
+    if (!recipientSendTimes.has(key)) {
+      recipientSendTimes.set(key, []);
+    }
+    return recipientSendTimes.get(key);
+  };
+
+  /**
+   * Forget the recipients not sent to within the last window, so the map does not keep every
+   * recipient ever messaged
+   * @param {number} now - Current time
+   */
+  const pruneRecipientTimes = (now) => {
+    for (const [key, times] of recipientSendTimes) {
+      if (!times.length || times[times.length - 1] <= now - WINDOW_MS) {
+        recipientSendTimes.delete(key);
+      }
+    }
+  };
+
+  const randomDelay = () =>
+    settings.minDelayMs + Math.round(settings.random() * (settings.maxDelayMs - settings.minDelayMs));
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    if (isFinished(job)) {
+      releaseContent(job);
+    }
+    persist();
+
+    if (isFinished(job)) {
+      for (const resolve of waiters.get(job.id) || []) {
+        resolve({ ...job });
+      }
+      waiters.delete(job.id);
+    }
+  };
+
+  /**
+   * Send one job and record the outcome
+   * @param {Object} job - Job to send
+   */
+  const send = async (job) => {
+    const state = senderState(job.sender);
+    const now = Date.now();
+    state.busy = true;
+    state.sendTimes.push(now);
+    recipientTimes(job.sender, job.recipient).push(now);
+    update(job, { status: JOB_STATUS.SENDING, attempts: job.attempts + 1 });
+
+    try {
+      const message = await manager.deliverMessage(job.sender, job.recipient, await media.attach(job.content));
+      update(job, {
+        status: JOB_STATUS.SENT,
+        sentAt: new Date().toISOString(),
+        messageId: message && message.id ? message.id._serialized : null,
+        error: null
+      });
+    } catch (error) {
+      const permanent = PERMANENT_ERROR_CODES.includes(error.code);
+      if (permanent || job.attempts >= settings.maxAttempts) {
+        update(job, { status: JOB_STATUS.FAILED, error: error.message, errorCode: error.code || null });
+      } else {
+        const retryAt = Date.now() + computeDelay(job.attempts, {
+          baseDelayMs: settings.baseDelayMs,
+          maxDelayMs: settings.maxBackoffMs,
+          random: settings.random
+        });
+        update(job, {
+          status: JOB_STATUS.QUEUED,
+          nextAttemptAt: new Date(retryAt).toISOString(),
+          error: error.message,
+          errorCode: error.code || null
+        });
+      }
+    } finally {
+      state.busy = false;
+      state.nextSendAt = Date.now() + randomDelay();
+      pump();
+    }
+  };
+
+  /**
+   * Start every job that may be sent now and set a timer for the next one
+   */
+  const pump = () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = null;
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+    pruneRecipientTimes(now);
+
+    const queuedBySender = new Map();
+    for (const job of jobs) {
+      if (job.status !== JOB_STATUS.QUEUED) continue;
+      if (!queuedBySender.has(job.sender)) {
+        queuedBySender.set(job.sender, []);
+      }
+      queuedBySender.get(job.sender).push(job);
+    }
+
+    for (const [sender, queued] of queuedBySender) {
+      const state = senderState(sender);
+      // Senders that are not ready are woken up by the manager's 'ready' event
+      if (state.busy || manager.getState(sender) !== CLIENT_STATES.READY) continue;
+
+      const senderFreeAt = Math.max(
+        state.nextSendAt,
+        windowFreeAt(state.sendTimes, settings.perClientPerMinute, now)
+      );
+      if (senderFreeAt > now) {
+        wakeAt = Math.min(wakeAt, senderFreeAt);
+        continue;
+      }
+
+      // Oldest job whose retry time has come and whose recipient is not rate limited
+      let next = null;
+      for (const job of queued) {
+        const jobFreeAt = Math.max(
+          job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0,
+          windowFreeAt(recipientTimes(sender, job.recipient), settings.perRecipientPerMinute, now)
+        );
+        if (jobFreeAt <= now) {
+          next = job;
+          break;
+        }
+        wakeAt = Math.min(wakeAt, jobFreeAt);
+      }
+
+      if (next) {
+        send(next);
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      timer = setTimeout(pump, Math.max(0, wakeAt - now));
+    }
+  };
+
+  const onReady = () => pump();
+  manager.on('ready', onReady);
+
+  // Resume jobs left over from a previous run
+  setImmediate(pump);
+
+  return {
+    /**
+     * Add a message to the queue
+     * @param {Object} params - Job parameters
+     * @param {string} params.sender - Sender phone number
+     * @param {string} params.recipient - Recipient phone number
+     * @param {string|Object} params.content - Message content
+     * @param {string} [params.idempotencyKey] - Key identifying a logical message per sender
+     * @returns {{job: Object, duplicate: boolean}} - The job, and whether it already existed for the key
+     */
+    enqueue: function({ sender, recipient, content, idempotencyKey }) {
+      const clientId = manager.formatPhoneNumber(sender);
+
+      if (idempotencyKey) {
+        const existing = jobs.find(job => job.sender === clientId && job.idempotencyKey === idempotencyKey);
+        if (existing) {
+          return { job: { ...existing }, duplicate: true };
+        }
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        idempotencyKey: idempotencyKey || null,
+        sender: clientId,
+        recipient,
+        content: media.detach(content),
+        summary: describeContent(content),
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: null,
+        sentAt: null,
+        messageId: null,
+        error: null,
+        errorCode: null
+      };
+      jobs.push(job);
+      persist();
+
+      const created = { ...job };
+      pump();
+      return { job: created, duplicate: false };
+    },
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Object|null}
+     */
+    getJob: function(id) {
+      const job = jobs.find(candidate => candidate.id === id);
+      return job ? { ...job } : null;
+    },
+
+    /**
+     * List jobs, without their content (see summary)
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.sender - Sender phone number
+     * @param {string} filter.status - Job status
+     * @returns {Array<Object>}
+     */
+    listJobs: function({ sender, status } = {}) {
+      const clientId = sender ? manager.formatPhoneNumber(sender) : null;
+      return jobs
+        .filter(job => (!clientId || job.sender === clientId) && (!status || job.status === status))
+        .map(summarize);
+    },
+
+    /**
+     * Wait until a job is sent or failed
+     * @param {string} id - Job ID
+     * @param {number} timeoutMs - Time to wait
+     * @returns {Promise<Object|null>} - The finished job, or the current job if the timeout expires first
+     */
+    waitForJob: function(id, timeoutMs = 30000) {
+      const job = jobs.find(candidate => candidate.id === id);
+      if (!job) return Promise.resolve(null);
+      if (isFinished(job)) {
+        return Promise.resolve({ ...job });
+      }
+
+      return new Promise(resolve => {
+        const done = (result) => {
+          clearTimeout(timeout);
+          resolve(result);
+        };
+        const timeout = setTimeout(() => {
+          const callbacks = (waiters.get(id) || []).filter(callback => callback !== done);
+          waiters.set(id, callbacks);
+          resolve(this.getJob(id));
+        }, timeoutMs);
+
+        if (!waiters.has(id)) {
+          waiters.set(id, []);
+        }
+        waiters.get(id).push(done);
+      });
+    },
+
+    /**
+     * Stop sending and detach from the manager (queued jobs stay stored)
+     */
+    stop: function() {
+      stopped = true;
+      clearTimeout(timer);
+      manager.removeListener('ready', onReady);
+    }
+  };
+}
+
+module.exports = { createMessageQueue, JOB_STATUS };
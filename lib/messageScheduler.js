@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const path = require('path');
+const { CLIENT_STATES } = require('./clientState');
+const { createDetachedMedia } = require('./detachedMedia');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { parseCron, nextRun, isValidTimezone } = require('./cron');
+
+/**
+ * Message Scheduler - Messages sent at a given time or on a cron schedule
+ *
+ * Scheduled messages are stored in {dataDir}/scheduled-messages.json, so they survive restarts.
+ * A one-off message has a sendAt time; a recurring one has a cron expression evaluated in its
+ * time zone (see lib/cron) and an optional endAt. When a message is due it is sent with the
+ * manager's deliverMessage and the outcome is recorded in the job's runs.
+ *
+ * A sender that is not ready (or not started) when a message is due is retried every
+ * retryDelayMs until it becomes ready, for up to graceMs after the scheduled time; after that the
+ * run is recorded as missed. Messages that came due while the server was down follow the same
+ * rule when it starts again, and of several occurrences of a recurring message that passed, only
+ * the oldest is sent or recorded as missed. A message is sent again if the process stops while
+ * sending it.
+ *
+ * Media given as bytes is kept in {dataDir}/scheduled-messages-media (see lib/detachedMedia) until
+ * the job is finished or its content replaced.
+ *
+ * Job statuses: scheduled -> sent | failed | missed (one-off), scheduled -> completed (recurring,
+ * after its last occurrence), and cancelled. Only scheduled jobs can be changed or cancelled.
+ */
+
+const SCHEDULE_STATUS = Object.freeze({
+  SCHEDULED: 'scheduled',
+  SENT: 'sent',
+  FAILED: 'failed',
+  MISSED: 'missed',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+});
+
+// Outcomes of a single run
+const RUN_STATUS = Object.freeze({
+  SENT: 'sent',
+  FAILED: 'failed',
+  MISSED: 'missed'
+});
+
+// Send errors that mean the sender cannot send right now
+const NOT_READY_ERROR_CODES = [ERROR_CODES.CLIENT_NOT_FOUND, ERROR_CODES.CLIENT_NOT_READY];
+
+// Longest timer set at once; longer waits are split so clock changes are noticed
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  retryDelayMs: 30000,
+  graceMs: 60 * 60 * 1000,
+  maxRuns: 20,
+  maxFinishedJobs: 1000,
+  send: null,
+  now: Date.now
+};
+
+/**
+ * Check the timing of a scheduled message
+ * @param {Object} schedule - { sendAt, cron, timezone, endAt, graceSeconds }
+ * @param {number} now - Current time
+ * @returns {string|null} - Error message, or null if the timing is valid
+ */
+function validateSchedule({ sendAt, cron, timezone, endAt, graceSeconds }, now = Date.now()) {
+  if (Boolean(sendAt) === Boolean(cron)) {
+    return 'Exactly one of sendAt and cron is required';
+  }
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    return `Unknown time zone ${timezone}`;
+  }
+  if (graceSeconds !== undefined && graceSeconds !== null && !(Number.isInteger(graceSeconds) && graceSeconds >= 0)) {
+    return 'graceSeconds must be a whole number of seconds';
+  }
+
+  if (sendAt) {
+    const time = Date.parse(sendAt);
+    if (Number.isNaN(time)) return `sendAt ${sendAt} is not a date-time`;
+    if (time <= now) return 'sendAt must be in the future';
+    if (endAt) return 'endAt only applies to cron schedules';
+    return null;
+  }
+
+  try {
+    parseCron(cron);
+  } catch (error) {
+    return `Invalid cron expression: ${error.message}`;
+  }
+  if (endAt) {
+    const time = Date.parse(endAt);
+    if (Number.isNaN(time)) return `endAt ${endAt} is not a date-time`;
+    if (time <= now) return 'endAt must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Create a message scheduler sending through a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for scheduled-messages.json (default './data')
+ * @param {number} options.retryDelayMs - Delay between attempts while the sender is not ready (default 30000)
+ * @param {number} options.graceMs - How late a message may still be sent, unless the job sets graceSeconds (default 1 hour)
+ * @param {number} options.maxRuns - Runs kept per job (default 20)
+ * @param {number} options.maxFinishedJobs - Finished and cancelled jobs kept (default 1000)
+ * @param {Function} options.send - async ({ sender, recipient, content }) => message (default manager.deliverMessage)
+ * @param {Function} options.now - Clock, for tests (default Date.now)
+ * @param {string} options.mediaDir - Directory for the media of scheduled jobs (default '{dataDir}/scheduled-messages-media')
+ * @returns {Object} - Scheduler
+ */
+function createMessageScheduler(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const send = settings.send || (({ sender, recipient, content }) => manager.deliverMessage(sender, recipient, content));
+  const store = createJsonFileStore(path.join(settings.dataDir, 'scheduled-messages.json'), []);
+  const media = createDetachedMedia(settings.mediaDir || path.join(settings.dataDir, 'scheduled-messages-media'));
+
+  const isFinished = job => job.status !== SCHEDULE_STATUS.SCHEDULED;
+
+  // Jobs in creation order (jobs stored before media was kept apart are converted on load)
+  let jobs = store.read().map(job => (isFinished(job) ? job : { ...job, content: media.detach(job.content) }));
+
+  // Ids of the jobs being sent
+  const running = new Set();
+
+  // Sends in progress, for idle()
+  const pending = new Set();
+
+  let timer = null;
+  let stopped = false;
+
+  const persist = () => {
+    const finished = jobs.filter(isFinished);
+    if (finished.length > settings.maxFinishedJobs) {
+      const drop = new Set(finished.slice(0, finished.length - settings.maxFinishedJobs));
+      jobs = jobs.filter(job => !drop.has(job));
+    }
+    store.write(jobs);
+  };
+
+  const copy = job => JSON.parse(JSON.stringify(job));
+
+  /**
+   * Delete the media file of content no longer sent, unless a scheduled job still needs it
+   * @param {string|Object} content - Stored message content
+   */
+  const releaseMedia = (content) => {
+    const file = media.fileOf(content);
+    if (file && !jobs.some(job => !isFinished(job) && media.fileOf(job.content) === file)) {
+      media.remove(file);
+    }
+  };
+
+  const findJob = (id) => {
+    const job = jobs.find(candidate => candidate.id === id);
+    if (!job) {
+      throw new WhatsAppManagerError(ERROR_CODES.NOT_FOUND, `No scheduled message with id ${id}`);
+    }
+    return job;
+  };
+
+  const graceFor = job => (job.graceSeconds !== null && job.graceSeconds !== undefined
+    ? job.graceSeconds * 1000
+    : settings.graceMs);
+
+  /**
+   * Get the next occurrence of a recurring job
+   * @param {Object} job - Recurring job
+   * @param {number} after - The occurrence is later than this
+   * @returns {string|null} - ISO time, or null when there is none before endAt
+   */
+  const nextOccurrence = (job, after) => {
+    const next = nextRun(job.cron, { after, timezone: job.timezone });
+    if (!next || (job.endAt && next.getTime() > Date.parse(job.endAt))) return null;
+    return next.toISOString();
+  };
+
+  /**
+   * Record the outcome of the run due at job.nextRunAt and move the job on
+   * @param {Object} job - Job
+   * @param {Object} run - { status, messageId, error, code }
+   */
+  const finishRun = (job, run) => {
+    const now = settings.now();
+    const scheduledFor = job.nextRunAt;
+    job.runs = [...job.runs, { scheduledFor, at: new Date(now).toISOString(), ...run }].slice(-settings.maxRuns);
+    job.runCount += 1;
+    job.nextAttemptAt = null;
+    job.updatedAt = new Date(now).toISOString();
+
+    // A job cancelled during the send keeps its status
+    if (job.status === SCHEDULE_STATUS.SCHEDULED) {
+      if (job.cron) {
+        job.nextRunAt = nextOccurrence(job, Math.max(now, Date.parse(scheduledFor)));
+        if (!job.nextRunAt) job.status = SCHEDULE_STATUS.COMPLETED;
+      } else {
+        job.status = run.status;
+      }
+    }
+    if (isFinished(job)) releaseMedia(job.content);
+    persist();
+
+    const log = manager.logFor(job.sender);
+    if (run.status === RUN_STATUS.SENT) {
+      log.info({ scheduleId: job.id, scheduledFor }, 'Scheduled message sent');
+    } else {
+      log.warn({ scheduleId: job.id, scheduledFor, code: run.code, error: run.error }, `Scheduled message ${run.status}`);
+    }
+  };
+
+  /**
+   * Try again later, or record a missed run once the grace period is over
+   * @param {Object} job - Job whose sender is not ready
+   * @param {string} code - CLIENT_NOT_FOUND or CLIENT_NOT_READY
+   * @param {string} reason - Why the message could not be sent
+   */
+  const retryOrMiss = (job, code, reason) => {
+    const retryAt = settings.now() + settings.retryDelayMs;
+    if (retryAt > Date.parse(job.nextRunAt) + graceFor(job)) {
+      finishRun(job, { status: RUN_STATUS.MISSED, messageId: null, error: reason, code });
+    } else {
+      job.nextAttemptAt = new Date(retryAt).toISOString();
+      job.updatedAt = new Date(settings.now()).toISOString();
+      persist();
+    }
+  };
+
+  /**
+   * Send a due job and record the outcome
+   * @param {Object} job - Job to send
+   * @returns {Promise<void>}
+   */
+  const fire = async (job) => {
+    running.add(job.id);
+    try {
+      const message = await send({ sender: job.sender, recipient: job.recipient, content: await media.attach(job.content) });
+      finishRun(job, {
+        status: RUN_STATUS.SENT,
+        messageId: message && message.id ? message.id._serialized : null,
+        error: null,
+        code: null
+      });
+    } catch (error) {
+      if (NOT_READY_ERROR_CODES.includes(error.code) && job.status === SCHEDULE_STATUS.SCHEDULED) {
+        retryOrMiss(job, error.code, error.message);
+      } else {
+        finishRun(job, { status: RUN_STATUS.FAILED, messageId: null, error: error.message, code: error.code || null });
+      }
+    } finally {
+      running.delete(job.id);
+      pump();
+    }
+  };
+
+  /**
+   * Start every due job and set a timer for the next one
+   */
+  const pump = () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = null;
+
+    const now = settings.now();
+    let wakeAt = Infinity;
+
+    for (const job of jobs) {
+      if (job.status !== SCHEDULE_STATUS.SCHEDULED || running.has(job.id)) continue;
+
+      const dueAt = Math.max(Date.parse(job.nextRunAt), job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0);
+      if (dueAt > now) {
+        wakeAt = Math.min(wakeAt, dueAt);
+        continue;
+      }
+
+      const state = manager.getState(job.sender);
+      if (state !== CLIENT_STATES.READY) {
+        // Senders that become ready earlier wake the scheduler with the manager's 'ready' event
+        retryOrMiss(
+          job,
+          state ? ERROR_CODES.CLIENT_NOT_READY : ERROR_CODES.CLIENT_NOT_FOUND,
+          state ? `Client for ${job.sender} is ${state}` : `No client for ${job.sender}`
+        );
+      } else if (now > Date.parse(job.nextRunAt) + graceFor(job)) {
+        finishRun(job, {
+          status: RUN_STATUS.MISSED,
+          messageId: null,
+          error: 'The grace period after the scheduled time passed before the message could be sent',
+          code: null
+        });
+      } else {
+        const sending = fire(job);
+        pending.add(sending);
+        sending.finally(() => pending.delete(sending));
+        continue;
+      }
+
+      // The job may still be due (a recurring job's next occurrence or a retry)
+      if (job.status === SCHEDULE_STATUS.SCHEDULED) {
+        wakeAt = Math.min(wakeAt, Math.max(Date.parse(job.nextRunAt), job.nextAttemptAt ? Date.parse(job.nextAttemptAt) : 0));
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      timer = setTimeout(pump, Math.min(MAX_TIMER_MS, Math.max(0, wakeAt - now)));
+    }
+  };
+
+  /**
+   * Check the content and timing of a job
+   * @param {Object} job - Job fields
+   * @param {boolean} timingChanged - Whether to check the timing too (a due time has passed on retries)
+   * @throws {WhatsAppManagerError} - UNSUPPORTED_CONTENT, VALIDATION_FAILED
+   */
+  const check = (job, timingChanged) => {
+    // Stored media content was checked when it was given
+    const contentError = media.fileOf(job.content) ? null : manager.validateContent(job.content);
+    if (contentError) {
+      throw new WhatsAppManagerError(ERROR_CODES.UNSUPPORTED_CONTENT, contentError);
+    }
+    const scheduleError = timingChanged ? validateSchedule(job, settings.now()) : null;
+    if (scheduleError) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, scheduleError);
+    }
+  };
+
+  /**
+   * Set the first time a job runs
+   * @param {Object} job - Job with valid timing
+   * @throws {WhatsAppManagerError} - VALIDATION_FAILED when a cron schedule never runs before endAt
+   */
+  const plan = (job) => {
+    job.nextAttemptAt = null;
+    if (job.sendAt) {
+      job.sendAt = new Date(job.sendAt).toISOString();
+      job.nextRunAt = job.sendAt;
+      return;
+    }
+    job.nextRunAt = nextOccurrence(job, settings.now());
+    if (!job.nextRunAt) {
+      throw new WhatsAppManagerError(ERROR_CODES.VALIDATION_FAILED, `The cron expression ${job.cron} has no time before endAt`);
+    }
+  };
+
+  const onReady = () => pump();
+  manager.on('ready', onReady);
+
+  // Send or record the jobs that came due while the server was not running
+  setImmediate(pump);
+
+  return {
+    /**
+     * Schedule a message
+     * @param {Object} params - Job parameters
+     * @param {string} params.sender - Sender phone number
+     * @param {string} params.recipient - Recipient phone number or chat id
+     * @param {string|Object} params.content - Message content (JSON-serializable)
+     * @param {string} [params.sendAt] - ISO time of a one-off message
+     * @param {string} [params.cron] - Cron expression of a recurring message
+     * @param {string} [params.timezone] - IANA time zone of the cron expression (default UTC)
+     * @param {string} [params.endAt] - ISO time after which a recurring message stops
+     * @param {number} [params.graceSeconds] - How late the message may still be sent (default graceMs)
+     * @returns {Object} - The job
+     * @throws {WhatsAppManagerError} - UNSUPPORTED_CONTENT, VALIDATION_FAILED
+     */
+    schedule: function({ sender, recipient, content, sendAt, cron, timezone, endAt, graceSeconds }) {
+      const now = new Date(settings.now()).toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        sender: manager.formatPhoneNumber(sender),
+        recipient,
+        content,
+        sendAt: sendAt || null,
+        cron: cron || null,
+        timezone: cron ? timezone || 'UTC' : null,
+        endAt: endAt ? new Date(endAt).toISOString() : null,
+        graceSeconds: graceSeconds === undefined ? null : graceSeconds,
+        status: SCHEDULE_STATUS.SCHEDULED,
+        nextRunAt: null,
+        nextAttemptAt: null,
+        runCount: 0,
+        runs: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      check(job, true);
+      plan(job);
+      job.content = media.detach(job.content);
+      jobs.push(job);
+      persist();
+
+      const created = copy(job);
+      pump();
+      return created;
+    },
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Object|null}
+     */
+    getJob: function(id) {
+      const job = jobs.find(candidate => candidate.id === id);
+      return job ? copy(job) : null;
+    },
+
+    /**
+     * List jobs
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.sender - Sender phone number
+     * @param {string} filter.status - Job status
+     * @returns {Array<Object>}
+     */
+    listJobs: function({ sender, status } = {}) {
+      const clientId = sender ? manager.formatPhoneNumber(sender) : null;
+      return jobs
+        .filter(job => (!clientId || job.sender === clientId) && (!status || job.status === status))
+        .map(copy);
+    },
+
+    /**
+     * Change a scheduled job; giving sendAt or cron replaces the other
+     * @param {string} id - Job ID
+     * @param {Object} changes - Any of recipient, content, sendAt, cron, timezone, endAt, graceSeconds
+     * @returns {Object} - The updated job
+     * @throws {WhatsAppManagerError} - NOT_FOUND, SCHEDULE_FINISHED, UNSUPPORTED_CONTENT, VALIDATION_FAILED
+     */
+    update: function(id, changes) {
+      const job = findJob(id);
+      if (isFinished(job)) {
+        throw new WhatsAppManagerError(ERROR_CODES.SCHEDULE_FINISHED, `Scheduled message ${id} is ${job.status}`);
+      }
+
+      const updated = { ...job };
+      for (const field of ['recipient', 'content', 'sendAt', 'cron', 'timezone', 'endAt', 'graceSeconds']) {
+        if (changes[field] !== undefined) updated[field] = changes[field];
+      }
+      if (changes.sendAt && !changes.cron) {
+        Object.assign(updated, { cron: null, timezone: null, endAt: null });
+      } else if (changes.cron && !changes.sendAt) {
+        updated.sendAt = null;
+        updated.timezone = updated.timezone || 'UTC';
+      }
+      if (updated.endAt) updated.endAt = new Date(updated.endAt).toISOString();
+
+      // The timing starts over when it changes; a retry of the current run keeps going otherwise
+      const timingChanged = ['sendAt', 'cron', 'timezone', 'endAt'].some(field => changes[field] !== undefined);
+      check(updated, timingChanged);
+      if (timingChanged) plan(updated);
+      if (changes.content !== undefined) updated.content = media.detach(updated.content);
+
+      const previousContent = job.content;
+      Object.assign(job, updated, { updatedAt: new Date(settings.now()).toISOString() });
+      if (changes.content !== undefined) releaseMedia(previousContent);
+      persist();
+      pump();
+      return copy(job);
+    },
+
+    /**
+     * Cancel a scheduled job (it is kept with the status cancelled)
+     * @param {string} id - Job ID
+     * @returns {Object} - The cancelled job
+     * @throws {WhatsAppManagerError} - NOT_FOUND, SCHEDULE_FINISHED
+     */
+    cancel: function(id) {
+      const job = findJob(id);
+      if (isFinished(job)) {
+        throw new WhatsAppManagerError(ERROR_CODES.SCHEDULE_FINISHED, `Scheduled message ${id} is ${job.status}`);
+      }
+      Object.assign(job, {
+        status: SCHEDULE_STATUS.CANCELLED,
+        nextAttemptAt: null,
+        updatedAt: new Date(settings.now()).toISOString()
+      });
+      releaseMedia(job.content);
+      persist();
+      pump();
+      return copy(job);
+    },
+
+    /**
+     * Wait until the sends in progress are finished
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      await Promise.all(Array.from(pending));
+    },
+
+    /**
+     * Stop sending and detach from the manager (jobs stay stored)
+     */
+    stop: function() {
+      stopped = true;
+      clearTimeout(timer);
+      manager.removeListener('ready', onReady);
+    }
+  };
+}
+
+module.exports = { createMessageScheduler, validateSchedule, SCHEDULE_STATUS, RUN_STATUS };
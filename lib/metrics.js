@@ -0,0 +1,300 @@
+const { CLIENT_STATES } = require('./clientState');
+
+/**
+ * Metrics - Prometheus metrics of the accounts, their messages and the webhook deliveries
+ *
+ * Counters and histograms are updated from the manager's events as they happen; the per-account
+ * gauges (state, uptime) and the queue gauge are read when the metrics are scraped, so a scrape
+ * never starts or touches a client. Every per-account series is labelled with client_id (the
+ * account's phone number without '+').
+ *
+ *   whatsapp_client_state{client_id,state}              1 for the account's current state, 0 otherwise
+ *   whatsapp_client_up{client_id}                       1 when the account is ready
+ *   whatsapp_client_uptime_seconds{client_id}           Seconds since the account became ready (0 when not ready)
+ *   whatsapp_client_reconnects_total{client_id}         Reconnect attempts
+ *   whatsapp_client_reconnect_failures_total{client_id} Reconnect cycles given up
+ *   whatsapp_client_disconnects_total{client_id}        Connections closed by WhatsApp or the browser
+ *   whatsapp_qr_codes_generated_total{client_id}        QR codes shown
+ *   whatsapp_messages_received_total{client_id,type}    Incoming messages, reactions, edits and deletions
+ *   whatsapp_messages_sent_total{client_id,type}        Messages sent
+ *   whatsapp_send_failures_total{client_id,code}        Sends that failed, by error code
+ *   whatsapp_send_duration_seconds{client_id}           Histogram of the time a send takes
+ *   whatsapp_webhook_deliveries_total{event,result}     Webhook deliveries, result delivered or failed
+ *   whatsapp_message_queue_jobs{status}                 Jobs in the outbound queue by status
+ */
+
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Upper bounds in seconds of the send duration histogram buckets
+const SEND_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set for the text format ('{a="1",b="2"}', or '' without labels)
+ * @param {Object} labels - Label values by name
+ * @returns {string}
+ * @private
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value for the text format
+ * @param {number} value
+ * @returns {string}
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Create a registry of counters, gauges and histograms rendered in the Prometheus text format
+ * @returns {Object} - Registry with counter, gauge, histogram, addCollector and render
+ */
+function createMetricsRegistry() {
+  // Metrics by name: { name, help, type, buckets, series: Map(label key -> { labels, value | counts, sum, count }) }
+  const metrics = new Map();
+
+  // Functions run before each render, to set the gauges read from current state
+  const collectors = [];
+
+  const define = (type, name, help, buckets) => {
+    const metric = { name, help, type, buckets, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  const seriesOf = (metric, labels, create) => {
+    const key = JSON.stringify(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return metric.series.get(key);
+  };
+
+  return {
+    /**
+     * Define a counter
+     * @param {string} name - Metric name (ending in _total)
+     * @param {string} help - Description
+     * @returns {{inc: Function}} - inc(labels, value = 1)
+     */
+    counter: function(name, help) {
+      const metric = define('counter', name, help);
+      return {
+        inc: (labels = {}, value = 1) => {
+          seriesOf(metric, labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    /**
+     * Define a gauge
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @returns {{set: Function, reset: Function}} - set(labels, value); reset() drops every series
+     */
+    gauge: function(name, help) {
+      const metric = define('gauge', name, help);
+      return {
+        set: (labels, value) => {
+          seriesOf(metric, labels, () => ({ value: 0 })).value = value;
+        },
+        reset: () => metric.series.clear()
+      };
+    },
+
+    /**
+     * Define a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+     * @returns {{observe: Function}} - observe(labels, value)
+     */
+    histogram: function(name, help, buckets) {
+      const metric = define('histogram', name, help, buckets);
+      return {
+        observe: (labels, value) => {
+          const series = seriesOf(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    /**
+     * Run a function before each render
+     * @param {Function} collector - Sets gauges from current state
+     */
+    addCollector: function(collector) {
+      collectors.push(collector);
+    },
+
+    /**
+     * Render every metric in the Prometheus text exposition format
+     * @returns {string}
+     */
+    render: function() {
+      for (const collector of collectors) {
+        collector();
+      }
+
+      const lines = [];
+      for (const metric of metrics.values()) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+            continue;
+          }
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+/**
+ * Create the metrics of a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {Object} options.messageQueue - Message queue whose jobs are counted (see lib/messageQueue)
+ * @param {Function} options.now - Clock, for tests (default Date.now)
+ * @returns {Object} - Metrics with render(), recordWebhookDelivery(delivery) and stop()
+ */
+function createMetrics(manager, options = {}) {
+  const now = options.now || Date.now;
+  const registry = createMetricsRegistry();
+
+  const clientState = registry.gauge('whatsapp_client_state', 'Current lifecycle state of each account (1 for the current state)');
+  const clientUp = registry.gauge('whatsapp_client_up', 'Whether the account is ready (1) or not (0)');
+  const clientUptime = registry.gauge('whatsapp_client_uptime_seconds', 'Seconds since the account became ready, 0 when not ready');
+  const reconnects = registry.counter('whatsapp_client_reconnects_total', 'Reconnect attempts of each account');
+  const reconnectFailures = registry.counter('whatsapp_client_reconnect_failures_total', 'Reconnect cycles given up for each account');
+  const disconnects = registry.counter('whatsapp_client_disconnects_total', 'Connections of each account closed by WhatsApp or the browser');
+  const qrCodes = registry.counter('whatsapp_qr_codes_generated_total', 'QR codes shown for each account');
+  const received = registry.counter('whatsapp_messages_received_total', 'Incoming messages, reactions, edits and deletions');
+  const sent = registry.counter('whatsapp_messages_sent_total', 'Messages sent');
+  const sendFailures = registry.counter('whatsapp_send_failures_total', 'Sends that failed, by error code');
+  const sendDuration = registry.histogram('whatsapp_send_duration_seconds', 'Time a send takes', SEND_DURATION_BUCKETS);
+  const webhookDeliveries = registry.counter('whatsapp_webhook_deliveries_total', 'Webhook deliveries by event and result');
+  const queueJobs = options.messageQueue
+    ? registry.gauge('whatsapp_message_queue_jobs', 'Jobs in the outbound message queue by status')
+    : null;
+
+  /**
+   * Add a collector whose errors are logged instead of failing the scrape
+   * @param {Function} collector
+   */
+  const addCollector = (collector) => registry.addCollector(() => {
+    try {
+      collector();
+    } catch (error) {
+      manager.logger.error({ err: error }, 'Error collecting metrics');
+    }
+  });
+
+  // Per-account gauges are read from the manager's clients at scrape time
+  addCollector(() => {
+    clientState.reset();
+    clientUp.reset();
+    clientUptime.reset();
+    for (const session of manager.listSessions()) {
+      const labels = { client_id: session.clientId };
+      for (const state of Object.values(CLIENT_STATES)) {
+        clientState.set({ ...labels, state }, session.state === state ? 1 : 0);
+      }
+      const ready = session.state === CLIENT_STATES.READY;
+      clientUp.set(labels, ready ? 1 : 0);
+      clientUptime.set(labels, ready ? Math.max(0, (now() - Date.parse(session.stateChangedAt)) / 1000) : 0);
+    }
+  });
+
+  if (queueJobs) {
+    addCollector(() => {
+      queueJobs.reset();
+      const counts = {};
+      for (const job of options.messageQueue.listJobs()) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+      for (const [status, count] of Object.entries(counts)) {
+        queueJobs.set({ status }, count);
+      }
+    });
+  }
+
+  const listeners = {
+    state_change: ({ clientId, to }) => {
+      if (to === CLIENT_STATES.RECONNECTING) reconnects.inc({ client_id: clientId });
+    },
+    reconnect_failed: ({ clientId }) => reconnectFailures.inc({ client_id: clientId }),
+    disconnected: ({ clientId }) => disconnects.inc({ client_id: clientId }),
+    qr: ({ clientId }) => qrCodes.inc({ client_id: clientId }),
+    message: (message) => received.inc({ client_id: message.clientId, type: message.type }),
+    message_sent: (message, timing) => {
+      sent.inc({ client_id: message.clientId, type: message.type });
+      if (timing) sendDuration.observe({ client_id: message.clientId }, timing.durationMs / 1000);
+    },
+    message_failed: (failure, timing) => {
+      sendFailures.inc({ client_id: failure.clientId, code: failure.code });
+      if (timing) sendDuration.observe({ client_id: failure.clientId }, timing.durationMs / 1000);
+    }
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    manager.on(event, listener);
+  }
+
+  return {
+    /**
+     * Render the metrics in the Prometheus text exposition format (see CONTENT_TYPE)
+     * @returns {string}
+     */
+    render: function() {
+      return registry.render();
+    },
+
+    /**
+     * Count a webhook delivery (pass as the dispatcher's onDelivery option, see lib/webhooks)
+     * @param {Object} delivery - { event, delivered }
+     */
+    recordWebhookDelivery: function({ event, delivered }) {
+      webhookDeliveries.inc({ event, result: delivered ? 'delivered' : 'failed' });
+    },
+
+    /**
+     * Detach from the manager
+     */
+    stop: function() {
+      for (const [event, listener] of Object.entries(listeners)) {
+        manager.off(event, listener);
+      }
+    }
+  };
+}
+
+module.exports = { createMetrics, createMetricsRegistry, CONTENT_TYPE };
@@ -0,0 +1,153 @@
+const path = require('path');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { normalizePhoneNumber } = require('./phone');
+
+/**
+ * Opt-Outs - Contacts who asked an account to stop sending them campaigns
+ *
+ * A contact who sends one of the stop keywords (STOP, UNSUBSCRIBE, ...) as the whole message in a
+ * direct chat is opted out of the campaigns of the account that received it; one of the start
+ * keywords (START) opts them back in. Opt-outs can also be added and removed through the API and
+ * are stored in {dataDir}/opt-outs.json. Contacts are keyed by phone number without the '+',
+ * like the client ids of accounts.
+ */
+
+// How an opt-out was recorded
+const OPT_OUT_SOURCES = Object.freeze({
+  REPLY: 'reply',
+  API: 'api'
+});
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  stopKeywords: ['stop', 'stopall', 'unsubscribe'],
+  startKeywords: ['start', 'unstop']
+};
+
+/**
+ * Create an opt-out list kept up to date from the messages an account receives
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for opt-outs.json (default './data')
+ * @param {Array<string>} options.stopKeywords - Messages that opt a contact out, in any case
+ * @param {Array<string>} options.startKeywords - Messages that opt a contact back in, in any case
+ * @returns {Object} - Opt-out list
+ */
+function createOptOutList(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const stopKeywords = new Set(settings.stopKeywords.map(keyword => keyword.toLowerCase()));
+  const startKeywords = new Set(settings.startKeywords.map(keyword => keyword.toLowerCase()));
+  const store = createJsonFileStore(path.join(settings.dataDir, 'opt-outs.json'), []);
+
+  // Opt-outs by 'account:contact'
+  const entries = new Map(store.read().map(entry => [`${entry.account}:${entry.contact}`, entry]));
+
+  const persist = () => store.write(Array.from(entries.values()));
+
+  /**
+   * Get the key of a contact
+   * @param {string} contact - Phone number
+   * @returns {string} - Digits of the E.164 number
+   * @throws {WhatsAppManagerError} - RECIPIENT_INVALID
+   */
+  const contactKey = (contact) => {
+    const phoneNumber = normalizePhoneNumber(contact);
+    if (!phoneNumber) {
+      throw new WhatsAppManagerError(ERROR_CODES.RECIPIENT_INVALID, `${contact} is not a valid phone number`);
+    }
+    return phoneNumber.slice(1);
+  };
+
+  const add = (account, contact, source) => {
+    const entry = {
+      account: manager.formatPhoneNumber(account),
+      contact: contactKey(contact),
+      source,
+      optedOutAt: new Date().toISOString()
+    };
+    const key = `${entry.account}:${entry.contact}`;
+    if (entries.has(key)) return { ...entries.get(key) };
+
+    entries.set(key, entry);
+    persist();
+    return { ...entry };
+  };
+
+  const remove = (account, contact) => {
+    const removed = entries.delete(`${manager.formatPhoneNumber(account)}:${contactKey(contact)}`);
+    if (removed) persist();
+    return removed;
+  };
+
+  const subscription = manager.subscribe((message) => {
+    if (!message.sender.phoneNumber) return;
+    const keyword = (message.body || '').trim().toLowerCase();
+
+    if (stopKeywords.has(keyword)) {
+      add(message.clientId, message.sender.phoneNumber, OPT_OUT_SOURCES.REPLY);
+      manager.logFor(message.clientId).info({ chatId: message.chatId }, 'Contact opted out');
+    } else if (startKeywords.has(keyword) && remove(message.clientId, message.sender.phoneNumber)) {
+      manager.logFor(message.clientId).info({ chatId: message.chatId }, 'Contact opted back in');
+    }
+  }, { fromMe: false, isGroup: false, type: 'chat' });
+
+  return {
+    /**
+     * Check whether a contact opted out of an account's campaigns
+     * @param {string} account - Account phone number
+     * @param {string} contact - Contact phone number
+     * @returns {boolean}
+     */
+    isOptedOut: function(account, contact) {
+      const phoneNumber = normalizePhoneNumber(contact);
+      return Boolean(phoneNumber) && entries.has(`${manager.formatPhoneNumber(account)}:${phoneNumber.slice(1)}`);
+    },
+
+    /**
+     * Opt a contact out of an account's campaigns
+     * @param {string} account - Account phone number
+     * @param {string} contact - Contact phone number
+     * @returns {Object} - The opt-out (the existing one if the contact already opted out)
+     * @throws {WhatsAppManagerError} - RECIPIENT_INVALID
+     */
+    add: function(account, contact) {
+      return add(account, contact, OPT_OUT_SOURCES.API);
+    },
+
+    /**
+     * Opt a contact back in
+     * @param {string} account - Account phone number
+     * @param {string} contact - Contact phone number
+     * @returns {boolean} - False if the contact had not opted out
+     * @throws {WhatsAppManagerError} - RECIPIENT_INVALID
+     */
+    remove: function(account, contact) {
+      return remove(account, contact);
+    },
+
+    /**
+     * List opt-outs, oldest first
+     * @param {string} [account] - Only the opt-outs of this account
+     * @returns {Array<Object>}
+     */
+    list: function(account) {
+      const clientId = account ? manager.formatPhoneNumber(account) : null;
+      return Array.from(entries.values())
+        .filter(entry => !clientId || entry.account === clientId)
+        .map(entry => ({ ...entry }));
+    },
+
+    /**
+     * Stop following received messages
+     */
+    stop: function() {
+      subscription.unsubscribe();
+    }
+  };
+}
+
+module.exports = { createOptOutList, OPT_OUT_SOURCES };
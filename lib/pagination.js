@@ -0,0 +1,62 @@
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+
+/**
+ * Pagination - Cursors and time bounds for paging through chats and messages
+ *
+ * A cursor marks a position in a list ordered newest first: the timestamp (seconds) and id of
+ * the last item of a page. It is opaque to API users (base64url JSON) and is passed back as
+ * 'before' to get the next, older page. 'before' and 'after' also accept a plain time bound:
+ * seconds since the epoch or an ISO 8601 date.
+ */
+
+/**
+ * Encode a cursor for an item
+ * @param {number} timestamp - Item timestamp in seconds
+ * @param {string} id - Item id
+ * @returns {string}
+ */
+function encodeCursor(timestamp, id) {
+  return Buffer.from(JSON.stringify({ t: timestamp, id })).toString('base64url');
+}
+
+/**
+ * Read a cursor or a time bound
+ * @param {string|number} value - Cursor, seconds since the epoch, or ISO 8601 date
+ * @returns {{timestamp: number, id: string|null}}
+ * @throws {WhatsAppManagerError} - INVALID_CURSOR
+ */
+function parseBound(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return { timestamp: Number(value), id: null };
+  }
+
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(Date.parse(text))) {
+    return { timestamp: Math.floor(Date.parse(text) / 1000), id: null };
+  }
+
+  try {
+    const { t, id } = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    if (Number.isFinite(t) && typeof id === 'string') {
+      return { timestamp: t, id };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new WhatsAppManagerError(ERROR_CODES.INVALID_CURSOR, `Invalid cursor or time: ${text}`);
+}
+
+/**
+ * Clamp a requested page size
+ * @param {number|string} limit - Requested size
+ * @param {number} defaultLimit - Size when none is requested
+ * @param {number} maxLimit - Largest size allowed
+ * @returns {number}
+ */
+function pageLimit(limit, defaultLimit = 50, maxLimit = 200) {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) return defaultLimit;
+  return Math.min(parsed, maxLimit);
+}
+
+module.exports = { encodeCursor, parseBound, pageLimit };
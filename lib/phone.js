@@ -0,0 +1,53 @@
+/**
+ * Phone - E.164 phone number and WhatsApp id helpers
+ *
+ * Phone numbers are accepted as typed by people ('+1 (234) 567-890', '001234567890',
+ * '1234567890') and normalized to E.164 ('+1234567890'): a country code starting with 1-9 and
+ * at most 15 digits in all. The client id of an account is its E.164 number without the '+'.
+ * Recipients may also be WhatsApp ids, which are used as given.
+ */
+
+// Separators people type inside phone numbers
+const SEPARATORS = /[\s\-.()/]/g;
+
+const E164 = /^\+[1-9]\d{1,14}$/;
+
+// Contact, group, linked-device, broadcast and channel ids
+const CHAT_ID = /^[^@\s]+@(c\.us|g\.us|s\.whatsapp\.net|lid|broadcast|newsletter)$/;
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} value - Phone number, with or without '+', '00' prefix and separators
+ * @returns {string|null} - '+<digits>', or null if the value is not a valid phone number
+ */
+function normalizePhoneNumber(value) {
+  if (typeof value !== 'string') return null;
+  let number = value.trim().replace(SEPARATORS, '');
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  } else if (!number.startsWith('+')) {
+    number = `+${number}`;
+  }
+  return E164.test(number) ? number : null;
+}
+
+/**
+ * Check whether a value is a WhatsApp id ('1111@c.us', '...@g.us', ...)
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isChatId(value) {
+  return typeof value === 'string' && CHAT_ID.test(value);
+}
+
+/**
+ * Normalize a message recipient: WhatsApp ids are kept, phone numbers are normalized to E.164
+ * @param {string} value - Phone number or WhatsApp id
+ * @returns {string|null} - The id or E.164 number, or null if the value is neither
+ */
+function normalizeRecipient(value) {
+  if (isChatId(value)) return value;
+  return normalizePhoneNumber(value);
+}
+
+module.exports = { normalizePhoneNumber, normalizeRecipient, isChatId };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { appendJsonLine } = require('./jsonFileStore');
+
+/**
+ * Receipts - Delivery and read status of sent messages
+ *
+ * WhatsApp reports the progress of a sent message as an ack level. The tracker records every
+ * forward transition per message (pending → server → device → read → played) in
+ * {dataDir}/receipts.jsonl and keeps the latest status of each message in memory. Acks can
+ * arrive out of order, so a lower level than the current one is ignored; an error ack is
+ * always recorded.
+ */
+
+// whatsapp-web.js ack levels (MessageAck) and the status names used by the service
+const ACK_STATUS = Object.freeze({
+  '-1': 'error',
+  0: 'pending',
+  1: 'server',
+  2: 'device',
+  3: 'read',
+  4: 'played'
+});
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  retentionDays: 30
+};
+
+/**
+ * Get the status name of an ack level
+ * @param {number} ack - whatsapp-web.js ack level (-1 to 4)
+ * @returns {string|null} - 'error', 'pending', 'server', 'device', 'read' or 'played'; null if unknown
+ */
+function ackStatus(ack) {
+  return ACK_STATUS[ack] || null;
+}
+
+/**
+ * Create a tracker recording the receipts of a manager's sent messages
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for receipts.jsonl (default './data')
+ * @param {number} options.retentionDays - Forget messages sent more than this many days ago, on start (default 30)
+ * @returns {Object} - Tracker with getStatus(messageId)
+ */
+function createReceiptTracker(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const filePath = path.join(settings.dataDir, 'receipts.jsonl');
+
+  // Latest receipt per serialized message id
+  const receipts = new Map();
+
+  // Appends run one after the other, in order
+  let writing = Promise.resolve();
+
+  /**
+   * Apply a transition to the in-memory receipt
+   * @param {Object} entry - { messageId, clientId, chatId, ack, at }
+   * @returns {boolean} - False when the transition is older than the current status
+   */
+  const apply = (entry) => {
+    const current = receipts.get(entry.messageId);
+    if (current && entry.ack !== -1 && entry.ack <= current.ack) {
+      return false;
+    }
+
+    const transition = { status: ackStatus(entry.ack), ack: entry.ack, at: entry.at };
+    if (current) {
+      current.history.push(transition);
+      Object.assign(current, { status: transition.status, ack: entry.ack, updatedAt: entry.at });
+    } else {
+      receipts.set(entry.messageId, {
+        messageId: entry.messageId,
+        clientId: entry.clientId,
+        chatId: entry.chatId,
+        status: transition.status,
+        ack: entry.ack,
+        sentAt: entry.at,
+        updatedAt: entry.at,
+        history: [transition]
+      });
+    }
+    return true;
+  };
+
+  const record = (entry) => {
+    if (!entry.messageId || ackStatus(entry.ack) === null || !apply(entry)) return;
+    writing = writing
+      .then(() => appendJsonLine(filePath, entry))
+      .catch(error => manager.logger.error({ err: error }, 'Error writing receipt'));
+  };
+
+  // Replay the stored transitions, then rewrite the log without the expired messages
+  let lines = [];
+  try {
+    lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      manager.logger.warn('Skipping unreadable receipt entry');
+    }
+  }
+  entries.forEach(apply);
+
+  const cutoff = Date.now() - settings.retentionDays * 24 * 60 * 60 * 1000;
+  const expired = Array.from(receipts.values()).filter(receipt => Date.parse(receipt.sentAt) < cutoff);
+  if (expired.length) {
+    expired.forEach(receipt => receipts.delete(receipt.messageId));
+    const kept = entries.filter(entry => receipts.has(entry.messageId));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, kept.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  const listeners = {
+    message_sent: (message) => record({
+      messageId: message.id,
+      clientId: message.clientId,
+      chatId: message.chatId,
+      ack: typeof message.ack === 'number' ? message.ack : 0,
+      at: new Date().toISOString()
+    }),
+    message_ack: ({ messageId, clientId, chatId, ack, at }) => record({ messageId, clientId, chatId, ack, at })
+  };
+  for (const [event, listener] of Object.entries(listeners)) {
+    manager.on(event, listener);
+  }
+
+  return {
+    /**
+     * Get the receipt of a sent message
+     * @param {string} messageId - Serialized message id
+     * @returns {Object|null} - { messageId, clientId, chatId, status, ack, sentAt, updatedAt,
+     *   history: [{ status, ack, at }] }, or null for unknown messages
+     */
+    getStatus: function(messageId) {
+      const receipt = receipts.get(messageId);
+      return receipt ? { ...receipt, history: receipt.history.map(transition => ({ ...transition })) } : null;
+    },
+
+    /**
+     * Wait for every queued write
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      let current;
+      do {
+        current = writing;
+        await current;
+      } while (current !== writing);
+    },
+
+    /**
+     * Stop recording receipts
+     */
+    stop: function() {
+      for (const [event, listener] of Object.entries(listeners)) {
+        manager.removeListener(event, listener);
+      }
+    }
+  };
+}
+
+module.exports = { createReceiptTracker, ackStatus, ACK_STATUS };
@@ -0,0 +1,156 @@
+const { CLIENT_STATES } = require('./clientState');
+
+/**
+ * Reconnect Supervisor - Restarts clients that lose their connection
+ *
+ * Listens to the manager's 'state_change' events. When a client becomes disconnected it is moved
+ * to 'reconnecting' and restarted after an exponential backoff delay with jitter. A client that
+ * fails again during a reconnect cycle is retried until maxRetries is reached, after which the
+ * supervisor emits 'reconnect_failed' on the manager and leaves the client in the failed state.
+ * A reconnect that ends with a QR code (stored session no longer valid) stops the cycle, since
+ * only a person scanning the code can fix it.
+ */
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  maxRetries: 10,
+  jitter: 0.2,
+  random: Math.random
+};
+
+/**
+ * Compute the delay before a reconnect attempt
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {Object} options - Backoff options (baseDelayMs, maxDelayMs, jitter, random)
+ * @returns {number} - Delay in milliseconds
+ */
+function computeDelay(attempt, options = {}) {
+  const { baseDelayMs, maxDelayMs, jitter, random } = { ...DEFAULT_OPTIONS, ...options };
+  const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  // Spread the delay by +/- jitter so many clients dropped at once don't reconnect together
+  const spread = 1 + jitter * (random() * 2 - 1);
+  return Math.round(exponential * spread);
+}
+
+/**
+ * Create a reconnect supervisor for a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {number} options.baseDelayMs - Delay before the first attempt (default 1000)
+ * @param {number} options.maxDelayMs - Upper bound for the exponential delay (default 60000)
+ * @param {number} options.maxRetries - Attempts before giving up (default 10)
+ * @param {number} options.jitter - Random spread as a fraction of the delay (default 0.2)
+ * @param {Function} options.random - Random number source, for tests (default Math.random)
+ * @returns {Object} - Supervisor with stop() and getAttempts(clientId)
+ */
+function createReconnectSupervisor(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  // Current attempt number per clientId, present only while a reconnect cycle is running
+  const attempts = new Map();
+
+  // Pending reconnect timers per clientId
+  const timers = new Map();
+
+  let stopped = false;
+
+  /**
+   * Schedule the next reconnect attempt for a client
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   */
+  const schedule = (clientId) => {
+    const attempt = (attempts.get(clientId) || 0) + 1;
+
+    if (attempt > settings.maxRetries) {
+      manager.logFor(clientId).error({ attempts: settings.maxRetries }, 'Giving up reconnecting');
+      attempts.delete(clientId);
+      manager.emit('reconnect_failed', { clientId, attempts: settings.maxRetries });
+      return;
+    }
+
+    const delayMs = computeDelay(attempt, settings);
+    attempts.set(clientId, attempt);
+    manager.setState(clientId, CLIENT_STATES.RECONNECTING, { attempt, delayMs });
+    manager.logFor(clientId).info({ attempt, maxRetries: settings.maxRetries, delayMs }, 'Reconnecting');
+
+    const timer = setTimeout(() => {
+      timers.delete(clientId);
+      if (manager.getState(clientId) !== CLIENT_STATES.RECONNECTING) return;
+
+      manager.getLoginQR(clientId).catch(error => {
+        manager.logFor(clientId).error({ err: error, attempt }, 'Reconnect attempt failed');
+      });
+    }, delayMs);
+    timers.set(clientId, timer);
+  };
+
+  /**
+   * Stop the reconnect cycle of a client
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   */
+  const cancel = (clientId) => {
+    clearTimeout(timers.get(clientId));
+    timers.delete(clientId);
+    attempts.delete(clientId);
+  };
+
+  /**
+   * Schedule a reconnect once the current state change has been delivered to every listener
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @param {string} state - State that triggered the reconnect
+   */
+  const scheduleAfter = (clientId, state) => {
+    setImmediate(() => {
+      if (!stopped && manager.getState(clientId) === state) {
+        schedule(clientId);
+      }
+    });
+  };
+
+  const onStateChange = ({ clientId, to }) => {
+    switch (to) {
+      case CLIENT_STATES.DISCONNECTED:
+        scheduleAfter(clientId, to);
+        break;
+      case CLIENT_STATES.FAILED:
+        // Only failures of a client we restarted are retried; a fresh login failure needs a person
+        if (attempts.has(clientId)) {
+          scheduleAfter(clientId, to);
+        }
+        break;
+      case CLIENT_STATES.READY:
+      case CLIENT_STATES.AWAITING_QR:
+      case CLIENT_STATES.LOGGED_OUT:
+        cancel(clientId);
+        break;
+    }
+  };
+
+  manager.on('state_change', onStateChange);
+
+  return {
+    /**
+     * Get the current reconnect attempt of a client
+     * @param {string} clientId - Client ID (formatted phoneNumber)
+     * @returns {number} - Attempt number, 0 when no reconnect is running
+     */
+    getAttempts: function(clientId) {
+      return attempts.get(clientId) || 0;
+    },
+
+    /**
+     * Detach from the manager and cancel all pending reconnects
+     */
+    stop: function() {
+      stopped = true;
+      manager.removeListener('state_change', onStateChange);
+      for (const clientId of Array.from(timers.keys())) {
+        cancel(clientId);
+      }
+      attempts.clear();
+    }
+  };
+}
+
+module.exports = { createReconnectSupervisor, computeDelay };
@@ -0,0 +1,200 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+
+/**
+ * Remote Media - Downloads media given by URL, with a size cap and away from internal networks
+ *
+ * Media URLs come from API callers but are fetched by the server, so a download:
+ * - refuses hosts resolving to loopback, private, link-local or other non-public addresses (the
+ *   address checked is the one connected to, so DNS rebinding cannot get around it), except the
+ *   hosts listed in allowedHosts
+ * - refuses a Content-Length above maxBytes and stops reading once maxBytes is passed
+ * - follows at most MAX_REDIRECTS redirects, each checked the same way
+ */
+
+const MAX_REDIRECTS = 5;
+const TIMEOUT_MS = 30000;
+
+// Addresses that are not on the public internet
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is outside the public internet (IPv4-mapped IPv6 addresses are
+ * checked against the IPv4 ranges)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True also for anything that is not an IP address
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Build the error of a URL whose host may not be reached
+ * @param {string} hostname - Host of the URL
+ * @returns {WhatsAppManagerError}
+ * @private
+ */
+function blockedHost(hostname) {
+  return new WhatsAppManagerError(
+    ERROR_CODES.INVALID_MEDIA,
+    `Media URLs may not point to ${hostname}, which is not a public address`
+  );
+}
+
+/**
+ * Build the error of a download larger than its limit
+ * @param {number} size - Bytes declared or read so far
+ * @param {number} maxBytes - Limit
+ * @returns {WhatsAppManagerError}
+ * @private
+ */
+function tooLarge(size, maxBytes) {
+  return new WhatsAppManagerError(
+    ERROR_CODES.MEDIA_TOO_LARGE,
+    `The media at this URL is over ${maxBytes} bytes`,
+    { size, maxBytes }
+  );
+}
+
+/**
+ * dns.lookup refusing names that resolve to a private address (used as the http lookup option)
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ * @private
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(blockedHost(hostname));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Get the file name of a URL path
+ * @param {URL} url - URL
+ * @returns {string|null}
+ * @private
+ */
+function urlFilename(url) {
+  try {
+    return path.posix.basename(decodeURIComponent(url.pathname)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Download the media at a URL
+ * @param {string} url - http(s) URL
+ * @param {Object} options - Optional configuration
+ * @param {number} options.maxBytes - Largest download accepted (default no limit)
+ * @param {Array<string>} options.allowedHosts - Host names that may resolve to private addresses
+ * @param {number} redirects - Redirects followed so far
+ * @returns {Promise<{buffer: Buffer, mimetype: string|null, filename: string|null}>} - Content,
+ *   the Content-Type of the response and the file name of the URL
+ * @throws {WhatsAppManagerError} - INVALID_MEDIA for a URL that may not be fetched, MEDIA_TOO_LARGE
+ *   past maxBytes
+ */
+function downloadMedia(url, options = {}, redirects = 0) {
+  const { maxBytes = Infinity, allowedHosts = [] } = options;
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      return reject(new WhatsAppManagerError(ERROR_CODES.INVALID_MEDIA, `Invalid media URL ${url}`));
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      return reject(new WhatsAppManagerError(ERROR_CODES.INVALID_MEDIA, 'Media URLs must use http or https'));
+    }
+
+    // IP literals are connected to without a lookup, so they are checked here
+    const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    const trusted = allowedHosts.map(host => host.toLowerCase()).includes(hostname);
+    if (!trusted && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(blockedHost(hostname));
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const request = transport.get(target, { lookup: trusted ? undefined : publicLookup, timeout: TIMEOUT_MS }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new WhatsAppManagerError(ERROR_CODES.INVALID_MEDIA, `Media URL redirects more than ${MAX_REDIRECTS} times`));
+        }
+        return resolve(downloadMedia(new URL(headers.location, target).href, options, redirects + 1));
+      }
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(new Error(`Media download from ${target.host} failed with status ${statusCode}`));
+      }
+
+      const declared = Number(headers['content-length']);
+      if (declared > maxBytes) {
+        response.destroy();
+        return reject(tooLarge(declared, maxBytes));
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          return reject(tooLarge(size, maxBytes));
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({
+        buffer: Buffer.concat(chunks),
+        mimetype: (headers['content-type'] || '').split(';')[0].trim() || null,
+        filename: urlFilename(target)
+      }));
+      response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Media download from ${target.host} timed out`)));
+    request.on('error', reject);
+  });
+}
+
+module.exports = { downloadMedia, isPrivateAddress };
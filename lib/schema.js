@@ -0,0 +1,162 @@
+const { ERROR_CODES } = require('./errors');
+const { normalizePhoneNumber, normalizeRecipient } = require('./phone');
+
+/**
+ * Schema - Validates request data against a subset of JSON Schema
+ *
+ * The route schemas double as the OpenAPI description of the HTTP API (see routes/openapi), so
+ * they are plain JSON Schema. Supported keywords: type (one type or a list), enum, minLength,
+ * maxLength, pattern, format, minimum, maximum, items, minItems, maxItems, properties, required,
+ * additionalProperties (true/false) and minProperties.
+ *
+ * Formats:
+ *   phone      E.164 phone number, separators allowed (see lib/phone)
+ *   recipient  Phone number or WhatsApp id ('1111@c.us', '...@g.us')
+ *   date-time  Anything Date.parse reads
+ *   uri        Absolute URL
+ */
+
+// Validators of the supported formats, and the error code reported when a value does not match
+const FORMATS = {
+  phone: { test: value => normalizePhoneNumber(value) !== null, code: ERROR_CODES.PHONE_INVALID, message: 'must be an E.164 phone number' },
+  recipient: { test: value => normalizeRecipient(value) !== null, code: ERROR_CODES.RECIPIENT_INVALID, message: 'must be a phone number or WhatsApp id' },
+  'date-time': { test: value => !Number.isNaN(Date.parse(value)), code: ERROR_CODES.VALIDATION_FAILED, message: 'must be a date and time' },
+  uri: {
+    test: value => {
+      try {
+        return Boolean(new URL(value));
+      } catch (error) {
+        return false;
+      }
+    },
+    code: ERROR_CODES.VALIDATION_FAILED,
+    message: 'must be an absolute URL'
+  }
+};
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Read a query or path string as the scalar type a schema expects
+ * @param {*} value - Value as received
+ * @param {Array<string>} types - Types the schema allows
+ * @returns {*} - Converted value, or the value unchanged when it does not convert
+ * @private
+ */
+function coerce(value, types) {
+  if (typeof value !== 'string') return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ['true', 'false', '1', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  return value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (supported subset, see above)
+ * @param {*} value - Value to check
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.coerce - Accept the string forms of numbers and booleans (query and path values)
+ * @param {string} options.field - Name of the value in error messages (default: none)
+ * @returns {Array<{field: string, message: string, code: string}>} - Errors, empty when the value is valid
+ */
+function validateSchema(schema, value, options = {}) {
+  const errors = [];
+  const field = options.field || '';
+
+  const fail = (message, code = ERROR_CODES.VALIDATION_FAILED) => {
+    errors.push({ field, message: field ? `${field} ${message}` : message, code });
+    return errors;
+  };
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  const actual = options.coerce && types ? coerce(value, types) : value;
+  const actualType = typeOf(actual);
+
+  if (types && !types.includes(actualType) && !(actualType === 'integer' && types.includes('number'))) {
+    return fail(`must be of type ${types.join(' or ')}`);
+  }
+  if (schema.enum && !schema.enum.includes(actual)) {
+    return fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && actual.length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && actual.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(actual)) {
+      return fail(`must match ${schema.pattern}`);
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format.test(actual)) {
+      return fail(format.message, format.code);
+    }
+  }
+
+  if (actualType === 'integer' || actualType === 'number') {
+    if (schema.minimum !== undefined && actual < schema.minimum) {
+      return fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && actual > schema.maximum) {
+      return fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && actual.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && actual.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      actual.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, { ...options, field: `${field}[${index}]` }));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+    for (const name of schema.required || []) {
+      if (actual[name] === undefined || actual[name] === null || actual[name] === '') {
+        errors.push({ field: `${prefix}${name}`, message: `${prefix}${name} is required`, code: ERROR_CODES.VALIDATION_FAILED });
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(actual)) {
+      if (propertyValue === undefined) continue;
+      if (properties[name]) {
+        // Required-but-empty values were reported above
+        if ((schema.required || []).includes(name) && (propertyValue === null || propertyValue === '')) continue;
+        errors.push(...validateSchema(properties[name], propertyValue, { ...options, field: `${prefix}${name}` }));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${prefix}${name}`, message: `${prefix}${name} is not allowed`, code: ERROR_CODES.VALIDATION_FAILED });
+      }
+    }
+    if (schema.minProperties !== undefined && Object.keys(actual).length < schema.minProperties) {
+      fail(`must have at least ${schema.minProperties} of ${Object.keys(properties).join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema, FORMATS };
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+
+/**
+ * Session Archive - Encrypted file for moving a stored session to another host
+ *
+ * An archive holds the files a session store exported for one account (see lib/sessionStore),
+ * gzipped and encrypted with AES-256-GCM under a key derived from a passphrase with scrypt:
+ *
+ *   'WAMSESS' + version (8 bytes) | salt (16) | iv (12) | auth tag (16) | ciphertext
+ *
+ * The plaintext is a 4-byte header length, a JSON header ({ clientId, format, exportedAt,
+ * files: [{ path, size }] }) and the content of the files one after the other. A wrong
+ * passphrase and a damaged archive both fail the GCM check, so neither is ever unpacked.
+ */
+
+const MAGIC = Buffer.from('WAMSESS\x01', 'latin1');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// scrypt cost of version 1 archives (16 MB of memory per derivation)
+const SCRYPT_OPTIONS = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+const scrypt = promisify(crypto.scrypt);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Build the error of an archive that cannot be read
+ * @param {string} message - What is wrong
+ * @returns {WhatsAppManagerError}
+ * @private
+ */
+function invalidArchive(message) {
+  return new WhatsAppManagerError(ERROR_CODES.SESSION_ARCHIVE_INVALID, message);
+}
+
+/**
+ * Derive the encryption key of an archive
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Random salt stored in the archive
+ * @returns {Promise<Buffer>} - 32-byte key
+ * @private
+ */
+function deriveKey(passphrase, salt) {
+  return scrypt(String(passphrase), salt, 32, SCRYPT_OPTIONS);
+}
+
+/**
+ * Check that an archived file path stays inside the directory it is unpacked to
+ * @param {string} filePath - Relative path with '/' separators
+ * @returns {boolean}
+ * @private
+ */
+function isSafePath(filePath) {
+  return typeof filePath === 'string' && filePath !== '' &&
+    !filePath.startsWith('/') && !filePath.includes('\\') && !filePath.includes('\0') &&
+    filePath.split('/').every(part => part !== '' && part !== '.' && part !== '..');
+}
+
+/**
+ * Pack and encrypt an exported session
+ * @param {Object} session - Exported session
+ * @param {string} session.clientId - Client ID of the account
+ * @param {string} session.format - Format of the files (see the session store that exported them)
+ * @param {Array<{path: string, data: Buffer}>} session.files - Files, with relative '/'-separated paths
+ * @param {string} passphrase - Passphrase the archive is encrypted with
+ * @returns {Promise<Buffer>} - Archive
+ */
+async function sealSessionArchive({ clientId, format, files }, passphrase) {
+  const header = Buffer.from(JSON.stringify({
+    clientId,
+    format,
+    exportedAt: new Date().toISOString(),
+    files: files.map(file => ({ path: file.path, size: file.data.length }))
+  }));
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+  const plaintext = await gzip(Buffer.concat([headerLength, header, ...files.map(file => file.data)]));
+
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  cipher.setAAD(MAGIC);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt and unpack an archive made by sealSessionArchive
+ * @param {Buffer} archive - Archive
+ * @param {string} passphrase - Passphrase the archive was encrypted with
+ * @returns {Promise<{clientId: string, format: string, exportedAt: string, files: Array<{path: string, data: Buffer}>}>}
+ * @throws {WhatsAppManagerError} - SESSION_ARCHIVE_INVALID when the archive is not a session
+ *   archive, the passphrase is wrong or the content is damaged
+ */
+async function openSessionArchive(archive, passphrase) {
+  const prefixBytes = MAGIC.length + SALT_BYTES + IV_BYTES + TAG_BYTES;
+  if (!Buffer.isBuffer(archive) || archive.length <= prefixBytes || !archive.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw invalidArchive('Not a session archive');
+  }
+
+  let offset = MAGIC.length;
+  const salt = archive.subarray(offset, offset += SALT_BYTES);
+  const iv = archive.subarray(offset, offset += IV_BYTES);
+  const tag = archive.subarray(offset, offset += TAG_BYTES);
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+    decipher.setAAD(MAGIC);
+    decipher.setAuthTag(tag);
+    plaintext = await gunzip(Buffer.concat([decipher.update(archive.subarray(offset)), decipher.final()]));
+  } catch (error) {
+    throw invalidArchive('Wrong passphrase or damaged session archive');
+  }
+
+  let header;
+  try {
+    const headerLength = plaintext.readUInt32BE(0);
+    header = JSON.parse(plaintext.subarray(4, 4 + headerLength).toString('utf8'));
+    offset = 4 + headerLength;
+  } catch (error) {
+    throw invalidArchive('Session archive header cannot be read');
+  }
+
+  const files = [];
+  for (const { path: filePath, size } of header.files || []) {
+    if (!isSafePath(filePath) || !Number.isInteger(size) || size < 0 || offset + size > plaintext.length) {
+      throw invalidArchive(`Session archive entry ${JSON.stringify(filePath)} is invalid`);
+    }
+    files.push({ path: filePath, data: plaintext.subarray(offset, offset += size) });
+  }
+
+  return { clientId: header.clientId, format: header.format, exportedAt: header.exportedAt, files };
+}
+
+module.exports = { sealSessionArchive, openSessionArchive };
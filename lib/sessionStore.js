@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { WhatsAppManagerError, ERROR_CODES } = require('./errors');
+const { normalizePhoneNumber } = require('./phone');
+
+/**
+ * Session Store - Where the WhatsApp Web login of each account is kept between restarts
+ *
+ * A store is an object the manager asks where a client's session lives, which sessions can be
+ * restored, and to export, import and clean up sessions:
+ * - type: 'local' (whatsapp-web.js LocalAuth: the browser profile stays on disk) or 'remote'
+ *   (RemoteAuth: the profile is zipped and saved to a remote store, and pulled back on start)
+ * - root: directory of the session files on this host
+ * - sessionDir(clientId): directory of one account's session files
+ * - list(): the stored sessions, [{ clientId, authenticated }]
+ * - exportSession(clientId): { format, files: [{ path, data }] }, or null if nothing is stored
+ * - importSession(clientId, { format, files }): replaces the stored session
+ * - removeSession(clientId): deletes the stored session, returns true if there was one
+ * - cleanup({ inUse, loggedOut, dryRun }): removes sessions that can no longer log in (see CLEANUP_REASONS)
+ *
+ * Sessions are keyed by clientId (the phone number without '+'), like the manager's clients.
+ */
+
+const SESSION_STORE_TYPES = Object.freeze({
+  LOCAL: 'local',
+  REMOTE: 'remote'
+});
+
+// Why cleanup removed a session
+const CLEANUP_REASONS = Object.freeze({
+  LOGGED_OUT: 'logged_out', // The account was logged out
+  NO_LOGIN: 'no_login',     // The session never logged in (or its login was removed) and no client uses it
+  ORPHANED: 'orphaned'      // A RemoteAuth leftover of an account that is not running
+});
+
+// Format of the files each store exports; a session is only imported into a store of the same type
+const EXPORT_FORMATS = Object.freeze({
+  [SESSION_STORE_TYPES.LOCAL]: 'local-auth-profile',
+  [SESSION_STORE_TYPES.REMOTE]: 'remote-auth-zip'
+});
+
+// Directories of a browser profile's 'Default' directory that hold the WhatsApp Web login
+// (the ones RemoteAuth keeps); everything else is caches that are rebuilt on start
+const LOGIN_DIRS = ['IndexedDB', 'Local Storage'];
+
+/**
+ * Check that a directory or session name is a clientId
+ * @param {string} name - Candidate clientId
+ * @returns {boolean}
+ * @private
+ */
+function isClientId(name) {
+  return normalizePhoneNumber(`+${name}`) === `+${name}`;
+}
+
+/**
+ * Read a directory, treating a missing directory as empty
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<fs.Dirent>>}
+ * @private
+ */
+async function readDirectory(dir) {
+  try {
+    return await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Read every file below a directory
+ * @param {string} dir - Directory
+ * @param {string} prefix - Path of the directory in the returned paths
+ * @returns {Promise<Array<{path: string, data: Buffer}>>} - Files with '/'-separated paths
+ * @private
+ */
+async function readFiles(dir, prefix) {
+  const files = [];
+  for (const entry of await readDirectory(dir)) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await readFiles(entryPath, `${prefix}/${entry.name}`));
+    } else if (entry.isFile()) {
+      files.push({ path: `${prefix}/${entry.name}`, data: await fs.promises.readFile(entryPath) });
+    }
+  }
+  return files;
+}
+
+/**
+ * Build the error of a session exported by another type of store
+ * @param {string} format - Format of the archive
+ * @param {string} type - Type of the importing store
+ * @returns {WhatsAppManagerError}
+ * @private
+ */
+function wrongFormat(format, type) {
+  return new WhatsAppManagerError(
+    ERROR_CODES.SESSION_ARCHIVE_INVALID,
+    `The archive holds a ${format} session; this server stores ${EXPORT_FORMATS[type]} sessions`
+  );
+}
+
+/**
+ * Delete a file or directory tree, if it exists
+ * @param {string} target - Path
+ * @returns {Promise<void>}
+ * @private
+ */
+function remove(target) {
+  return fs.promises.rm(target, { recursive: true, force: true, maxRetries: 4 });
+}
+
+/**
+ * Create a store keeping LocalAuth sessions on disk: {root}/{clientId}/session-{clientId}
+ *
+ * A profile is logged in once it has a 'Default' directory. A profile that older versions named
+ * after the phone number as the caller typed it (e.g. session-001234567890) still counts as the
+ * account's session; the whatsapp-web driver renames it when the account starts.
+ *
+ * Cleanup only touches {clientId} directories holding nothing but session-{clientId}: other
+ * entries of the root, and session directories with an old profile that was not renamed yet or
+ * with files of their own, are left alone.
+ * @param {Object} options - Store options
+ * @param {string} options.root - Directory holding one session directory per clientId (default './sessions')
+ * @returns {Object} - Session store
+ */
+function createFileSessionStore({ root = './sessions' } = {}) {
+  const sessionDir = (clientId) => path.join(root, clientId);
+
+  /**
+   * Find the logged-in profile of a session, preferring session-{clientId}
+   * @param {string} clientId - Client ID
+   * @returns {Promise<string|null>} - Profile directory
+   */
+  const findProfile = async (clientId) => {
+    const preferred = `session-${clientId}`;
+    const names = (await readDirectory(sessionDir(clientId)))
+      .filter(entry => entry.isDirectory() && entry.name.startsWith('session'))
+      .map(entry => entry.name)
+      .sort((a, b) => (a === preferred ? -1 : b === preferred ? 1 : 0));
+
+    for (const name of names) {
+      if (fs.existsSync(path.join(sessionDir(clientId), name, 'Default'))) {
+        return path.join(sessionDir(clientId), name);
+      }
+    }
+    return null;
+  };
+
+  return {
+    type: SESSION_STORE_TYPES.LOCAL,
+    root,
+    sessionDir,
+
+    list: async function() {
+      const sessions = [];
+      for (const entry of await readDirectory(root)) {
+        if (!entry.isDirectory() || !isClientId(entry.name)) continue;
+        sessions.push({ clientId: entry.name, authenticated: Boolean(await findProfile(entry.name)) });
+      }
+      return sessions;
+    },
+
+    exportSession: async function(clientId) {
+      const profile = await findProfile(clientId);
+      if (!profile) return null;
+
+      const files = [];
+      for (const name of LOGIN_DIRS) {
+        files.push(...await readFiles(path.join(profile, 'Default', name), `Default/${name}`));
+      }
+      return { format: EXPORT_FORMATS[this.type], files };
+    },
+
+    importSession: async function(clientId, { format, files }) {
+      if (format !== EXPORT_FORMATS[this.type]) throw wrongFormat(format, this.type);
+
+      // Unpack next to the profile and swap it in, so a failed import keeps the previous session
+      const dir = sessionDir(clientId);
+      const staging = path.join(dir, `.import-${crypto.randomBytes(4).toString('hex')}`);
+      try {
+        await fs.promises.mkdir(staging, { recursive: true });
+        for (const file of files) {
+          const target = path.join(staging, ...file.path.split('/'));
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          await fs.promises.writeFile(target, file.data);
+        }
+        for (const entry of await readDirectory(dir)) {
+          if (entry.name.startsWith('session')) await remove(path.join(dir, entry.name));
+        }
+        await fs.promises.rename(staging, path.join(dir, `session-${clientId}`));
+      } finally {
+        await remove(staging);
+      }
+    },
+
+    removeSession: async function(clientId) {
+      const existed = fs.existsSync(sessionDir(clientId));
+      await remove(sessionDir(clientId));
+      return existed;
+    },
+
+    cleanup: async function({ inUse = [], loggedOut = [], dryRun = false } = {}) {
+      const removed = [];
+      for (const entry of await readDirectory(root)) {
+        if (!entry.isDirectory() || !isClientId(entry.name)) continue;
+        const clientId = entry.name;
+        const dir = sessionDir(clientId);
+
+        const contents = await readDirectory(dir);
+        if (contents.some(item => item.name !== `session-${clientId}` || !item.isDirectory())) continue;
+
+        let reason = null;
+        if (loggedOut.includes(clientId)) {
+          reason = CLEANUP_REASONS.LOGGED_OUT;
+        } else if (!inUse.includes(clientId) && !(await findProfile(clientId))) {
+          reason = CLEANUP_REASONS.NO_LOGIN;
+        }
+        if (!reason) continue;
+
+        if (!dryRun) await remove(dir);
+        removed.push({ clientId, path: dir, reason });
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * Create a store keeping sessions in a RemoteAuth store (a database, a bucket, ...)
+ *
+ * The remote store is any object RemoteAuth accepts, with async sessionExists({ session }),
+ * save({ session }) (reading {root}/{session}.zip), extract({ session, path }) and
+ * delete({ session }), such as createSqliteRemoteStore or the wwebjs-mongo and wwebjs-aws-s3
+ * stores. Sessions are named RemoteAuth-{clientId}. Only a remote store that also has list()
+ * (returning the session names) lets the manager restore sessions on start.
+ * While an account runs, RemoteAuth keeps its profile in {root}/RemoteAuth-{clientId}.
+ * @param {Object} options - Store options
+ * @param {Object} options.remote - RemoteAuth store
+ * @param {string} options.root - Directory of the profiles of running accounts (default './sessions')
+ * @param {number} options.backupSyncIntervalMs - How often RemoteAuth saves a running session (default 5 minutes, at least 1 minute)
+ * @returns {Object} - Session store
+ */
+function createRemoteSessionStore({ remote, root = './sessions', backupSyncIntervalMs = 5 * 60 * 1000 }) {
+  const sessionName = (clientId) => `RemoteAuth-${clientId}`;
+  const exists = (clientId) => remote.sessionExists({ session: sessionName(clientId) });
+
+  // Files RemoteAuth leaves in the root: profiles, zips and staging directories of an account
+  const LOCAL_FILE = /^(?:RemoteAuth-(\d+)(?:\.zip)?|wwebjs_temp_session_(\d+))$/;
+
+  return {
+    type: SESSION_STORE_TYPES.REMOTE,
+    root,
+    remote,
+    backupSyncIntervalMs,
+
+    sessionDir: function(clientId) {
+      return path.join(root, sessionName(clientId));
+    },
+
+    list: async function() {
+      if (typeof remote.list !== 'function') return [];
+      return (await remote.list())
+        .map(session => /^RemoteAuth-(\d+)$/.exec(session))
+        .filter(match => match && isClientId(match[1]))
+        .map(match => ({ clientId: match[1], authenticated: true }));
+    },
+
+    exportSession: async function(clientId) {
+      if (!(await exists(clientId))) return null;
+
+      await fs.promises.mkdir(root, { recursive: true });
+      const target = path.join(root, `${sessionName(clientId)}.export-${crypto.randomBytes(4).toString('hex')}.zip`);
+      try {
+        await remote.extract({ session: sessionName(clientId), path: target });
+        return {
+          format: EXPORT_FORMATS[this.type],
+          files: [{ path: `${sessionName(clientId)}.zip`, data: await fs.promises.readFile(target) }]
+        };
+      } finally {
+        await remove(target);
+      }
+    },
+
+    importSession: async function(clientId, { format, files }) {
+      if (format !== EXPORT_FORMATS[this.type] || files.length !== 1) throw wrongFormat(format, this.type);
+
+      await fs.promises.mkdir(root, { recursive: true });
+      const zip = path.join(root, `${sessionName(clientId)}.zip`);
+      await fs.promises.writeFile(zip, files[0].data);
+      try {
+        await remote.save({ session: sessionName(clientId) });
+      } finally {
+        await remove(zip);
+      }
+    },
+
+    removeSession: async function(clientId) {
+      const existed = await exists(clientId);
+      if (existed) await remote.delete({ session: sessionName(clientId) });
+      await remove(this.sessionDir(clientId));
+      return existed;
+    },
+
+    cleanup: async function({ inUse = [], loggedOut = [], dryRun = false } = {}) {
+      const removed = [];
+      for (const clientId of loggedOut) {
+        if (!(await exists(clientId))) continue;
+        if (!dryRun) await remote.delete({ session: sessionName(clientId) });
+        removed.push({ clientId, path: sessionName(clientId), reason: CLEANUP_REASONS.LOGGED_OUT });
+      }
+
+      // The remote copy is the session; local files of accounts that are not running are leftovers
+      for (const entry of await readDirectory(root)) {
+        const match = LOCAL_FILE.exec(entry.name);
+        if (!match) continue;
+        const clientId = match[1] || match[2];
+        if (inUse.includes(clientId)) continue;
+
+        const file = path.join(root, entry.name);
+        if (!dryRun) await remove(file);
+        removed.push({ clientId, path: file, reason: CLEANUP_REASONS.ORPHANED });
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * Create a RemoteAuth store keeping the zipped sessions in a SQLite table
+ *
+ * The database is any object with the synchronous exec() and prepare().get/run/all() of
+ * better-sqlite3 (`new Database(file)`) or node:sqlite (`new DatabaseSync(file)`).
+ * @param {Object} options - Store options
+ * @param {Object} options.db - SQLite database
+ * @param {string} options.dataPath - Directory RemoteAuth writes the session zips to (the session store's root, default './sessions')
+ * @param {string} options.table - Table name (default 'whatsapp_sessions', created if missing)
+ * @returns {Object} - RemoteAuth store, with list()
+ */
+function createSqliteRemoteStore({ db, dataPath = './sessions', table = 'whatsapp_sessions' }) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+    throw new Error(`Invalid table name: ${table}`);
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (session TEXT PRIMARY KEY, data BLOB NOT NULL, updated_at TEXT NOT NULL)`);
+
+  const statements = {
+    exists: db.prepare(`SELECT 1 AS found FROM ${table} WHERE session = ?`),
+    read: db.prepare(`SELECT data FROM ${table} WHERE session = ?`),
+    save: db.prepare(
+      `INSERT INTO ${table} (session, data, updated_at) VALUES (?, ?, ?) ` +
+      'ON CONFLICT(session) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at'
+    ),
+    remove: db.prepare(`DELETE FROM ${table} WHERE session = ?`),
+    list: db.prepare(`SELECT session FROM ${table} ORDER BY session`)
+  };
+
+  return {
+    sessionExists: async function({ session }) {
+      return Boolean(statements.exists.get(session));
+    },
+
+    save: async function({ session }) {
+      const data = await fs.promises.readFile(path.join(dataPath, `${session}.zip`));
+      statements.save.run(session, data, new Date().toISOString());
+    },
+
+    extract: async function({ session, path: target }) {
+      const row = statements.read.get(session);
+      if (!row) throw new Error(`No stored session ${session}`);
+      await fs.promises.writeFile(target, row.data);
+    },
+
+    delete: async function({ session }) {
+      statements.remove.run(session);
+    },
+
+    list: async function() {
+      return statements.list.all().map(row => row.session);
+    }
+  };
+}
+
+module.exports = {
+  createFileSessionStore,
+  createRemoteSessionStore,
+  createSqliteRemoteStore,
+  SESSION_STORE_TYPES,
+  CLEANUP_REASONS
+};
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const path = require('path');
+const { computeDelay } = require('./reconnectSupervisor');
+const { createJsonFileStore, appendJsonLine, readJsonLines } = require('./jsonFileStore');
+
+/**
+ * Webhooks - Delivers manager events to HTTP endpoints
+ *
+ * Each subscription receives a signed JSON POST for every matching event:
+ *
+ *   { "id": "<delivery id>", "event": "message", "clientId": "1234567890",
+ *     "timestamp": "2024-01-01T10:00:00.000Z", "data": { ... } }
+ *
+ * The X-Webhook-Signature header holds 'sha256=' + the hex HMAC-SHA256 of
+ * '<X-Webhook-Timestamp>.<raw body>', keyed with the subscription secret. The timestamp is the time
+ * of the attempt, so receivers can refuse old (replayed) deliveries. Failed deliveries are retried with exponential backoff; once the
+ * attempts run out (or the endpoint answers with a 4xx other than 408/429) the delivery is
+ * appended to the dead-letter log.
+ */
+
+// Manager events that can be subscribed to
+const WEBHOOK_EVENTS = Object.freeze([
+  'message',
+  'message_ack',
+  'state_change',
+  'qr',
+  'ready',
+  'disconnected',
+  'auth_failure',
+  'reconnect_failed'
+]);
+
+const DEFAULT_OPTIONS = {
+  dataDir: './data',
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  timeoutMs: 10000
+};
+
+/**
+ * Compute the signature header value for a delivery
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - X-Webhook-Timestamp header value
+ * @param {string} body - Raw JSON body
+ * @returns {string} - 'sha256=<hex digest>'
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Validate the parameters of a new subscription
+ * @param {Object} params - Subscription parameters ({ url, events })
+ * @returns {string|null} - Error message, or null if the parameters are valid
+ */
+function validateSubscription({ url, events } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'A valid webhook url is required';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'Webhook url must use http or https';
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'events must be a non-empty array';
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) {
+      return `Unknown webhook events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get a subscription without its secret
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object}
+ * @private
+ */
+function publicSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+/**
+ * Create a webhook dispatcher listening to a manager
+ * @param {Object} manager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.dataDir - Directory for webhooks.json and webhooks-dead-letter.jsonl (default './data')
+ * @param {number} options.maxAttempts - Delivery attempts before dead-lettering (default 5)
+ * @param {number} options.baseDelayMs - Delay before the first retry (default 1000)
+ * @param {number} options.maxDelayMs - Upper bound for the retry delay (default 60000)
+ * @param {number} options.timeoutMs - Timeout of each HTTP request (default 10000)
+ * @param {Function} options.onDelivery - Called with { webhookId, event, delivered, attempts } once each
+ *   delivery succeeds or is dead-lettered (e.g. to count deliveries, see lib/metrics)
+ * @returns {Object} - Dispatcher
+ */
+function createWebhookDispatcher(manager, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const store = createJsonFileStore(path.join(settings.dataDir, 'webhooks.json'), []);
+  const deadLetterPath = path.join(settings.dataDir, 'webhooks-dead-letter.jsonl');
+
+  let subscriptions = store.read();
+
+  // Deliveries in progress, so callers can wait for them (see idle())
+  const pending = new Set();
+
+  /**
+   * Report the outcome of a delivery to options.onDelivery
+   * @param {Object} subscription - Stored subscription
+   * @param {Object} envelope - Event envelope
+   * @param {boolean} delivered - Whether the endpoint accepted the event
+   * @param {number} attempts - Attempts made
+   * @returns {boolean} - delivered
+   */
+  const reportDelivery = (subscription, envelope, delivered, attempts) => {
+    if (settings.onDelivery) {
+      try {
+        settings.onDelivery({ webhookId: subscription.id, event: envelope.event, delivered, attempts });
+      } catch (error) {
+        manager.logger.error({ err: error }, 'Error in webhook delivery callback');
+      }
+    }
+    return delivered;
+  };
+
+  /**
+   * POST an event to one subscription, retrying until it succeeds or the attempts run out
+   * @param {Object} subscription - Stored subscription
+   * @param {Object} envelope - Event envelope
+   * @returns {Promise<boolean>} - True if delivered
+   */
+  const deliver = async (subscription, envelope) => {
+    const body = JSON.stringify(envelope);
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+      attempts = attempt;
+      let retryable = true;
+      const timestamp = new Date().toISOString();
+      try {
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': envelope.id,
+            'X-Webhook-Event': envelope.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+          },
+          body,
+          signal: AbortSignal.timeout(settings.timeoutMs)
+        });
+
+        if (response.ok) return reportDelivery(subscription, envelope, true, attempt);
+
+        lastError = `HTTP ${response.status}`;
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      } catch (error) {
+        lastError = error.message;
+      }
+
+      if (!retryable || attempt === settings.maxAttempts) break;
+
+      const delayMs = computeDelay(attempt, settings);
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    manager.logger.error(
+      { webhookId: subscription.id, event: envelope.event, clientId: envelope.clientId, error: lastError, attempts },
+      'Webhook delivery failed'
+    );
+    await appendJsonLine(deadLetterPath, {
+      webhookId: subscription.id,
+      url: subscription.url,
+      error: lastError,
+      failedAt: new Date().toISOString(),
+      envelope
+    }).catch(error => manager.logger.error({ err: error }, 'Error writing webhook dead letter'));
+    return reportDelivery(subscription, envelope, false, attempts);
+  };
+
+  /**
+   * Send an event to every matching subscription
+   * @param {string} event - Event name
+   * @param {string} clientId - Client ID the event belongs to
+   * @param {Object} data - Event payload
+   */
+  const dispatch = (event, clientId, data) => {
+    const targets = subscriptions.filter(subscription =>
+      (!subscription.clientId || subscription.clientId === clientId) &&
+      (subscription.events.includes('*') || subscription.events.includes(event))
+    );
+
+    for (const subscription of targets) {
+      const envelope = {
+        id: crypto.randomUUID(),
+        event,
+        clientId,
+        timestamp: new Date().toISOString(),
+        data
+      };
+      const delivery = deliver(subscription, envelope).finally(() => pending.delete(delivery));
+      pending.add(delivery);
+    }
+  };
+
+  // Forward every subscribable manager event
+  const listeners = WEBHOOK_EVENTS.map(event => {
+    const listener = (data) => dispatch(event, data.clientId, data);
+    manager.on(event, listener);
+    return [event, listener];
+  });
+
+  return {
+    /**
+     * Add a subscription
+     * @param {Object} params - Subscription parameters (validate with validateSubscription first)
+     * @param {string} params.url - Endpoint receiving the POSTs
+     * @param {string} params.secret - HMAC secret (generated when omitted)
+     * @param {string} params.clientId - Only deliver events of this client (all clients when omitted)
+     * @param {Array<string>} params.events - Event names, or ['*'] for all (default)
+     * @returns {Object} - The new subscription, including its secret
+     */
+    subscribe: function({ url, secret, clientId, events }) {
+      const subscription = {
+        id: crypto.randomUUID(),
+        url,
+        secret: secret || crypto.randomBytes(24).toString('hex'),
+        clientId: clientId || null,
+        events: events || ['*'],
+        createdAt: new Date().toISOString()
+      };
+      subscriptions = [...subscriptions, subscription];
+      store.write(subscriptions);
+      return { ...subscription };
+    },
+
+    /**
+     * Remove a subscription
+     * @param {string} id - Subscription ID
+     * @returns {boolean} - True if the subscription existed
+     */
+    unsubscribe: function(id) {
+      const remaining = subscriptions.filter(subscription => subscription.id !== id);
+      if (remaining.length === subscriptions.length) return false;
+      subscriptions = remaining;
+      store.write(subscriptions);
+      return true;
+    },
+
+    /**
+     * Get one subscription without its secret
+     * @param {string} id - Subscription ID
+     * @returns {Object|null}
+     */
+    get: function(id) {
+      const subscription = subscriptions.find(candidate => candidate.id === id);
+      return subscription ? publicSubscription(subscription) : null;
+    },
+
+    /**
+     * List subscriptions without their secrets
+     * @param {string} [clientId] - Only subscriptions that receive events of this client
+     * @returns {Array<Object>}
+     */
+    list: function(clientId) {
+      return subscriptions
+        .filter(subscription => !clientId || !subscription.clientId || subscription.clientId === clientId)
+        .map(publicSubscription);
+    },
+
+    /**
+     * Read the dead-letter log
+     * @param {number} limit - Maximum number of entries, newest last
+     * @returns {Promise<Array<Object>>}
+     */
+    getDeadLetters: async function(limit = 100) {
+      const entries = await readJsonLines(deadLetterPath);
+      return entries.slice(-limit);
+    },
+
+    /**
+     * Wait for every delivery in progress to finish
+     * @returns {Promise<void>}
+     */
+    idle: async function() {
+      while (pending.size) {
+        await Promise.all(Array.from(pending));
+      }
+    },
+
+    /**
+     * Stop listening to the manager
+     */
+    stop: function() {
+      for (const [event, listener] of listeners) {
+        manager.removeListener(event, listener);
+      }
+    }
+  };
+}
+
+module.exports = { createWebhookDispatcher, validateSubscription, signPayload, WEBHOOK_EVENTS };
@@ -0,0 +1,116 @@
+const express = require('express');
+const { validateKey, PERMISSIONS } = require('../lib/apiKeys');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+const { validate } = require('./validation');
+const { PHONE } = require('./schemas');
+
+const KEY_PARAMS = { properties: { id: { type: 'string' } }, required: ['id'] };
+
+/**
+ * Create the API key management and audit log routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} apiKeys - API key store (see lib/apiKeys)
+ * @param {Object} auditLog - Audit log (see lib/auditLog)
+ * @returns {express.Router}
+ */
+function createApiKeyRouter(whatsappManager, apiKeys, auditLog) {
+  const router = express.Router();
+
+  // List API keys endpoint (revoked keys included, secrets never)
+  router.get('/api-keys', validate({ tag: 'API keys', summary: 'List API keys' }), (req, res) => {
+    res.json({
+      success: true,
+      keys: apiKeys.list()
+    });
+  });
+
+  // Get API key endpoint
+  router.get('/api-keys/:id', validate({ tag: 'API keys', summary: 'Get an API key', params: KEY_PARAMS }), (req, res) => {
+    const key = apiKeys.get(req.params.id);
+    
+    if (!key) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No API key with id ${req.params.id}`);
+    }
+    
+    res.json({
+      success: true,
+      key: key
+    });
+  });
+
+  // Create API key endpoint (the key itself is only returned here)
+  router.post('/api-keys', validate({
+    tag: 'API keys',
+    summary: 'Create an API key',
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        phones: { type: 'array', items: { type: 'string' }, description: "Accounts the key may use, or ['*']" },
+        permissions: { type: 'array', items: { type: 'string' }, description: PERMISSIONS.join(', ') }
+      },
+      required: ['name', 'phones', 'permissions']
+    }
+  }), (req, res) => {
+    const { name, phones, permissions } = req.body;
+    const validationError = validateKey({ name, phones, permissions });
+    
+    if (validationError) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, validationError);
+    }
+    
+    const { key, apiKey } = apiKeys.create({ name, phones, permissions });
+    
+    res.status(201).json({
+      success: true,
+      key: key,
+      apiKey: apiKey
+    });
+  });
+
+  // Revoke API key endpoint
+  router.delete('/api-keys/:id', validate({ tag: 'API keys', summary: 'Revoke an API key', params: KEY_PARAMS }), (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No active API key with id ${req.params.id}`);
+    }
+    
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  });
+
+  // Audit log endpoint (?actor= key id or token subject, ?phone=, ?since=, ?limit=; newest first)
+  router.get('/audit', validate({
+    tag: 'API keys',
+    summary: 'Query the audit log',
+    query: {
+      properties: {
+        actor: { type: 'string', description: 'Key id or token subject' },
+        phone: PHONE,
+        since: { type: 'string', format: 'date-time' },
+        limit: { type: 'integer', minimum: 1, maximum: 1000 }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        entries: await auditLog.query({
+          actorId: req.query.actor,
+          clientId: req.query.phone ? whatsappManager.formatPhoneNumber(req.query.phone) : undefined,
+          since: req.query.since,
+          limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+        })
+      });
+    } catch (error) {
+      req.log.error({ err: error }, 'Error reading the audit log');
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiKeyRouter;
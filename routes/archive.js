@@ -0,0 +1,110 @@
+const express = require('express');
+const { parseBound } = require('../lib/pagination');
+const { DIRECTIONS } = require('../lib/messageArchive');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { PHONE, LIMIT_QUERY, CURSOR_QUERY } = require('./schemas');
+
+const TIME_QUERY = { type: 'string', description: 'Seconds since the epoch or ISO 8601 time' };
+
+/**
+ * Read an optional time query parameter
+ * @param {string} value - Seconds since the epoch or ISO 8601 date
+ * @returns {number|undefined} - Seconds since the epoch
+ * @private
+ */
+function queryTime(value) {
+  return value ? parseBound(value).timestamp : undefined;
+}
+
+/**
+ * Create the message archive routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object|null} archive - Message archive (see lib/messageArchive), or null when archiving is off
+ * @returns {express.Router}
+ */
+function createArchiveRouter(whatsappManager, archive) {
+  const router = express.Router();
+
+  router.use(['/search', '/archive'], (req, res, next) => {
+    if (!archive) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'The message archive is not enabled');
+    }
+    next();
+  });
+
+  // Search endpoint (?q= words, ?phone=, ?chatId=, ?direction=in|out, ?since=, ?until=, ?limit=, ?before=<cursor>)
+  router.get('/search', validate({
+    tag: 'Archive',
+    summary: 'Search archived messages',
+    query: {
+      properties: {
+        q: { type: 'string', pattern: '\\S', description: 'Words to find' },
+        phone: PHONE,
+        chatId: { type: 'string' },
+        direction: { type: 'string', enum: Object.values(DIRECTIONS) },
+        since: TIME_QUERY,
+        until: TIME_QUERY,
+        limit: LIMIT_QUERY,
+        before: CURSOR_QUERY
+      },
+      required: ['q']
+    }
+  }), (req, res) => {
+    const { q, phone, chatId, direction } = req.query;
+    
+    try {
+      const { results, total, nextCursor } = archive.search(String(q), {
+        clientId: phone ? whatsappManager.formatPhoneNumber(phone) : undefined,
+        chatId: chatId ? whatsappManager.formatChatId(chatId) : undefined,
+        direction: direction,
+        since: queryTime(req.query.since),
+        until: queryTime(req.query.until),
+        limit: req.query.limit,
+        before: req.query.before
+      });
+      
+      res.json({
+        success: true,
+        total: total,
+        results: results,
+        nextCursor: nextCursor
+      });
+    } catch (error) {
+      respondWithError(res, error, 'searching the message archive');
+    }
+  });
+
+  // Purge endpoint (?phone=, ?chatId=, ?before=<time>; at least one is required)
+  router.delete('/archive', validate({
+    tag: 'Archive',
+    summary: 'Delete archived messages of an account, a chat or before a time',
+    query: { properties: { phone: PHONE, chatId: { type: 'string' }, before: TIME_QUERY } }
+  }), async (req, res) => {
+    const { phone, chatId, before } = req.query;
+    
+    if (!phone && !chatId && !before) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'phone, chatId or before is required');
+    }
+    
+    try {
+      const removed = await archive.purge({
+        clientId: phone ? whatsappManager.formatPhoneNumber(phone) : undefined,
+        chatId: chatId ? whatsappManager.formatChatId(chatId) : undefined,
+        before: queryTime(before)
+      });
+      
+      res.json({
+        success: true,
+        removed: removed
+      });
+    } catch (error) {
+      respondWithError(res, error, 'purging the message archive');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createArchiveRouter;
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const { hasPermission, PERMISSIONS } = require('../lib/apiKeys');
+const { verifyJwt } = require('../lib/jwt');
+const { describeContent } = require('../lib/media');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+
+// Routes open to everyone (the API description and the health checks)
+//
+// Every pattern below ignores case and allows one trailing slash, as Express routing does;
+// otherwise /API-KEYS or /sessions/:phone/qr/ would reach the route without its rule
+const PUBLIC_ROUTES = [
+  { method: 'GET', pattern: /^\/openapi\.json\/?$/i },
+  { method: 'GET', pattern: /^\/docs\/?$/i },
+  { method: 'GET', pattern: /^\/(healthz|readyz)\/?$/i }
+];
+
+// Routes needing more than the default permission (read for GET and HEAD, send otherwise); first match wins
+const ROUTE_PERMISSIONS = [
+  { method: 'GET', pattern: /^\/qr\/?$/i, permission: 'admin' },
+  { method: 'GET', pattern: /^\/sessions\/[^/]+\/qr\/?$/i, permission: 'admin' },
+  { method: 'POST', pattern: /^\/logout\/?$/i, permission: 'admin' },
+  { method: 'POST', pattern: /^\/sessions\/[^/]+\/logout\/?$/i, permission: 'admin' },
+  { method: 'DELETE', pattern: /^\/sessions\/[^/]+\/?$/i, permission: 'admin' },
+  { method: 'POST', pattern: /^\/sessions\/[^/]+\/(export|import)\/?$/i, permission: 'admin' },
+  { method: 'DELETE', pattern: /^\/archive\/?$/i, permission: 'admin' },
+  { method: '*', pattern: /^\/webhooks(\/|$)/i, permission: 'admin' },
+  { method: '*', pattern: /^\/auto-reply(\/|$)/i, permission: 'admin' },
+  { method: '*', pattern: /^\/api-keys(\/|$)/i, permission: 'admin' },
+  { method: '*', pattern: /^\/audit\/?$/i, permission: 'admin' }
+];
+
+// Routes whose account is only known once the route has parsed the request (multipart bodies)
+// or looked up the item it names; they check it themselves with requireAccount (see routes/helpers)
+const ROUTE_CHECKED_ACCOUNTS = [
+  { method: 'POST', pattern: /^\/send-media\/?$/i },
+  { method: 'GET', pattern: /^\/messages\/[^/]+(\/status)?\/?$/i },
+  { method: '*', pattern: /^\/scheduled-messages\/[^/]+\/?$/i },
+  { method: 'POST', pattern: /^\/campaigns\/upload\/?$/i },
+  { method: '*', pattern: /^\/campaigns\/[^/]+(\/(recipients|pause|resume|cancel))?\/?$/i }
+];
+
+/**
+ * Find the first rule of a list matching a request
+ * @param {Array<Object>} rules - Rules with method ('*' for any) and path pattern
+ * @param {Object} req - Express request
+ * @returns {Object|undefined}
+ * @private
+ */
+function matchRoute(rules, req) {
+  return rules.find(rule => (rule.method === '*' || rule.method === req.method) && rule.pattern.test(req.path));
+}
+
+/**
+ * Get the permission a request needs
+ * @param {Object} req - Express request
+ * @returns {string} - read, send or admin
+ * @private
+ */
+function requiredPermission(req) {
+  const rule = matchRoute(ROUTE_PERMISSIONS, req);
+  if (rule) return rule.permission;
+  return ['GET', 'HEAD'].includes(req.method) ? 'read' : 'send';
+}
+
+/**
+ * Get the account (phone number) a request acts for, from its path, ?phone= or JSON body
+ * @param {Object} req - Express request
+ * @returns {string|null} - Phone number as given, or null if the request names none
+ * @throws {URIError} - When the path holds a malformed percent-encoding
+ * @private
+ */
+function accountOf(req) {
+  const match = /^\/(?:sessions|last10messages)\/([^/]+)/i.exec(req.path);
+  if (match) return decodeURIComponent(match[1]);
+  if (typeof req.query.phone === 'string' && req.query.phone) return req.query.phone;
+  if (req.body && typeof req.body.senderPhoneNumber === 'string' && req.body.senderPhoneNumber) {
+    return req.body.senderPhoneNumber;
+  }
+  return null;
+}
+
+/**
+ * Read the credential of a request (Authorization: Bearer, X-API-Key, or ?access_token= on GET
+ * requests, for EventSource clients that cannot set headers)
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ * @private
+ */
+function credentialOf(req) {
+  const authorization = req.get('Authorization') || '';
+  if (/^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+  if (req.method === 'GET' && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @private
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Create the authentication and audit middleware
+ *
+ * Requests must present an API key (see lib/apiKeys), the admin key, or an HS256 JWT whose claims
+ * carry phones and permissions (see lib/jwt). The request's account and the permission of its
+ * route are checked before any route runs; the credential is then available as req.auth, whose
+ * canAccess(phone) and can(permission) let routes check what only they know about.
+ * Every request that changes something, and every refused request, is written to the audit log.
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} apiKeys - API key store (see lib/apiKeys)
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.enabled - Require credentials (default true); when false, requests are only audited
+ * @param {string} options.adminKey - Key with every permission for every account (e.g. to create the first keys)
+ * @param {string} options.jwtSecret - Secret of HS256 tokens; tokens are refused when unset
+ * @param {Object} options.auditLog - Audit log (see lib/auditLog); nothing is audited when unset
+ * @returns {Function} - Express middleware
+ */
+function createAuthMiddleware(whatsappManager, apiKeys, options = {}) {
+  const enabled = options.enabled !== false;
+
+  /**
+   * Resolve a credential to the identity using it
+   * @param {string} credential - API key, admin key or JWT
+   * @returns {Object|null} - { actor: { type, id, name }, phones, permissions }, or null if invalid
+   */
+  const authenticate = (credential) => {
+    if (credential.startsWith('wam_')) {
+      const key = apiKeys.verify(credential);
+      return key && {
+        actor: { type: 'api_key', id: key.id, name: key.name },
+        phones: key.phones,
+        permissions: key.permissions
+      };
+    }
+    if (options.adminKey && safeEqual(credential, options.adminKey)) {
+      return { actor: { type: 'admin_key', id: 'admin', name: 'admin' }, phones: ['*'], permissions: ['admin'] };
+    }
+    if (options.jwtSecret) {
+      const claims = verifyJwt(credential, options.jwtSecret);
+      const valid = claims &&
+        Array.isArray(claims.phones) && claims.phones.every(phone => typeof phone === 'string') &&
+        Array.isArray(claims.permissions) && claims.permissions.every(permission => PERMISSIONS.includes(permission));
+      return valid
+        ? {
+          actor: { type: 'jwt', id: String(claims.sub || ''), name: String(claims.name || claims.sub || '') },
+          phones: claims.phones.includes('*') ? ['*'] : claims.phones.map(phone => whatsappManager.formatPhoneNumber(phone)),
+          permissions: claims.permissions
+        }
+        : null;
+    }
+    return null;
+  };
+
+  /**
+   * Append the audit entry of a finished request
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} responseBody - JSON body answered, if any
+   */
+  const audit = (req, res, responseBody) => {
+    const refused = res.statusCode === 401 || res.statusCode === 403;
+    if (!options.auditLog || (['GET', 'HEAD'].includes(req.method) && !refused)) return;
+
+    const body = req.body || {};
+    // Runs after the response, outside Express's error handling; a malformed path was answered 400
+    let account = null;
+    try {
+      account = accountOf(req);
+    } catch (error) {
+      // Audited without an account
+    }
+    const entry = {
+      actor: req.auth ? req.auth.actor : null,
+      method: req.method,
+      path: req.path,
+      clientId: account ? whatsappManager.formatPhoneNumber(account) : null,
+      status: res.statusCode
+    };
+    if (body.recipientPhoneNumber || body.to) {
+      entry.recipient = body.recipientPhoneNumber || body.to;
+    }
+    if (req.file) {
+      entry.contentType = body.type || req.file.mimetype.split('/')[0];
+    } else if (body.message) {
+      entry.contentType = describeContent(body.message).type;
+    }
+    if (responseBody && responseBody.jobId) entry.jobId = responseBody.jobId;
+    if (responseBody && responseBody.messageId) entry.messageId = responseBody.messageId;
+    if (refused && responseBody) entry.error = responseBody.error;
+    options.auditLog.record(entry);
+  };
+
+  return (req, res, next) => {
+    // Keep the JSON answered so the audit entry can name the job and message it created
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+    res.on('finish', () => audit(req, res, responseBody));
+
+    let account;
+    try {
+      account = accountOf(req);
+    } catch (error) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'The path holds a malformed percent-encoding');
+    }
+
+    if (!enabled || matchRoute(PUBLIC_ROUTES, req)) return next();
+
+    const refuse = (status, code, error) => sendError(res, status, code, error);
+
+    const credential = credentialOf(req);
+    if (!credential) {
+      return refuse(401, ERROR_CODES.UNAUTHORIZED, 'An API key is required (Authorization: Bearer <key> or X-API-Key)');
+    }
+    const identity = authenticate(credential);
+    if (!identity) {
+      return refuse(401, ERROR_CODES.UNAUTHORIZED, 'Invalid, expired or revoked credentials');
+    }
+
+    req.auth = {
+      ...identity,
+      canAccess: (phoneNumber) => identity.phones.includes('*') ||
+        identity.phones.includes(whatsappManager.formatPhoneNumber(String(phoneNumber))),
+      can: (permission) => hasPermission(identity.permissions, permission)
+    };
+
+    const permission = requiredPermission(req);
+    if (!hasPermission(identity.permissions, permission)) {
+      return refuse(403, ERROR_CODES.FORBIDDEN, `This credential lacks the ${permission} permission`);
+    }
+
+    if (account) {
+      if (!req.auth.canAccess(account)) {
+        return refuse(403, ERROR_CODES.FORBIDDEN, `This credential may not act for ${account}`);
+      }
+    } else if (!identity.phones.includes('*') && !matchRoute(ROUTE_CHECKED_ACCOUNTS, req)) {
+      // Routes that name no account reach every account's data
+      return refuse(403, ERROR_CODES.FORBIDDEN, 'This route needs a credential for every account');
+    }
+
+    next();
+  };
+}
+
+module.exports = createAuthMiddleware;
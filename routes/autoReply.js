@@ -0,0 +1,127 @@
+const express = require('express');
+const { RULE_SCHEMA } = require('../lib/autoResponder');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { PHONE } = require('./schemas');
+
+const RULE_PARAMS = { properties: { id: { type: 'string' } }, required: ['id'] };
+
+/**
+ * Create the auto-reply rule routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} autoResponder - Auto responder (see lib/autoResponder)
+ * @returns {express.Router}
+ */
+function createAutoReplyRouter(whatsappManager, autoResponder) {
+  const router = express.Router();
+
+  // List rules endpoint, in the order they are tried (?phone= limits to rules answering that number)
+  router.get('/auto-reply/rules', validate({
+    tag: 'Auto-reply',
+    summary: 'List auto-reply rules',
+    query: { properties: { phone: PHONE } }
+  }), (req, res) => {
+    const clientId = req.query.phone ? whatsappManager.formatPhoneNumber(req.query.phone) : undefined;
+
+    res.json({
+      success: true,
+      rules: autoResponder.listRules(clientId)
+    });
+  });
+
+  // Reload the rules file endpoint
+  router.post('/auto-reply/reload', validate({
+    tag: 'Auto-reply',
+    summary: 'Read the rules file again',
+    description: 'The file is also reloaded when it changes. An invalid file is refused and the previous rules are kept.'
+  }), (req, res) => {
+    try {
+      const count = autoResponder.reload();
+
+      res.json({
+        success: true,
+        fileRules: count
+      });
+    } catch (error) {
+      respondWithError(res, error, 'reloading auto-reply rules');
+    }
+  });
+
+  // Get rule endpoint
+  router.get('/auto-reply/rules/:id', validate({
+    tag: 'Auto-reply',
+    summary: 'Get an auto-reply rule',
+    params: RULE_PARAMS
+  }), (req, res) => {
+    const rule = autoResponder.getRule(req.params.id);
+
+    if (!rule) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No auto-reply rule with id ${req.params.id}`);
+    }
+
+    res.json({
+      success: true,
+      rule: rule
+    });
+  });
+
+  // Create rule endpoint
+  router.post('/auto-reply/rules', validate({
+    tag: 'Auto-reply',
+    summary: 'Add an auto-reply rule',
+    body: RULE_SCHEMA
+  }), (req, res) => {
+    try {
+      const rule = autoResponder.createRule(req.body);
+
+      res.status(201).json({
+        success: true,
+        rule: rule
+      });
+    } catch (error) {
+      respondWithError(res, error, 'creating auto-reply rule');
+    }
+  });
+
+  // Replace rule endpoint (rules from the rules file or code answer 409)
+  router.put('/auto-reply/rules/:id', validate({
+    tag: 'Auto-reply',
+    summary: 'Replace an auto-reply rule',
+    params: RULE_PARAMS,
+    body: RULE_SCHEMA
+  }), (req, res) => {
+    try {
+      const rule = autoResponder.updateRule(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        rule: rule
+      });
+    } catch (error) {
+      respondWithError(res, error, 'updating auto-reply rule');
+    }
+  });
+
+  // Delete rule endpoint (rules from the rules file or code answer 409)
+  router.delete('/auto-reply/rules/:id', validate({
+    tag: 'Auto-reply',
+    summary: 'Delete an auto-reply rule',
+    params: RULE_PARAMS
+  }), (req, res) => {
+    try {
+      autoResponder.deleteRule(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Auto-reply rule deleted successfully'
+      });
+    } catch (error) {
+      respondWithError(res, error, 'deleting auto-reply rule');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAutoReplyRouter;
@@ -0,0 +1,277 @@
+const express = require('express');
+const multer = require('multer');
+const { CAMPAIGN_STATUS, RECIPIENT_STATUS } = require('../lib/campaigns');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, requireAccount, requireValidContent, respondWithError } = require('./helpers');
+const { validate, checkMultipart } = require('./validation');
+const { PHONE, MESSAGE_CONTENT, sessionParams } = require('./schemas');
+
+// Largest recipient file accepted by /campaigns/upload
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const PACE = { type: 'number', minimum: 0, description: 'Messages sent per minute (default CAMPAIGN_MESSAGES_PER_MINUTE)' };
+
+const RECIPIENT = {
+  type: ['string', 'object'],
+  format: 'phone',
+  properties: { phone: PHONE, variables: { type: 'object', description: 'Template variables of this recipient' } },
+  required: ['phone'],
+  description: 'Phone number, or { phone, variables } (other fields are variables too)'
+};
+
+const CAMPAIGN_BODY = {
+  type: 'object',
+  properties: {
+    senderPhoneNumber: PHONE,
+    name: { type: 'string', maxLength: 200 },
+    message: MESSAGE_CONTENT,
+    recipients: { type: 'array', items: RECIPIENT, minItems: 1 },
+    recipientsCsv: { type: 'string', minLength: 1, description: 'CSV text with a header row and a phone column' },
+    messagesPerMinute: PACE,
+    paused: { type: 'boolean', description: 'Create the campaign paused, to start it with /resume' }
+  },
+  required: ['senderPhoneNumber', 'message']
+};
+
+const UPLOAD = {
+  tag: 'Campaigns',
+  summary: 'Create a campaign from an uploaded CSV or JSON recipient file',
+  multipart: {
+    properties: {
+      senderPhoneNumber: PHONE,
+      name: { type: 'string', maxLength: 200 },
+      message: { type: 'string', minLength: 1, description: 'Text template' },
+      file: { type: 'string', format: 'binary', description: 'CSV with a phone column, or a JSON array of recipients' },
+      messagesPerMinute: PACE,
+      paused: { type: 'boolean' }
+    },
+    required: ['senderPhoneNumber', 'message', 'file']
+  }
+};
+
+const CAMPAIGN_PARAMS = { properties: { id: { type: 'string' } }, required: ['id'] };
+
+/**
+ * Create the campaign and opt-out routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} campaigns - Campaign runner (see lib/campaigns)
+ * @param {Object} optOuts - Opt-out list (see lib/optOuts)
+ * @returns {express.Router}
+ */
+function createCampaignRouter(whatsappManager, campaigns, optOuts) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+  }).single('file');
+
+  /**
+   * Get the campaign of the :id parameter, answering 404 or 403 when it is unknown or another account's
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} - Campaign summary, or null if an error response was sent
+   */
+  const requireCampaign = (req, res) => {
+    const campaign = campaigns.get(req.params.id);
+
+    if (!campaign) {
+      sendError(res, 404, ERROR_CODES.NOT_FOUND, `No campaign with id ${req.params.id}`);
+      return null;
+    }
+    return requireAccount(req, res, `+${campaign.sender}`) ? campaign : null;
+  };
+
+  /**
+   * Create a campaign and answer with it
+   * @param {Object} res - Express response
+   * @param {Object} params - Campaign parameters (see campaigns.create)
+   */
+  const create = (res, params) => {
+    try {
+      const campaign = campaigns.create(params);
+
+      res.status(201).json({
+        success: true,
+        campaign: campaign
+      });
+    } catch (error) {
+      respondWithError(res, error, 'creating campaign');
+    }
+  };
+
+  // Create campaign endpoint (recipients as a JSON array or as CSV text)
+  router.post('/campaigns', validate({
+    tag: 'Campaigns',
+    summary: 'Create a campaign and start sending it',
+    description: 'Give either recipients or recipientsCsv. Texts and captions are templates filled in with each recipient\'s variables.',
+    body: CAMPAIGN_BODY
+  }), (req, res) => {
+    const { senderPhoneNumber, name, message, recipients, recipientsCsv, messagesPerMinute, paused } = req.body;
+
+    if (Boolean(recipients) === Boolean(recipientsCsv)) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'Exactly one of recipients and recipientsCsv is required');
+    }
+    if (!requireValidContent(whatsappManager, res, message)) return;
+
+    create(res, { sender: senderPhoneNumber, name, content: message, recipients: recipients || recipientsCsv, messagesPerMinute, paused });
+  });
+
+  // Create campaign from a file endpoint (multipart/form-data with a 'file' field)
+  router.post('/campaigns/upload', validate(UPLOAD), (req, res) => {
+    upload(req, res, (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return sendError(
+          res,
+          tooLarge ? 413 : 400,
+          tooLarge ? ERROR_CODES.PAYLOAD_TOO_LARGE : ERROR_CODES.VALIDATION_FAILED,
+          tooLarge ? `Recipient file larger than ${MAX_UPLOAD_BYTES} bytes` : uploadError.message
+        );
+      }
+
+      if (!checkMultipart(UPLOAD, req, res)) return;
+      if (!req.file) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'file is required');
+      }
+
+      const { senderPhoneNumber, name, message, messagesPerMinute, paused } = req.body;
+      if (!requireAccount(req, res, senderPhoneNumber)) return;
+
+      // JSON files hold an array of recipients; anything else is read as CSV
+      let recipients = req.file.buffer.toString('utf8');
+      if (req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname)) {
+        try {
+          recipients = JSON.parse(recipients);
+        } catch (error) {
+          return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, `Cannot read the recipients JSON: ${error.message}`);
+        }
+      }
+
+      create(res, {
+        sender: senderPhoneNumber,
+        name,
+        content: message,
+        recipients,
+        messagesPerMinute: messagesPerMinute === undefined ? undefined : Number(messagesPerMinute),
+        paused: paused === 'true' || paused === '1'
+      });
+    });
+  });
+
+  // List campaigns endpoint (?phone= sender, ?status= running|paused|completed|cancelled)
+  router.get('/campaigns', validate({
+    tag: 'Campaigns',
+    summary: 'List campaigns with their progress',
+    query: { properties: { phone: PHONE, status: { type: 'string', enum: Object.values(CAMPAIGN_STATUS) } } }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      campaigns: campaigns.list({ sender: req.query.phone, status: req.query.status })
+    });
+  });
+
+  // Get campaign endpoint, with the number of recipients in each status
+  router.get('/campaigns/:id', validate({
+    tag: 'Campaigns',
+    summary: 'Get a campaign with its progress',
+    params: CAMPAIGN_PARAMS
+  }), (req, res) => {
+    const campaign = requireCampaign(req, res);
+    if (!campaign) return;
+
+    res.json({
+      success: true,
+      campaign: campaign
+    });
+  });
+
+  // Recipient results endpoint (?status= pending|sent|failed|unregistered|opted_out|cancelled)
+  router.get('/campaigns/:id/recipients', validate({
+    tag: 'Campaigns',
+    summary: 'Get the result of each recipient of a campaign',
+    params: CAMPAIGN_PARAMS,
+    query: { properties: { status: { type: 'string', enum: Object.values(RECIPIENT_STATUS) } } }
+  }), (req, res) => {
+    if (!requireCampaign(req, res)) return;
+
+    res.json({
+      success: true,
+      recipients: campaigns.getRecipients(req.params.id, req.query.status)
+    });
+  });
+
+  // Pause, resume and cancel endpoints (completed or cancelled campaigns answer 409)
+  const actions = {
+    pause: 'Stop sending a campaign until it is resumed',
+    resume: 'Carry on sending a paused campaign',
+    cancel: 'Cancel a campaign; its pending recipients are marked cancelled'
+  };
+  for (const [action, summary] of Object.entries(actions)) {
+    router.post(`/campaigns/:id/${action}`, validate({
+      tag: 'Campaigns',
+      summary: summary,
+      params: CAMPAIGN_PARAMS
+    }), (req, res) => {
+      if (!requireCampaign(req, res)) return;
+
+      try {
+        const campaign = campaigns[action](req.params.id);
+
+        res.json({
+          success: true,
+          campaign: campaign
+        });
+      } catch (error) {
+        respondWithError(res, error, `${action} campaign`);
+      }
+    });
+  }
+
+  // List opt-outs endpoint
+  router.get('/sessions/:phone/opt-outs', validate({
+    tag: 'Campaigns',
+    summary: 'List the contacts who opted out of an account\'s campaigns',
+    params: sessionParams()
+  }), (req, res) => {
+    res.json({
+      success: true,
+      optOuts: optOuts.list(req.params.phone)
+    });
+  });
+
+  // Add opt-out endpoint
+  router.post('/sessions/:phone/opt-outs', validate({
+    tag: 'Campaigns',
+    summary: 'Opt a contact out of an account\'s campaigns',
+    params: sessionParams(),
+    body: { type: 'object', properties: { contact: PHONE }, required: ['contact'] }
+  }), (req, res) => {
+    const optOut = optOuts.add(req.params.phone, req.body.contact);
+
+    res.status(201).json({
+      success: true,
+      optOut: optOut
+    });
+  });
+
+  // Remove opt-out endpoint (the contact receives campaigns again)
+  router.delete('/sessions/:phone/opt-outs/:contact', validate({
+    tag: 'Campaigns',
+    summary: 'Opt a contact back in to an account\'s campaigns',
+    params: sessionParams({ contact: PHONE })
+  }), (req, res) => {
+    if (!optOuts.remove(req.params.phone, req.params.contact)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `${req.params.contact} has not opted out`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Opt-out removed'
+    });
+  });
+
+  return router;
+}
+
+module.exports = createCampaignRouter;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { queryBoolean, requireAuthenticated, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { BOOLEAN_QUERY, LIMIT_QUERY, CURSOR_QUERY, sessionParams } = require('./schemas');
+
+/**
+ * Create the chat history routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @returns {express.Router}
+ */
+function createChatRouter(whatsappManager) {
+  const router = express.Router();
+
+  // List chats endpoint (?limit=, ?before=<cursor>, ?isGroup=true|false, ?unread=true)
+  router.get('/sessions/:phone/chats', validate({
+    tag: 'Chats',
+    summary: 'List chats, most recent first',
+    params: sessionParams(),
+    query: {
+      properties: { limit: LIMIT_QUERY, before: CURSOR_QUERY, isGroup: BOOLEAN_QUERY, unread: BOOLEAN_QUERY }
+    }
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const { chats, nextCursor } = await whatsappManager.listChats(req.params.phone, {
+        limit: req.query.limit,
+        before: req.query.before,
+        isGroup: queryBoolean(req.query.isGroup),
+        unread: queryBoolean(req.query.unread)
+      });
+      
+      res.json({
+        success: true,
+        chats: chats,
+        nextCursor: nextCursor
+      });
+    } catch (error) {
+      respondWithError(res, error, 'listing chats');
+    }
+  });
+
+  // Chat messages endpoint (?limit=, ?before=<cursor|time>, ?after=<time>, ?fromMe=true|false, ?type=chat,image)
+  router.get('/sessions/:phone/chats/:chatId/messages', validate({
+    tag: 'Chats',
+    summary: 'Page through the messages of a chat, newest first',
+    params: sessionParams({ chatId: { type: 'string', description: 'Chat id or phone number' } }),
+    query: {
+      properties: {
+        limit: LIMIT_QUERY,
+        before: { type: 'string', description: 'nextCursor of the previous page, or a time' },
+        after: { type: 'string', description: 'Seconds since the epoch or ISO 8601 time' },
+        fromMe: BOOLEAN_QUERY,
+        type: { type: 'string', description: 'Comma-separated message types (chat,image,...)' }
+      }
+    }
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const { messages, nextCursor, hasMore } = await whatsappManager.getMessages(req.params.phone, req.params.chatId, {
+        limit: req.query.limit,
+        before: req.query.before,
+        after: req.query.after,
+        fromMe: queryBoolean(req.query.fromMe),
+        type: req.query.type ? String(req.query.type).split(',') : undefined
+      });
+      
+      res.json({
+        success: true,
+        messages: messages,
+        nextCursor: nextCursor,
+        hasMore: hasMore
+      });
+    } catch (error) {
+      respondWithError(res, error, 'getting chat messages');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createChatRouter;
@@ -0,0 +1,134 @@
+const express = require('express');
+const { queryBoolean, requireAuthenticated, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { BOOLEAN_QUERY, sessionParams } = require('./schemas');
+
+// Most numbers checked by one /contacts/check request
+const MAX_CHECK_NUMBERS = 100;
+
+const CONTACT_PARAMS = sessionParams({ contactId: { type: 'string', description: 'Contact id or phone number' } });
+
+/**
+ * Create the contact routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @returns {express.Router}
+ */
+function createContactRouter(whatsappManager) {
+  const router = express.Router();
+
+  // List contacts endpoint (?onlyMyContacts=true, ?blocked=true)
+  router.get('/sessions/:phone/contacts', validate({
+    tag: 'Contacts',
+    summary: 'List contacts',
+    params: sessionParams(),
+    query: { properties: { onlyMyContacts: BOOLEAN_QUERY, blocked: BOOLEAN_QUERY } }
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const contacts = await whatsappManager.listContacts(req.params.phone, {
+        onlyMyContacts: queryBoolean(req.query.onlyMyContacts),
+        blocked: queryBoolean(req.query.blocked)
+      });
+      
+      res.json({
+        success: true,
+        contacts: contacts
+      });
+    } catch (error) {
+      respondWithError(res, error, 'listing contacts');
+    }
+  });
+
+  // Registration check endpoint ({ numbers: [...] }; answers the WhatsApp id of each registered number)
+  router.post('/sessions/:phone/contacts/check', validate({
+    tag: 'Contacts',
+    summary: 'Check which numbers are registered on WhatsApp',
+    params: sessionParams(),
+    body: {
+      type: 'object',
+      properties: {
+        numbers: { type: 'array', minItems: 1, maxItems: MAX_CHECK_NUMBERS, items: { type: 'string', minLength: 1 } }
+      },
+      required: ['numbers']
+    }
+  }), async (req, res) => {
+    const { numbers } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const results = await whatsappManager.checkRegistered(req.params.phone, numbers);
+      
+      res.json({
+        success: true,
+        results: results
+      });
+    } catch (error) {
+      respondWithError(res, error, 'checking numbers');
+    }
+  });
+
+  // Contact details endpoint (:contactId is a contact id or phone number)
+  router.get('/sessions/:phone/contacts/:contactId', validate({
+    tag: 'Contacts',
+    summary: 'Get a contact with its about text and profile picture',
+    params: CONTACT_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const contact = await whatsappManager.getContact(req.params.phone, req.params.contactId);
+      
+      res.json({
+        success: true,
+        contact: contact
+      });
+    } catch (error) {
+      respondWithError(res, error, 'getting contact');
+    }
+  });
+
+  // Block endpoint (POST blocks, DELETE unblocks)
+  router.post('/sessions/:phone/contacts/:contactId/block', validate({
+    tag: 'Contacts',
+    summary: 'Block a contact',
+    params: CONTACT_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const contact = await whatsappManager.setContactBlocked(req.params.phone, req.params.contactId, true);
+      
+      res.json({
+        success: true,
+        contact: contact
+      });
+    } catch (error) {
+      respondWithError(res, error, 'blocking contact');
+    }
+  });
+
+  router.delete('/sessions/:phone/contacts/:contactId/block', validate({
+    tag: 'Contacts',
+    summary: 'Unblock a contact',
+    params: CONTACT_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const contact = await whatsappManager.setContactBlocked(req.params.phone, req.params.contactId, false);
+      
+      res.json({
+        success: true,
+        contact: contact
+      });
+    } catch (error) {
+      respondWithError(res, error, 'unblocking contact');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createContactRouter;
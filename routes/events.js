@@ -0,0 +1,94 @@
+const express = require('express');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+const { validate } = require('./validation');
+const { sessionParams } = require('./schemas');
+
+// Manager events forwarded to the stream
+const STREAM_EVENTS = ['state_change', 'qr', 'ready', 'disconnected', 'auth_failure', 'reconnect_failed', 'message', 'message_ack'];
+
+/**
+ * Create the Server-Sent Events routes
+ *
+ * GET /sessions/:phone/events streams one phone number's events as they happen:
+ * - session: the session info (or null) when the stream opens
+ * - qr: { clientId, qr } for the current QR code and every refreshed one, only to credentials with
+ *   the admin permission, which QR logins need (see routes/auth)
+ * - state_change, ready, disconnected, auth_failure, reconnect_failed: the manager event payloads
+ * - message: incoming messages converted by processMessage
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {number} options.heartbeatMs - Interval of the keep-alive comments (default 15000)
+ * @returns {express.Router}
+ */
+function createEventStreamRouter(whatsappManager, options = {}) {
+  const heartbeatMs = options.heartbeatMs || 15000;
+  const router = express.Router();
+
+  // Live event stream endpoint (?start=true also starts or restores the client, admin only)
+  router.get('/sessions/:phone/events', validate({
+    tag: 'Sessions',
+    summary: 'Stream the events of an account (Server-Sent Events)',
+    params: sessionParams(),
+    description: 'qr events and start=true need the admin permission, as QR logins do.',
+    query: { properties: { start: { type: 'boolean', description: 'true also starts or restores the client' } } },
+    responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+  }), (req, res) => {
+    const clientId = whatsappManager.formatPhoneNumber(req.params.phone);
+    const canLogin = !req.auth || req.auth.can('admin');
+    if (req.query.start === 'true' && !canLogin) {
+      return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'This credential lacks the admin permission to start a client');
+    }
+    let eventId = 0;
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stop reverse proxies (nginx) from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    
+    const send = (event, data) => {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    // Forward this number's manager events
+    const listeners = STREAM_EVENTS.filter(event => event !== 'qr' || canLogin).map(event => {
+      const listener = (data) => {
+        if (data.clientId === clientId) {
+          send(event, data);
+        }
+      };
+      whatsappManager.on(event, listener);
+      return [event, listener];
+    });
+    
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      for (const [event, listener] of listeners) {
+        whatsappManager.removeListener(event, listener);
+      }
+    });
+    
+    // Current snapshot, so a dashboard can render without waiting for the next event
+    send('session', whatsappManager.getSessionInfo(clientId));
+    const qr = canLogin && whatsappManager.getCurrentQR(clientId);
+    if (qr) {
+      send('qr', { clientId, qr });
+    }
+    
+    if (req.query.start === 'true') {
+      whatsappManager.getOrInitializeClient(clientId).catch(error => {
+        req.log.error({ err: error, clientId }, 'Error starting client for event stream');
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createEventStreamRouter;
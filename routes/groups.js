@@ -0,0 +1,228 @@
+const express = require('express');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, requireAuthenticated, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { RECIPIENT, sessionParams } = require('./schemas');
+
+const PARTICIPANTS = { type: 'array', minItems: 1, items: { ...RECIPIENT, description: 'Phone number or contact id' } };
+
+const GROUP_PARAMS = sessionParams({ groupId: { type: 'string', description: 'Group id (...@g.us, the suffix may be left out)' } });
+
+/**
+ * Create the group management routes
+ *
+ * Messages are sent to a group through /send-message or /messages with the group id
+ * ('...@g.us') as the recipient.
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @returns {express.Router}
+ */
+function createGroupRouter(whatsappManager) {
+  const router = express.Router();
+
+  // List groups endpoint
+  router.get('/sessions/:phone/groups', validate({
+    tag: 'Groups',
+    summary: 'List the groups the account is in',
+    params: sessionParams()
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const groups = await whatsappManager.listGroups(req.params.phone);
+      
+      res.json({
+        success: true,
+        groups: groups
+      });
+    } catch (error) {
+      respondWithError(res, error, 'listing groups');
+    }
+  });
+
+  // Create group endpoint ({ name, participants })
+  router.post('/sessions/:phone/groups', validate({
+    tag: 'Groups',
+    summary: 'Create a group',
+    params: sessionParams(),
+    body: {
+      type: 'object',
+      properties: { name: { type: 'string', minLength: 1 }, participants: PARTICIPANTS },
+      required: ['name', 'participants']
+    }
+  }), async (req, res) => {
+    const { name, participants } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const result = await whatsappManager.createGroup(req.params.phone, name, participants);
+      
+      res.status(201).json({
+        success: true,
+        group: result.group,
+        participants: result.participants
+      });
+    } catch (error) {
+      respondWithError(res, error, 'creating group');
+    }
+  });
+
+  // Join group endpoint ({ invite }: invite code or link)
+  router.post('/sessions/:phone/groups/join', validate({
+    tag: 'Groups',
+    summary: 'Join a group by invite code or link',
+    params: sessionParams(),
+    body: {
+      type: 'object',
+      properties: { invite: { type: 'string', minLength: 1, description: 'Invite code or https://chat.whatsapp.com/ link' } },
+      required: ['invite']
+    }
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const group = await whatsappManager.joinGroup(req.params.phone, req.body.invite);
+      
+      res.json({
+        success: true,
+        group: group
+      });
+    } catch (error) {
+      respondWithError(res, error, 'joining group');
+    }
+  });
+
+  // Group details endpoint
+  router.get('/sessions/:phone/groups/:groupId', validate({
+    tag: 'Groups',
+    summary: 'Get a group with its participants',
+    params: GROUP_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const group = await whatsappManager.getGroup(req.params.phone, req.params.groupId);
+      
+      res.json({
+        success: true,
+        group: group
+      });
+    } catch (error) {
+      respondWithError(res, error, 'getting group');
+    }
+  });
+
+  // Change subject/description endpoint ({ subject?, description? })
+  router.patch('/sessions/:phone/groups/:groupId', validate({
+    tag: 'Groups',
+    summary: 'Change the subject or description of a group',
+    params: GROUP_PARAMS,
+    body: {
+      type: 'object',
+      properties: { subject: { type: 'string', minLength: 1, pattern: '\\S' }, description: { type: 'string' } },
+      minProperties: 1
+    }
+  }), async (req, res) => {
+    const { subject, description } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const group = await whatsappManager.updateGroup(req.params.phone, req.params.groupId, { subject, description });
+      
+      res.json({
+        success: true,
+        group: group
+      });
+    } catch (error) {
+      respondWithError(res, error, 'updating group');
+    }
+  });
+
+  // Participants endpoint (:action is add, remove, promote or demote; body { participants })
+  router.post('/sessions/:phone/groups/:groupId/participants/:action', validate({
+    tag: 'Groups',
+    summary: 'Add, remove, promote or demote participants',
+    params: sessionParams({
+      groupId: GROUP_PARAMS.properties.groupId,
+      action: { type: 'string', description: whatsappManager.GROUP_PARTICIPANT_ACTIONS.join(', ') }
+    }),
+    body: { type: 'object', properties: { participants: PARTICIPANTS }, required: ['participants'] }
+  }), async (req, res) => {
+    const { action } = req.params;
+    
+    // Unknown actions are unknown routes
+    if (!whatsappManager.GROUP_PARTICIPANT_ACTIONS.includes(action)) {
+      return sendError(
+        res,
+        404,
+        ERROR_CODES.NOT_FOUND,
+        `Unknown participant action ${action}; use ${whatsappManager.GROUP_PARTICIPANT_ACTIONS.join(', ')}`
+      );
+    }
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const results = await whatsappManager.updateGroupParticipants(
+        req.params.phone,
+        req.params.groupId,
+        action,
+        req.body.participants
+      );
+      
+      res.json({
+        success: true,
+        participants: results
+      });
+    } catch (error) {
+      respondWithError(res, error, `changing group participants (${action})`);
+    }
+  });
+
+  // Invite link endpoint
+  router.get('/sessions/:phone/groups/:groupId/invite', validate({
+    tag: 'Groups',
+    summary: 'Get the invite link of a group',
+    params: GROUP_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const { code, link } = await whatsappManager.getGroupInvite(req.params.phone, req.params.groupId);
+      
+      res.json({
+        success: true,
+        code: code,
+        link: link
+      });
+    } catch (error) {
+      respondWithError(res, error, 'getting group invite');
+    }
+  });
+
+  // Revoke invite link endpoint (answers the new link)
+  router.delete('/sessions/:phone/groups/:groupId/invite', validate({
+    tag: 'Groups',
+    summary: 'Revoke the invite link of a group and get the new one',
+    params: GROUP_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const { code, link } = await whatsappManager.revokeGroupInvite(req.params.phone, req.params.groupId);
+      
+      res.json({
+        success: true,
+        code: code,
+        link: link
+      });
+    } catch (error) {
+      respondWithError(res, error, 'revoking group invite');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createGroupRouter;
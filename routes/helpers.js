@@ -0,0 +1,134 @@
+const { ERROR_CODES } = require('../lib/errors');
+
+// HTTP status for the manager errors raised by the session routes
+const ERROR_STATUS = {
+  [ERROR_CODES.CLIENT_NOT_FOUND]: 404,
+  [ERROR_CODES.CLIENT_NOT_READY]: 409,
+  [ERROR_CODES.PHONE_INVALID]: 400,
+  [ERROR_CODES.RECIPIENT_INVALID]: 400,
+  [ERROR_CODES.CHAT_NOT_FOUND]: 404,
+  [ERROR_CODES.INVALID_CURSOR]: 400,
+  [ERROR_CODES.GROUP_NOT_FOUND]: 404,
+  [ERROR_CODES.GROUP_ACTION_FAILED]: 422,
+  [ERROR_CODES.INVALID_INVITE]: 400,
+  [ERROR_CODES.CONTACT_NOT_FOUND]: 404,
+  [ERROR_CODES.MESSAGE_NOT_FOUND]: 404,
+  [ERROR_CODES.MESSAGE_ACTION_FAILED]: 422,
+  [ERROR_CODES.UNSUPPORTED_CONTENT]: 400,
+  [ERROR_CODES.INVALID_MEDIA]: 400,
+  [ERROR_CODES.MEDIA_TOO_LARGE]: 413,
+  [ERROR_CODES.SEND_FAILED]: 502,
+  [ERROR_CODES.RECIPIENT_NOT_REGISTERED]: 422,
+  [ERROR_CODES.LOOKUP_FAILED]: 502,
+  [ERROR_CODES.VALIDATION_FAILED]: 400,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.RULE_READ_ONLY]: 409,
+  [ERROR_CODES.SCHEDULE_FINISHED]: 409,
+  [ERROR_CODES.CAMPAIGN_FINISHED]: 409,
+  [ERROR_CODES.SESSION_NOT_FOUND]: 404,
+  [ERROR_CODES.SESSION_IN_USE]: 409,
+  [ERROR_CODES.SESSION_ARCHIVE_INVALID]: 400
+};
+
+/**
+ * Read a true/false query parameter
+ * @param {string} value - Query value
+ * @returns {boolean|undefined} - undefined when the parameter is absent or not a boolean
+ */
+function queryBoolean(value) {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+}
+
+/**
+ * Send an error in the API's error envelope: { success: false, error, code, ...extra }
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {Object} [extra] - Additional fields (e.g. details, requiresQR, jobId)
+ * @returns {Object} - The Express response
+ */
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ 
+    success: false, 
+    error: message,
+    code: code,
+    ...extra
+  });
+}
+
+/**
+ * Make sure the client of the :phone parameter is authenticated, restoring its session if needed
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} - False if an error response was sent
+ */
+async function requireAuthenticated(whatsappManager, req, res) {
+  const { authenticated, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(req.params.phone);
+  
+  if (!authenticated) {
+    sendError(res, 400, code, error, { requiresQR: requiresQR });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Make sure the request's credential may act for an account (see routes/auth)
+ *
+ * The auth middleware checks the accounts named in the path, query or JSON body; routes that only
+ * learn the account while handling the request (multipart uploads) check it with this.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} phoneNumber - Phone number of the account
+ * @returns {boolean} - False if an error response was sent
+ */
+function requireAccount(req, res, phoneNumber) {
+  if (!req.auth || req.auth.canAccess(phoneNumber)) return true;
+  
+  sendError(res, 403, ERROR_CODES.FORBIDDEN, `This credential may not act for ${phoneNumber}`);
+  return false;
+}
+
+/**
+ * Make sure message content from a request can be sent (see whatsappManager.validateContent)
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} res - Express response
+ * @param {string|Object} content - Message content
+ * @returns {boolean} - False if an error response was sent
+ */
+function requireValidContent(whatsappManager, res, content) {
+  const validationError = whatsappManager.validateContent(content);
+  if (validationError) {
+    sendError(res, 400, ERROR_CODES.UNSUPPORTED_CONTENT, validationError);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send the response for an error thrown by the manager
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown
+ * @param {string} action - What was being done, for the log (written with req.log, see routes/requestLogger)
+ */
+function respondWithError(res, error, action) {
+  const status = ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    res.req.log.error({ err: error }, `Error ${action}`);
+  }
+  sendError(res, status, error.code || ERROR_CODES.INTERNAL_ERROR, error.message);
+}
+
+module.exports = {
+  ERROR_STATUS,
+  queryBoolean,
+  sendError,
+  requireAuthenticated,
+  requireAccount,
+  requireValidContent,
+  respondWithError
+};
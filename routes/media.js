@@ -0,0 +1,57 @@
+const express = require('express');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+const { validate } = require('./validation');
+
+/**
+ * Create the downloaded media routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object|null} mediaStore - Media store (see lib/mediaStore), or null when media downloading is off
+ * @returns {express.Router}
+ */
+function createMediaRouter(whatsappManager, mediaStore) {
+  const router = express.Router();
+
+  // Download stored media endpoint (id from the 'media' reference of a received message; ?download=true saves as a file)
+  router.get('/media/:id', validate({
+    tag: 'Media',
+    summary: 'Download the media of a received message',
+    params: { properties: { id: { type: 'string', description: 'id of the message\'s media reference' } }, required: ['id'] },
+    query: { properties: { download: { type: 'boolean', description: 'true to save as a file' } } },
+    responses: { 200: { description: 'The media file', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } } }
+  }), async (req, res) => {
+    if (!mediaStore) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Media downloading is not enabled');
+    }
+    
+    try {
+      const stored = await mediaStore.get(req.params.id);
+      
+      if (!stored) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No media with id ${req.params.id}`);
+      }
+      
+      const { buffer, meta } = stored;
+      const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+      res.set({
+        'Content-Type': meta.mimetype,
+        'Content-Length': buffer.length,
+        // Content never changes for an id, since the id is the content's hash
+        'Cache-Control': 'private, max-age=31536000, immutable',
+        'ETag': `"${req.params.id}"`,
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (meta.filename) {
+        res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(meta.filename)}`);
+      }
+      res.send(buffer);
+    } catch (error) {
+      req.log.error({ err: error }, 'Error reading media');
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMediaRouter;
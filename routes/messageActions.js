@@ -0,0 +1,224 @@
+const express = require('express');
+const { queryBoolean, requireAuthenticated, requireValidContent, respondWithError } = require('./helpers');
+const { serializeId } = require('../lib/messageConverter');
+const { validate } = require('./validation');
+const { RECIPIENT, MESSAGE_CONTENT, BOOLEAN_QUERY, sessionParams } = require('./schemas');
+
+const MESSAGE_PARAMS = sessionParams({
+  messageId: { type: 'string', description: 'Serialized message id (URL-encoded)' }
+});
+
+const CHAT_PARAMS = sessionParams({ chatId: { type: 'string', description: 'Chat id or phone number' } });
+
+/**
+ * Create the routes acting on existing messages and chats
+ *
+ * :messageId is a serialized message id, as found in the `id` of messages returned by the
+ * history routes, webhooks and /send-message ('false_4987654321@c.us_3EB0...').
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @returns {express.Router}
+ */
+function createMessageActionRouter(whatsappManager) {
+  const router = express.Router();
+
+  // Reply endpoint ({ message }: text, or media/location content like /send-message)
+  router.post('/sessions/:phone/messages/:messageId/reply', validate({
+    tag: 'Message actions',
+    summary: 'Reply to a message, quoting it',
+    params: MESSAGE_PARAMS,
+    body: { type: 'object', properties: { message: MESSAGE_CONTENT }, required: ['message'] }
+  }), async (req, res) => {
+    const { message } = req.body;
+    
+    if (!requireValidContent(whatsappManager, res, message)) return;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const sent = await whatsappManager.replyToMessage(req.params.phone, req.params.messageId, message);
+      
+      res.json({
+        success: true,
+        messageId: sent ? serializeId(sent.id) : null
+      });
+    } catch (error) {
+      respondWithError(res, error, 'replying to message');
+    }
+  });
+
+  // Reaction endpoints (PUT { emoji } sets the client's reaction, DELETE removes it)
+  router.put('/sessions/:phone/messages/:messageId/reaction', validate({
+    tag: 'Message actions',
+    summary: 'React to a message',
+    params: MESSAGE_PARAMS,
+    body: { type: 'object', properties: { emoji: { type: 'string', minLength: 1 } }, required: ['emoji'] }
+  }), async (req, res) => {
+    const { emoji } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.reactToMessage(req.params.phone, req.params.messageId, emoji);
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'reacting to message');
+    }
+  });
+
+  router.delete('/sessions/:phone/messages/:messageId/reaction', validate({
+    tag: 'Message actions',
+    summary: 'Remove the reaction to a message',
+    params: MESSAGE_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.reactToMessage(req.params.phone, req.params.messageId, '');
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'removing reaction');
+    }
+  });
+
+  // Edit endpoint ({ body })
+  router.patch('/sessions/:phone/messages/:messageId', validate({
+    tag: 'Message actions',
+    summary: 'Edit a sent message (within 15 minutes of sending)',
+    params: MESSAGE_PARAMS,
+    body: { type: 'object', properties: { body: { type: 'string', minLength: 1 } }, required: ['body'] }
+  }), async (req, res) => {
+    const { body } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const message = await whatsappManager.editMessage(req.params.phone, req.params.messageId, body);
+      
+      res.json({
+        success: true,
+        message: message
+      });
+    } catch (error) {
+      respondWithError(res, error, 'editing message');
+    }
+  });
+
+  // Delete endpoint (for everyone, or ?everyone=false for the client's devices only)
+  router.delete('/sessions/:phone/messages/:messageId', validate({
+    tag: 'Message actions',
+    summary: 'Delete a message for everyone, or only for the account',
+    params: MESSAGE_PARAMS,
+    query: { properties: { everyone: { ...BOOLEAN_QUERY, default: true } } }
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.deleteMessage(req.params.phone, req.params.messageId, {
+        everyone: queryBoolean(req.query.everyone) !== false
+      });
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'deleting message');
+    }
+  });
+
+  // Forward endpoint ({ to }: phone number, contact id or group id)
+  router.post('/sessions/:phone/messages/:messageId/forward', validate({
+    tag: 'Message actions',
+    summary: 'Forward a message',
+    params: MESSAGE_PARAMS,
+    body: { type: 'object', properties: { to: RECIPIENT }, required: ['to'] }
+  }), async (req, res) => {
+    const { to } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      const chatId = await whatsappManager.forwardMessage(req.params.phone, req.params.messageId, to);
+      
+      res.json({
+        success: true,
+        chatId: chatId
+      });
+    } catch (error) {
+      respondWithError(res, error, 'forwarding message');
+    }
+  });
+
+  // Star endpoints (PUT stars, DELETE unstars)
+  router.put('/sessions/:phone/messages/:messageId/star', validate({
+    tag: 'Message actions',
+    summary: 'Star a message',
+    params: MESSAGE_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.starMessage(req.params.phone, req.params.messageId, true);
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'starring message');
+    }
+  });
+
+  router.delete('/sessions/:phone/messages/:messageId/star', validate({
+    tag: 'Message actions',
+    summary: 'Unstar a message',
+    params: MESSAGE_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.starMessage(req.params.phone, req.params.messageId, false);
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'unstarring message');
+    }
+  });
+
+  // Mark as read endpoint
+  router.post('/sessions/:phone/chats/:chatId/read', validate({
+    tag: 'Message actions',
+    summary: 'Mark the messages of a chat as read',
+    params: CHAT_PARAMS
+  }), async (req, res) => {
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.markChatRead(req.params.phone, req.params.chatId);
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'marking chat as read');
+    }
+  });
+
+  // Presence endpoint ({ state }: typing, recording or paused)
+  router.post('/sessions/:phone/chats/:chatId/presence', validate({
+    tag: 'Message actions',
+    summary: 'Show typing or recording in a chat',
+    params: CHAT_PARAMS,
+    body: { type: 'object', properties: { state: { type: 'string', enum: whatsappManager.PRESENCE_STATES } }, required: ['state'] }
+  }), async (req, res) => {
+    const { state } = req.body;
+    
+    try {
+      if (!(await requireAuthenticated(whatsappManager, req, res))) return;
+      
+      await whatsappManager.sendPresence(req.params.phone, req.params.chatId, state);
+      
+      res.json({ success: true });
+    } catch (error) {
+      respondWithError(res, error, 'sending presence');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMessageActionRouter;
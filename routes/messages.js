@@ -0,0 +1,265 @@
+const express = require('express');
+const multer = require('multer');
+const { JOB_STATUS } = require('../lib/messageQueue');
+const { MEDIA_TYPES } = require('../lib/media');
+const { ERROR_CODES } = require('../lib/errors');
+const { ERROR_STATUS, sendError, requireAccount, requireValidContent } = require('./helpers');
+const { validate, checkMultipart } = require('./validation');
+const { PHONE, RECIPIENT, MESSAGE_CONTENT } = require('./schemas');
+
+const SEND_MESSAGE_BODY = {
+  type: 'object',
+  properties: {
+    senderPhoneNumber: PHONE,
+    recipientPhoneNumber: RECIPIENT,
+    message: MESSAGE_CONTENT,
+    idempotencyKey: { type: 'string', description: 'Same as the Idempotency-Key header' }
+  },
+  required: ['senderPhoneNumber', 'recipientPhoneNumber', 'message']
+};
+
+const SEND_MEDIA = {
+  tag: 'Messages',
+  summary: 'Send an uploaded file and wait for the send',
+  multipart: {
+    properties: {
+      senderPhoneNumber: PHONE,
+      recipientPhoneNumber: RECIPIENT,
+      file: { type: 'string', format: 'binary' },
+      type: { type: 'string', enum: Object.keys(MEDIA_TYPES), description: 'Detected from the file when omitted' },
+      caption: { type: 'string' },
+      filename: { type: 'string' },
+      voiceNote: { type: 'boolean' }
+    },
+    required: ['senderPhoneNumber', 'recipientPhoneNumber', 'file']
+  }
+};
+
+/**
+ * Pick the media type of an uploaded file from its MIME type
+ * @param {string} mimetype - MIME type reported by the upload
+ * @returns {string} - image, video, audio or document
+ * @private
+ */
+function mediaTypeForUpload(mimetype) {
+  const [kind] = (mimetype || '').split('/');
+  return ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+}
+
+/**
+ * Create the message routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} messageQueue - Message queue (see lib/messageQueue)
+ * @param {Object} options - Optional configuration
+ * @param {number} options.sendWaitMs - How long /send-message and /send-media wait for the send (default 30000)
+ * @returns {express.Router}
+ */
+function createMessageRouter(whatsappManager, messageQueue, options = {}) {
+  const router = express.Router();
+  const sendWaitMs = options.sendWaitMs || 30000;
+
+  // Uploads are kept in memory; the manager's per-type limits are checked once the type is known
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Math.max(...Object.values(whatsappManager.mediaLimits)), files: 1 }
+  }).single('file');
+
+  /**
+   * Queue a message from an authenticated sender and wait for it to be sent
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} params - Message parameters
+   * @param {string} params.senderPhoneNumber - Sender phone number
+   * @param {string} params.recipientPhoneNumber - Recipient phone number
+   * @param {string|Object} params.content - Message content
+   * @returns {Promise<Object>} - The Express response
+   */
+  const sendAndWait = async (req, res, { senderPhoneNumber, recipientPhoneNumber, content }) => {
+    if (!requireAccount(req, res, senderPhoneNumber)) return res;
+    
+    try {
+      // Try to get or initialize the sender client
+      const { authenticated, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(senderPhoneNumber);
+      
+      if (!authenticated) {
+        return sendError(res, 400, code, error, { requiresQR: requiresQR });
+      }
+      
+      // Refuse numbers that are not on WhatsApp before queuing (group ids are not looked up). The
+      // job is given the id found, so the send does not look the number up again
+      let recipientId = recipientPhoneNumber;
+      if (!recipientPhoneNumber.endsWith('@g.us')) {
+        const [recipient] = await whatsappManager.checkRegistered(senderPhoneNumber, [recipientPhoneNumber]);
+        if (!recipient.registered) {
+          return sendError(res, 422, ERROR_CODES.RECIPIENT_NOT_REGISTERED, `${recipientPhoneNumber} is not registered on WhatsApp`);
+        }
+        recipientId = recipient.id;
+      }
+      
+      // Sender client is authenticated, queue the message (rate limits apply) and wait for the send
+      const { job } = messageQueue.enqueue({
+        sender: senderPhoneNumber,
+        recipient: recipientId,
+        content: content,
+        idempotencyKey: req.get('Idempotency-Key') || req.body.idempotencyKey
+      });
+      const result = await messageQueue.waitForJob(job.id, sendWaitMs);
+      
+      if (result.status === JOB_STATUS.FAILED) {
+        // Errors about the request keep their status (422 unregistered, 400 invalid content, ...)
+        const status = ERROR_STATUS[result.errorCode] || 500;
+        return sendError(
+          res,
+          status,
+          result.errorCode || ERROR_CODES.SEND_FAILED,
+          status === 500 ? 'Failed to send message' : result.error,
+          { jobId: result.id }
+        );
+      }
+      
+      if (result.status !== JOB_STATUS.SENT) {
+        // Still waiting for a rate limit or retry; poll GET /messages/:jobId
+        return res.status(202).json({
+          success: true,
+          message: 'Message queued',
+          jobId: result.id,
+          status: result.status
+        });
+      }
+      
+      res.json({ 
+        success: true, 
+        message: 'Message sent successfully',
+        jobId: result.id,
+        messageId: result.messageId
+      });
+    } catch (error) {
+      req.log.error({ err: error }, 'Error sending message');
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  };
+
+  // Send message between clients endpoint (message is text, or an object such as { document, filename })
+  router.post('/send-message', validate({
+    tag: 'Messages',
+    summary: 'Send a message and wait for the send',
+    description: 'Answers 202 with the jobId when the message is still queued after SEND_WAIT_MS.',
+    body: SEND_MESSAGE_BODY
+  }), async (req, res) => {
+    const { senderPhoneNumber, recipientPhoneNumber, message } = req.body;
+    
+    if (!requireValidContent(whatsappManager, res, message)) return;
+    
+    return sendAndWait(req, res, { senderPhoneNumber, recipientPhoneNumber, content: message });
+  });
+
+  // Send an uploaded file endpoint (multipart/form-data with a 'file' field)
+  router.post('/send-media', validate(SEND_MEDIA), (req, res) => {
+    upload(req, res, async (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return sendError(
+          res,
+          tooLarge ? 413 : 400,
+          tooLarge ? ERROR_CODES.MEDIA_TOO_LARGE : ERROR_CODES.VALIDATION_FAILED,
+          uploadError.message
+        );
+      }
+      
+      const { senderPhoneNumber, recipientPhoneNumber, caption, filename, voiceNote } = req.body;
+      
+      if (!checkMultipart(SEND_MEDIA, req, res)) return;
+      if (!req.file) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'file is required');
+      }
+      
+      const type = req.body.type || mediaTypeForUpload(req.file.mimetype);
+      
+      // Generic upload types are left out so the MIME type is detected from the file itself
+      const mimetype = req.file.mimetype === 'application/octet-stream' ? undefined : req.file.mimetype;
+      const content = {
+        [type]: { data: req.file.buffer.toString('base64'), mimetype, filename: req.file.originalname },
+        caption: caption,
+        filename: filename || req.file.originalname,
+        voiceNote: voiceNote === 'true' || voiceNote === '1'
+      };
+      
+      if (!requireValidContent(whatsappManager, res, content)) return;
+      
+      return sendAndWait(req, res, { senderPhoneNumber, recipientPhoneNumber, content });
+    });
+  });
+
+  // Queue message endpoint (returns at once with the job; poll GET /messages/:jobId for the outcome)
+  router.post('/messages', validate({
+    tag: 'Messages',
+    summary: 'Queue a message and answer at once with its job',
+    body: SEND_MESSAGE_BODY
+  }), async (req, res) => {
+    const { senderPhoneNumber, recipientPhoneNumber, message } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    
+    if (!requireValidContent(whatsappManager, res, message)) return;
+    
+    try {
+      // Make sure the sender exists (restoring a stored session if needed); jobs wait until it is ready
+      const { state, requiresQR, error, code } = await whatsappManager.getOrInitializeClient(senderPhoneNumber);
+      
+      if (!state) {
+        return sendError(res, 400, code, error, { requiresQR: requiresQR });
+      }
+      
+      const { job, duplicate } = messageQueue.enqueue({
+        sender: senderPhoneNumber,
+        recipient: recipientPhoneNumber,
+        content: message,
+        idempotencyKey
+      });
+      
+      res.status(duplicate ? 200 : 202).json({
+        success: true,
+        duplicate: duplicate,
+        jobId: job.id,
+        job: job
+      });
+    } catch (error) {
+      req.log.error({ err: error }, 'Error queueing message');
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  });
+
+  // List jobs endpoint (?phone= sender, ?status= queued|sending|sent|failed)
+  router.get('/messages', validate({
+    tag: 'Messages',
+    summary: 'List queued and sent message jobs',
+    query: { properties: { phone: PHONE, status: { type: 'string', enum: Object.values(JOB_STATUS) } } }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      jobs: messageQueue.listJobs({ sender: req.query.phone, status: req.query.status })
+    });
+  });
+
+  // Job status endpoint
+  router.get('/messages/:jobId', validate({
+    tag: 'Messages',
+    summary: 'Get a message job',
+    params: { properties: { jobId: { type: 'string' } }, required: ['jobId'] }
+  }), (req, res) => {
+    const job = messageQueue.getJob(req.params.jobId);
+    
+    if (!job) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No message job with id ${req.params.jobId}`);
+    }
+    if (!requireAccount(req, res, `+${job.sender}`)) return;
+    
+    res.json({
+      success: true,
+      job: job
+    });
+  });
+
+  return router;
+}
+
+module.exports = createMessageRouter;
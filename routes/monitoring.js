@@ -0,0 +1,72 @@
+const express = require('express');
+const { CLIENT_STATES } = require('../lib/clientState');
+const { CONTENT_TYPE } = require('../lib/metrics');
+const { validate } = require('./validation');
+
+// Account states that need someone to look at them (logouts through the API remove the account)
+const DOWN_STATES = [CLIENT_STATES.DISCONNECTED, CLIENT_STATES.LOGGED_OUT, CLIENT_STATES.FAILED];
+
+/**
+ * Create the monitoring routes (/metrics, /healthz and /readyz)
+ *
+ * None of them starts, restores or touches a client: they only read the manager's state.
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} metrics - Metrics (see lib/metrics)
+ * @returns {express.Router}
+ */
+function createMonitoringRouter(whatsappManager, metrics) {
+  const router = express.Router();
+
+  // Prometheus metrics endpoint
+  router.get('/metrics', validate({
+    tag: 'Monitoring',
+    summary: 'Prometheus metrics',
+    responses: { 200: { description: 'Prometheus text exposition format', content: { 'text/plain': {} } } }
+  }), (req, res) => {
+    res.type(CONTENT_TYPE).send(metrics.render());
+  });
+
+  // Liveness endpoint (the process is up and answering)
+  router.get('/healthz', validate({
+    tag: 'Monitoring',
+    summary: 'Liveness check',
+    public: true
+  }), (req, res) => {
+    res.json({
+      status: 'ok',
+      uptime: Math.round(process.uptime())
+    });
+  });
+
+  // Readiness endpoint (503 until the manager is initialized, and while any account is down)
+  router.get('/readyz', validate({
+    tag: 'Monitoring',
+    summary: 'Readiness check',
+    description: 'Answers 503 before the manager is initialized and while an account is disconnected, logged out or failed.',
+    public: true,
+    responses: { 503: { description: 'Not ready' } }
+  }), (req, res) => {
+    const accounts = {};
+    let down = 0;
+    for (const session of whatsappManager.listSessions()) {
+      accounts[session.state] = (accounts[session.state] || 0) + 1;
+      if (DOWN_STATES.includes(session.state)) down++;
+    }
+    const initialized = whatsappManager.initializedAt !== null;
+    const ready = initialized && down === 0;
+
+    // Counts only: the route needs no credentials, so it names no account
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      checks: {
+        manager: initialized ? 'ok' : 'not_initialized',
+        accounts: down === 0 ? 'ok' : `${down} down`
+      },
+      accounts: accounts
+    });
+  });
+
+  return router;
+}
+
+module.exports = createMonitoringRouter;
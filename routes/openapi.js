@@ -0,0 +1,188 @@
+const express = require('express');
+const { ERROR_CODES } = require('../lib/errors');
+const { validate } = require('./validation');
+
+// Swagger UI is loaded from a CDN so the server needs no extra dependency
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5';
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', const: false },
+    error: { type: 'string', description: 'Human-readable message' },
+    code: { type: 'string', enum: Object.values(ERROR_CODES) },
+    details: {
+      type: 'array',
+      description: 'One entry per invalid field (validation errors only)',
+      items: {
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' }, code: { type: 'string' } }
+      }
+    },
+    requiresQR: { type: 'boolean', description: 'The account must scan a QR code first' }
+  },
+  required: ['success', 'error', 'code']
+};
+
+/**
+ * Convert an Express path to an OpenAPI path ('/sessions/:phone' to '/sessions/{phone}')
+ * @param {string} path - Express route path
+ * @returns {string}
+ * @private
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * List the routes of an Express app or router with their validate() descriptions
+ * @param {Array<Object>} stack - Layers of the app or router (every router is mounted at '/')
+ * @returns {Array<{path: string, method: string, spec: Object|null}>}
+ * @private
+ */
+function collectRoutes(stack) {
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route && typeof layer.route.path === 'string') {
+      const described = layer.route.stack.find(routeLayer => routeLayer.handle.openapi);
+      for (const method of Object.keys(layer.route.methods)) {
+        routes.push({ path: layer.route.path, method, spec: described ? described.handle.openapi : null });
+      }
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(...collectRoutes(layer.handle.stack));
+    }
+  }
+  return routes;
+}
+
+/**
+ * Build the OpenAPI operation of a route
+ * @param {string} path - Express route path
+ * @param {Object|null} spec - Route description given to validate(), null for undescribed routes
+ * @returns {Object} - OpenAPI operation object
+ * @private
+ */
+function buildOperation(path, spec) {
+  spec = spec || {};
+  const parameters = [];
+
+  // Every path parameter is listed, described or not
+  const params = spec.params || {};
+  for (const [, name] of path.matchAll(/:(\w+)/g)) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: (params.properties && params.properties[name]) || { type: 'string' }
+    });
+  }
+  const query = spec.query || {};
+  for (const [name, schema] of Object.entries(query.properties || {})) {
+    parameters.push({ name, in: 'query', required: (query.required || []).includes(name), schema });
+  }
+
+  const operation = {
+    tags: spec.tag ? [spec.tag] : undefined,
+    summary: spec.summary,
+    description: spec.description,
+    deprecated: spec.deprecated || undefined,
+    parameters: parameters.length ? parameters : undefined,
+    responses: {
+      200: { description: 'Success' },
+      ...spec.responses,
+      default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+    }
+  };
+  if (spec.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+  } else if (spec.multipart) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: { type: 'object', ...spec.multipart } } }
+    };
+  }
+  if (spec.public) {
+    operation.security = [];
+  }
+  return operation;
+}
+
+/**
+ * Build the OpenAPI document of an Express app from the validate() descriptions of its routes
+ * @param {express.Application} app - Express app
+ * @param {Object} info - OpenAPI info object ({ title, version, description })
+ * @returns {Object} - OpenAPI 3.1 document
+ * @private
+ */
+function buildOpenApiDocument(app, info) {
+  const paths = {};
+  for (const { path, method, spec } of collectRoutes(app._router ? app._router.stack : [])) {
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = buildOperation(path, spec);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        bearer: { type: 'http', scheme: 'bearer', description: 'API key or JWT' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    security: [{ bearer: [] }, { apiKey: [] }]
+  };
+}
+
+/**
+ * Create the API documentation routes (/openapi.json and a Swagger UI page at /docs)
+ *
+ * The document is built on the first request, once every route has been mounted.
+ * @param {express.Application} app - Express app to describe
+ * @param {Object} info - OpenAPI info object ({ title, version, description })
+ * @returns {express.Router}
+ */
+function createOpenApiRouter(app, info) {
+  const router = express.Router();
+  let document = null;
+
+  // OpenAPI document endpoint
+  router.get('/openapi.json', validate({
+    tag: 'Documentation',
+    summary: 'OpenAPI description of this API',
+    public: true
+  }), (req, res) => {
+    document = document || buildOpenApiDocument(app, info);
+    res.json(document);
+  });
+
+  // Swagger UI endpoint
+  router.get('/docs', validate({
+    tag: 'Documentation',
+    summary: 'Browse this API with Swagger UI',
+    public: true,
+    responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+  }), (req, res) => {
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${info.title}</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>
+`);
+  });
+
+  return router;
+}
+
+module.exports = createOpenApiRouter;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { JOB_STATUS } = require('../lib/messageQueue');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, requireAccount } = require('./helpers');
+const { validate } = require('./validation');
+
+/**
+ * Create the message status routes
+ * @param {Object} receipts - Receipt tracker (see lib/receipts)
+ * @param {Object} messageQueue - Message queue (see lib/messageQueue)
+ * @returns {express.Router}
+ */
+function createReceiptRouter(receipts, messageQueue) {
+  const router = express.Router();
+
+  // Message status endpoint (:id is a message id, or the job id returned when the message was queued)
+  router.get('/messages/:id/status', validate({
+    tag: 'Messages',
+    summary: 'Get the delivery status of a sent message',
+    params: { properties: { id: { type: 'string', description: 'Message id or job id' } }, required: ['id'] }
+  }), (req, res) => {
+    const job = messageQueue.getJob(req.params.id);
+    if (job && !requireAccount(req, res, `+${job.sender}`)) return;
+    
+    // A job that has not been sent yet reports its queue status
+    if (job && job.status !== JOB_STATUS.SENT) {
+      return res.json({
+        success: true,
+        jobId: job.id,
+        messageId: null,
+        status: job.status,
+        error: job.error
+      });
+    }
+    
+    const messageId = job ? job.messageId : req.params.id;
+    const receipt = messageId ? receipts.getStatus(messageId) : null;
+    
+    if (!receipt) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No receipts for message ${req.params.id}`);
+    }
+    if (!job && !requireAccount(req, res, `+${receipt.clientId}`)) return;
+    
+    res.json({
+      success: true,
+      jobId: job ? job.id : undefined,
+      ...receipt
+    });
+  });
+
+  return router;
+}
+
+module.exports = createReceiptRouter;
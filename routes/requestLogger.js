@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Request ids accepted from X-Request-Id (others are replaced by a generated id)
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Create the request logging middleware
+ *
+ * Each request gets an id (the caller's X-Request-Id, or a new UUID), echoed in the X-Request-Id
+ * response header, and a child logger bound to it as req.log, which the routes log with. A line
+ * is written when the response finishes: info for successes, warn for 4xx, error for 5xx.
+ * @param {Object} logger - Logger (see lib/logger)
+ * @returns {Function} - Express middleware
+ */
+function createRequestLogger(logger) {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    const requestId = REQUEST_ID.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+
+    req.id = requestId;
+    req.log = logger.child({ reqId: requestId });
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      req.log[level]({
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        actor: req.auth ? req.auth.actor.id : undefined
+      }, 'Request finished');
+    });
+
+    next();
+  };
+}
+
+module.exports = createRequestLogger;
@@ -0,0 +1,182 @@
+const express = require('express');
+const { SCHEDULE_STATUS } = require('../lib/messageScheduler');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, requireAccount, requireValidContent, respondWithError } = require('./helpers');
+const { validate } = require('./validation');
+const { PHONE, RECIPIENT, MESSAGE_CONTENT } = require('./schemas');
+
+// Timing fields shared by creating and changing a scheduled message
+const TIMING_PROPERTIES = {
+  sendAt: { type: 'string', format: 'date-time', description: 'Time of a one-off message (ISO 8601, in the future)' },
+  cron: { type: 'string', minLength: 1, description: 'Cron expression of a recurring message, e.g. "0 9 * * mon-fri"' },
+  timezone: { type: 'string', description: 'IANA time zone of the cron expression (default UTC)', examples: ['Europe/Berlin'] },
+  endAt: { type: 'string', format: 'date-time', description: 'Time after which a recurring message stops' },
+  graceSeconds: { type: 'integer', minimum: 0, description: 'How late the message may still be sent when the sender is not ready' }
+};
+
+const SCHEDULE_BODY = {
+  type: 'object',
+  properties: {
+    senderPhoneNumber: PHONE,
+    recipientPhoneNumber: RECIPIENT,
+    message: MESSAGE_CONTENT,
+    ...TIMING_PROPERTIES
+  },
+  required: ['senderPhoneNumber', 'recipientPhoneNumber', 'message']
+};
+
+const UPDATE_BODY = {
+  type: 'object',
+  properties: {
+    recipientPhoneNumber: RECIPIENT,
+    message: MESSAGE_CONTENT,
+    ...TIMING_PROPERTIES
+  },
+  additionalProperties: false,
+  minProperties: 1
+};
+
+const SCHEDULE_PARAMS = { properties: { id: { type: 'string' } }, required: ['id'] };
+
+/**
+ * Create the scheduled message routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} scheduler - Message scheduler (see lib/messageScheduler)
+ * @returns {express.Router}
+ */
+function createScheduledMessageRouter(whatsappManager, scheduler) {
+  const router = express.Router();
+
+  /**
+   * Get the job of the :id parameter, answering 404 or 403 when it is unknown or another account's
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} - The job, or null if an error response was sent
+   */
+  const requireJob = (req, res) => {
+    const job = scheduler.getJob(req.params.id);
+
+    if (!job) {
+      sendError(res, 404, ERROR_CODES.NOT_FOUND, `No scheduled message with id ${req.params.id}`);
+      return null;
+    }
+    return requireAccount(req, res, `+${job.sender}`) ? job : null;
+  };
+
+  // Schedule message endpoint (sendAt for a one-off message, cron and timezone for a recurring one)
+  router.post('/scheduled-messages', validate({
+    tag: 'Scheduled messages',
+    summary: 'Schedule a one-off or recurring message',
+    description: 'Give either sendAt or cron. The sender does not need to be ready until the message is due.',
+    body: SCHEDULE_BODY
+  }), (req, res) => {
+    const { senderPhoneNumber, recipientPhoneNumber, message, sendAt, cron, timezone, endAt, graceSeconds } = req.body;
+
+    if (!requireValidContent(whatsappManager, res, message)) return;
+
+    try {
+      const job = scheduler.schedule({
+        sender: senderPhoneNumber,
+        recipient: recipientPhoneNumber,
+        content: message,
+        sendAt,
+        cron,
+        timezone,
+        endAt,
+        graceSeconds
+      });
+
+      res.status(201).json({
+        success: true,
+        job: job
+      });
+    } catch (error) {
+      respondWithError(res, error, 'scheduling message');
+    }
+  });
+
+  // List scheduled messages endpoint (?phone= sender, ?status= scheduled|sent|failed|missed|completed|cancelled)
+  router.get('/scheduled-messages', validate({
+    tag: 'Scheduled messages',
+    summary: 'List scheduled messages',
+    query: { properties: { phone: PHONE, status: { type: 'string', enum: Object.values(SCHEDULE_STATUS) } } }
+  }), (req, res) => {
+    res.json({
+      success: true,
+      jobs: scheduler.listJobs({ sender: req.query.phone, status: req.query.status })
+    });
+  });
+
+  // Get scheduled message endpoint, with its last runs
+  router.get('/scheduled-messages/:id', validate({
+    tag: 'Scheduled messages',
+    summary: 'Get a scheduled message',
+    params: SCHEDULE_PARAMS
+  }), (req, res) => {
+    const job = requireJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      job: job
+    });
+  });
+
+  // Change scheduled message endpoint (giving sendAt or cron replaces the other)
+  router.patch('/scheduled-messages/:id', validate({
+    tag: 'Scheduled messages',
+    summary: 'Change a scheduled message',
+    description: 'Only messages that are still scheduled can be changed; others answer 409.',
+    params: SCHEDULE_PARAMS,
+    body: UPDATE_BODY
+  }), (req, res) => {
+    if (!requireJob(req, res)) return;
+
+    const { recipientPhoneNumber, message, sendAt, cron, timezone, endAt, graceSeconds } = req.body;
+    if (message !== undefined && !requireValidContent(whatsappManager, res, message)) return;
+
+    try {
+      const job = scheduler.update(req.params.id, {
+        recipient: recipientPhoneNumber,
+        content: message,
+        sendAt,
+        cron,
+        timezone,
+        endAt,
+        graceSeconds
+      });
+
+      res.json({
+        success: true,
+        job: job
+      });
+    } catch (error) {
+      respondWithError(res, error, 'changing scheduled message');
+    }
+  });
+
+  // Cancel scheduled message endpoint (the job is kept with the status cancelled)
+  router.delete('/scheduled-messages/:id', validate({
+    tag: 'Scheduled messages',
+    summary: 'Cancel a scheduled message',
+    params: SCHEDULE_PARAMS
+  }), (req, res) => {
+    if (!requireJob(req, res)) return;
+
+    try {
+      const job = scheduler.cancel(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Scheduled message cancelled',
+        job: job
+      });
+    } catch (error) {
+      respondWithError(res, error, 'cancelling scheduled message');
+    }
+  });
+
+  return router;
+}
+
+module.exports = createScheduledMessageRouter;
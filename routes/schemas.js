@@ -0,0 +1,43 @@
+/**
+ * Schemas - Request schema fragments shared by the routes (see routes/validation)
+ */
+
+const PHONE = Object.freeze({
+  type: 'string',
+  format: 'phone',
+  description: 'Phone number in E.164 format; separators and a 00 prefix are accepted',
+  examples: ['+1234567890']
+});
+
+const RECIPIENT = Object.freeze({
+  type: 'string',
+  format: 'recipient',
+  description: 'Phone number, contact id (1111@c.us) or group id (...@g.us)',
+  examples: ['+4987654321', '120363025246125486@g.us']
+});
+
+// Text, or an object describing media, a location, ... (validated by whatsappManager.validateContent)
+const MESSAGE_CONTENT = Object.freeze({
+  type: ['string', 'object'],
+  description: 'Text, or an object such as { image, caption }, { document, filename } or { location } (see the README)'
+});
+
+const BOOLEAN_QUERY = Object.freeze({ type: 'boolean', description: 'true or false' });
+
+const LIMIT_QUERY = Object.freeze({ type: 'integer', minimum: 1, description: 'Most items returned' });
+
+const CURSOR_QUERY = Object.freeze({ type: 'string', description: 'nextCursor of the previous page' });
+
+/**
+ * Build the path parameter schema of a session route (:phone plus the given parameters)
+ * @param {Object} [properties] - Schemas of the other path parameters, by name
+ * @returns {Object} - Object schema
+ */
+function sessionParams(properties = {}) {
+  return {
+    properties: { phone: PHONE, ...properties },
+    required: ['phone', ...Object.keys(properties)]
+  };
+}
+
+module.exports = { PHONE, RECIPIENT, MESSAGE_CONTENT, BOOLEAN_QUERY, LIMIT_QUERY, CURSOR_QUERY, sessionParams };
@@ -0,0 +1,131 @@
+const express = require('express');
+const multer = require('multer');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError, respondWithError } = require('./helpers');
+const { validate, checkMultipart } = require('./validation');
+const { sessionParams } = require('./schemas');
+
+// Largest session archive accepted by /sessions/:phone/import
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+
+const PASSPHRASE = {
+  type: 'string',
+  minLength: 8,
+  description: 'Passphrase of the archive (default SESSION_EXPORT_KEY)'
+};
+
+const IMPORT = {
+  tag: 'Sessions',
+  summary: 'Import a session exported by another server and log the account in with it',
+  params: sessionParams(),
+  multipart: {
+    properties: {
+      file: { type: 'string', format: 'binary', description: 'Archive from POST /sessions/{phone}/export' },
+      passphrase: PASSPHRASE
+    },
+    required: ['file']
+  }
+};
+
+/**
+ * Create the session export and import routes, to move an account to another host
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} options - Optional configuration
+ * @param {string} options.exportKey - Passphrase used when a request gives none (none by default)
+ * @returns {express.Router}
+ */
+function createSessionTransferRouter(whatsappManager, options = {}) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ARCHIVE_BYTES, files: 1 }
+  }).single('file');
+
+  /**
+   * Get the passphrase of a request, answering 400 when there is none
+   * @param {Object} res - Express response
+   * @param {string} [passphrase] - Passphrase given in the request
+   * @returns {string|null} - Passphrase, or null if an error response was sent
+   */
+  const requirePassphrase = (res, passphrase) => {
+    if (passphrase || options.exportKey) return passphrase || options.exportKey;
+
+    sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'passphrase is required (or set SESSION_EXPORT_KEY)');
+    return null;
+  };
+
+  // Export session endpoint (answers the encrypted archive as a file download)
+  router.post('/sessions/:phone/export', validate({
+    tag: 'Sessions',
+    summary: 'Export a session as an encrypted archive',
+    description: 'With remove: true the client is stopped and the session deleted from this server, so the account only runs where the archive is imported.',
+    params: sessionParams(),
+    body: {
+      type: 'object',
+      properties: {
+        passphrase: PASSPHRASE,
+        remove: { type: 'boolean', description: 'Stop the client and delete the session from this server (default false)' }
+      }
+    },
+    responses: { 200: { description: 'Encrypted session archive', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } } }
+  }), async (req, res) => {
+    const body = req.body || {};
+    const passphrase = requirePassphrase(res, body.passphrase);
+    if (!passphrase) return;
+
+    try {
+      const archive = await whatsappManager.exportSession(req.params.phone, passphrase, { remove: body.remove === true });
+      const clientId = whatsappManager.formatPhoneNumber(req.params.phone);
+
+      res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': archive.length,
+        'Content-Disposition': `attachment; filename="session-${clientId}.wasession"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(archive);
+    } catch (error) {
+      respondWithError(res, error, 'exporting session');
+    }
+  });
+
+  // Import session endpoint (multipart/form-data with a 'file' field)
+  router.post('/sessions/:phone/import', validate(IMPORT), (req, res) => {
+    upload(req, res, async (uploadError) => {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+        return sendError(
+          res,
+          tooLarge ? 413 : 400,
+          tooLarge ? ERROR_CODES.PAYLOAD_TOO_LARGE : ERROR_CODES.VALIDATION_FAILED,
+          tooLarge ? `Session archive larger than ${MAX_ARCHIVE_BYTES} bytes` : uploadError.message
+        );
+      }
+
+      if (!checkMultipart(IMPORT, req, res)) return;
+      if (!req.file) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, 'file is required');
+      }
+      const passphrase = requirePassphrase(res, req.body.passphrase);
+      if (!passphrase) return;
+
+      try {
+        const { qr, authenticated } = await whatsappManager.importSession(req.params.phone, req.file.buffer, passphrase);
+
+        res.json({
+          success: true,
+          authenticated: authenticated,
+          qr: qr,
+          message: authenticated ? 'Session imported and logged in' : 'Session imported, but WhatsApp asks for a new QR scan'
+        });
+      } catch (error) {
+        respondWithError(res, error, 'importing session');
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createSessionTransferRouter;
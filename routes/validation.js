@@ -0,0 +1,86 @@
+const { validateSchema } = require('../lib/schema');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+
+/**
+ * Send the 400 answer for validation errors
+ * @param {Object} res - Express response
+ * @param {Array<Object>} errors - Errors from validateSchema
+ * @returns {Object} - The Express response
+ */
+function respondWithValidationErrors(res, errors) {
+  // A single bad phone number or recipient keeps its specific code
+  const codes = new Set(errors.map(error => error.code));
+  const code = codes.size === 1 ? errors[0].code : ERROR_CODES.VALIDATION_FAILED;
+  return sendError(res, 400, code, errors.map(error => error.message).join('; '), {
+    details: errors.map(({ field, message, code: errorCode }) => ({ field, message, code: errorCode }))
+  });
+}
+
+/**
+ * Describe a route and validate its requests
+ *
+ * The description is kept on the middleware (middleware.openapi) for the OpenAPI document (see
+ * routes/openapi); requests whose path parameters, query or JSON body do not match are answered
+ * with 400 before the route runs. Multipart bodies are parsed by the route itself, which checks
+ * them with checkMultipart.
+ * @param {Object} spec - Route description
+ * @param {string} spec.tag - Section of the OpenAPI document
+ * @param {string} spec.summary - What the route does
+ * @param {string} [spec.description] - Longer explanation
+ * @param {boolean} [spec.deprecated] - Kept for existing clients; use the route named in the description
+ * @param {boolean} [spec.public] - Needs no credentials
+ * @param {Object} [spec.params] - Object schema of the path parameters
+ * @param {Object} [spec.query] - Object schema of the query parameters
+ * @param {Object} [spec.body] - Schema of the JSON body
+ * @param {Object} [spec.multipart] - Object schema of a multipart/form-data body (documented only)
+ * @param {Object} [spec.responses] - Extra OpenAPI responses by status
+ * @returns {Function} - Express middleware
+ */
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    if (spec.params) {
+      errors.push(...validateSchema({ type: 'object', ...spec.params }, req.params, { coerce: true }));
+    }
+    if (spec.query) {
+      errors.push(...validateSchema({ type: 'object', ...spec.query }, req.query, { coerce: true }));
+    }
+    if (spec.body) {
+      errors.push(...validateSchema(spec.body, req.body === undefined ? {} : req.body));
+    }
+    if (errors.length) {
+      return respondWithValidationErrors(res, errors);
+    }
+    next();
+  };
+  middleware.openapi = spec;
+  return middleware;
+}
+
+/**
+ * Check the fields of a parsed multipart body against the route's multipart schema
+ *
+ * Files (format: binary) are not in req.body; the route checks them itself.
+ * @param {Object} spec - Route description passed to validate
+ * @param {Object} req - Express request, after the multipart parser ran
+ * @param {Object} res - Express response
+ * @returns {boolean} - False if an error response was sent
+ */
+function checkMultipart(spec, req, res) {
+  const properties = spec.multipart.properties || {};
+  const files = Object.keys(properties).filter(name => properties[name].format === 'binary');
+  const schema = {
+    type: 'object',
+    properties,
+    required: (spec.multipart.required || []).filter(name => !files.includes(name))
+  };
+  const errors = validateSchema(schema, req.body || {}, { coerce: true });
+  if (errors.length) {
+    respondWithValidationErrors(res, errors);
+    return false;
+  }
+  return true;
+}
+
+module.exports = { validate, checkMultipart, respondWithValidationErrors };
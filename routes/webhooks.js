@@ -0,0 +1,124 @@
+const express = require('express');
+const { validateSubscription, WEBHOOK_EVENTS } = require('../lib/webhooks');
+const { ERROR_CODES } = require('../lib/errors');
+const { sendError } = require('./helpers');
+const { validate } = require('./validation');
+const { PHONE, LIMIT_QUERY } = require('./schemas');
+
+const WEBHOOK_PARAMS = { properties: { id: { type: 'string' } }, required: ['id'] };
+
+/**
+ * Create the webhook subscription routes
+ * @param {Object} whatsappManager - The whatsappManager instance
+ * @param {Object} webhooks - Webhook dispatcher (see lib/webhooks)
+ * @returns {express.Router}
+ */
+function createWebhookRouter(whatsappManager, webhooks) {
+  const router = express.Router();
+
+  // List webhook subscriptions endpoint (?phone= limits to subscriptions receiving that number's events)
+  router.get('/webhooks', validate({
+    tag: 'Webhooks',
+    summary: 'List webhook subscriptions',
+    query: { properties: { phone: PHONE } }
+  }), (req, res) => {
+    const clientId = req.query.phone ? whatsappManager.formatPhoneNumber(req.query.phone) : undefined;
+    
+    res.json({
+      success: true,
+      webhooks: webhooks.list(clientId)
+    });
+  });
+
+  // Dead-letter log endpoint
+  router.get('/webhooks/dead-letters', validate({
+    tag: 'Webhooks',
+    summary: 'Read the deliveries that could not be made',
+    query: { properties: { limit: LIMIT_QUERY } }
+  }), async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit, 10) || 100;
+      
+      res.json({
+        success: true,
+        deadLetters: await webhooks.getDeadLetters(limit)
+      });
+    } catch (error) {
+      req.log.error({ err: error }, 'Error reading webhook dead letters');
+      sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+    }
+  });
+
+  // Get webhook subscription endpoint
+  router.get('/webhooks/:id', validate({
+    tag: 'Webhooks',
+    summary: 'Get a webhook subscription',
+    params: WEBHOOK_PARAMS
+  }), (req, res) => {
+    const webhook = webhooks.get(req.params.id);
+    
+    if (!webhook) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No webhook with id ${req.params.id}`);
+    }
+    
+    res.json({
+      success: true,
+      webhook: webhook
+    });
+  });
+
+  // Create webhook subscription endpoint (the secret is only returned here)
+  router.post('/webhooks', validate({
+    tag: 'Webhooks',
+    summary: 'Subscribe an endpoint to events',
+    body: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'http or https URL receiving the deliveries' },
+        secret: { type: 'string', description: 'Key of the X-Webhook-Signature HMAC (generated when omitted)' },
+        phone: { ...PHONE, description: 'Only deliver this account\'s events' },
+        events: { type: 'array', items: { type: 'string' }, description: `Events to deliver (default all): *, ${WEBHOOK_EVENTS.join(', ')}` }
+      },
+      required: ['url']
+    }
+  }), (req, res) => {
+    const { url, secret, phone, events } = req.body;
+    const validationError = validateSubscription({ url, events });
+    
+    if (validationError) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_FAILED, validationError);
+    }
+    
+    const webhook = webhooks.subscribe({
+      url,
+      secret,
+      clientId: phone ? whatsappManager.formatPhoneNumber(phone) : null,
+      events
+    });
+    
+    res.status(201).json({
+      success: true,
+      webhook: webhook
+    });
+  });
+
+  // Delete webhook subscription endpoint
+  router.delete('/webhooks/:id', validate({
+    tag: 'Webhooks',
+    summary: 'Delete a webhook subscription',
+    params: WEBHOOK_PARAMS
+  }), (req, res) => {
+    if (!webhooks.unsubscribe(req.params.id)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No webhook with id ${req.params.id}`);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  });
+
+  return router;
+}
+
+module.exports = createWebhookRouter;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+const { createFileSessionStore } = require('../lib/sessionStore');
+
+/**
+ * Cleanup Sessions - Removes session directories that can no longer log in
+ *
+ *   npm run cleanup-sessions -- [--dry-run] [--sessions-dir ./sessions]
+ *
+ * Removes the directories of accounts that never logged in or whose login was removed by a
+ * logout (SESSIONS_DIR is the default directory). Directories that are not an account's LocalAuth
+ * session, and sessions with a profile of an older version that was not renamed yet, are kept.
+ * Run it while the server is stopped: an account waiting for its QR code to be scanned has no
+ * login yet either. A running server can call whatsappManager.cleanupSessions() instead, which
+ * keeps the sessions of its clients.
+ */
+
+const USAGE = 'Usage: cleanup-sessions [--dry-run] [--sessions-dir <dir>]';
+
+/**
+ * Read the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{dryRun: boolean, root: string}}
+ * @throws {Error} - On an unknown option
+ */
+function parseArgs(args) {
+  const options = { dryRun: false, root: process.env.SESSIONS_DIR || './sessions' };
+  for (let index = 0; index < args.length; index++) {
+    if (args[index] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[index] === '--sessions-dir' && args[index + 1]) {
+      options.root = args[++index];
+    } else {
+      throw new Error(`Unknown option ${args[index]}\n${USAGE}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Clean up the sessions directory and print what was removed
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const { dryRun, root } = parseArgs(process.argv.slice(2));
+  const removed = await createFileSessionStore({ root }).cleanup({ dryRun });
+
+  for (const entry of removed) {
+    console.log(`${dryRun ? 'Would remove' : 'Removed'} ${entry.path} (${entry.reason})`);
+  }
+  console.log(`${removed.length} session director${removed.length === 1 ? 'y' : 'ies'} ${dryRun ? 'to remove' : 'removed'} in ${root}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
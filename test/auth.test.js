@@ -0,0 +1,296 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { createApiKeyStore } = require('../lib/apiKeys');
+const { signJwt, verifyJwt } = require('../lib/jwt');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.JWT_SECRET = 'test-jwt-secret';
+const app = require('../express-example');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+let driver;
+
+beforeEach(() => {
+  driver = resetManager({ authenticatedSessions: ['1234567890', '1111111111'] });
+});
+
+/**
+ * Call the test server with a credential and parse the JSON response
+ * @param {string|null} credential - Sent as Authorization: Bearer, omitted when null
+ * @param {string} method - HTTP method
+ * @param {string} url - Path including query string
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(credential, method, url, body) {
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+  if (credential) headers.Authorization = `Bearer ${credential}`;
+  const response = await fetch(`${server.baseUrl}${url}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Read an event stream until an event arrives
+ * @param {string} credential - Passed as ?access_token=, as EventSource clients do
+ * @param {string} url - Path of the stream
+ * @param {string} until - Name of the event to stop at
+ * @param {Function} [onOpen] - Called once the stream is open
+ * @returns {Promise<Array<string>>} - Names of the events received, in order
+ */
+async function readEvents(credential, url, until, onOpen = () => {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}${url}?access_token=${credential}`, { signal: controller.signal });
+  assert.strictEqual(response.status, 200);
+  onOpen();
+
+  const names = [];
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += Buffer.from(chunk).toString();
+    names.push(...Array.from(buffer.matchAll(/^event: (.*)$/mg), match => match[1]).slice(names.length));
+    if (names.includes(until)) break;
+  }
+  controller.abort();
+  return names;
+}
+
+/**
+ * Create an API key through the admin key
+ * @param {Object} params - { name, phones, permissions }
+ * @returns {Promise<{key: Object, apiKey: string}>}
+ */
+async function createKey(params) {
+  const { status, body } = await request(process.env.ADMIN_API_KEY, 'POST', '/api-keys', params);
+  assert.strictEqual(status, 201);
+  return body;
+}
+
+test('requests without valid credentials are refused', async () => {
+  const missing = await request(null, 'GET', '/sessions');
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.body.code, 'UNAUTHORIZED');
+
+  const invalid = await request('wam_0000_nope', 'GET', '/sessions');
+  assert.strictEqual(invalid.status, 401);
+
+  const admin = await request(process.env.ADMIN_API_KEY, 'GET', '/sessions');
+  assert.strictEqual(admin.status, 200);
+});
+
+test('keys only reach their accounts and permissions', async () => {
+  const { apiKey } = await createKey({ name: 'reporting', phones: ['+1234567890'], permissions: ['read'] });
+
+  const own = await request(apiKey, 'GET', '/sessions/1234567890/chats');
+  assert.strictEqual(own.status, 200);
+
+  const other = await request(apiKey, 'GET', '/sessions/1111111111/chats');
+  assert.strictEqual(other.status, 403);
+  assert.strictEqual(other.body.code, 'FORBIDDEN');
+
+  // Routes that name no account need a key for every account
+  const everyAccount = await request(apiKey, 'GET', '/sessions');
+  assert.strictEqual(everyAccount.status, 403);
+
+  const send = await request(apiKey, 'POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Not allowed'
+  });
+  assert.strictEqual(send.status, 403);
+  assert.match(send.body.error, /send permission/);
+
+  const qr = await request(apiKey, 'GET', '/sessions/1234567890/qr');
+  assert.strictEqual(qr.status, 403);
+});
+
+test('sends are written to the audit log with the key that made them', async () => {
+  const { key, apiKey } = await createKey({ name: 'crm', phones: ['1234567890'], permissions: ['send'] });
+
+  const sent = await request(apiKey, 'POST', '/send-message', {
+    senderPhoneNumber: '+1234567890',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Your order has shipped'
+  });
+  assert.strictEqual(sent.status, 200);
+
+  const refused = await request(apiKey, 'POST', '/send-message', {
+    senderPhoneNumber: '1111111111',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Not my account'
+  });
+  assert.strictEqual(refused.status, 403);
+
+  const { body } = await request(process.env.ADMIN_API_KEY, 'GET', `/audit?actor=${key.id}`);
+  assert.deepStrictEqual(
+    body.entries.map(({ actor, clientId, status, recipient, contentType, messageId }) =>
+      ({ actor: actor.name, clientId, status, recipient, contentType, messageId })),
+    [
+      { actor: 'crm', clientId: '1111111111', status: 403, recipient: '+4987654321', contentType: 'chat', messageId: undefined },
+      { actor: 'crm', clientId: '1234567890', status: 200, recipient: '+4987654321', contentType: 'chat', messageId: sent.body.messageId }
+    ]
+  );
+});
+
+test('revoked keys are refused', async () => {
+  const { key, apiKey } = await createKey({ name: 'temporary', phones: ['*'], permissions: ['read'] });
+  assert.strictEqual((await request(apiKey, 'GET', '/sessions')).status, 200);
+
+  const revoked = await request(process.env.ADMIN_API_KEY, 'DELETE', `/api-keys/${key.id}`);
+  assert.strictEqual(revoked.status, 200);
+  assert.ok((await request(process.env.ADMIN_API_KEY, 'GET', `/api-keys/${key.id}`)).body.key.revokedAt);
+
+  assert.strictEqual((await request(apiKey, 'GET', '/sessions')).status, 401);
+});
+
+test('JWTs carry their accounts and permissions', async () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  const token = signJwt({ sub: 'dashboard', phones: ['+1111111111'], permissions: ['read'], exp }, process.env.JWT_SECRET);
+
+  assert.strictEqual((await request(token, 'GET', '/sessions/1111111111/chats')).status, 200);
+  assert.strictEqual((await request(token, 'GET', '/sessions/1234567890/chats')).status, 403);
+
+  const expired = signJwt({ sub: 'dashboard', phones: ['*'], permissions: ['read'], exp: exp - 120 }, process.env.JWT_SECRET);
+  assert.strictEqual((await request(expired, 'GET', '/sessions')).status, 401);
+
+  const forged = signJwt({ sub: 'dashboard', phones: ['*'], permissions: ['admin'], exp }, 'another-secret');
+  assert.strictEqual((await request(forged, 'GET', '/sessions')).status, 401);
+});
+
+test('key creation is validated', async () => {
+  const { status, body } = await request(process.env.ADMIN_API_KEY, 'POST', '/api-keys', {
+    name: 'bad', phones: ['*'], permissions: ['write']
+  });
+
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /Unknown permissions: write/);
+});
+
+test('the key store keeps hashes only and reloads its keys', () => {
+  const dataDir = makeTempDir();
+  const { key, apiKey } = createApiKeyStore({ dataDir }).create({ name: 'ops', phones: ['*'], permissions: ['admin'] });
+
+  const reloaded = createApiKeyStore({ dataDir });
+  assert.strictEqual(reloaded.verify(apiKey).id, key.id);
+  assert.strictEqual(reloaded.verify(`${apiKey}x`), null);
+  assert.ok(!require('fs').readFileSync(`${dataDir}/api-keys.json`, 'utf8').includes(apiKey));
+});
+
+test('verifyJwt rejects tampered tokens and other algorithms', () => {
+  const token = signJwt({ sub: 'a', exp: Math.floor(Date.now() / 1000) + 60 }, 'secret');
+  assert.strictEqual(verifyJwt(token, 'secret').sub, 'a');
+
+  const [header, , signature] = token.split('.');
+  const claims = Buffer.from(JSON.stringify({ sub: 'b', exp: 9999999999 })).toString('base64url');
+  assert.strictEqual(verifyJwt(`${header}.${claims}.${signature}`, 'secret'), null);
+
+  const none = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+  assert.strictEqual(verifyJwt(`${none}.${claims}.`, 'secret'), null);
+});
+
+test('account-limited keys only reach their own scheduled messages', async () => {
+  const { apiKey } = await createKey({ name: 'reminders', phones: ['1234567890'], permissions: ['read', 'send'] });
+  const sendAt = new Date(Date.now() + 3600000).toISOString();
+  const schedule = (credential, senderPhoneNumber) => request(credential, 'POST', '/scheduled-messages', {
+    senderPhoneNumber,
+    recipientPhoneNumber: '+4987654321',
+    message: 'Reminder',
+    sendAt
+  });
+
+  const own = await schedule(apiKey, '+1234567890');
+  assert.strictEqual(own.status, 201);
+  assert.strictEqual((await schedule(apiKey, '+1111111111')).status, 403);
+  const other = await schedule(process.env.ADMIN_API_KEY, '+1111111111');
+
+  assert.strictEqual((await request(apiKey, 'GET', `/scheduled-messages/${own.body.job.id}`)).status, 200);
+  assert.strictEqual((await request(apiKey, 'GET', `/scheduled-messages/${other.body.job.id}`)).status, 403);
+  assert.strictEqual((await request(apiKey, 'DELETE', `/scheduled-messages/${other.body.job.id}`)).status, 403);
+  assert.strictEqual((await request(apiKey, 'DELETE', `/scheduled-messages/${own.body.job.id}`)).status, 200);
+  assert.strictEqual((await request(process.env.ADMIN_API_KEY, 'DELETE', `/scheduled-messages/${other.body.job.id}`)).status, 200);
+});
+
+test('route rules ignore case and trailing slashes as Express routing does', async () => {
+  const { apiKey } = await createKey({ name: 'sender', phones: ['*'], permissions: ['read', 'send'] });
+
+  const upperCase = await request(apiKey, 'POST', '/API-KEYS', { name: 'escalated', phones: ['*'], permissions: ['admin'] });
+  assert.strictEqual(upperCase.status, 403);
+  assert.match(upperCase.body.error, /admin permission/);
+
+  assert.strictEqual((await request(apiKey, 'GET', '/sessions/1234567890/qr/')).status, 403);
+  assert.strictEqual((await request(apiKey, 'GET', '/Sessions/1234567890/QR')).status, 403);
+  assert.strictEqual((await request(apiKey, 'DELETE', '/sessions/1234567890/')).status, 403);
+
+  const { apiKey: limited } = await createKey({ name: 'limited', phones: ['1234567890'], permissions: ['read'] });
+  assert.strictEqual((await request(limited, 'GET', '/SESSIONS/1111111111/chats')).status, 403);
+});
+
+test('account-limited keys only reach their own message jobs', async () => {
+  const { apiKey } = await createKey({ name: 'status', phones: ['1234567890'], permissions: ['read', 'send'] });
+  const queue = (senderPhoneNumber) => request(process.env.ADMIN_API_KEY, 'POST', '/messages', {
+    senderPhoneNumber,
+    recipientPhoneNumber: '+4987654321',
+    message: 'Hello'
+  });
+
+  const own = await queue('+1234567890');
+  const other = await queue('+1111111111');
+  assert.strictEqual(own.status, 202);
+
+  assert.strictEqual((await request(apiKey, 'GET', `/messages/${own.body.jobId}`)).status, 200);
+  assert.strictEqual((await request(apiKey, 'GET', `/messages/${own.body.jobId}/status`)).status, 200);
+  assert.strictEqual((await request(apiKey, 'GET', `/messages/${other.body.jobId}`)).status, 403);
+  assert.strictEqual((await request(apiKey, 'GET', `/messages/${other.body.jobId}/status`)).status, 403);
+  assert.strictEqual((await request(apiKey, 'GET', '/messages/unknown-job')).status, 404);
+  assert.strictEqual((await request(apiKey, 'GET', '/messages')).status, 403);
+});
+
+test('paths with a malformed percent-encoding are answered 400', async () => {
+  const anonymous = await request(null, 'POST', '/sessions/%E0%A4%A/logout');
+  assert.strictEqual(anonymous.status, 400);
+  assert.strictEqual(anonymous.body.code, 'VALIDATION_FAILED');
+
+  const admin = await request(process.env.ADMIN_API_KEY, 'GET', '/sessions/%E0%A4%A/chats');
+  assert.strictEqual(admin.status, 400);
+
+  // The audit entry of the refused request is written after the response without throwing
+  assert.strictEqual((await request(null, 'GET', '/healthz')).status, 200);
+});
+
+test('event streams only send QR codes and start clients for admin credentials', async () => {
+  const { apiKey } = await createKey({ name: 'dashboard', phones: ['*'], permissions: ['read'] });
+  await request(process.env.ADMIN_API_KEY, 'GET', '/sessions/5555555555/qr');
+  const login = () => {
+    driver.getClient('5555555555').refreshQR();
+    driver.getClient('5555555555').scanQR();
+  };
+
+  const start = await request(apiKey, 'GET', '/sessions/5555555555/events?start=true');
+  assert.strictEqual(start.status, 403);
+  assert.match(start.body.error, /admin permission/);
+
+  const read = await readEvents(apiKey, '/sessions/5555555555/events', 'ready', login);
+  assert.strictEqual(read[0], 'session');
+  assert.ok(!read.includes('qr'));
+
+  resetManager();
+  await request(process.env.ADMIN_API_KEY, 'GET', '/sessions/5555555555/qr');
+  const admin = await readEvents(process.env.ADMIN_API_KEY, '/sessions/5555555555/events', 'qr');
+  assert.deepStrictEqual(admin, ['session', 'qr']);
+});
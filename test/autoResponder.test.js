@@ -0,0 +1,210 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { createAutoResponder, parseCommand, isWithinHours } = require('../lib/autoResponder');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+// Wednesday 2024-01-03 10:00 UTC
+const WEDNESDAY_MORNING = Date.parse('2024-01-03T10:00:00Z');
+
+let driver;
+let server;
+let responder;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+});
+
+/**
+ * Create a responder recording its replies instead of sending them
+ * @param {Object} options - Responder options
+ * @returns {{responder: Object, sent: Array<Object>}}
+ */
+function createRecordingResponder(options = {}) {
+  const sent = [];
+  const created = createAutoResponder(whatsappManager, {
+    dataDir: makeTempDir(),
+    timezone: 'UTC',
+    now: () => WEDNESDAY_MORNING,
+    send: async (reply) => { sent.push(reply); },
+    ...options
+  });
+  responder = created;
+  return { responder: created, sent };
+}
+
+/**
+ * Receive a message and wait for the auto-replies
+ * @param {Object} data - Message fields (see the simulated driver)
+ * @returns {Promise<void>}
+ */
+async function receive(data) {
+  driver.getClient('1234567890').receiveMessage({ from: '2222@c.us', notifyName: 'Ann', ...data });
+  await new Promise(resolve => setImmediate(resolve));
+  await responder.idle();
+}
+
+test('keyword and regex rules answer with templates and respect cooldowns', async () => {
+  let now = WEDNESDAY_MORNING;
+  const { responder: autoResponder, sent } = createRecordingResponder({ now: () => now });
+  try {
+    autoResponder.createRule({ id: 'prices', keywords: ['price'], reply: 'Hi {{name}} ({{phone}}), see our prices', cooldownSeconds: 60 });
+    autoResponder.createRule({ id: 'order', regex: '^order #(\\d+)', reply: 'Looking up {{body}} for {{account}}' });
+    autoResponder.createRule({ id: 'other-account', account: '+1111111111', keywords: ['hello'], reply: 'Not for you' });
+
+    await receive({ body: 'What is the PRICE?' });
+    await receive({ body: 'Priceless' });
+    await receive({ body: 'hello' });
+    await receive({ body: 'price again' });
+    await receive({ body: 'Order #42 please' });
+    await receive({ from: '5555-1@g.us', author: '3333@c.us', body: 'price' });
+
+    assert.deepStrictEqual(sent, [
+      { sender: '1234567890', recipient: '2222@c.us', content: 'Hi Ann (+2222), see our prices' },
+      { sender: '1234567890', recipient: '2222@c.us', content: 'Looking up Order #42 please for +1234567890' }
+    ]);
+
+    now += 61 * 1000;
+    await receive({ body: 'price again' });
+    assert.strictEqual(sent.length, 3);
+  } finally {
+    autoResponder.stop();
+  }
+});
+
+test('business hours select an away message outside the opening times', async () => {
+  const hours = { timezone: 'Europe/Berlin', windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' }] };
+  let now = WEDNESDAY_MORNING;
+  const { responder: autoResponder, sent } = createRecordingResponder({ now: () => now });
+  try {
+    autoResponder.createRule({ id: 'away', businessHours: hours, outsideHours: true, reply: 'We are closed ({{time}}), back at 9' });
+
+    await receive({ body: 'anyone there?' });
+    now = Date.parse('2024-01-03T20:30:00Z');
+    await receive({ body: 'anyone there?' });
+
+    assert.deepStrictEqual(sent.map(reply => reply.content), ['We are closed (21:30), back at 9']);
+  } finally {
+    autoResponder.stop();
+  }
+
+  // A window ending before it starts runs past midnight
+  const night = { windows: [{ days: ['fri'], start: '22:00', end: '02:00' }] };
+  assert.strictEqual(isWithinHours(night, { day: 'sat', minutes: 60 }), true);
+  assert.strictEqual(isWithinHours(night, { day: 'fri', minutes: 60 }), false);
+});
+
+test('commands take arguments and can be handled in code', async () => {
+  const { responder: autoResponder, sent } = createRecordingResponder();
+  try {
+    autoResponder.createRule({ id: 'help-keyword', keywords: ['help'], reply: 'Keyword help' });
+    autoResponder.createRule({ id: 'track', command: 'track', minArgs: 1, usage: 'Usage: /track <number>', reply: 'Parcel {{arg1}} is on its way' });
+    autoResponder.registerCommand('order', async ({ args }) => `Order ${args.join(' + ')} placed`);
+    const help = autoResponder.registerCommand('help', () => 'Commands: /track, /order');
+
+    await receive({ body: '/help' });
+    await receive({ body: '/track' });
+    await receive({ body: '/TRACK AB123' });
+    await receive({ body: '/order "two pizzas" cola' });
+    help.remove();
+    await receive({ body: '/help' });
+
+    assert.deepStrictEqual(sent.map(reply => reply.content), [
+      'Commands: /track, /order',
+      'Usage: /track <number>',
+      'Parcel AB123 is on its way',
+      'Order two pizzas + cola placed',
+      'Keyword help'
+    ]);
+    assert.deepStrictEqual(autoResponder.listRules().map(rule => [rule.id, rule.source]), [
+      ['track', 'api'], ['command-order', 'code'], ['help-keyword', 'api']
+    ]);
+  } finally {
+    autoResponder.stop();
+  }
+
+  assert.deepStrictEqual(parseCommand('/say  "a b"  c', '/'), { name: 'say', args: ['a b', 'c'], argsText: '"a b"  c' });
+  assert.strictEqual(parseCommand('no command', '/'), null);
+});
+
+test('the YAML rules file is reloaded when it changes and invalid files are refused', async () => {
+  const rulesFile = path.join(makeTempDir(), 'rules.yaml');
+  fs.writeFileSync(rulesFile, 'rules:\n  - keywords: [hours]\n    reply: Open 9 to 5\n');
+  const { responder: autoResponder, sent } = createRecordingResponder({ rulesFile, watchIntervalMs: 20 });
+  try {
+    assert.deepStrictEqual(autoResponder.listRules().map(rule => [rule.id, rule.source]), [['file-1', 'file']]);
+    await receive({ body: 'opening hours?' });
+
+    const waitForReload = async (expected) => {
+      for (let attempt = 0; attempt < 100 && autoResponder.listRules()[0].reply !== expected; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+    fs.writeFileSync(rulesFile, '- id: hours\n  keywords: [hours]\n  reply: Open 8 to 6 now\n');
+    await waitForReload('Open 8 to 6 now');
+    await receive({ body: 'opening hours?' });
+
+    assert.deepStrictEqual(sent.map(reply => reply.content), ['Open 9 to 5', 'Open 8 to 6 now']);
+
+    // An invalid file keeps the previous rules
+    fs.writeFileSync(rulesFile, 'rules: [unclosed\n');
+    assert.throws(() => autoResponder.reload(), { code: 'VALIDATION_FAILED', message: /Cannot parse rules.yaml/ });
+    fs.writeFileSync(rulesFile, '- keywords: hours\n  reply: Open\n');
+    assert.throws(() => autoResponder.reload(), { code: 'VALIDATION_FAILED', message: /Rule 1 of rules.yaml: keywords must be of type array/ });
+    assert.strictEqual(autoResponder.getRule('hours').reply, 'Open 8 to 6 now');
+    assert.throws(() => autoResponder.deleteRule('hours'), { code: 'RULE_READ_ONLY' });
+  } finally {
+    autoResponder.stop();
+  }
+});
+
+test('rules are managed through the REST API', async () => {
+  const created = await fetch(`${server.baseUrl}/auto-reply/rules`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: 'greeting', account: '+1234567890', keywords: ['hi'], reply: 'Hello {{name}}' })
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual((await created.json()).rule.source, 'api');
+
+  const invalid = await fetch(`${server.baseUrl}/auto-reply/rules`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ keywords: ['hi'], reply: 'x', regex: '(' })
+  });
+  assert.strictEqual(invalid.status, 400);
+  assert.match((await invalid.json()).error, /regex is invalid/);
+
+  const updated = await fetch(`${server.baseUrl}/auto-reply/rules/greeting`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ keywords: ['hi', 'hey'], reply: 'Hey there', chats: 'all' })
+  });
+  assert.strictEqual(updated.status, 200);
+
+  const listed = await (await fetch(`${server.baseUrl}/auto-reply/rules?phone=%2B1234567890`)).json();
+  assert.deepStrictEqual(listed.rules.map(rule => [rule.id, rule.reply, rule.chats]), [['greeting', 'Hey there', 'all']]);
+
+  assert.strictEqual((await fetch(`${server.baseUrl}/auto-reply/rules/greeting`, { method: 'DELETE' })).status, 200);
+  assert.strictEqual((await fetch(`${server.baseUrl}/auto-reply/rules/greeting`)).status, 404);
+
+  const reload = await fetch(`${server.baseUrl}/auto-reply/reload`, { method: 'POST' });
+  assert.strictEqual(reload.status, 404);
+});
@@ -0,0 +1,263 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir, flush } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+const { createCampaignRunner, parseRecipients } = require('../lib/campaigns');
+const { createMessageQueue } = require('../lib/messageQueue');
+const { createOptOutList } = require('../lib/optOuts');
+const { parseCsv } = require('../lib/csv');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+let driver;
+let server;
+let runner;
+let optOuts;
+let dataDir;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  app.locals.campaigns.stop();
+  await server.close();
+});
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'], unregisteredNumbers: ['+4900000000'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  dataDir = makeTempDir();
+  optOuts = createOptOutList(whatsappManager, { dataDir });
+  runner = createCampaignRunner(whatsappManager, { dataDir, optOuts, maxMessagesPerMinute: 60000 });
+});
+
+afterEach(() => {
+  runner.stop();
+  optOuts.stop();
+});
+
+/**
+ * Wait for a condition, checking every 10 ms
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Time to wait
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  for (const start = Date.now(); !condition() && Date.now() - start < timeoutMs;) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const sentTexts = () => driver.getClient('1234567890').sentMessages.map(message => message.content);
+
+test('recipient lists are read from JSON and CSV', () => {
+  const csv = '\ufeffphone,name,"note"\r\n+49 111 1111,Ann,"likes ""tea"", cake"\n\n004922222222,Bob,\n+49 111-1111,Dup,x\n';
+  assert.deepStrictEqual(parseRecipients(csv), {
+    recipients: [
+      { phone: '+491111111', variables: { name: 'Ann', note: 'likes "tea", cake' } },
+      { phone: '+4922222222', variables: { name: 'Bob', note: '' } }
+    ],
+    duplicates: 1
+  });
+
+  assert.deepStrictEqual(parseRecipients(['+4933333333', { phone: '+4944444444', variables: { name: 'Cy' }, order: 7 }]).recipients, [
+    { phone: '+4933333333', variables: {} },
+    { phone: '+4944444444', variables: { order: 7, name: 'Cy' } }
+  ]);
+
+  assert.throws(() => parseRecipients(['+4933333333', 'nope', { name: 'x' }]), {
+    code: 'VALIDATION_FAILED',
+    message: 'Recipient 2: "nope" is not a valid phone number; Recipient 3: null is not a valid phone number'
+  });
+  assert.throws(() => parseRecipients('name\nAnn'), { message: 'The recipients CSV needs a phone column' });
+  assert.throws(() => parseCsv('phone\n"+49'), /Unclosed quote on line 2/);
+});
+
+test('a campaign fills in each recipient\'s template and reports per-recipient results', async () => {
+  optOuts.add('+1234567890', '+49 333 3333');
+  const created = runner.create({
+    sender: '+1234567890',
+    name: 'Spring sale',
+    content: 'Hi {{name}}, use code {{code}} ({{phone}})',
+    recipients: [
+      { phone: '+4911111111', name: 'Ann', code: 'A1' },
+      { phone: '+4900000000', name: 'Nobody', code: 'X' },
+      { phone: '+493333333', name: 'Opted', code: 'O' },
+      { phone: '+4922222222', variables: { name: 'Bob' } }
+    ],
+    messagesPerMinute: 3000
+  });
+  assert.strictEqual(created.status, 'running');
+  assert.strictEqual(created.total, 4);
+
+  await waitFor(() => runner.get(created.id).status === 'completed');
+  await runner.idle();
+
+  const campaign = runner.get(created.id);
+  assert.strictEqual(campaign.status, 'completed');
+  assert.deepStrictEqual(campaign.counts, { pending: 0, sent: 2, failed: 0, unregistered: 1, opted_out: 1, cancelled: 0 });
+  assert.deepStrictEqual(sentTexts(), ['Hi Ann, use code A1 (+4911111111)', 'Hi Bob, use code  (+4922222222)']);
+
+  const results = runner.getRecipients(created.id);
+  assert.deepStrictEqual(results.map(recipient => [recipient.phone, recipient.status, recipient.code]), [
+    ['+4911111111', 'sent', null],
+    ['+4900000000', 'unregistered', 'RECIPIENT_NOT_REGISTERED'],
+    ['+493333333', 'opted_out', null],
+    ['+4922222222', 'sent', null]
+  ]);
+  assert.ok(results[0].messageId);
+  assert.deepStrictEqual(runner.getRecipients(created.id, 'sent').map(recipient => recipient.phone), ['+4911111111', '+4922222222']);
+});
+
+test('campaigns can be paused, resumed and cancelled', async () => {
+  const recipients = ['+4911111111', '+4922222222', '+4933333333'];
+  const paced = runner.create({ sender: '+1234567890', content: 'Paced', recipients, messagesPerMinute: 600 });
+
+  // One message every 100 ms: pausing after the first stops the others
+  await waitFor(() => sentTexts().length === 1);
+  assert.strictEqual(runner.pause(paced.id).status, 'paused');
+  await new Promise(resolve => setTimeout(resolve, 250));
+  assert.strictEqual(sentTexts().length, 1);
+
+  runner.resume(paced.id);
+  await waitFor(() => runner.get(paced.id).status === 'completed');
+  assert.strictEqual(sentTexts().length, 3);
+  assert.throws(() => runner.pause(paced.id), { code: 'CAMPAIGN_FINISHED' });
+
+  const later = runner.create({ sender: '+1234567890', content: 'Never', recipients, paused: true });
+  await new Promise(resolve => setTimeout(resolve, 30));
+  const cancelled = runner.cancel(later.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.counts.cancelled, 3);
+  assert.strictEqual(sentTexts().length, 3);
+  assert.throws(() => runner.resume(later.id), { code: 'CAMPAIGN_FINISHED' });
+});
+
+test('campaigns send through the message queue when given one', async () => {
+  runner.stop();
+  const queue = createMessageQueue(whatsappManager, { dataDir, minDelayMs: 0, maxDelayMs: 0 });
+  runner = createCampaignRunner(whatsappManager, { dataDir, optOuts, messageQueue: queue, maxMessagesPerMinute: 60000 });
+
+  try {
+    const created = runner.create({
+      sender: '+1234567890',
+      content: 'Queued {{phone}}',
+      recipients: ['+4911111111', '+4900000000'],
+      messagesPerMinute: 3000
+    });
+    await waitFor(() => runner.get(created.id).status === 'completed');
+
+    assert.deepStrictEqual(runner.getRecipients(created.id).map(recipient => recipient.status), ['sent', 'unregistered']);
+    assert.ok(runner.getRecipients(created.id)[0].messageId);
+    assert.deepStrictEqual(sentTexts(), ['Queued +4911111111']);
+    assert.deepStrictEqual(
+      queue.listJobs().map(job => [job.idempotencyKey, job.status]),
+      [[`campaign:${created.id}:+4911111111:0`, 'sent'], [`campaign:${created.id}:+4900000000:0`, 'failed']]
+    );
+  } finally {
+    queue.stop();
+  }
+});
+
+test('recipient results are written in batches and old finished campaigns are dropped', async () => {
+  runner.stop();
+  runner = createCampaignRunner(whatsappManager, { dataDir, saveIntervalMs: 60000, maxFinishedCampaigns: 1, maxMessagesPerMinute: 60000 });
+  const stored = () => JSON.parse(fs.readFileSync(path.join(dataDir, 'campaigns.json'), 'utf8'));
+
+  const running = runner.create({ sender: '+1234567890', content: 'Batched', recipients: ['+4911111111', '+4922222222'], messagesPerMinute: 600 });
+  await waitFor(() => sentTexts().length === 1);
+  await runner.idle();
+  assert.deepStrictEqual(stored()[0].recipients.map(recipient => recipient.status), ['pending', 'pending']);
+
+  // Status changes are written at once, with the results recorded so far
+  runner.pause(running.id);
+  assert.deepStrictEqual(stored()[0].recipients.map(recipient => recipient.status), ['sent', 'pending']);
+
+  runner.cancel(running.id);
+  const later = runner.create({ sender: '+1234567890', content: 'Never', recipients: ['+4911111111'], paused: true });
+  runner.cancel(later.id);
+  assert.strictEqual(runner.get(running.id), null);
+  assert.deepStrictEqual(stored().map(campaign => campaign.id), [later.id]);
+});
+
+test('contacts who reply STOP are opted out and START opts them back in', async () => {
+  const receive = (data) => driver.getClient('1234567890').receiveMessage({ from: '4911111111@c.us', ...data });
+
+  receive({ body: 'please stop sending this' });
+  receive({ from: '5555-1@g.us', author: '4922222222@c.us', body: 'STOP' });
+  await flush();
+  assert.deepStrictEqual(optOuts.list(), []);
+
+  receive({ body: '  Stop ' });
+  await flush();
+  assert.deepStrictEqual(optOuts.list().map(entry => [entry.account, entry.contact, entry.source]), [['1234567890', '4911111111', 'reply']]);
+  assert.strictEqual(optOuts.isOptedOut('+1234567890', '+49 1111 1111'), true);
+  assert.strictEqual(optOuts.isOptedOut('+1111111111', '+4911111111'), false);
+
+  receive({ body: 'START' });
+  await flush();
+  assert.strictEqual(optOuts.isOptedOut('+1234567890', '+4911111111'), false);
+});
+
+test('campaigns and opt-outs are managed through the REST API', async () => {
+  const invalid = await fetch(`${server.baseUrl}/campaigns`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ senderPhoneNumber: '+1234567890', message: 'Hi', recipients: ['+4911111111', 'nope'] })
+  });
+  assert.strictEqual(invalid.status, 400);
+
+  const created = await fetch(`${server.baseUrl}/campaigns`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      senderPhoneNumber: '+1234567890',
+      name: 'Newsletter',
+      message: 'Hi {{name}}',
+      recipientsCsv: 'phone,name\n+4911111111,Ann\n+4922222222,Bob\n',
+      paused: true
+    })
+  });
+  assert.strictEqual(created.status, 201);
+  const { campaign } = await created.json();
+  assert.deepStrictEqual([campaign.status, campaign.total, campaign.counts.pending], ['paused', 2, 2]);
+
+  const recipients = await (await fetch(`${server.baseUrl}/campaigns/${campaign.id}/recipients?status=pending`)).json();
+  assert.deepStrictEqual(recipients.recipients.map(recipient => recipient.variables.name), ['Ann', 'Bob']);
+
+  const form = new FormData();
+  form.append('senderPhoneNumber', '+1234567890');
+  form.append('message', 'Hello {{name}}');
+  form.append('paused', 'true');
+  form.append('file', new Blob([JSON.stringify([{ phone: '+4933333333', name: 'Cy' }])], { type: 'application/json' }), 'list.json');
+  const uploaded = await fetch(`${server.baseUrl}/campaigns/upload`, { method: 'POST', body: form });
+  assert.strictEqual(uploaded.status, 201);
+  const uploadedCampaign = (await uploaded.json()).campaign;
+  assert.strictEqual(uploadedCampaign.total, 1);
+
+  const cancel = await fetch(`${server.baseUrl}/campaigns/${campaign.id}/cancel`, { method: 'POST' });
+  assert.strictEqual((await cancel.json()).campaign.counts.cancelled, 2);
+  assert.strictEqual((await fetch(`${server.baseUrl}/campaigns/${campaign.id}/resume`, { method: 'POST' })).status, 409);
+  await fetch(`${server.baseUrl}/campaigns/${uploadedCampaign.id}/cancel`, { method: 'POST' });
+
+  const listed = await (await fetch(`${server.baseUrl}/campaigns?phone=%2B1234567890&status=cancelled`)).json();
+  assert.deepStrictEqual(listed.campaigns.map(item => item.name), ['Newsletter', null]);
+
+  const optOut = await fetch(`${server.baseUrl}/sessions/+1234567890/opt-outs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contact: '+4944444444' })
+  });
+  assert.strictEqual(optOut.status, 201);
+  const optOutList = await (await fetch(`${server.baseUrl}/sessions/+1234567890/opt-outs`)).json();
+  assert.deepStrictEqual(optOutList.optOuts.map(entry => [entry.contact, entry.source]), [['4944444444', 'api']]);
+  assert.strictEqual((await fetch(`${server.baseUrl}/sessions/+1234567890/opt-outs/+4944444444`, { method: 'DELETE' })).status, 200);
+  assert.strictEqual((await fetch(`${server.baseUrl}/sessions/+1234567890/opt-outs/+4944444444`, { method: 'DELETE' })).status, 404);
+});
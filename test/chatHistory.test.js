@@ -0,0 +1,108 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { resetManager } = require('./helpers');
+const { parseBound, encodeCursor } = require('../lib/pagination');
+
+let client;
+
+beforeEach(async () => {
+  const driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+});
+
+/**
+ * Fill a chat with numbered messages, one per second from t=1000
+ * @param {string} from - Chat id
+ * @param {number} count - Number of messages
+ */
+function receiveMany(from, count) {
+  for (let i = 1; i <= count; i++) {
+    client.receiveMessage({ id: `M${i}`, from, body: `message ${i}`, timestamp: 1000 + i, type: i % 5 === 0 ? 'image' : 'chat' });
+  }
+}
+
+test('getMessages pages backwards through a chat with cursors', async () => {
+  receiveMany('1111@c.us', 120);
+
+  const first = await whatsappManager.getMessages('+1234567890', '+1111', { limit: 50 });
+  assert.strictEqual(first.messages.length, 50);
+  assert.strictEqual(first.messages[0].body, 'message 120');
+  assert.strictEqual(first.hasMore, true);
+
+  const second = await whatsappManager.getMessages('+1234567890', '1111@c.us', { limit: 50, before: first.nextCursor });
+  assert.deepStrictEqual([second.messages[0].body, second.messages[49].body], ['message 70', 'message 21']);
+
+  const last = await whatsappManager.getMessages('+1234567890', '1111@c.us', { limit: 50, before: second.nextCursor });
+  assert.strictEqual(last.messages.length, 20);
+  assert.strictEqual(last.hasMore, false);
+  assert.strictEqual(last.nextCursor, null);
+});
+
+test('getMessages filters by time, direction and type', async () => {
+  receiveMany('1111@c.us', 30);
+  await whatsappManager.sendMessage('+1234567890', '1111', 'reply');
+
+  const between = await whatsappManager.getMessages('+1234567890', '1111@c.us', { before: '1011', after: '1005' });
+  assert.deepStrictEqual(between.messages.map(message => message.body), [
+    'message 10', 'message 9', 'message 8', 'message 7', 'message 6'
+  ]);
+  assert.strictEqual(between.hasMore, false);
+
+  const sent = await whatsappManager.getMessages('+1234567890', '1111@c.us', { fromMe: true });
+  assert.deepStrictEqual(sent.messages.map(message => message.body), ['reply']);
+
+  const images = await whatsappManager.getMessages('+1234567890', '1111@c.us', { type: ['image'], limit: 4 });
+  assert.deepStrictEqual(images.messages.map(message => message.body), ['message 30', 'message 25', 'message 20', 'message 15']);
+  const olderImages = await whatsappManager.getMessages('+1234567890', '1111@c.us', { type: 'image', before: images.nextCursor });
+  assert.deepStrictEqual(olderImages.messages.map(message => message.body), ['message 10', 'message 5']);
+});
+
+test('getMessages reports unknown chats and unreadable cursors', async () => {
+  await assert.rejects(whatsappManager.getMessages('+1234567890', '9999@c.us'), { code: 'CHAT_NOT_FOUND' });
+
+  receiveMany('1111@c.us', 1);
+  await assert.rejects(
+    whatsappManager.getMessages('+1234567890', '1111@c.us', { before: 'not-a-cursor' }),
+    { code: 'INVALID_CURSOR' }
+  );
+  await assert.rejects(whatsappManager.getMessages('+5555555555', '1111@c.us'), { code: 'CLIENT_NOT_FOUND' });
+});
+
+test('listChats pages through chats, most recent first, and filters groups', async () => {
+  for (let i = 1; i <= 5; i++) {
+    client.receiveMessage({ from: `${i}${i}${i}@c.us`, body: 'hi', timestamp: 2000 + i });
+  }
+  client.receiveMessage({ from: '120363000000@g.us', author: '111@c.us', body: 'group', timestamp: 1500 });
+
+  const first = await whatsappManager.listChats('+1234567890', { limit: 3 });
+  assert.deepStrictEqual(first.chats.map(chat => chat.id), ['555@c.us', '444@c.us', '333@c.us']);
+  assert.strictEqual(first.chats[0].lastMessage.body, 'hi');
+
+  const second = await whatsappManager.listChats('+1234567890', { limit: 3, before: first.nextCursor });
+  assert.deepStrictEqual(second.chats.map(chat => chat.id), ['222@c.us', '111@c.us', '120363000000@g.us']);
+  assert.strictEqual(second.nextCursor, null);
+
+  const groups = await whatsappManager.listChats('+1234567890', { isGroup: true });
+  assert.deepStrictEqual(groups.chats.map(chat => chat.id), ['120363000000@g.us']);
+});
+
+test('getLast10Messages takes the newest messages of every recent chat', async () => {
+  receiveMany('1111@c.us', 20);
+  client.receiveMessage({ from: '2222@c.us', body: 'newest', timestamp: 5000 });
+
+  const messages = await whatsappManager.getLast10Messages('+1234567890');
+
+  assert.strictEqual(messages.length, 10);
+  assert.deepStrictEqual(messages.slice(0, 2).map(message => message.body), ['newest', 'message 20']);
+});
+
+test('parseBound reads cursors, seconds and ISO dates', () => {
+  assert.deepStrictEqual(parseBound(encodeCursor(1700000000, 'false_1111@c.us_ABC')), {
+    timestamp: 1700000000,
+    id: 'false_1111@c.us_ABC'
+  });
+  assert.deepStrictEqual(parseBound('1700000000'), { timestamp: 1700000000, id: null });
+  assert.deepStrictEqual(parseBound('2023-11-14T22:13:20Z'), { timestamp: 1700000000, id: null });
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { createMessageQueue, JOB_STATUS } = require('../lib/messageQueue');
+const { resetManager, makeTempDir } = require('./helpers');
+
+let client;
+
+beforeEach(async () => {
+  const driver = resetManager({
+    authenticatedSessions: ['1234567890'],
+    unregisteredNumbers: ['+3333'],
+    contacts: {
+      '1111@c.us': { name: 'Alice Smith', pushname: 'Ali', about: 'Available', profilePicUrl: 'https://pps.whatsapp.net/alice.jpg' },
+      '2222@c.us': { pushname: 'Bob' }
+    }
+  });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+});
+
+test('checkRegistered resolves registered numbers to WhatsApp ids', async () => {
+  const results = await whatsappManager.checkRegistered('+1234567890', ['+1111', '+3333', '2222@c.us', '']);
+
+  assert.deepStrictEqual(results, [
+    { number: '+1111', registered: true, id: '1111@c.us' },
+    { number: '+3333', registered: false, id: null },
+    { number: '2222@c.us', registered: true, id: '2222@c.us' },
+    { number: '', registered: false, id: null }
+  ]);
+  assert.strictEqual(await whatsappManager.resolveContactId('+1234567890', '(11) 11'), '1111@c.us');
+  assert.strictEqual(await whatsappManager.resolveContactId('+1234567890', '+3333'), null);
+});
+
+test('checkRegistered reports failed lookups', async () => {
+  client.getNumberId = async () => { throw new Error('Evaluation failed'); };
+
+  await assert.rejects(whatsappManager.checkRegistered('+1234567890', ['+1111']), { code: 'LOOKUP_FAILED' });
+});
+
+test('getContact returns names, about and profile picture', async () => {
+  const contact = await whatsappManager.getContact('+1234567890', '+1111');
+
+  assert.deepStrictEqual(contact, {
+    id: '1111@c.us',
+    phoneNumber: '+1111',
+    name: 'Alice Smith',
+    pushname: 'Ali',
+    shortName: 'Alice',
+    isBusiness: false,
+    isMyContact: true,
+    isBlocked: false,
+    about: 'Available',
+    profilePicUrl: 'https://pps.whatsapp.net/alice.jpg'
+  });
+
+  const stranger = await whatsappManager.getContact('+1234567890', '4444@c.us');
+  assert.deepStrictEqual([stranger.name, stranger.about, stranger.profilePicUrl], [null, null, null]);
+
+  await assert.rejects(whatsappManager.getContact('+1234567890', '120363@g.us'), { code: 'CONTACT_NOT_FOUND' });
+});
+
+test('listContacts filters saved and blocked contacts', async () => {
+  client.receiveMessage({ from: '5555@c.us', body: 'Hi' });
+
+  const all = await whatsappManager.listContacts('+1234567890');
+  assert.deepStrictEqual(all.map(contact => contact.id), ['5555@c.us', '1111@c.us', '2222@c.us']);
+
+  const saved = await whatsappManager.listContacts('+1234567890', { onlyMyContacts: true });
+  assert.deepStrictEqual(saved.map(contact => contact.id), ['1111@c.us']);
+
+  const blocked = await whatsappManager.setContactBlocked('+1234567890', '+2222', true);
+  assert.strictEqual(blocked.isBlocked, true);
+  const blockedList = await whatsappManager.listContacts('+1234567890', { blocked: true });
+  assert.deepStrictEqual(blockedList.map(contact => contact.id), ['2222@c.us']);
+
+  await whatsappManager.setContactBlocked('+1234567890', '2222@c.us', false);
+  assert.deepStrictEqual(await whatsappManager.listContacts('+1234567890', { blocked: true }), []);
+});
+
+test('messages to unregistered numbers fail without being retried', async () => {
+  await assert.rejects(
+    whatsappManager.deliverMessage('+1234567890', '+3333', 'Hello?'),
+    { code: 'RECIPIENT_NOT_REGISTERED' }
+  );
+  assert.strictEqual(client.sentMessages.length, 0);
+
+  const queue = createMessageQueue(whatsappManager, { dataDir: makeTempDir(), minDelayMs: 0, maxDelayMs: 0 });
+  const { job } = queue.enqueue({ sender: '+1234567890', recipient: '+3333', content: 'Hello?' });
+  const result = await queue.waitForJob(job.id, 2000);
+  queue.stop();
+
+  assert.strictEqual(result.status, JOB_STATUS.FAILED);
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(result.errorCode, 'RECIPIENT_NOT_REGISTERED');
+});
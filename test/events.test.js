@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+let driver;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  driver = resetManager();
+});
+
+/**
+ * Open an SSE stream and collect its events
+ * @param {string} url - Path including query string
+ * @returns {Promise<{next: Function, close: Function}>} - next(name) resolves with the data of the next event of that name
+ */
+async function openStream(url) {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}${url}`, { signal: controller.signal });
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+  const events = [];
+  const waiters = [];
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const deliver = () => {
+    for (const waiter of waiters.slice()) {
+      const index = events.findIndex(event => event.name === waiter.name);
+      if (index !== -1) {
+        const [event] = events.splice(index, 1);
+        waiters.splice(waiters.indexOf(waiter), 1);
+        waiter.resolve(event.data);
+      }
+    }
+  };
+
+  (async () => {
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const name = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = (block.match(/^data: (.*)$/m) || [])[1];
+          if (name) {
+            events.push({ name, data: JSON.parse(data) });
+          }
+        }
+        deliver();
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+    }
+  })();
+
+  return {
+    next: name => new Promise(resolve => {
+      waiters.push({ name, resolve });
+      deliver();
+    }),
+    close: () => controller.abort()
+  };
+}
+
+test('the event stream starts the client and pushes every refreshed QR code', async () => {
+  const stream = await openStream('/sessions/+1234567890/events?start=true');
+
+  assert.strictEqual(await stream.next('session'), null);
+  assert.deepStrictEqual(await stream.next('qr'), { clientId: '1234567890', qr: 'simulated-qr:1234567890:1' });
+
+  driver.getClient('1234567890').refreshQR();
+  assert.deepStrictEqual(await stream.next('qr'), { clientId: '1234567890', qr: 'simulated-qr:1234567890:2' });
+
+  driver.getClient('1234567890').scanQR();
+  assert.deepStrictEqual(await stream.next('ready'), { clientId: '1234567890' });
+
+  stream.close();
+});
+
+test('the event stream sends the current QR code and state on connect', async () => {
+  await fetch(`${server.baseUrl}/sessions/+1234567890/qr`);
+  const stream = await openStream('/sessions/+1234567890/events');
+
+  const session = await stream.next('session');
+  assert.strictEqual(session.state, 'awaiting_qr');
+  assert.strictEqual((await stream.next('qr')).qr, 'simulated-qr:1234567890:1');
+
+  stream.close();
+});
+
+test('the event stream pushes state changes and incoming messages of its number only', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890', '5555555555'] });
+  await fetch(`${server.baseUrl}/sessions/+1234567890/qr`);
+  await fetch(`${server.baseUrl}/sessions/+5555555555/qr`);
+  const stream = await openStream('/sessions/+1234567890/events');
+  await stream.next('session');
+
+  driver.getClient('5555555555').receiveMessage({ from: '2222@c.us', body: 'other number' });
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'Hello stream' });
+  const message = await stream.next('message');
+  assert.strictEqual(message.message.conversation, 'Hello stream');
+
+  driver.getClient('1234567890').disconnect('NAVIGATION');
+  const change = await stream.next('state_change');
+  assert.deepStrictEqual([change.from, change.to, change.reason], ['ready', 'disconnected', 'NAVIGATION']);
+
+  stream.close();
+});
@@ -0,0 +1,474 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+process.env.MEDIA_DOWNLOAD = 'true';
+const app = require('../express-example');
+
+let driver;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  driver = resetManager();
+});
+
+/**
+ * Call the test server and parse the JSON response
+ * @param {string} method - HTTP method
+ * @param {string} url - Path including query string
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, url, body) {
+  const response = await fetch(`${server.baseUrl}${url}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('GET /qr requires a phone number', async () => {
+  const { status, body } = await request('GET', '/qr');
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.success, false);
+});
+
+test('GET /qr returns a QR code and /auth-status reflects the scan', async () => {
+  const qrResponse = await request('GET', '/qr?phone=1234567890');
+
+  assert.strictEqual(qrResponse.status, 200);
+  assert.strictEqual(qrResponse.body.authenticated, false);
+  assert.match(qrResponse.body.qr, /^simulated-qr:1234567890:/);
+
+  driver.getClient('1234567890').scanQR();
+  const { body } = await request('GET', '/auth-status');
+
+  assert.strictEqual(body.authenticated, true);
+  assert.strictEqual(body.phoneNumber, '1234567890');
+});
+
+test('POST /send-message sends through an authenticated client', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+
+  const { status, body } = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Hello from the tests'
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.ok(body.messageId);
+
+  const job = await request('GET', `/messages/${body.jobId}`);
+  assert.strictEqual(job.body.job.status, 'sent');
+  assert.deepStrictEqual(
+    driver.getClient('1234567890').sentMessages.map(sent => [sent.chatId, sent.content]),
+    [['4987654321@c.us', 'Hello from the tests']]
+  );
+});
+
+test('POST /send-message rejects content that cannot be sent', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+
+  const { status, body } = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+4987654321',
+    message: { image: { data: Buffer.from('%PDF-1.4').toString('base64') } }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.match(body.error, /image\/\* MIME type/);
+});
+
+test('POST /send-media sends an uploaded file as a document', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+
+  const form = new FormData();
+  form.append('senderPhoneNumber', '1234567890');
+  form.append('recipientPhoneNumber', '+4987654321');
+  form.append('caption', 'Your invoice');
+  form.append('file', new Blob([Buffer.from('%PDF-1.4 invoice')], { type: 'application/pdf' }), 'invoice.pdf');
+
+  const response = await fetch(`${server.baseUrl}/send-media`, { method: 'POST', body: form });
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(body.messageId);
+
+  const [sent] = driver.getClient('1234567890').sentMessages;
+  assert.strictEqual(sent.content.mimetype, 'application/pdf');
+  assert.strictEqual(sent.content.filename, 'invoice.pdf');
+  assert.deepStrictEqual(sent.options, { caption: 'Your invoice', sendMediaAsDocument: true });
+});
+
+test('GET /media/:id serves the media of a received message', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] }, { mediaDownload: { store: app.locals.mediaStore } });
+  await request('GET', '/qr?phone=1234567890');
+
+  const received = new Promise(resolve => whatsappManager.once('message', resolve));
+  driver.getClient('1234567890').receiveMessage({
+    from: '1111@c.us',
+    type: 'document',
+    media: { mimetype: 'application/pdf', data: Buffer.from('%PDF-1.4').toString('base64'), filename: 'menu.pdf' }
+  });
+  const { media } = await received;
+
+  const response = await fetch(`${server.baseUrl}/media/${media.id}`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+  assert.match(response.headers.get('content-disposition'), /^inline; filename\*=UTF-8''menu\.pdf$/);
+  assert.strictEqual(Buffer.from(await response.arrayBuffer()).toString(), '%PDF-1.4');
+
+  const missing = await request('GET', `/media/${'0'.repeat(64)}`);
+  assert.strictEqual(missing.status, 404);
+});
+
+test('GET /last10messages/:phoneNumber returns chat history', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'Ping' });
+
+  const { status, body } = await request('GET', '/last10messages/1234567890');
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.messages.map(message => message.body), ['Ping']);
+});
+
+test('GET /sessions/:phone/chats/:chatId/messages pages through a conversation', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+  const client = driver.getClient('1234567890');
+  for (let i = 1; i <= 3; i++) {
+    client.receiveMessage({ from: '1111@c.us', body: `message ${i}`, timestamp: 1000 + i });
+  }
+
+  const chats = await request('GET', '/sessions/1234567890/chats');
+  assert.deepStrictEqual(chats.body.chats.map(chat => chat.id), ['1111@c.us']);
+
+  const first = await request('GET', '/sessions/1234567890/chats/1111@c.us/messages?limit=2');
+  assert.deepStrictEqual(first.body.messages.map(message => message.body), ['message 3', 'message 2']);
+  assert.strictEqual(first.body.hasMore, true);
+
+  const next = await request('GET', `/sessions/1234567890/chats/1111@c.us/messages?limit=2&before=${first.body.nextCursor}`);
+  assert.deepStrictEqual(next.body.messages.map(message => message.body), ['message 1']);
+
+  const missing = await request('GET', '/sessions/1234567890/chats/9999@c.us/messages');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.code, 'CHAT_NOT_FOUND');
+});
+
+test('GET /sessions lists every client with its state', async () => {
+  driver = resetManager({ authenticatedSessions: ['1111111111'] });
+  await request('GET', '/sessions/+1111111111/qr');
+  await request('GET', '/sessions/+2222222222/qr');
+
+  const { status, body } = await request('GET', '/sessions');
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(
+    body.sessions.map(session => [session.phoneNumber, session.state]),
+    [['+1111111111', 'ready'], ['+2222222222', 'awaiting_qr']]
+  );
+  assert.ok(body.sessions[0].createdAt);
+  assert.ok(body.sessions[0].lastSeen);
+  assert.strictEqual(body.sessions[0].sessionDir, 'sessions/1111111111');
+});
+
+test('GET /sessions/:phone returns 404 for unknown numbers', async () => {
+  const { status, body } = await request('GET', '/sessions/+3333333333');
+
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.success, false);
+});
+
+test('GET /sessions/:phone/status describes the requested number only', async () => {
+  await request('GET', '/sessions/+1111111111/qr');
+  driver.getClient('1111111111').scanQR();
+  await request('GET', '/sessions/+2222222222/qr');
+
+  const first = await request('GET', '/sessions/+1111111111/status');
+  const second = await request('GET', '/sessions/+2222222222/status');
+
+  assert.strictEqual(first.body.status, 'connected');
+  assert.strictEqual(first.body.state, 'ready');
+  assert.strictEqual(first.body.session.clientId, '1111111111');
+  assert.strictEqual(second.body.status, 'disconnected');
+  assert.strictEqual(second.body.state, 'awaiting_qr');
+  assert.strictEqual(second.body.requiresQR, true);
+  assert.strictEqual(second.body.session.clientId, '2222222222');
+});
+
+test('DELETE /sessions/:phone logs out and removes the session', async () => {
+  driver = resetManager({ authenticatedSessions: ['1111111111'] });
+  await request('GET', '/sessions/+1111111111/qr');
+
+  const { status, body } = await request('DELETE', '/sessions/+1111111111');
+  const list = await request('GET', '/sessions');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.deepStrictEqual(list.body.sessions, []);
+  assert.strictEqual(driver.sessions.has('1111111111'), false);
+});
+
+test('webhook subscriptions can be created, listed and deleted', async () => {
+  const created = await request('POST', '/webhooks', {
+    url: 'http://127.0.0.1:9/hook',
+    phone: '+1234567890',
+    events: ['message']
+  });
+
+  assert.strictEqual(created.status, 201);
+  assert.ok(created.body.webhook.secret);
+  assert.strictEqual(created.body.webhook.clientId, '1234567890');
+
+  const { id } = created.body.webhook;
+  const listed = await request('GET', '/webhooks');
+  assert.deepStrictEqual(listed.body.webhooks.map(webhook => webhook.id), [id]);
+  assert.strictEqual(listed.body.webhooks[0].secret, undefined);
+
+  const deleted = await request('DELETE', `/webhooks/${id}`);
+  assert.strictEqual(deleted.status, 200);
+
+  const missing = await request('GET', `/webhooks/${id}`);
+  assert.strictEqual(missing.status, 404);
+});
+
+test('POST /webhooks rejects invalid urls and unknown events', async () => {
+  const badUrl = await request('POST', '/webhooks', { url: 'ftp://example.com' });
+  const badEvent = await request('POST', '/webhooks', { url: 'http://example.com', events: ['typing'] });
+
+  assert.strictEqual(badUrl.status, 400);
+  assert.strictEqual(badEvent.status, 400);
+  assert.match(badEvent.body.error, /Unknown webhook events: typing/);
+});
+
+test('POST /messages queues a message and returns its job id', async () => {
+  driver = resetManager({ authenticatedSessions: ['7777777777'] });
+
+  const { status, body } = await request('POST', '/messages', {
+    senderPhoneNumber: '+7777777777',
+    recipientPhoneNumber: '1111',
+    message: 'Queued hello',
+    idempotencyKey: 'queued-hello'
+  });
+
+  assert.strictEqual(status, 202);
+  assert.strictEqual(body.job.status, 'queued');
+
+  await app.locals.messageQueue.waitForJob(body.jobId);
+  const job = await request('GET', `/messages/${body.jobId}`);
+  assert.strictEqual(job.body.job.status, 'sent');
+
+  const repeated = await request('POST', '/messages', {
+    senderPhoneNumber: '+7777777777',
+    recipientPhoneNumber: '1111',
+    message: 'Queued hello',
+    idempotencyKey: 'queued-hello'
+  });
+  assert.strictEqual(repeated.status, 200);
+  assert.strictEqual(repeated.body.duplicate, true);
+  assert.strictEqual(repeated.body.jobId, body.jobId);
+});
+
+test('GET /messages/:jobId returns 404 for unknown jobs', async () => {
+  const { status } = await request('GET', '/messages/unknown');
+
+  assert.strictEqual(status, 404);
+});
+
+test('GET /search finds archived messages and DELETE /archive purges them', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+  driver.getClient('1234567890').receiveMessage({ from: '7777@c.us', body: 'Where is my parcel?' });
+
+  const missingQuery = await request('GET', '/search');
+  assert.strictEqual(missingQuery.status, 400);
+
+  const found = await request('GET', '/search?q=parcel&phone=1234567890&chatId=7777');
+  assert.strictEqual(found.status, 200);
+  assert.strictEqual(found.body.total, 1);
+  assert.strictEqual(found.body.results[0].body, 'Where is my parcel?');
+
+  const purged = await request('DELETE', '/archive?phone=1234567890&chatId=7777');
+  assert.strictEqual(purged.body.removed, 1);
+  const after = await request('GET', '/search?q=parcel');
+  assert.strictEqual(after.body.total, 0);
+});
+
+test('group routes create, update, invite and send to a group', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+
+  const invalid = await request('POST', '/sessions/1234567890/groups', { name: 'Team', participants: [] });
+  assert.strictEqual(invalid.status, 400);
+
+  const created = await request('POST', '/sessions/1234567890/groups', { name: 'Team', participants: ['+1111'] });
+  assert.strictEqual(created.status, 201);
+  const groupId = created.body.group.id;
+
+  const listed = await request('GET', '/sessions/1234567890/groups');
+  assert.deepStrictEqual(listed.body.groups.map(group => group.id), [groupId]);
+
+  const renamed = await request('PATCH', `/sessions/1234567890/groups/${groupId}`, { subject: 'Core team' });
+  assert.strictEqual(renamed.body.group.name, 'Core team');
+
+  const promoted = await request('POST', `/sessions/1234567890/groups/${groupId}/participants/promote`, { participants: ['+1111'] });
+  assert.strictEqual(promoted.body.participants[0].success, true);
+  const unknownAction = await request('POST', `/sessions/1234567890/groups/${groupId}/participants/ban`, { participants: ['+1111'] });
+  assert.strictEqual(unknownAction.status, 404);
+
+  const invite = await request('GET', `/sessions/1234567890/groups/${groupId}/invite`);
+  const revoked = await request('DELETE', `/sessions/1234567890/groups/${groupId}/invite`);
+  assert.notStrictEqual(revoked.body.code, invite.body.code);
+
+  const sent = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: groupId,
+    message: 'Hello team'
+  });
+  assert.strictEqual(sent.status, 200);
+  assert.strictEqual(driver.getClient('1234567890').sentMessages[0].chatId, groupId);
+
+  const missing = await request('GET', '/sessions/1234567890/groups/missing@g.us');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.code, 'GROUP_NOT_FOUND');
+});
+
+test('contact routes check numbers, describe and block contacts', async () => {
+  driver = resetManager({
+    authenticatedSessions: ['1234567890'],
+    unregisteredNumbers: ['3333'],
+    contacts: { '1111@c.us': { name: 'Alice', about: 'Busy' } }
+  });
+  await request('GET', '/qr?phone=1234567890');
+
+  const checked = await request('POST', '/sessions/1234567890/contacts/check', { numbers: ['+1111', '+3333'] });
+  assert.deepStrictEqual(checked.body.results.map(result => [result.registered, result.id]), [
+    [true, '1111@c.us'], [false, null]
+  ]);
+  const badCheck = await request('POST', '/sessions/1234567890/contacts/check', { numbers: '+1111' });
+  assert.strictEqual(badCheck.status, 400);
+
+  const contact = await request('GET', '/sessions/1234567890/contacts/+1111');
+  assert.deepStrictEqual([contact.body.contact.name, contact.body.contact.about], ['Alice', 'Busy']);
+
+  const blocked = await request('POST', '/sessions/1234567890/contacts/1111@c.us/block');
+  assert.strictEqual(blocked.body.contact.isBlocked, true);
+  const list = await request('GET', '/sessions/1234567890/contacts?blocked=true');
+  assert.deepStrictEqual(list.body.contacts.map(item => item.id), ['1111@c.us']);
+  await request('DELETE', '/sessions/1234567890/contacts/1111@c.us/block');
+
+  const group = await request('GET', '/sessions/1234567890/contacts/120363@g.us');
+  assert.strictEqual(group.status, 404);
+});
+
+test('POST /send-message answers 422 for recipients not on WhatsApp', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'], unregisteredNumbers: ['3333'] });
+  await request('GET', '/qr?phone=1234567890');
+
+  const { status, body } = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+3333',
+    message: 'Hello?'
+  });
+
+  assert.strictEqual(status, 422);
+  assert.strictEqual(body.code, 'RECIPIENT_NOT_REGISTERED');
+  assert.strictEqual(driver.getClient('1234567890').sentMessages.length, 0);
+});
+
+test('POST /send-message looks the recipient up only once', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+  const client = driver.getClient('1234567890');
+  const lookups = [];
+  const getNumberId = client.getNumberId.bind(client);
+  client.getNumberId = (number) => {
+    lookups.push(number);
+    return getNumberId(number);
+  };
+
+  const { status } = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Hello'
+  });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(lookups, ['4987654321']);
+  assert.strictEqual(client.sentMessages[0].chatId, '4987654321@c.us');
+});
+
+test('GET /messages/:id/status reports receipts by message id or job id', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+
+  const sent = await request('POST', '/send-message', {
+    senderPhoneNumber: '1234567890',
+    recipientPhoneNumber: '+1111',
+    message: 'Did you get this?'
+  });
+  const client = driver.getClient('1234567890');
+  client.ackMessage(client.sentMessages[0].message, 3);
+
+  const byMessage = await request('GET', `/messages/${sent.body.messageId}/status`);
+  assert.strictEqual(byMessage.status, 200);
+  assert.strictEqual(byMessage.body.status, 'read');
+  assert.deepStrictEqual(byMessage.body.history.map(transition => transition.status), ['pending', 'read']);
+
+  const byJob = await request('GET', `/messages/${sent.body.jobId}/status`);
+  assert.strictEqual(byJob.body.messageId, sent.body.messageId);
+
+  const missing = await request('GET', '/messages/unknown/status');
+  assert.strictEqual(missing.status, 404);
+});
+
+test('message action routes reply, react, edit, star and send presence', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await request('GET', '/qr?phone=1234567890');
+  const client = driver.getClient('1234567890');
+  const incoming = client.receiveMessage({ from: '1111@c.us', body: 'Are you open today?' });
+  const id = encodeURIComponent(incoming.id._serialized);
+
+  const reply = await request('POST', `/sessions/1234567890/messages/${id}/reply`, { message: 'Until 6pm' });
+  assert.strictEqual(reply.status, 200);
+  assert.ok(reply.body.messageId.startsWith('true_1111@c.us_'));
+
+  const reacted = await request('PUT', `/sessions/1234567890/messages/${id}/reaction`, { emoji: '❤️' });
+  assert.strictEqual(reacted.status, 200);
+  assert.strictEqual(incoming.myReaction, '❤️');
+
+  const edited = await request('PATCH', `/sessions/1234567890/messages/${encodeURIComponent(reply.body.messageId)}`, { body: 'Until 7pm' });
+  assert.strictEqual(edited.body.message.body, 'Until 7pm');
+  const refused = await request('PATCH', `/sessions/1234567890/messages/${id}`, { body: 'Nope' });
+  assert.strictEqual(refused.status, 422);
+
+  await request('PUT', `/sessions/1234567890/messages/${id}/star`);
+  assert.strictEqual(incoming.isStarred, true);
+
+  const presence = await request('POST', '/sessions/1234567890/chats/1111@c.us/presence', { state: 'typing' });
+  assert.strictEqual(presence.status, 200);
+  const badPresence = await request('POST', '/sessions/1234567890/chats/1111@c.us/presence', { state: 'dancing' });
+  assert.strictEqual(badPresence.status, 400);
+
+  const missing = await request('DELETE', '/sessions/1234567890/messages/false_1111@c.us_MISSING');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.body.code, 'MESSAGE_NOT_FOUND');
+});
@@ -0,0 +1,110 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { resetManager } = require('./helpers');
+
+let driver;
+let client;
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890', '5555555555'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+});
+
+test('createGroup makes the client owner and listGroups returns it', async () => {
+  const { group, participants } = await whatsappManager.createGroup('+1234567890', 'Team', ['+1111', '2222@c.us']);
+
+  assert.match(group.id, /@g\.us$/);
+  assert.strictEqual(group.name, 'Team');
+  assert.strictEqual(group.owner, '1234567890@c.us');
+  assert.deepStrictEqual(participants.map(result => [result.id, result.success]), [
+    ['1111@c.us', true], ['2222@c.us', true]
+  ]);
+  const owner = group.participants.find(participant => participant.id === '1234567890@c.us');
+  assert.deepStrictEqual([owner.isAdmin, owner.isSuperAdmin, owner.phoneNumber], [true, true, '+1234567890']);
+
+  const groups = await whatsappManager.listGroups('+1234567890');
+  assert.deepStrictEqual(groups.map(item => item.id), [group.id]);
+});
+
+test('sendMessage delivers to a group id', async () => {
+  const { group } = await whatsappManager.createGroup('+1234567890', 'Team', ['+1111']);
+
+  await whatsappManager.deliverMessage('+1234567890', group.id, 'Hello team');
+
+  assert.strictEqual(client.sentMessages[0].chatId, group.id);
+  assert.strictEqual(client.sentMessages[0].content, 'Hello team');
+});
+
+test('participants can be added, promoted, demoted and removed', async () => {
+  const { group } = await whatsappManager.createGroup('+1234567890', 'Team', ['+1111']);
+
+  const added = await whatsappManager.updateGroupParticipants('+1234567890', group.id, 'add', ['+2222', '+1111']);
+  assert.deepStrictEqual(added.map(result => [result.id, result.success, result.code]), [
+    ['2222@c.us', true, 200], ['1111@c.us', false, 409]
+  ]);
+
+  await whatsappManager.updateGroupParticipants('+1234567890', group.id, 'promote', ['+2222']);
+  let details = await whatsappManager.getGroup('+1234567890', group.id);
+  assert.strictEqual(details.participants.find(participant => participant.id === '2222@c.us').isAdmin, true);
+
+  await whatsappManager.updateGroupParticipants('+1234567890', group.id, 'demote', ['+2222']);
+  await whatsappManager.updateGroupParticipants('+1234567890', group.id, 'remove', ['+1111']);
+  details = await whatsappManager.getGroup('+1234567890', group.id);
+  assert.deepStrictEqual(details.participants.map(participant => [participant.id, participant.isAdmin]), [
+    ['1234567890@c.us', true], ['2222@c.us', false]
+  ]);
+});
+
+test('subject and description changes need admin rights', async () => {
+  const { group } = await whatsappManager.createGroup('+1234567890', 'Team', ['+1111']);
+
+  const updated = await whatsappManager.updateGroup('+1234567890', group.id, { subject: 'Core team', description: 'Weekly sync' });
+  assert.deepStrictEqual([updated.name, updated.description], ['Core team', 'Weekly sync']);
+
+  // A group the client only receives messages in, without being an admin
+  client.receiveMessage({ from: '999-1@g.us', author: '1111@c.us', body: 'Hi' });
+  await assert.rejects(
+    whatsappManager.updateGroup('+1234567890', '999-1@g.us', { subject: 'Mine now' }),
+    { code: 'GROUP_ACTION_FAILED' }
+  );
+  await assert.rejects(
+    whatsappManager.updateGroupParticipants('+1234567890', '999-1', 'remove', ['+1111']),
+    { code: 'GROUP_ACTION_FAILED' }
+  );
+  await assert.rejects(
+    whatsappManager.updateGroupParticipants('+1234567890', '999-1', 'ban', ['+1111']),
+    { code: 'VALIDATION_FAILED' }
+  );
+  await assert.rejects(whatsappManager.getGroup('+1234567890', '1111@c.us'), { code: 'GROUP_NOT_FOUND' });
+  await assert.rejects(whatsappManager.getGroup('+1234567890', 'missing@g.us'), { code: 'GROUP_NOT_FOUND' });
+});
+
+test('invite links can be revoked and used to join', async () => {
+  const { group } = await whatsappManager.createGroup('+1234567890', 'Team', []);
+  const invite = await whatsappManager.getGroupInvite('+1234567890', group.id);
+  assert.strictEqual(invite.link, `https://chat.whatsapp.com/${invite.code}`);
+
+  const revoked = await whatsappManager.revokeGroupInvite('+1234567890', group.id);
+  assert.notStrictEqual(revoked.code, invite.code);
+
+  await whatsappManager.getLoginQR('+5555555555');
+  await assert.rejects(whatsappManager.joinGroup('+5555555555', invite.link), { code: 'INVALID_INVITE' });
+  await assert.rejects(whatsappManager.joinGroup('+5555555555', 'not a code!'), { code: 'INVALID_INVITE' });
+
+  const joined = await whatsappManager.joinGroup('+5555555555', revoked.link);
+  assert.strictEqual(joined.id, group.id);
+  assert.ok(joined.participants.some(participant => participant.id === '5555555555@c.us'));
+});
+
+test('incoming group messages carry the group id and author', async () => {
+  const received = new Promise(resolve => whatsappManager.once('message', resolve));
+  client.receiveMessage({ from: '120363000@g.us', author: '1111@c.us', notifyName: 'Alice', body: 'Morning all' });
+  const message = await received;
+
+  assert.strictEqual(message.chatId, '120363000@g.us');
+  assert.strictEqual(message.isGroup, true);
+  assert.deepStrictEqual(message.group, { id: '120363000@g.us', participant: '1111@c.us' });
+  assert.deepStrictEqual(message.sender, { id: '1111@c.us', phoneNumber: '+1111', name: 'Alice' });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const whatsappManager = require('../whatsappManager');
+const { createSimulatedDriver } = require('../lib/drivers');
+const { createLogger } = require('../lib/logger');
+
+// Keep log lines out of the test output: the app reads LOG_LEVEL when a test requires it, and
+// resetManager gives the manager a logger at the same level (LOG_LEVEL=debug to see them)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+/**
+ * Reset the whatsappManager singleton onto a fresh simulated driver
+ *
+ * Reconnection and session restore are off and the logger is silent unless managerOptions says
+ * otherwise.
+ * @param {Object} options - Options passed to createSimulatedDriver
+ * @param {Object} managerOptions - Options passed to whatsappManager.initialize
+ * @returns {Object} - The simulated driver
+ */
+function resetManager(options = {}, managerOptions = {}) {
+  whatsappManager.clients.clear();
+  whatsappManager.loggedOutClients.clear();
+  whatsappManager.inboundQueues.clear();
+  whatsappManager.offMessage();
+  whatsappManager.messageHandlers.clear();
+  whatsappManager.offMessageAck();
+  const driver = createSimulatedDriver(options);
+  whatsappManager.initialize({
+    driver,
+    reconnect: false,
+    restoreSessions: false,
+    logger: createLogger({ level: process.env.LOG_LEVEL }),
+    ...managerOptions
+  });
+  return driver;
+}
+
+/**
+ * Start an Express app on a random port
+ * @param {Object} app - Express app
+ * @returns {Promise<{baseUrl: string, close: Function}>}
+ */
+function startServer(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Wait for pending setImmediate callbacks (simulated client events) to run
+ * @returns {Promise<void>}
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Create an empty temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} - Directory path
+ */
+function makeTempDir(prefix = 'whatsapp-manager-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Start an HTTP server that records every request it receives
+ * @param {Function} [respond] - (request, index) => status code to answer with (default 200)
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+function startReceiver(respond = () => 200) {
+  const http = require('http');
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const index = requests.length;
+      requests.push({ headers: req.headers, body, json: body ? JSON.parse(body) : null });
+      res.statusCode = respond(req, index);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { resetManager, startServer, flush, makeTempDir, startReceiver };
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { createLogger, maskPhoneNumbers } = require('../lib/logger');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * Create a logger writing parsed lines to an array
+ * @param {Object} options - Logger options
+ * @returns {{logger: Object, lines: Array<Object>}}
+ */
+function captureLogger(options = {}) {
+  const lines = [];
+  const logger = createLogger({ ...options, destination: { write: line => lines.push(JSON.parse(line)) } });
+  return { logger, lines };
+}
+
+test('lines are pino-style JSON filtered by level', () => {
+  const { logger, lines } = captureLogger({ level: 'warn' });
+
+  logger.info('not written');
+  logger.warn({ attempt: 2 }, 'Reconnecting');
+  logger.child({ clientId: 'abc' }).error(new Error('boom'));
+
+  assert.strictEqual(lines.length, 2);
+  assert.strictEqual(lines[0].level, 40);
+  assert.strictEqual(lines[0].attempt, 2);
+  assert.strictEqual(lines[0].msg, 'Reconnecting');
+  assert.strictEqual(lines[0].pid, process.pid);
+  assert.strictEqual(lines[1].clientId, 'abc');
+  assert.strictEqual(lines[1].msg, 'boom');
+  assert.strictEqual(lines[1].err.type, 'Error');
+  assert.ok(lines[1].err.stack);
+
+  assert.strictEqual(logger.isLevelEnabled('debug'), false);
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level verbose/);
+});
+
+test('message content and phone numbers are redacted', () => {
+  const { logger, lines } = captureLogger();
+  logger.child({ clientId: '1234567890' }).info({
+    recipient: '+4987654321',
+    message: { id: 'false_4987654321@c.us_3EB0', body: 'Secret', caption: null },
+    err: new Error('+4987654321 is not registered on WhatsApp')
+  }, 'Send failed');
+
+  const [line] = lines;
+  assert.strictEqual(line.clientId, '******7890');
+  assert.strictEqual(line.recipient, '+******4321');
+  assert.deepStrictEqual(line.message, { id: 'false_******4321@c.us_3EB0', body: '[Redacted]', caption: null });
+  assert.strictEqual(line.err.message, '+******4321 is not registered on WhatsApp');
+
+  const { logger: plain, lines: plainLines } = captureLogger({ redact: false });
+  plain.info({ body: 'Visible', to: '+4987654321' });
+  assert.deepStrictEqual([plainLines[0].body, plainLines[0].to], ['Visible', '+4987654321']);
+
+  // Ids, times and short numbers are left alone
+  assert.strictEqual(maskPhoneNumbers('job 3f2a-1234 at 2024-01-01T10:00:00Z, 120 ms'), 'job 3f2a-1234 at 2024-01-01T10:00:00Z, 120 ms');
+});
+
+test('the manager logs with the injected logger and a per-client child', async () => {
+  const { logger, lines } = captureLogger();
+  const driver = resetManager({ authenticatedSessions: ['1234567890'] }, { logger });
+
+  await whatsappManager.getLoginQR('+1234567890');
+  driver.getClient('1234567890').disconnect('NAVIGATION');
+
+  assert.ok(lines.some(line => line.msg === 'WhatsApp Manager initialized' && line.driver === 'simulated'));
+  const closed = lines.find(line => line.msg === 'Connection closed');
+  assert.strictEqual(closed.clientId, '******7890');
+  assert.strictEqual(closed.reason, 'NAVIGATION');
+});
+
+test('requests carry an id in the X-Request-Id header', async () => {
+  resetManager();
+
+  const given = await fetch(`${server.baseUrl}/sessions`, { headers: { 'X-Request-Id': 'trace-42' } });
+  assert.strictEqual(given.headers.get('x-request-id'), 'trace-42');
+
+  const generated = await fetch(`${server.baseUrl}/sessions`, { headers: { 'X-Request-Id': 'not valid!' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
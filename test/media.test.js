@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectMimeType, getMediaLimits, validateMediaContent, buildMedia } = require('../lib/media');
+const { downloadMedia, isPrivateAddress } = require('../lib/remoteMedia');
+const { createSimulatedDriver } = require('../lib/drivers');
+
+const PDF = Buffer.from('%PDF-1.4 test document');
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+
+test('detectMimeType reads file signatures before the file name', () => {
+  assert.strictEqual(detectMimeType(PDF, 'report.txt'), 'application/pdf');
+  assert.strictEqual(detectMimeType(PNG), 'image/png');
+  assert.strictEqual(detectMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '), null), 'image/webp');
+  assert.strictEqual(detectMimeType(Buffer.from('plain text'), 'notes.txt'), 'text/plain');
+  assert.strictEqual(detectMimeType(Buffer.from('plain text')), null);
+});
+
+test('office documents keep the type of their extension', () => {
+  const zip = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0, 0, 0, 0]);
+
+  assert.strictEqual(
+    detectMimeType(zip, 'sheet.xlsx'),
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+  assert.strictEqual(detectMimeType(zip), 'application/zip');
+});
+
+test('validateMediaContent checks the type, MIME type and size', () => {
+  assert.strictEqual(validateMediaContent({ document: PDF }), null);
+  assert.strictEqual(validateMediaContent({ document: 'https://example.com/file.pdf' }), null);
+  assert.strictEqual(validateMediaContent({ poll: 'x' }), 'Unsupported message type');
+  assert.match(validateMediaContent({ image: PDF }), /image\/\* MIME type/);
+  assert.match(validateMediaContent({ video: 42 }), /Media must be/);
+  assert.match(
+    validateMediaContent({ sticker: PNG }, getMediaLimits({ sticker: 10 })),
+    /the limit is 10 bytes/
+  );
+});
+
+test('buildMedia sets the send options of each media type', async () => {
+  const driver = createSimulatedDriver();
+
+  const document = await buildMedia({ document: { data: PDF.toString('base64') }, filename: 'q3.pdf', caption: 'Q3' }, driver);
+  assert.deepStrictEqual(document.media, { mimetype: 'application/pdf', data: PDF.toString('base64'), filename: 'q3.pdf' });
+  assert.deepStrictEqual(document.options, { caption: 'Q3', sendMediaAsDocument: true });
+
+  const voice = await buildMedia({ audio: `data:audio/ogg;base64,${Buffer.from('OggS').toString('base64')}`, voiceNote: true }, driver);
+  assert.strictEqual(voice.media.mimetype, 'audio/ogg');
+  assert.deepStrictEqual(voice.options, { sendAudioAsVoice: true });
+
+  const sticker = await buildMedia({ sticker: PNG }, driver);
+  assert.deepStrictEqual(sticker.options, { sendMediaAsSticker: true });
+
+  const video = await buildMedia({ video: 'https://example.com/clip.mp4' }, driver);
+  assert.strictEqual(video.media.mimetype, 'video/mp4');
+  assert.deepStrictEqual(video.options, { caption: '' });
+});
+
+test('buildMedia rejects media over the size limit', async () => {
+  const driver = createSimulatedDriver();
+
+  await assert.rejects(
+    buildMedia({ image: PNG }, driver, getMediaLimits({ image: 8 })),
+    { code: 'MEDIA_TOO_LARGE' }
+  );
+});
+
+/**
+ * Start a local file server
+ * @param {Function} handle - (req, res) request handler
+ * @returns {Promise<{url: string, close: Function}>} - url is the server's base URL
+ */
+function startFileServer(handle) {
+  const http = require('http');
+  const server = http.createServer(handle);
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+test('isPrivateAddress flags loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1']) {
+    assert.strictEqual(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '2606:2800:220:1:248:1893:25c3:1946']) {
+    assert.strictEqual(isPrivateAddress(address), false, address);
+  }
+});
+
+test('downloadMedia refuses private hosts and stops at the size limit', async () => {
+  const server = await startFileServer((req, res) => {
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: 'http://localhost/secret' });
+      return res.end();
+    }
+    if (req.url === '/chunked') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.write(Buffer.alloc(64));
+      return res.end(Buffer.alloc(64));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/pdf; charset=binary', 'Content-Length': PDF.length });
+    res.end(PDF);
+  });
+
+  try {
+    await assert.rejects(downloadMedia(`${server.url}/q3.pdf`), { code: 'INVALID_MEDIA' });
+    await assert.rejects(downloadMedia(`${server.url.replace('127.0.0.1', 'localhost')}/q3.pdf`), { code: 'INVALID_MEDIA' });
+
+    const allowed = { allowedHosts: ['127.0.0.1'] };
+    const file = await downloadMedia(`${server.url}/q3.pdf`, allowed);
+    assert.deepStrictEqual(file, { buffer: PDF, mimetype: 'application/pdf', filename: 'q3.pdf' });
+
+    // Redirects are checked again, against the host they point to
+    await assert.rejects(downloadMedia(`${server.url}/redirect`, allowed), { code: 'INVALID_MEDIA' });
+
+    await assert.rejects(downloadMedia(`${server.url}/q3.pdf`, { ...allowed, maxBytes: 8 }), { code: 'MEDIA_TOO_LARGE' });
+    await assert.rejects(downloadMedia(`${server.url}/chunked`, { ...allowed, maxBytes: 100 }), { code: 'MEDIA_TOO_LARGE' });
+    assert.strictEqual((await downloadMedia(`${server.url}/chunked`, { ...allowed, maxBytes: 128 })).buffer.length, 128);
+  } finally {
+    await server.close();
+  }
+});
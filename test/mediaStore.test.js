@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFileMediaStore, createS3MediaStore, mediaId } = require('../lib/mediaStore');
+const { createMediaDownloader, isMimeTypeAllowed } = require('../lib/mediaDownloader');
+const { makeTempDir } = require('./helpers');
+
+const PDF = Buffer.from('%PDF-1.4 received document');
+
+/**
+ * Build a message with downloadable media, shaped like a whatsapp-web.js message
+ * @param {Buffer} buffer - Media content
+ * @param {string} mimetype - MIME type
+ * @param {Object} [announced] - Raw message data (announced mimetype and size)
+ * @returns {Object}
+ */
+function mediaMessage(buffer, mimetype, announced = {}) {
+  let downloads = 0;
+  return {
+    hasMedia: true,
+    _data: announced,
+    get downloads() { return downloads; },
+    downloadMedia: async () => {
+      downloads += 1;
+      return { mimetype, data: buffer.toString('base64'), filename: 'file.bin' };
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for an S3 client (putObject, getObject, headObject, deleteObject)
+ * @returns {Object}
+ */
+function fakeS3() {
+  const objects = new Map();
+  const notFound = () => Object.assign(new Error('Not found'), { name: 'NoSuchKey' });
+  return {
+    objects,
+    putObject: async ({ Bucket, Key, Body, ContentType, Metadata }) => {
+      objects.set(`${Bucket}/${Key}`, { Body, ContentType, Metadata });
+    },
+    getObject: async ({ Bucket, Key }) => {
+      const object = objects.get(`${Bucket}/${Key}`);
+      if (!object) throw notFound();
+      return { ...object, ContentLength: object.Body.length };
+    },
+    headObject: async ({ Bucket, Key }) => {
+      const object = objects.get(`${Bucket}/${Key}`);
+      if (!object) throw notFound();
+      return { ContentType: object.ContentType, Metadata: object.Metadata, ContentLength: object.Body.length };
+    },
+    deleteObject: async ({ Bucket, Key }) => {
+      objects.delete(`${Bucket}/${Key}`);
+    }
+  };
+}
+
+test('the file store keeps media under its content hash', async () => {
+  const store = createFileMediaStore({ dir: makeTempDir() });
+  const downloader = createMediaDownloader({ store });
+
+  const reference = await downloader.download(mediaMessage(PDF, 'application/pdf'));
+
+  assert.strictEqual(reference.id, mediaId(PDF));
+  assert.strictEqual(reference.size, PDF.length);
+  assert.strictEqual(reference.filename, 'file.bin');
+
+  const stored = await store.get(reference.id);
+  assert.deepStrictEqual(stored.buffer, PDF);
+  assert.strictEqual(stored.meta.mimetype, 'application/pdf');
+
+  assert.strictEqual(await store.get('../../etc/passwd'), null);
+  assert.strictEqual(await store.remove(reference.id), true);
+  assert.strictEqual(await store.head(reference.id), null);
+});
+
+test('the S3 store keeps media and its metadata in the bucket', async () => {
+  const client = fakeS3();
+  const store = createS3MediaStore({ client, bucket: 'inbox', prefix: 'wa/' });
+  const downloader = createMediaDownloader({ store });
+
+  const reference = await downloader.download(mediaMessage(PDF, 'application/pdf'));
+
+  assert.ok(client.objects.has(`inbox/wa/${reference.id}`));
+  const stored = await store.get(reference.id);
+  assert.deepStrictEqual(stored.buffer, PDF);
+  assert.deepStrictEqual(stored.meta, reference);
+  assert.strictEqual(await store.head(mediaId(Buffer.from('missing'))), null);
+});
+
+test('media refused by its announced type or size is not downloaded', async () => {
+  const downloader = createMediaDownloader({
+    store: createFileMediaStore({ dir: makeTempDir() }),
+    maxBytes: 10,
+    mimeTypes: ['image/*']
+  });
+
+  const zip = mediaMessage(PDF, 'application/zip', { mimetype: 'application/zip' });
+  await assert.rejects(downloader.download(zip), { code: 'MEDIA_NOT_ALLOWED' });
+  assert.strictEqual(zip.downloads, 0);
+
+  const large = mediaMessage(PDF, 'image/png', { mimetype: 'image/png', size: PDF.length });
+  await assert.rejects(downloader.download(large), { code: 'MEDIA_TOO_LARGE' });
+  assert.strictEqual(large.downloads, 0);
+
+  // Without announced data the downloaded file is checked
+  await assert.rejects(downloader.download(mediaMessage(PDF, 'image/png')), { code: 'MEDIA_TOO_LARGE' });
+});
+
+test('expired media is reported as a failed download', async () => {
+  const downloader = createMediaDownloader({ store: createFileMediaStore({ dir: makeTempDir() }) });
+
+  await assert.rejects(
+    downloader.download({ hasMedia: true, downloadMedia: async () => undefined }),
+    { code: 'MEDIA_DOWNLOAD_FAILED' }
+  );
+});
+
+test('isMimeTypeAllowed matches exact types, wildcards and parameters', () => {
+  assert.strictEqual(isMimeTypeAllowed('audio/ogg; codecs=opus', ['audio/*']), true);
+  assert.strictEqual(isMimeTypeAllowed('application/pdf', ['application/pdf']), true);
+  assert.strictEqual(isMimeTypeAllowed('application/zip', ['application/pdf', 'image/*']), false);
+  assert.strictEqual(isMimeTypeAllowed('application/zip', ['*']), true);
+  assert.strictEqual(isMimeTypeAllowed(undefined, ['*']), false);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { resetManager } = require('./helpers');
+
+let client;
+let incoming;
+
+beforeEach(async () => {
+  const driver = resetManager({ authenticatedSessions: ['1234567890'], unregisteredNumbers: ['3333'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+  incoming = client.receiveMessage({ from: '1111@c.us', body: 'When is the delivery?' });
+});
+
+test('replyToMessage quotes the message in its chat', async () => {
+  const sentEvent = new Promise(resolve => whatsappManager.once('message_sent', resolve));
+
+  await whatsappManager.replyToMessage('+1234567890', incoming.id._serialized, 'Tomorrow at 10');
+
+  const [sent] = client.sentMessages;
+  assert.strictEqual(sent.chatId, '1111@c.us');
+  assert.strictEqual(sent.options.quotedMessageId, incoming.id._serialized);
+  const converted = await sentEvent;
+  assert.deepStrictEqual([converted.quoted.id, converted.quoted.body], [incoming.id.id, 'When is the delivery?']);
+
+  await assert.rejects(
+    whatsappManager.replyToMessage('+1234567890', 'false_1111@c.us_MISSING', 'Hi'),
+    { code: 'MESSAGE_NOT_FOUND' }
+  );
+});
+
+test('reactions, stars and deletions act on the message', async () => {
+  const id = incoming.id._serialized;
+
+  await whatsappManager.reactToMessage('+1234567890', id, '👍');
+  assert.strictEqual(incoming.myReaction, '👍');
+  await whatsappManager.reactToMessage('+1234567890', id, '');
+  assert.strictEqual(incoming.myReaction, '');
+
+  await whatsappManager.starMessage('+1234567890', id, true);
+  assert.strictEqual(incoming.isStarred, true);
+  await whatsappManager.starMessage('+1234567890', id, false);
+  assert.strictEqual(incoming.isStarred, false);
+
+  await whatsappManager.deleteMessage('+1234567890', id);
+  assert.strictEqual(incoming.type, 'revoked');
+});
+
+test('editMessage only edits messages the client sent', async () => {
+  const sent = await whatsappManager.deliverMessage('+1234567890', '1111', 'See you at 5');
+
+  const edited = await whatsappManager.editMessage('+1234567890', sent.id._serialized, 'See you at 6');
+  assert.strictEqual(edited.body, 'See you at 6');
+
+  await assert.rejects(
+    whatsappManager.editMessage('+1234567890', incoming.id._serialized, 'Changed'),
+    { code: 'MESSAGE_ACTION_FAILED' }
+  );
+
+  sent.timestamp -= 20 * 60;
+  await assert.rejects(
+    whatsappManager.editMessage('+1234567890', sent.id._serialized, 'Too late'),
+    { code: 'MESSAGE_ACTION_FAILED' }
+  );
+});
+
+test('forwardMessage copies the message to a registered recipient', async () => {
+  const chatId = await whatsappManager.forwardMessage('+1234567890', incoming.id._serialized, '+2222');
+
+  assert.strictEqual(chatId, '2222@c.us');
+  const { messages } = await whatsappManager.getMessages('+1234567890', '2222@c.us');
+  assert.deepStrictEqual([messages[0].body, messages[0].isForwarded], ['When is the delivery?', true]);
+
+  await assert.rejects(
+    whatsappManager.forwardMessage('+1234567890', incoming.id._serialized, '+3333'),
+    { code: 'RECIPIENT_NOT_REGISTERED' }
+  );
+});
+
+test('markChatRead clears the unread count and sendPresence sets the chat state', async () => {
+  let { chats } = await whatsappManager.listChats('+1234567890', { unread: true });
+  assert.deepStrictEqual(chats.map(chat => chat.id), ['1111@c.us']);
+
+  await whatsappManager.markChatRead('+1234567890', '+1111');
+  ({ chats } = await whatsappManager.listChats('+1234567890', { unread: true }));
+  assert.deepStrictEqual(chats, []);
+
+  await whatsappManager.sendPresence('+1234567890', '1111@c.us', 'typing');
+  assert.strictEqual(client.presence.get('1111@c.us'), 'typing');
+  await whatsappManager.sendPresence('+1234567890', '1111@c.us', 'recording');
+  assert.strictEqual(client.presence.get('1111@c.us'), 'recording');
+  await whatsappManager.sendPresence('+1234567890', '1111@c.us', 'paused');
+  assert.strictEqual(client.presence.get('1111@c.us'), 'paused');
+  await assert.rejects(whatsappManager.sendPresence('+1234567890', '1111@c.us', 'online'), { code: 'VALIDATION_FAILED' });
+
+  await assert.rejects(whatsappManager.markChatRead('+1234567890', '9999@c.us'), { code: 'CHAT_NOT_FOUND' });
+});
@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const whatsappManager = require('../whatsappManager');
+const { createMessageArchive, tokenize } = require('../lib/messageArchive');
+const { resetManager, makeTempDir } = require('./helpers');
+
+let client;
+let dataDir;
+let archive;
+
+beforeEach(async () => {
+  const driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+  dataDir = makeTempDir();
+  archive = createMessageArchive(whatsappManager, { dataDir });
+});
+
+afterEach(() => {
+  archive.stop();
+});
+
+test('received, sent and failed messages are archived and searchable', async () => {
+  client.receiveMessage({ from: '1111@c.us', body: 'Is the invoice ready?', notifyName: 'Alice', timestamp: 1000 });
+  client.receiveMessage({ from: '2222@c.us', body: 'Lunch at noon', timestamp: 1001 });
+  await whatsappManager.sendMessage('+1234567890', '1111', 'Invoice attached, see the PDF');
+
+  client.sendMessage = async () => { throw new Error('network down'); };
+  await assert.rejects(whatsappManager.deliverMessage('+1234567890', '1111', 'Second invoice'));
+
+  const { results, total } = archive.search('invoice');
+  assert.strictEqual(total, 3);
+  assert.deepStrictEqual(results.map(record => [record.direction, record.status]), [
+    ['out', 'failed'], ['out', 'sent'], ['in', 'received']
+  ]);
+  assert.strictEqual(results[0].code, 'SEND_FAILED');
+  assert.strictEqual(results[2].senderName, 'Alice');
+
+  assert.strictEqual(archive.search('alice').total, 1);
+  assert.strictEqual(archive.search('invoice', { direction: 'in' }).total, 1);
+  assert.strictEqual(archive.search('lunch', { chatId: '1111@c.us' }).total, 0);
+  assert.strictEqual(archive.search('lunch', { clientId: '1234567890' }).total, 1);
+  assert.strictEqual(archive.search('lunch', { clientId: '5555555555' }).total, 0);
+});
+
+test('queries match every word, prefixes and accents', () => {
+  client.receiveMessage({ from: '1111@c.us', body: 'Café order confirmed', timestamp: 1000 });
+  client.receiveMessage({ from: '1111@c.us', body: 'Order cancelled', timestamp: 1001 });
+
+  assert.deepStrictEqual(tokenize('Café-Order!'), ['cafe', 'order']);
+  assert.strictEqual(archive.search('order').total, 2);
+  assert.strictEqual(archive.search('order cafe').total, 1);
+  assert.strictEqual(archive.search('conf*').total, 1);
+  assert.strictEqual(archive.search('missing').total, 0);
+});
+
+test('search pages newest first with cursors and time bounds', () => {
+  for (let i = 1; i <= 5; i++) {
+    client.receiveMessage({ from: '1111@c.us', body: `report ${i}`, timestamp: 1000 + i });
+  }
+
+  const first = archive.search('report', { limit: 2 });
+  assert.deepStrictEqual(first.results.map(record => record.body), ['report 5', 'report 4']);
+  const second = archive.search('report', { limit: 2, before: first.nextCursor });
+  assert.deepStrictEqual(second.results.map(record => record.body), ['report 3', 'report 2']);
+  const last = archive.search('report', { limit: 2, before: second.nextCursor });
+  assert.deepStrictEqual(last.results.map(record => record.body), ['report 1']);
+  assert.strictEqual(last.nextCursor, null);
+
+  const between = archive.search('report', { since: 1002, until: 1004 });
+  assert.deepStrictEqual(between.results.map(record => record.body), ['report 3', 'report 2']);
+});
+
+test('the archive is reloaded from disk and purges rewrite it', async () => {
+  client.receiveMessage({ id: 'A', from: '1111@c.us', body: 'keep this', timestamp: 86400 * 2 });
+  client.receiveMessage({ id: 'B', from: '2222@c.us', body: 'drop this', timestamp: 86400 * 2 + 10 });
+  client.receiveMessage({ id: 'C', from: '2222@c.us', body: 'drop this too', timestamp: 86400 * 3 });
+  await archive.idle();
+
+  const dayFiles = fs.readdirSync(path.join(dataDir, 'archive', '1234567890')).sort();
+  assert.deepStrictEqual(dayFiles, ['1970-01-03.jsonl', '1970-01-04.jsonl']);
+
+  assert.strictEqual(await archive.purge({ chatId: '2222@c.us' }), 2);
+  archive.stop();
+
+  archive = createMessageArchive(whatsappManager, { dataDir });
+  assert.strictEqual(archive.size(), 1);
+  assert.deepStrictEqual(archive.search('this').results.map(record => record.body), ['keep this']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dataDir, 'archive', '1234567890')), ['1970-01-03.jsonl']);
+});
+
+test('retention deletes records older than the configured days', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  client.receiveMessage({ from: '1111@c.us', body: 'old', timestamp: now - 40 * 86400 });
+  client.receiveMessage({ from: '1111@c.us', body: 'recent', timestamp: now - 86400 });
+  await archive.idle();
+  archive.stop();
+
+  archive = createMessageArchive(whatsappManager, { dataDir, retentionDays: 30 });
+  await archive.idle();
+  assert.strictEqual(archive.size(), 1);
+  assert.strictEqual(archive.search('old').total, 0);
+});
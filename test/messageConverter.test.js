@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { convertMessage, parseVCard } = require('../lib/messageConverter');
+
+/**
+ * Build a whatsapp-web.js-like message
+ * @param {Object} fields - Message fields
+ * @returns {Object}
+ */
+function message(fields) {
+  return {
+    id: { _serialized: 'false_1111@c.us_ABC' },
+    from: '1111@c.us',
+    to: '1234567890@c.us',
+    fromMe: false,
+    timestamp: 1700000000,
+    body: '',
+    _data: {},
+    ...fields
+  };
+}
+
+test('locations keep their coordinates and description', () => {
+  const converted = convertMessage('1234567890', message({
+    type: 'location',
+    location: { latitude: '51.5007', longitude: '-0.1246', name: 'Big Ben', address: 'London' }
+  }));
+
+  assert.deepStrictEqual(converted.location, {
+    latitude: 51.5007,
+    longitude: -0.1246,
+    name: 'Big Ben',
+    address: 'London',
+    url: null
+  });
+});
+
+test('contact cards are parsed into names and phone numbers', () => {
+  const vcard = 'BEGIN:VCARD\nVERSION:3.0\nFN:Ann Smith\nitem1.TEL;waid=447700900123:+44 7700 900123\nEND:VCARD';
+  const converted = convertMessage('1234567890', message({ type: 'vcard', vCards: [vcard] }));
+
+  assert.deepStrictEqual(converted.contacts, [{ name: 'Ann Smith', phoneNumbers: ['+447700900123'], vcard }]);
+  assert.deepStrictEqual(parseVCard('BEGIN:VCARD\nTEL:+1 555 0100\nEND:VCARD').phoneNumbers, ['+1 555 0100']);
+});
+
+test('polls list their options', () => {
+  const converted = convertMessage('1234567890', message({
+    type: 'poll_creation',
+    pollName: 'Lunch?',
+    pollOptions: [{ name: 'Pizza', localId: 0 }, { name: 'Sushi', localId: 1 }],
+    allowMultipleAnswers: true
+  }));
+
+  assert.deepStrictEqual(converted.poll, { name: 'Lunch?', options: ['Pizza', 'Sushi'], allowMultipleAnswers: true });
+});
+
+test('sent messages belong to the recipient chat and media is described', () => {
+  const converted = convertMessage('1234567890', message({
+    from: '1234567890@c.us',
+    to: '1111@c.us',
+    fromMe: true,
+    type: 'ptt',
+    hasMedia: true,
+    duration: '7',
+    _data: { mimetype: 'audio/ogg; codecs=opus', size: 5120 }
+  }));
+
+  assert.strictEqual(converted.chatId, '1111@c.us');
+  assert.deepStrictEqual(converted.media, { mimetype: 'audio/ogg; codecs=opus', filename: null, size: 5120, duration: 7 });
+});
@@ -0,0 +1,161 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, flush } = require('./helpers');
+const { createLogger } = require('../lib/logger');
+const whatsappManager = require('../whatsappManager');
+
+let driver;
+let lines;
+
+beforeEach(async () => {
+  lines = [];
+  const logger = createLogger({ level: 'debug', destination: { write: line => lines.push(JSON.parse(line)) } });
+  driver = resetManager({ authenticatedSessions: ['1234567890', '1111111111'] }, { logger, handlerTimeoutMs: 50 });
+  await whatsappManager.getLoginQR('+1234567890');
+  await whatsappManager.getLoginQR('+1111111111');
+});
+
+/**
+ * Simulate an incoming message on an account
+ * @param {string} clientId - Account receiving the message
+ * @param {Object} data - Message fields (see the simulated driver)
+ * @returns {Object} - The raw message
+ */
+function receive(clientId, data) {
+  return driver.getClient(clientId).receiveMessage(data);
+}
+
+test('several handlers subscribe and unsubscribe independently', async () => {
+  const first = [];
+  const second = [];
+  const firstHandle = whatsappManager.subscribe(message => first.push(message.body));
+  whatsappManager.subscribe(message => second.push(message.body));
+
+  receive('1234567890', { from: '2222@c.us', body: 'one' });
+  await flush();
+  assert.strictEqual(firstHandle.unsubscribe(), true);
+  assert.strictEqual(firstHandle.unsubscribe(), false);
+  receive('1234567890', { from: '2222@c.us', body: 'two' });
+  await flush();
+
+  assert.deepStrictEqual(first, ['one']);
+  assert.deepStrictEqual(second, ['one', 'two']);
+
+  // onMessage replaces only its own handler, offMessage keeps the subscriptions
+  const legacy = [];
+  whatsappManager.onMessage(() => legacy.push('replaced'));
+  whatsappManager.onMessage(message => legacy.push(message.body));
+  receive('1234567890', { from: '2222@c.us', body: 'three' });
+  await flush();
+  whatsappManager.offMessage();
+  receive('1234567890', { from: '2222@c.us', body: 'four' });
+  await flush();
+
+  assert.deepStrictEqual(legacy, ['three']);
+  assert.deepStrictEqual(second, ['one', 'two', 'three', 'four']);
+});
+
+test('filters select messages by account, chat, sender, type, group and body', async () => {
+  const seen = {};
+  const track = (name, filter) => {
+    seen[name] = [];
+    whatsappManager.subscribe(message => seen[name].push(message.body), filter);
+  };
+  track('account', { account: '+111 111-1111' });
+  track('chat', { chatId: '+2222' });
+  track('sender', { sender: '3333@c.us' });
+  track('types', { type: ['image', 'location'] });
+  track('groups', { isGroup: true });
+  track('command', { body: /^!help\b/i, isGroup: false });
+
+  receive('1234567890', { from: '2222@c.us', body: '!HELP me' });
+  receive('1111111111', { from: '4444@c.us', body: 'hello' });
+  receive('1234567890', { from: '5555-1@g.us', author: '3333@c.us', body: '!help' });
+  receive('1234567890', { from: '2222@c.us', type: 'location', body: '' });
+  await flush();
+
+  assert.deepStrictEqual(seen.account, ['hello']);
+  assert.deepStrictEqual(seen.chat, ['!HELP me', '']);
+  assert.deepStrictEqual(seen.sender, ['!help']);
+  assert.deepStrictEqual(seen.types, ['']);
+  assert.deepStrictEqual(seen.groups, ['!help']);
+  assert.deepStrictEqual(seen.command, ['!HELP me']);
+
+  assert.throws(() => whatsappManager.subscribe(() => {}, { chat: '2222@c.us' }), { name: 'TypeError', message: /Unknown filter field chat/ });
+  assert.throws(() => whatsappManager.subscribe(() => {}, { isGroup: 'yes' }), TypeError);
+  assert.throws(() => whatsappManager.subscribe('not a function'), TypeError);
+});
+
+test('async handlers are awaited in order and their errors are isolated', async () => {
+  const handled = [];
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+
+  whatsappManager.subscribe(async (message) => {
+    if (message.body === 'first') await blocked;
+    handled.push(message.body);
+  });
+  whatsappManager.subscribe(() => { throw new Error('handler bug'); });
+  whatsappManager.subscribe(async () => { throw new Error('async handler bug'); }, { body: 'second' });
+  whatsappManager.subscribe(() => new Promise(() => {}), { body: 'second' });
+
+  receive('1234567890', { from: '2222@c.us', body: 'first' });
+  receive('1234567890', { from: '2222@c.us', body: 'second' });
+  receive('1111111111', { from: '2222@c.us', body: 'other account' });
+  await flush();
+
+  // The other account is not held back by the blocked handler
+  assert.deepStrictEqual(handled, ['other account']);
+
+  release();
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.deepStrictEqual(handled, ['other account', 'first', 'second']);
+
+  const errors = lines.filter(line => line.msg === 'Error in message handler').map(line => line.err.message);
+  assert.deepStrictEqual(errors.sort(), [
+    'Timed out after 50 ms', 'async handler bug', 'handler bug', 'handler bug', 'handler bug'
+  ]);
+});
+
+test('middleware enriches or drops messages in order before the handlers', async () => {
+  const events = [];
+  const handled = [];
+  const listener = message => events.push(message);
+  whatsappManager.on('message', listener);
+  whatsappManager.subscribe(message => handled.push(message));
+
+  const calls = [];
+  whatsappManager.use((message) => {
+    calls.push('spam');
+    return /buy now/i.test(message.body) ? null : message;
+  });
+  whatsappManager.use(() => { throw new Error('middleware bug'); });
+  const tagger = whatsappManager.use(async (message) => {
+    calls.push('tag');
+    message.tags = ['vip'];
+  });
+
+  try {
+    receive('1234567890', { from: '2222@c.us', body: 'Hello' });
+    receive('1234567890', { from: '2222@c.us', body: 'BUY NOW!!!' });
+    await flush();
+
+    assert.deepStrictEqual(calls, ['spam', 'tag', 'spam']);
+    assert.strictEqual(handled.length, 1);
+    assert.deepStrictEqual(handled[0].tags, ['vip']);
+    assert.ok(lines.some(line => line.msg === 'Error in message middleware' && line.err.message === 'middleware bug'));
+    assert.ok(lines.some(line => line.msg === 'Message dropped by middleware'));
+
+    // The event carries every message as received
+    assert.deepStrictEqual(events.map(message => message.body), ['Hello', 'BUY NOW!!!']);
+    assert.strictEqual(events[0].tags, undefined);
+
+    assert.strictEqual(tagger.remove(), true);
+    receive('1234567890', { from: '2222@c.us', body: 'Again' });
+    await flush();
+    assert.strictEqual(handled[1].tags, undefined);
+  } finally {
+    whatsappManager.off('message', listener);
+  }
+});
@@ -0,0 +1,181 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const whatsappManager = require('../whatsappManager');
+const { createMessageQueue } = require('../lib/messageQueue');
+const { createJsonFileStore } = require('../lib/jsonFileStore');
+const { resetManager, makeTempDir } = require('./helpers');
+
+let driver;
+let queue;
+let dataDir;
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  dataDir = makeTempDir();
+});
+
+afterEach(() => {
+  queue.stop();
+});
+
+/**
+ * Create a queue without delays between sends
+ * @param {Object} options - Extra queue options
+ * @returns {Object}
+ */
+function createQueue(options = {}) {
+  return createMessageQueue(whatsappManager, {
+    dataDir,
+    minDelayMs: 0,
+    maxDelayMs: 0,
+    baseDelayMs: 1,
+    maxBackoffMs: 5,
+    ...options
+  });
+}
+
+test('queued messages are sent in order and their outcome is stored', async () => {
+  queue = createQueue();
+  const first = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'one' }).job;
+  const second = queue.enqueue({ sender: '+1234567890', recipient: '2222', content: 'two' }).job;
+
+  const results = [await queue.waitForJob(first.id), await queue.waitForJob(second.id)];
+
+  assert.deepStrictEqual(results.map(job => job.status), ['sent', 'sent']);
+  assert.ok(results[0].messageId);
+  assert.deepStrictEqual(
+    driver.getClient('1234567890').sentMessages.map(sent => sent.content),
+    ['one', 'two']
+  );
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'message-queue.json'), 'utf8'));
+  assert.deepStrictEqual(stored.map(job => job.status), ['sent', 'sent']);
+});
+
+test('an idempotency key returns the existing job instead of sending twice', async () => {
+  queue = createQueue();
+  const first = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'once', idempotencyKey: 'order-42' });
+  const second = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'once', idempotencyKey: 'order-42' });
+
+  await queue.waitForJob(first.job.id);
+
+  assert.strictEqual(first.duplicate, false);
+  assert.strictEqual(second.duplicate, true);
+  assert.strictEqual(second.job.id, first.job.id);
+  assert.strictEqual(driver.getClient('1234567890').sentMessages.length, 1);
+});
+
+test('the per-recipient limit holds back messages to the same recipient only', async () => {
+  queue = createQueue({ perRecipientPerMinute: 1 });
+  const first = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'a' }).job;
+  const limited = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'b' }).job;
+  const other = queue.enqueue({ sender: '+1234567890', recipient: '2222', content: 'c' }).job;
+
+  await queue.waitForJob(first.id);
+  await queue.waitForJob(other.id);
+
+  assert.strictEqual(queue.getJob(limited.id).status, 'queued');
+  assert.deepStrictEqual(driver.getClient('1234567890').sentMessages.map(sent => sent.content), ['a', 'c']);
+});
+
+test('the per-client limit holds back every message of the sender', async () => {
+  queue = createQueue({ perClientPerMinute: 1 });
+  const first = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'a' }).job;
+  const limited = queue.enqueue({ sender: '+1234567890', recipient: '2222', content: 'b' }).job;
+
+  await queue.waitForJob(first.id);
+  const result = await queue.waitForJob(limited.id, 50);
+
+  assert.strictEqual(result.status, 'queued');
+});
+
+test('transient failures are retried with backoff', async () => {
+  const client = driver.getClient('1234567890');
+  const sendMessage = client.sendMessage.bind(client);
+  let calls = 0;
+  client.sendMessage = async (...args) => {
+    calls += 1;
+    if (calls === 1) throw new Error('Evaluation failed');
+    return sendMessage(...args);
+  };
+
+  queue = createQueue();
+  const { job } = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: 'retry' });
+  const result = await queue.waitForJob(job.id);
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('permanent failures fail the job without retrying', async () => {
+  queue = createQueue();
+  const { job } = queue.enqueue({ sender: '+1234567890', recipient: '1111', content: { contact: 'x' } });
+  const result = await queue.waitForJob(job.id);
+
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(result.errorCode, 'UNSUPPORTED_CONTENT');
+});
+
+test('jobs wait until their sender is ready', async () => {
+  queue = createQueue();
+  await whatsappManager.getLoginQR('+5555555555');
+  const { job } = queue.enqueue({ sender: '+5555555555', recipient: '1111', content: 'later' });
+
+  assert.strictEqual((await queue.waitForJob(job.id, 20)).status, 'queued');
+
+  driver.getClient('5555555555').scanQR();
+  assert.strictEqual((await queue.waitForJob(job.id)).status, 'sent');
+});
+
+test('jobs interrupted by a restart are sent when the queue starts again', async () => {
+  createJsonFileStore(path.join(dataDir, 'message-queue.json'), []).write([{
+    id: 'job-1',
+    idempotencyKey: null,
+    sender: '1234567890',
+    recipient: '1111',
+    content: 'resumed',
+    status: 'sending',
+    attempts: 1,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    nextAttemptAt: null
+  }]);
+
+  queue = createQueue();
+  const result = await queue.waitForJob('job-1');
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('media bytes are kept out of the job file and dropped once the job is sent', async () => {
+  const data = Buffer.from('%PDF-1.4 invoice').toString('base64');
+  queue = createQueue();
+  await whatsappManager.getLoginQR('+5555555555');
+  const { job } = queue.enqueue({
+    sender: '+5555555555',
+    recipient: '1111',
+    content: { document: { data, mimetype: 'application/pdf' }, filename: 'invoice.pdf' }
+  });
+
+  const queueFile = path.join(dataDir, 'message-queue.json');
+  const mediaFiles = () => fs.readdirSync(path.join(dataDir, 'message-queue-media'));
+  assert.ok(!fs.readFileSync(queueFile, 'utf8').includes(data));
+  assert.strictEqual(mediaFiles().length, 1);
+  assert.deepStrictEqual(job.summary, { type: 'document', body: '', filename: 'invoice.pdf' });
+  assert.ok(!('content' in queue.listJobs()[0]));
+
+  driver.getClient('5555555555').scanQR();
+  const result = await queue.waitForJob(job.id);
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(result.content, null);
+  assert.deepStrictEqual(mediaFiles(), []);
+  const [sent] = driver.getClient('5555555555').sentMessages;
+  assert.strictEqual(sent.content.data, data);
+  assert.strictEqual(sent.content.filename, 'invoice.pdf');
+});
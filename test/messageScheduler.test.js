@@ -0,0 +1,249 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { createMessageScheduler } = require('../lib/messageScheduler');
+const { nextRun, parseCron } = require('../lib/cron');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+let driver;
+let server;
+let scheduler;
+let dataDir;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  app.locals.scheduler.stop();
+  await server.close();
+});
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890', '2222222222'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  dataDir = makeTempDir();
+});
+
+afterEach(() => {
+  if (scheduler) scheduler.stop();
+  scheduler = null;
+});
+
+/**
+ * Wait for a condition, checking every 10 ms
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Time to wait
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  for (const start = Date.now(); !condition() && Date.now() - start < timeoutMs;) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Make a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} url - Path
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, url, body) {
+  const response = await fetch(`${server.baseUrl}${url}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('cron expressions are evaluated in their time zone', () => {
+  const next = (expression, after, timezone) => {
+    const time = nextRun(expression, { after: Date.parse(after), timezone });
+    return time && time.toISOString();
+  };
+
+  // Friday 11:00 in Berlin -> Monday 09:00 (UTC+1)
+  assert.strictEqual(next('0 9 * * mon-fri', '2024-01-05T10:00:00Z', 'Europe/Berlin'), '2024-01-08T08:00:00.000Z');
+  // 02:30 does not exist on 31 March in Berlin and occurs twice on 27 October
+  assert.strictEqual(next('30 2 * * *', '2024-03-30T12:00:00Z', 'Europe/Berlin'), '2024-04-01T00:30:00.000Z');
+  assert.strictEqual(next('30 2 * * *', '2024-10-26T12:00:00Z', 'Europe/Berlin'), '2024-10-27T00:30:00.000Z');
+  // Restricted day of the month and weekday match either one
+  assert.strictEqual(next('0 12 1 * mon', '2024-01-02T00:00:00Z'), '2024-01-08T12:00:00.000Z');
+  // ... but a day field starting with '*' is not restricted, so both must match
+  assert.strictEqual(next('0 9 */2 * 1', '2024-01-01T10:00:00Z'), '2024-01-15T09:00:00.000Z');
+  assert.strictEqual(next('*/15 * * * *', '2024-01-01T23:59:30Z'), '2024-01-02T00:00:00.000Z');
+  assert.strictEqual(next('@monthly', '2024-01-15T00:00:00Z', 'America/New_York'), '2024-02-01T05:00:00.000Z');
+  assert.strictEqual(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  assert.strictEqual(next('0 0 31 2 *', '2024-03-01T00:00:00Z'), null);
+
+  assert.throws(() => parseCron('* * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute 60 is out of range/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+});
+
+test('a one-off message is sent at its time and the outcome is stored', async () => {
+  scheduler = createMessageScheduler(whatsappManager, { dataDir });
+  const sendAt = new Date(Date.now() + 50).toISOString();
+  const job = scheduler.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Reminder', sendAt });
+
+  assert.strictEqual(job.status, 'scheduled');
+  assert.strictEqual(job.nextRunAt, sendAt);
+  assert.strictEqual(driver.getClient('1234567890').sentMessages.length, 0);
+
+  await waitFor(() => scheduler.getJob(job.id).status !== 'scheduled');
+  const sent = scheduler.getJob(job.id);
+  assert.strictEqual(sent.status, 'sent');
+  assert.strictEqual(sent.runs.length, 1);
+  assert.strictEqual(sent.runs[0].scheduledFor, sendAt);
+  assert.ok(sent.runs[0].messageId);
+  assert.deepStrictEqual(driver.getClient('1234567890').sentMessages.map(message => message.content), ['Reminder']);
+
+  const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'scheduled-messages.json'), 'utf8'));
+  assert.strictEqual(stored[0].status, 'sent');
+
+  assert.throws(() => scheduler.cancel(job.id), { code: 'SCHEDULE_FINISHED' });
+  assert.throws(
+    () => scheduler.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Late', sendAt: '2020-01-01T00:00:00Z' }),
+    { code: 'VALIDATION_FAILED', message: 'sendAt must be in the future' }
+  );
+});
+
+test('media bytes are kept out of the job file until the job is finished', async () => {
+  scheduler = createMessageScheduler(whatsappManager, { dataDir });
+  const data = Buffer.from('%PDF-1.4 invoice').toString('base64');
+  const content = { document: { data, mimetype: 'application/pdf' }, filename: 'invoice.pdf' };
+  const once = scheduler.schedule({ sender: '+1234567890', recipient: '+4444', content, sendAt: new Date(Date.now() + 50).toISOString() });
+  const daily = scheduler.schedule({ sender: '+1234567890', recipient: '+4444', content, cron: '0 8 * * *' });
+
+  const mediaFiles = () => fs.readdirSync(path.join(dataDir, 'scheduled-messages-media'));
+  assert.ok(!fs.readFileSync(path.join(dataDir, 'scheduled-messages.json'), 'utf8').includes(data));
+  assert.strictEqual(mediaFiles().length, 1);
+  assert.strictEqual(once.content.document.data, undefined);
+
+  await waitFor(() => scheduler.getJob(once.id).status !== 'scheduled');
+  assert.strictEqual(scheduler.getJob(once.id).status, 'sent');
+  assert.strictEqual(driver.getClient('1234567890').sentMessages[0].content.data, data);
+  // The recurring job still sends the same media
+  assert.strictEqual(mediaFiles().length, 1);
+
+  scheduler.cancel(daily.id);
+  assert.deepStrictEqual(mediaFiles(), []);
+});
+
+test('a recurring message moves on to its next occurrence until endAt', async () => {
+  // Run the clock 40 ms before 09:00 in Berlin
+  const occurrence = Date.parse('2024-01-03T08:00:00Z');
+  const shift = occurrence - 40 - Date.now();
+  scheduler = createMessageScheduler(whatsappManager, { dataDir, now: () => Date.now() + shift });
+
+  const daily = scheduler.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Standup', cron: '0 9 * * *', timezone: 'Europe/Berlin' });
+  const once = scheduler.schedule({
+    sender: '+1234567890',
+    recipient: '+5555',
+    content: 'Last one',
+    cron: '0 9 * * *',
+    timezone: 'Europe/Berlin',
+    endAt: '2024-01-03T12:00:00Z'
+  });
+  assert.strictEqual(daily.nextRunAt, '2024-01-03T08:00:00.000Z');
+  assert.strictEqual(daily.timezone, 'Europe/Berlin');
+
+  await waitFor(() => scheduler.getJob(once.id).status === 'completed' && scheduler.getJob(daily.id).runCount === 1);
+
+  const ran = scheduler.getJob(daily.id);
+  assert.strictEqual(ran.status, 'scheduled');
+  assert.strictEqual(ran.nextRunAt, '2024-01-04T08:00:00.000Z');
+  assert.deepStrictEqual(ran.runs.map(run => [run.scheduledFor, run.status]), [['2024-01-03T08:00:00.000Z', 'sent']]);
+  assert.strictEqual(scheduler.getJob(once.id).nextRunAt, null);
+  assert.strictEqual(driver.getClient('1234567890').sentMessages.length, 2);
+
+  // Changing the timing plans the next run again
+  const changed = scheduler.update(daily.id, { cron: '30 7 * * mon', timezone: 'UTC' });
+  assert.strictEqual(changed.nextRunAt, '2024-01-08T07:30:00.000Z');
+  assert.throws(() => scheduler.update(daily.id, { timezone: 'Mars/Olympus' }), { code: 'VALIDATION_FAILED', message: /Unknown time zone/ });
+});
+
+test('messages of a sender that is not ready are retried, then recorded as missed', async () => {
+  scheduler = createMessageScheduler(whatsappManager, { dataDir, retryDelayMs: 20, graceMs: 150 });
+  const sendAt = new Date(Date.now() + 20).toISOString();
+  const unknown = scheduler.schedule({ sender: '+1111111111', recipient: '+4444', content: 'Never sent', sendAt });
+  const later = scheduler.schedule({ sender: '+2222222222', recipient: '+4444', content: 'Sent once ready', sendAt });
+
+  // The second sender logs in within the grace period and is picked up by its 'ready' event
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.strictEqual(scheduler.getJob(later.id).status, 'scheduled');
+  assert.ok(scheduler.getJob(later.id).nextAttemptAt);
+  await whatsappManager.getLoginQR('+2222222222');
+
+  await waitFor(() => scheduler.getJob(unknown.id).status !== 'scheduled');
+  assert.strictEqual(scheduler.getJob(later.id).status, 'sent');
+  const missed = scheduler.getJob(unknown.id);
+  assert.strictEqual(missed.status, 'missed');
+  assert.strictEqual(missed.runs[0].code, 'CLIENT_NOT_FOUND');
+});
+
+test('messages due while the server was down are sent or missed on restart', async () => {
+  const first = createMessageScheduler(whatsappManager, { dataDir });
+  const soon = new Date(Date.now() + 20).toISOString();
+  const lenient = first.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Still on time', sendAt: soon });
+  const strict = first.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Too late', sendAt: soon, graceSeconds: 0 });
+  const cancelled = first.schedule({ sender: '+1234567890', recipient: '+4444', content: 'Cancelled', sendAt: soon });
+  first.cancel(cancelled.id);
+  first.stop();
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  scheduler = createMessageScheduler(whatsappManager, { dataDir });
+  await waitFor(() => scheduler.listJobs({ status: 'scheduled' }).length === 0);
+  await scheduler.idle();
+
+  assert.strictEqual(scheduler.getJob(lenient.id).status, 'sent');
+  assert.strictEqual(scheduler.getJob(strict.id).status, 'missed');
+  assert.strictEqual(scheduler.getJob(cancelled.id).status, 'cancelled');
+  assert.deepStrictEqual(driver.getClient('1234567890').sentMessages.map(message => message.content), ['Still on time']);
+});
+
+test('scheduled messages are managed through the REST API', async () => {
+  const sendAt = new Date(Date.now() + 3600000).toISOString();
+  const base = { senderPhoneNumber: '+1234567890', recipientPhoneNumber: '+4444', message: 'Hello later' };
+
+  const both = await request('POST', '/scheduled-messages', { ...base, sendAt, cron: '0 9 * * *' });
+  assert.strictEqual(both.status, 400);
+  assert.strictEqual(both.body.error, 'Exactly one of sendAt and cron is required');
+  const badCron = await request('POST', '/scheduled-messages', { ...base, cron: '0 25 * * *' });
+  assert.strictEqual(badCron.status, 400);
+  assert.match(badCron.body.error, /hour 25 is out of range/);
+  const badContent = await request('POST', '/scheduled-messages', { ...base, message: { unknown: true }, sendAt });
+  assert.strictEqual(badContent.status, 400);
+  assert.strictEqual(badContent.body.code, 'UNSUPPORTED_CONTENT');
+
+  const created = await request('POST', '/scheduled-messages', { ...base, sendAt });
+  assert.strictEqual(created.status, 201);
+  const id = created.body.job.id;
+  assert.strictEqual(created.body.job.sender, '1234567890');
+
+  const changed = await request('PATCH', `/scheduled-messages/${id}`, { message: 'Hello weekly', cron: '0 9 * * mon', timezone: 'Europe/Berlin' });
+  assert.strictEqual(changed.status, 200);
+  assert.strictEqual(changed.body.job.sendAt, null);
+  assert.strictEqual(changed.body.job.content, 'Hello weekly');
+  assert.strictEqual(new Date(changed.body.job.nextRunAt).getUTCDay(), 1);
+
+  const listed = await request('GET', '/scheduled-messages?phone=%2B1234567890&status=scheduled');
+  assert.deepStrictEqual(listed.body.jobs.map(job => job.id), [id]);
+
+  const cancelled = await request('DELETE', `/scheduled-messages/${id}`);
+  assert.strictEqual(cancelled.status, 200);
+  assert.strictEqual(cancelled.body.job.status, 'cancelled');
+  assert.strictEqual((await request('PATCH', `/scheduled-messages/${id}`, { message: 'Too late' })).status, 409);
+  assert.strictEqual((await request('GET', `/scheduled-messages/${id}`)).body.job.status, 'cancelled');
+  assert.strictEqual((await request('GET', '/scheduled-messages/unknown')).status, 404);
+});
@@ -0,0 +1,131 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir, flush } = require('./helpers');
+const { createMetrics, createMetricsRegistry } = require('../lib/metrics');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.ADMIN_API_KEY = 'test-admin-key';
+const app = require('../express-example');
+
+let driver;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+});
+
+/**
+ * Read one sample from rendered metrics
+ * @param {string} text - Prometheus text format
+ * @param {string} series - Metric name with its labels, as rendered
+ * @returns {number|undefined}
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('the registry renders counters, gauges and histograms in the text format', () => {
+  const registry = createMetricsRegistry();
+  registry.counter('jobs_total', 'Jobs').inc({ queue: 'a"b' }, 2);
+  const temperature = registry.gauge('temperature', 'Temperature');
+  registry.addCollector(() => temperature.set({}, 21.5));
+  registry.histogram('latency_seconds', 'Latency', [0.5, 1]).observe({ route: 'x' }, 0.7);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP jobs_total Jobs',
+    '# TYPE jobs_total counter',
+    'jobs_total{queue="a\\"b"} 2',
+    '# HELP temperature Temperature',
+    '# TYPE temperature gauge',
+    'temperature 21.5',
+    '# HELP latency_seconds Latency',
+    '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{route="x",le="0.5"} 0',
+    'latency_seconds_bucket{route="x",le="1"} 1',
+    'latency_seconds_bucket{route="x",le="+Inf"} 1',
+    'latency_seconds_sum{route="x"} 0.7',
+    'latency_seconds_count{route="x"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('manager events update the account metrics', async () => {
+  const metrics = createMetrics(whatsappManager);
+  try {
+    await whatsappManager.getLoginQR('+1234567890');
+    await whatsappManager.getLoginQR('+1111111111');
+
+    await whatsappManager.deliverMessage('+1234567890', '+4987654321', 'Hello');
+    await assert.rejects(whatsappManager.deliverMessage('+1234567890', 'nobody', 'Hello'));
+
+    const received = new Promise(resolve => whatsappManager.once('message', resolve));
+    driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'Hi' });
+    await received;
+
+    let text = metrics.render();
+    assert.strictEqual(sample(text, 'whatsapp_client_up{client_id="1234567890"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_client_state{client_id="1111111111",state="awaiting_qr"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_qr_codes_generated_total{client_id="1111111111"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_messages_sent_total{client_id="1234567890",type="chat"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_messages_received_total{client_id="1234567890",type="chat"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_send_failures_total{client_id="1234567890",code="RECIPIENT_INVALID"}'), 1);
+    assert.strictEqual(sample(text, 'whatsapp_send_duration_seconds_count{client_id="1234567890"}'), 2);
+
+    driver.getClient('1234567890').disconnect();
+    await flush();
+
+    text = metrics.render();
+    assert.strictEqual(sample(text, 'whatsapp_client_up{client_id="1234567890"}'), 0);
+    assert.strictEqual(sample(text, 'whatsapp_client_uptime_seconds{client_id="1234567890"}'), 0);
+    assert.strictEqual(sample(text, 'whatsapp_client_disconnects_total{client_id="1234567890"}'), 1);
+
+    metrics.recordWebhookDelivery({ event: 'message', delivered: false });
+    assert.strictEqual(sample(metrics.render(), 'whatsapp_webhook_deliveries_total{event="message",result="failed"}'), 1);
+  } finally {
+    metrics.stop();
+  }
+});
+
+test('/healthz and /readyz need no credentials and never start clients', async () => {
+  const health = await fetch(`${server.baseUrl}/healthz`);
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual((await health.json()).status, 'ok');
+
+  const ready = await fetch(`${server.baseUrl}/readyz`);
+  assert.strictEqual(ready.status, 200);
+  assert.strictEqual(whatsappManager.hasClient('1234567890'), false);
+
+  await whatsappManager.getLoginQR('+1234567890');
+  driver.getClient('1234567890').disconnect();
+  await flush();
+
+  const down = await fetch(`${server.baseUrl}/readyz`);
+  const body = await down.json();
+  assert.strictEqual(down.status, 503);
+  assert.deepStrictEqual(body.accounts, { disconnected: 1 });
+  assert.strictEqual(JSON.stringify(body).includes('1234567890'), false);
+});
+
+test('/metrics needs credentials', async () => {
+  assert.strictEqual((await fetch(`${server.baseUrl}/metrics`)).status, 401);
+
+  await whatsappManager.getLoginQR('+1234567890');
+  const response = await fetch(`${server.baseUrl}/metrics`, {
+    headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` }
+  });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.strictEqual(sample(await response.text(), 'whatsapp_client_up{client_id="1234567890"}'), 1);
+});
@@ -0,0 +1,80 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const whatsappManager = require('../whatsappManager');
+const { createReceiptTracker, ackStatus } = require('../lib/receipts');
+const { resetManager, makeTempDir } = require('./helpers');
+
+let client;
+let dataDir;
+let receipts;
+
+beforeEach(async () => {
+  const driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  client = driver.getClient('1234567890');
+  dataDir = makeTempDir();
+  receipts = createReceiptTracker(whatsappManager, { dataDir });
+});
+
+afterEach(() => {
+  receipts.stop();
+});
+
+test('ack levels map to status names', () => {
+  assert.deepStrictEqual([-1, 0, 1, 2, 3, 4, 7].map(ackStatus), ['error', 'pending', 'server', 'device', 'read', 'played', null]);
+});
+
+test('receipts follow a sent message from pending to read', async () => {
+  const sent = await whatsappManager.deliverMessage('+1234567890', '1111', 'Hello');
+  const messageId = sent.id._serialized;
+
+  client.ackMessage(sent, 1);
+  client.ackMessage(sent, 3);
+  // A late device ack does not move the status back
+  client.ackMessage(sent, 2);
+
+  const receipt = receipts.getStatus(messageId);
+  assert.strictEqual(receipt.status, 'read');
+  assert.strictEqual(receipt.chatId, '1111@c.us');
+  assert.deepStrictEqual(receipt.history.map(transition => transition.status), ['pending', 'server', 'read']);
+  assert.strictEqual(receipts.getStatus('false_1111@c.us_unknown'), null);
+});
+
+test('ack events reach the manager event and the ack handler', async () => {
+  const handled = [];
+  whatsappManager.onMessageAck(event => handled.push(event));
+  const emitted = new Promise(resolve => whatsappManager.once('message_ack', resolve));
+
+  const sent = await whatsappManager.deliverMessage('+1234567890', '1111', 'Hello');
+  client.ackMessage(sent, 2);
+
+  const event = await emitted;
+  assert.deepStrictEqual(
+    [event.clientId, event.messageId, event.chatId, event.ack, event.status],
+    ['1234567890', sent.id._serialized, '1111@c.us', 2, 'device']
+  );
+  assert.strictEqual(handled.length, 1);
+});
+
+test('receipts are reloaded from disk and expire after the retention period', async () => {
+  const sent = await whatsappManager.deliverMessage('+1234567890', '1111', 'Hello');
+  client.ackMessage(sent, 4);
+  await receipts.idle();
+  receipts.stop();
+
+  receipts = createReceiptTracker(whatsappManager, { dataDir });
+  assert.strictEqual(receipts.getStatus(sent.id._serialized).status, 'played');
+  receipts.stop();
+
+  // Pretend the message was sent 40 days ago
+  const filePath = path.join(dataDir, 'receipts.jsonl');
+  const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => ({ ...JSON.parse(line), at: old }));
+  fs.writeFileSync(filePath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+
+  receipts = createReceiptTracker(whatsappManager, { dataDir, retentionDays: 30 });
+  assert.strictEqual(receipts.getStatus(sent.id._serialized), null);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '');
+});
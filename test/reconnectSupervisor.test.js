@@ -0,0 +1,113 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const whatsappManager = require('../whatsappManager');
+const { computeDelay } = require('../lib/reconnectSupervisor');
+const { whatsappWebDriver } = require('../lib/drivers');
+const { resetManager } = require('./helpers');
+
+const reconnect = { baseDelayMs: 1, maxDelayMs: 10, maxRetries: 3, random: () => 0.5 };
+
+let driver;
+
+beforeEach(() => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] }, { reconnect });
+});
+
+/**
+ * Wait until the manager reaches a state for a client
+ * @param {string} clientId - Client ID
+ * @param {string} state - Expected state
+ * @returns {Promise<void>}
+ */
+function waitForState(clientId, state) {
+  return new Promise(resolve => {
+    const onStateChange = change => {
+      if (change.clientId === clientId && change.to === state) {
+        whatsappManager.removeListener('state_change', onStateChange);
+        resolve();
+      }
+    };
+    whatsappManager.on('state_change', onStateChange);
+  });
+}
+
+test('computeDelay grows exponentially, is capped and applies jitter', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0.2, random: () => 0.5 };
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => computeDelay(attempt, options)), [1000, 2000, 4000, 5000]);
+  assert.strictEqual(computeDelay(1, { ...options, random: () => 0 }), 800);
+  assert.strictEqual(computeDelay(1, { ...options, random: () => 1 }), 1200);
+});
+
+test('a dropped client is reconnected and becomes ready again', async () => {
+  await whatsappManager.getLoginQR('+1234567890');
+  const original = driver.getClient('1234567890');
+
+  const transitions = [];
+  const onStateChange = change => transitions.push(change.to);
+  whatsappManager.on('state_change', onStateChange);
+
+  const ready = waitForState('1234567890', 'ready');
+  original.disconnect('NAVIGATION');
+  await ready;
+  whatsappManager.removeListener('state_change', onStateChange);
+
+  assert.notStrictEqual(driver.getClient('1234567890'), original);
+  assert.deepStrictEqual(transitions, ['disconnected', 'reconnecting', 'initializing', 'authenticating', 'ready']);
+  assert.strictEqual(whatsappManager.supervisor.getAttempts('1234567890'), 0);
+});
+
+test('logged out clients are not reconnected', async () => {
+  await whatsappManager.getLoginQR('+1234567890');
+
+  driver.getClient('1234567890').disconnect('LOGOUT');
+
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'logged_out');
+  assert.strictEqual(whatsappManager.supervisor.getAttempts('1234567890'), 0);
+});
+
+test('the supervisor gives up after maxRetries failed attempts', async () => {
+  await whatsappManager.getLoginQR('+1234567890');
+  const original = driver.getClient('1234567890');
+
+  // Every new client fails to start, as if the browser kept crashing
+  const createClient = driver.createClient;
+  driver.createClient = function(params) {
+    const client = createClient.call(this, params);
+    client.initialize = async () => { throw new Error('browser crashed'); };
+    return client;
+  };
+
+  const gaveUp = new Promise(resolve => whatsappManager.once('reconnect_failed', resolve));
+  original.disconnect('NAVIGATION');
+
+  assert.deepStrictEqual(await gaveUp, { clientId: '1234567890', attempts: 3 });
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'failed');
+});
+
+test('initialize restores every stored session', async () => {
+  resetManager({ authenticatedSessions: ['1111111111', '2222222222'] }, { restoreSessions: true });
+
+  const restored = await whatsappManager.sessionsRestored;
+
+  assert.deepStrictEqual(restored, ['1111111111', '2222222222']);
+  assert.strictEqual(whatsappManager.getState('1111111111'), 'ready');
+  assert.strictEqual(whatsappManager.getState('2222222222'), 'ready');
+});
+
+test('the whatsapp-web driver only lists LocalAuth sessions that have logged in', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  fs.mkdirSync(path.join(root, '1111111111', 'session-1111111111', 'Default'), { recursive: true });
+  fs.mkdirSync(path.join(root, '2222222222', 'session-2222222222'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'notes.txt'), '');
+
+  try {
+    assert.deepStrictEqual(await whatsappWebDriver.listStoredSessions(root), ['1111111111']);
+    assert.deepStrictEqual(await whatsappWebDriver.listStoredSessions(path.join(root, 'missing')), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,265 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { createFileSessionStore, createRemoteSessionStore } = require('../lib/sessionStore');
+const { sealSessionArchive, openSessionArchive } = require('../lib/sessionArchive');
+const { whatsappWebDriver } = require('../lib/drivers');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.AUTH_DISABLED = 'true';
+const app = require('../express-example');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * Write a logged-in LocalAuth profile
+ * @param {string} root - Sessions root
+ * @param {string} clientId - Client ID
+ * @param {string} profile - Profile directory name (default session-{clientId})
+ */
+function writeProfile(root, clientId, profile = `session-${clientId}`) {
+  const dir = path.join(root, clientId, profile, 'Default');
+  fs.mkdirSync(path.join(dir, 'Local Storage', 'leveldb'), { recursive: true });
+  fs.mkdirSync(path.join(dir, 'Cache'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'Local Storage', 'leveldb', '000003.log'), `login of ${clientId}`);
+  fs.writeFileSync(path.join(dir, 'Cache', 'data_0'), 'cache');
+}
+
+/**
+ * Create an in-memory RemoteAuth store (the interface of wwebjs-mongo and createSqliteRemoteStore)
+ * @param {string} dataPath - Directory RemoteAuth writes the session zips to
+ * @returns {Object}
+ */
+function createMemoryRemote(dataPath) {
+  const sessions = new Map();
+  return {
+    sessions,
+    sessionExists: async ({ session }) => sessions.has(session),
+    save: async ({ session }) => { sessions.set(session, fs.readFileSync(path.join(dataPath, `${session}.zip`))); },
+    extract: async ({ session, path: target }) => fs.writeFileSync(target, sessions.get(session)),
+    delete: async ({ session }) => { sessions.delete(session); },
+    list: async () => Array.from(sessions.keys())
+  };
+}
+
+test('session archives are encrypted with the passphrase and refuse tampering', async () => {
+  const files = [{ path: 'Default/Local Storage/a.log', data: Buffer.from('secret login') }, { path: 'Default/empty', data: Buffer.alloc(0) }];
+  const archive = await sealSessionArchive({ clientId: '1234567890', format: 'local-auth-profile', files }, 'correct horse');
+
+  assert.ok(!archive.includes(Buffer.from('secret login')));
+  const opened = await openSessionArchive(archive, 'correct horse');
+  assert.deepStrictEqual([opened.clientId, opened.format], ['1234567890', 'local-auth-profile']);
+  assert.deepStrictEqual(opened.files.map(file => [file.path, file.data.toString()]), [['Default/Local Storage/a.log', 'secret login'], ['Default/empty', '']]);
+
+  await assert.rejects(openSessionArchive(archive, 'wrong horse'), { code: 'SESSION_ARCHIVE_INVALID', message: 'Wrong passphrase or damaged session archive' });
+  const damaged = Buffer.from(archive);
+  damaged[damaged.length - 1] ^= 1;
+  await assert.rejects(openSessionArchive(damaged, 'correct horse'), { code: 'SESSION_ARCHIVE_INVALID' });
+  await assert.rejects(openSessionArchive(Buffer.from('PK\u0003\u0004 not a session'), 'correct horse'), { message: 'Not a session archive' });
+
+  const escaping = await sealSessionArchive({ clientId: '1234567890', format: 'local-auth-profile', files: [{ path: '../outside', data: Buffer.from('x') }] }, 'correct horse');
+  await assert.rejects(openSessionArchive(escaping, 'correct horse'), { message: 'Session archive entry "../outside" is invalid' });
+});
+
+test('the file store lists, exports and imports LocalAuth profiles', async () => {
+  const source = createFileSessionStore({ root: makeTempDir() });
+  writeProfile(source.root, '1111111111');
+  writeProfile(source.root, '2222222222', 'session-002222222222');
+  fs.mkdirSync(path.join(source.root, '3333333333', 'session-3333333333'), { recursive: true });
+
+  assert.deepStrictEqual(await source.list(), [
+    { clientId: '1111111111', authenticated: true },
+    { clientId: '2222222222', authenticated: true },
+    { clientId: '3333333333', authenticated: false }
+  ]);
+  assert.strictEqual(await source.exportSession('3333333333'), null);
+
+  // Only the login directories are exported, caches are left behind
+  const exported = await source.exportSession('2222222222');
+  assert.deepStrictEqual(exported.files.map(file => file.path), ['Default/Local Storage/leveldb/000003.log']);
+
+  const target = createFileSessionStore({ root: makeTempDir() });
+  fs.mkdirSync(path.join(target.root, '2222222222', 'session-2222222222', 'Default', 'old'), { recursive: true });
+  await target.importSession('2222222222', exported);
+  assert.deepStrictEqual(fs.readdirSync(path.join(target.root, '2222222222')), ['session-2222222222']);
+  assert.strictEqual(fs.readFileSync(path.join(target.root, '2222222222', 'session-2222222222', 'Default', 'Local Storage', 'leveldb', '000003.log'), 'utf8'), 'login of 2222222222');
+  assert.deepStrictEqual(await whatsappWebDriver.listStoredSessions(target), ['2222222222']);
+
+  await assert.rejects(target.importSession('2222222222', { format: 'remote-auth-zip', files: [] }), { code: 'SESSION_ARCHIVE_INVALID' });
+});
+
+test('the whatsapp-web driver names LocalAuth profiles after the clientId and adopts old ones', () => {
+  const root = makeTempDir();
+  writeProfile(root, '1234567890', 'session-001234567890');
+
+  const client = whatsappWebDriver.createClient({ clientId: '1234567890', phoneNumber: '001234567890', sessionDir: path.join(root, '1234567890') });
+
+  assert.strictEqual(client.authStrategy.clientId, '1234567890');
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, '1234567890')), ['session-1234567890']);
+});
+
+test('cleanup removes logged-out and never logged-in sessions and leaves other directories alone', async () => {
+  const store = createFileSessionStore({ root: makeTempDir() });
+  writeProfile(store.root, '1111111111');
+  writeProfile(store.root, '2222222222');
+  fs.mkdirSync(path.join(store.root, '3333333333'));
+  fs.mkdirSync(path.join(store.root, '4444444444'));
+  fs.mkdirSync(path.join(store.root, '+5555555555'));
+  fs.mkdirSync(path.join(store.root, 'backups'));
+  fs.writeFileSync(path.join(store.root, 'notes.txt'), '');
+  // Profiles of older versions wait for the driver to rename them, even when logged out
+  writeProfile(store.root, '6666666666', 'session-006666666666');
+  writeProfile(store.root, '7777777777', 'session');
+  fs.mkdirSync(path.join(store.root, '8888888888', 'session-8888888888'), { recursive: true });
+  fs.writeFileSync(path.join(store.root, '8888888888', 'keep.txt'), '');
+
+  const options = { inUse: ['1111111111', '4444444444'], loggedOut: ['2222222222', '7777777777'] };
+  const preview = await store.cleanup({ ...options, dryRun: true });
+  assert.deepStrictEqual(preview.map(entry => [entry.clientId, entry.reason]), [
+    ['2222222222', 'logged_out'],
+    ['3333333333', 'no_login']
+  ]);
+  assert.strictEqual(fs.readdirSync(store.root).length, 10);
+
+  assert.deepStrictEqual(await store.cleanup(options), preview);
+  assert.deepStrictEqual(fs.readdirSync(store.root).sort(), [
+    '+5555555555', '1111111111', '4444444444', '6666666666', '7777777777', '8888888888', 'backups', 'notes.txt'
+  ]);
+});
+
+test('remote stores keep RemoteAuth zips and clean up local leftovers', async () => {
+  const root = makeTempDir();
+  const remote = createMemoryRemote(root);
+  const store = createRemoteSessionStore({ remote, root });
+  remote.sessions.set('RemoteAuth-1111111111', Buffer.from('zip of 1111111111'));
+  remote.sessions.set('RemoteAuth-2222222222', Buffer.from('zip of 2222222222'));
+
+  assert.deepStrictEqual(await store.list(), [{ clientId: '1111111111', authenticated: true }, { clientId: '2222222222', authenticated: true }]);
+  assert.strictEqual(store.sessionDir('1111111111'), path.join(root, 'RemoteAuth-1111111111'));
+
+  const exported = await store.exportSession('1111111111');
+  assert.deepStrictEqual(exported.files.map(file => [file.path, file.data.toString()]), [['RemoteAuth-1111111111.zip', 'zip of 1111111111']]);
+  await store.removeSession('1111111111');
+  assert.strictEqual(remote.sessions.has('RemoteAuth-1111111111'), false);
+  await store.importSession('1111111111', exported);
+  assert.strictEqual(remote.sessions.get('RemoteAuth-1111111111').toString(), 'zip of 1111111111');
+  assert.deepStrictEqual(fs.readdirSync(root), []);
+
+  fs.mkdirSync(path.join(root, 'RemoteAuth-1111111111'));
+  fs.mkdirSync(path.join(root, 'wwebjs_temp_session_3333333333'));
+  fs.writeFileSync(path.join(root, 'RemoteAuth-3333333333.zip'), '');
+  const removed = await store.cleanup({ inUse: ['1111111111'], loggedOut: ['2222222222'] });
+  assert.deepStrictEqual(removed.map(entry => [entry.clientId, entry.reason]).sort(), [
+    ['2222222222', 'logged_out'],
+    ['3333333333', 'orphaned'],
+    ['3333333333', 'orphaned']
+  ]);
+  assert.deepStrictEqual(fs.readdirSync(root), ['RemoteAuth-1111111111']);
+  assert.deepStrictEqual(Array.from(remote.sessions.keys()), ['RemoteAuth-1111111111']);
+});
+
+test('an exported session moves an account to another host', async () => {
+  const oldHost = createFileSessionStore({ root: makeTempDir() });
+  writeProfile(oldHost.root, '1234567890');
+  resetManager({ authenticatedSessions: ['1234567890'] }, { sessionStore: oldHost });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  await assert.rejects(whatsappManager.exportSession('+1999999999', 'passphrase'), { code: 'SESSION_NOT_FOUND' });
+  await assert.rejects(whatsappManager.exportSession('../etc', 'passphrase'), { code: 'PHONE_INVALID' });
+
+  const archive = await whatsappManager.exportSession('+1234567890', 'passphrase', { remove: true });
+  assert.strictEqual(whatsappManager.hasClient('+1234567890'), false);
+  assert.deepStrictEqual(fs.readdirSync(oldHost.root), []);
+
+  const newHost = createFileSessionStore({ root: makeTempDir() });
+  resetManager({ authenticatedSessions: ['1234567890', '1999999999'] }, { sessionStore: newHost });
+  await assert.rejects(whatsappManager.importSession('+1999999999', archive, 'passphrase'), {
+    code: 'SESSION_ARCHIVE_INVALID',
+    message: 'The archive holds the session of +1234567890'
+  });
+
+  const result = await whatsappManager.importSession('+1234567890', archive, 'passphrase');
+  assert.deepStrictEqual(result, { qr: null, clientId: '1234567890', authenticated: true });
+  assert.deepStrictEqual(await newHost.list(), [{ clientId: '1234567890', authenticated: true }]);
+  await assert.rejects(whatsappManager.importSession('+1234567890', archive, 'passphrase'), { code: 'SESSION_IN_USE' });
+
+  // Pending clients keep their directory; leftovers of the previous layout go
+  await whatsappManager.getLoginQR('+1555555555');
+  fs.mkdirSync(path.join(newHost.root, '1555555555'));
+  fs.mkdirSync(path.join(newHost.root, '1666666666'));
+  const removed = await whatsappManager.cleanupSessions();
+  assert.deepStrictEqual(removed.map(entry => [entry.clientId, entry.reason]), [['1666666666', 'no_login']]);
+});
+
+test('sessions of accounts logged out through the API are cleaned up as logged out', async () => {
+  const store = createFileSessionStore({ root: makeTempDir() });
+  writeProfile(store.root, '1234567890');
+  writeProfile(store.root, '1111111111');
+  resetManager({ authenticatedSessions: ['1234567890', '1111111111'] }, { sessionStore: store });
+  await whatsappManager.getLoginQR('+1234567890');
+  await whatsappManager.getLoginQR('+1111111111');
+
+  const logout = await fetch(`${server.baseUrl}/sessions/+1234567890/logout`, { method: 'POST' });
+  assert.strictEqual(logout.status, 200);
+  assert.strictEqual(whatsappManager.hasClient('+1234567890'), false);
+
+  const removed = await whatsappManager.cleanupSessions();
+  assert.deepStrictEqual(removed.map(entry => [entry.clientId, entry.reason]), [['1234567890', 'logged_out']]);
+  assert.deepStrictEqual(fs.readdirSync(store.root), ['1111111111']);
+  assert.deepStrictEqual(await whatsappManager.cleanupSessions(), []);
+});
+
+test('sessions are exported and imported through the REST API', async () => {
+  const store = createFileSessionStore({ root: makeTempDir() });
+  writeProfile(store.root, '1234567890');
+  resetManager({ authenticatedSessions: ['1234567890'] }, { sessionStore: store });
+
+  const missingPassphrase = await fetch(`${server.baseUrl}/sessions/+1234567890/export`, { method: 'POST' });
+  assert.strictEqual(missingPassphrase.status, 400);
+
+  const exported = await fetch(`${server.baseUrl}/sessions/+1234567890/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ passphrase: 'move to host b', remove: true })
+  });
+  assert.strictEqual(exported.status, 200);
+  assert.strictEqual(exported.headers.get('content-disposition'), 'attachment; filename="session-1234567890.wasession"');
+  const archive = Buffer.from(await exported.arrayBuffer());
+  assert.deepStrictEqual(await store.list(), []);
+
+  const upload = (passphrase) => {
+    const form = new FormData();
+    form.append('passphrase', passphrase);
+    form.append('file', new Blob([archive]), 'session-1234567890.wasession');
+    return fetch(`${server.baseUrl}/sessions/+1234567890/import`, { method: 'POST', body: form });
+  };
+
+  const wrong = await upload('not the passphrase');
+  assert.strictEqual(wrong.status, 400);
+  assert.strictEqual((await wrong.json()).code, 'SESSION_ARCHIVE_INVALID');
+
+  const imported = await upload('move to host b');
+  assert.strictEqual(imported.status, 200);
+  assert.strictEqual((await imported.json()).authenticated, true);
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'ready');
+
+  const notFound = await fetch(`${server.baseUrl}/sessions/+1999999999/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ passphrase: 'move to host b' })
+  });
+  assert.strictEqual(notFound.status, 404);
+});
@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { resetManager, startServer, makeTempDir } = require('./helpers');
+const { normalizePhoneNumber, normalizeRecipient } = require('../lib/phone');
+const { validateSchema } = require('../lib/schema');
+const whatsappManager = require('../whatsappManager');
+
+process.env.WHATSAPP_DRIVER = 'simulated';
+process.env.DATA_DIR = makeTempDir();
+process.env.ADMIN_API_KEY = 'test-admin-key';
+const app = require('../express-example');
+
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  resetManager({ authenticatedSessions: ['1234567890'] });
+});
+
+/**
+ * Call the test server with the admin key and parse the JSON response
+ * @param {string} method - HTTP method
+ * @param {string} url - Path including query string
+ * @param {Object|string} [body] - JSON body (strings are sent as they are)
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function request(method, url, body) {
+  const headers = { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(`${server.baseUrl}${url}`, {
+    method,
+    headers,
+    body: typeof body === 'string' ? body : body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('normalizePhoneNumber reads typed numbers as E.164', () => {
+  assert.strictEqual(normalizePhoneNumber('+1 (234) 567-890'), '+1234567890');
+  assert.strictEqual(normalizePhoneNumber('0049 151 2345 6789'), '+4915123456789');
+  assert.strictEqual(normalizePhoneNumber('1234567890'), '+1234567890');
+
+  assert.strictEqual(normalizePhoneNumber('+0987654321'), null);
+  assert.strictEqual(normalizePhoneNumber('+1234567890123456'), null);
+  assert.strictEqual(normalizePhoneNumber('call me'), null);
+  assert.strictEqual(normalizePhoneNumber(1234567890), null);
+
+  assert.strictEqual(normalizeRecipient('120363025246125486@g.us'), '120363025246125486@g.us');
+  assert.strictEqual(normalizeRecipient('1234@example.com'), null);
+});
+
+test('the manager uses normalized numbers as client ids', () => {
+  assert.strictEqual(whatsappManager.formatPhoneNumber('+1 234-567-890'), '1234567890');
+  assert.strictEqual(whatsappManager.formatPhoneNumber('001234567890'), '1234567890');
+});
+
+test('validateSchema reports every invalid field with its code', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      phone: { type: 'string', format: 'phone' },
+      to: { type: 'string', format: 'recipient' },
+      limit: { type: 'integer', minimum: 1 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+    },
+    required: ['phone', 'to'],
+    additionalProperties: false
+  };
+
+  assert.deepStrictEqual(validateSchema(schema, { phone: '+1234567890', to: '1111@c.us', limit: 5 }), []);
+  assert.deepStrictEqual(validateSchema(schema, { phone: '+1234567890', to: '+1111', limit: '5' }, { coerce: true }), []);
+
+  assert.deepStrictEqual(
+    validateSchema(schema, { phone: 'abc', limit: 0, tags: ['a', 1], extra: true }).map(({ field, code }) => [field, code]),
+    [
+      ['to', 'VALIDATION_FAILED'],
+      ['phone', 'PHONE_INVALID'],
+      ['limit', 'VALIDATION_FAILED'],
+      ['tags[1]', 'VALIDATION_FAILED'],
+      ['extra', 'VALIDATION_FAILED']
+    ]
+  );
+});
+
+test('invalid numbers are refused with their own error codes', async () => {
+  const badSender = await request('POST', '/send-message', {
+    senderPhoneNumber: 'not-a-number',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Hello'
+  });
+  assert.strictEqual(badSender.status, 400);
+  assert.strictEqual(badSender.body.success, false);
+  assert.strictEqual(badSender.body.code, 'PHONE_INVALID');
+  assert.deepStrictEqual(badSender.body.details.map(detail => detail.field), ['senderPhoneNumber']);
+
+  const badRecipient = await request('POST', '/send-message', {
+    senderPhoneNumber: '+1234567890',
+    recipientPhoneNumber: '+0987654321',
+    message: 'Hello'
+  });
+  assert.strictEqual(badRecipient.status, 400);
+  assert.strictEqual(badRecipient.body.code, 'RECIPIENT_INVALID');
+
+  const missing = await request('POST', '/send-message', { senderPhoneNumber: '+1234567890' });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.code, 'VALIDATION_FAILED');
+  assert.deepStrictEqual(missing.body.details.map(detail => detail.field), ['recipientPhoneNumber', 'message']);
+
+  const badPath = await request('GET', '/sessions/abc/chats');
+  assert.strictEqual(badPath.status, 400);
+  assert.strictEqual(badPath.body.code, 'PHONE_INVALID');
+});
+
+test('accounts that are not logged in answer QR_REQUIRED', async () => {
+  const { status, body } = await request('POST', '/send-message', {
+    senderPhoneNumber: '+1555000111',
+    recipientPhoneNumber: '+4987654321',
+    message: 'Hello'
+  });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.code, 'QR_REQUIRED');
+  assert.strictEqual(body.requiresQR, true);
+});
+
+test('unknown routes and malformed bodies use the error envelope', async () => {
+  const unknown = await request('GET', '/no-such-route');
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.body.code, 'NOT_FOUND');
+
+  const malformed = await request('POST', '/send-message', '{"senderPhoneNumber":');
+  assert.strictEqual(malformed.status, 400);
+  assert.strictEqual(malformed.body.code, 'VALIDATION_FAILED');
+});
+
+test('GET /openapi.json describes the routes without credentials', async () => {
+  const response = await fetch(`${server.baseUrl}/openapi.json`);
+  const document = await response.json();
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(document.openapi, '3.1.0');
+
+  const send = document.paths['/send-message'].post;
+  assert.deepStrictEqual(send.requestBody.content['application/json'].schema.required, ['senderPhoneNumber', 'recipientPhoneNumber', 'message']);
+
+  const chats = document.paths['/sessions/{phone}/chats'].get;
+  assert.deepStrictEqual(chats.parameters[0], { name: 'phone', in: 'path', required: true, schema: chats.parameters[0].schema });
+  assert.strictEqual(chats.parameters[0].schema.format, 'phone');
+
+  assert.strictEqual(document.paths['/qr'].get.deprecated, true);
+  assert.ok(document.paths['/sessions/{phone}/logout'].post);
+
+  const docs = await fetch(`${server.baseUrl}/docs`);
+  assert.strictEqual(docs.status, 200);
+  assert.match(await docs.text(), /swagger-ui/);
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { createWebhookDispatcher, signPayload } = require('../lib/webhooks');
+const { resetManager, makeTempDir, startReceiver } = require('./helpers');
+
+let driver;
+let dispatcher;
+let receiver;
+
+beforeEach(async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+});
+
+afterEach(async () => {
+  dispatcher.stop();
+  await receiver.close();
+});
+
+/**
+ * Create a dispatcher with fast retries writing to a temporary directory
+ * @param {Object} options - Extra dispatcher options
+ * @returns {Object}
+ */
+function createDispatcher(options = {}) {
+  return createWebhookDispatcher(whatsappManager, {
+    dataDir: makeTempDir(),
+    baseDelayMs: 1,
+    maxDelayMs: 5,
+    ...options
+  });
+}
+
+test('incoming messages are delivered as signed JSON POSTs', async () => {
+  receiver = await startReceiver();
+  dispatcher = createDispatcher();
+  const { secret } = dispatcher.subscribe({ url: receiver.url, events: ['message'] });
+
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'Hello webhook' });
+  await dispatcher.idle();
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const [{ headers, body, json }] = receiver.requests;
+  assert.strictEqual(headers['x-webhook-event'], 'message');
+  assert.strictEqual(headers['x-webhook-signature'], signPayload(secret, headers['x-webhook-timestamp'], body));
+  assert.notStrictEqual(headers['x-webhook-signature'], signPayload(secret, '2020-01-01T00:00:00.000Z', body));
+  assert.strictEqual(json.clientId, '1234567890');
+  assert.strictEqual(json.data.message.conversation, 'Hello webhook');
+});
+
+test('subscriptions only receive events of their client and event types', async () => {
+  receiver = await startReceiver();
+  dispatcher = createDispatcher();
+  dispatcher.subscribe({ url: receiver.url, clientId: '9999999999' });
+  dispatcher.subscribe({ url: receiver.url, clientId: '1234567890', events: ['disconnected'] });
+
+  const client = driver.getClient('1234567890');
+  client.receiveMessage({ from: '1111@c.us', body: 'ignored' });
+  client.disconnect('NAVIGATION');
+  await dispatcher.idle();
+
+  assert.deepStrictEqual(receiver.requests.map(request => request.json.event), ['disconnected']);
+  assert.deepStrictEqual(receiver.requests[0].json.data, { clientId: '1234567890', reason: 'NAVIGATION' });
+});
+
+test('failed deliveries are retried', async () => {
+  receiver = await startReceiver((req, index) => (index < 2 ? 503 : 200));
+  dispatcher = createDispatcher();
+  dispatcher.subscribe({ url: receiver.url, events: ['message'] });
+
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'retry me' });
+  await dispatcher.idle();
+
+  assert.strictEqual(receiver.requests.length, 3);
+  assert.deepStrictEqual(await dispatcher.getDeadLetters(), []);
+  const ids = new Set(receiver.requests.map(request => request.json.id));
+  assert.strictEqual(ids.size, 1);
+});
+
+test('deliveries that keep failing go to the dead-letter log', async () => {
+  receiver = await startReceiver(() => 500);
+  const deliveries = [];
+  dispatcher = createDispatcher({ maxAttempts: 2, onDelivery: delivery => deliveries.push(delivery) });
+  const { id } = dispatcher.subscribe({ url: receiver.url, events: ['message'] });
+
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'lost' });
+  await dispatcher.idle();
+  assert.deepStrictEqual(deliveries, [{ webhookId: id, event: 'message', delivered: false, attempts: 2 }]);
+
+  const deadLetters = await dispatcher.getDeadLetters();
+  assert.strictEqual(receiver.requests.length, 2);
+  assert.strictEqual(deadLetters.length, 1);
+  assert.strictEqual(deadLetters[0].webhookId, id);
+  assert.strictEqual(deadLetters[0].error, 'HTTP 500');
+  assert.strictEqual(deadLetters[0].envelope.data.message.conversation, 'lost');
+});
+
+test('client errors other than 408 and 429 are not retried', async () => {
+  receiver = await startReceiver(() => 410);
+  dispatcher = createDispatcher();
+  dispatcher.subscribe({ url: receiver.url, events: ['message'] });
+
+  driver.getClient('1234567890').receiveMessage({ from: '1111@c.us', body: 'gone' });
+  await dispatcher.idle();
+
+  assert.strictEqual(receiver.requests.length, 1);
+  assert.strictEqual((await dispatcher.getDeadLetters()).length, 1);
+});
+
+test('subscriptions are persisted in the data directory', async () => {
+  receiver = await startReceiver();
+  const dataDir = makeTempDir();
+  dispatcher = createDispatcher({ dataDir });
+  const { id } = dispatcher.subscribe({ url: receiver.url });
+  dispatcher.stop();
+
+  dispatcher = createDispatcher({ dataDir });
+
+  assert.deepStrictEqual(dispatcher.list().map(webhook => webhook.id), [id]);
+});
@@ -0,0 +1,295 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappManager = require('../whatsappManager');
+const { resetManager, makeTempDir } = require('./helpers');
+const { createFileMediaStore } = require('../lib/mediaStore');
+
+let driver;
+
+beforeEach(() => {
+  driver = resetManager();
+});
+
+test('getLoginQR returns a QR code for a new client', async () => {
+  const result = await whatsappManager.getLoginQR('+1234567890');
+
+  assert.strictEqual(result.clientId, '1234567890');
+  assert.strictEqual(result.authenticated, false);
+  assert.match(result.qr, /^simulated-qr:1234567890:/);
+  assert.strictEqual(whatsappManager.isAuthenticated('+1234567890'), false);
+});
+
+test('getLoginQR restores a stored session without a QR code', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+
+  const result = await whatsappManager.getLoginQR('+1234567890');
+
+  assert.deepStrictEqual(result, { qr: null, clientId: '1234567890', authenticated: true });
+  assert.strictEqual(whatsappManager.isAuthenticated('+1234567890'), true);
+});
+
+test('scanning the QR code authenticates the client and allows sending', async () => {
+  await whatsappManager.getLoginQR('+1234567890');
+  driver.getClient('1234567890').scanQR();
+
+  assert.strictEqual(whatsappManager.isAuthenticated('+1234567890'), true);
+
+  const result = await whatsappManager.sendMessage('+1234567890', '+44 7700 900123', 'Hello');
+  const sent = driver.getClient('1234567890').sentMessages;
+
+  assert.ok(result);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].chatId, '447700900123@c.us');
+  assert.strictEqual(sent[0].content, 'Hello');
+});
+
+test('image messages are sent through the driver media factory', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  await whatsappManager.sendMessage('+1234567890', '1111', {
+    image: Buffer.from('image-bytes'),
+    caption: 'A picture'
+  });
+
+  const [sent] = driver.getClient('1234567890').sentMessages;
+  assert.strictEqual(sent.content.mimetype, 'image/jpeg');
+  assert.strictEqual(sent.content.data, Buffer.from('image-bytes').toString('base64'));
+  assert.deepStrictEqual(sent.options, { caption: 'A picture' });
+});
+
+test('documents, voice notes and locations are sent with their options', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  await whatsappManager.sendMessage('+1234567890', '1111', {
+    document: Buffer.from('%PDF-1.4'),
+    filename: 'invoice.pdf'
+  });
+  await whatsappManager.sendMessage('+1234567890', '1111', {
+    audio: { data: Buffer.from('OggS').toString('base64') },
+    voiceNote: true
+  });
+  await whatsappManager.sendMessage('+1234567890', '1111', {
+    location: { latitude: 51.5, longitude: -0.12, name: 'London' }
+  });
+
+  const [document, voice, location] = driver.getClient('1234567890').sentMessages;
+  assert.strictEqual(document.content.mimetype, 'application/pdf');
+  assert.strictEqual(document.content.filename, 'invoice.pdf');
+  assert.deepStrictEqual(document.options, { caption: '', sendMediaAsDocument: true });
+  assert.strictEqual(voice.content.mimetype, 'audio/ogg');
+  assert.deepStrictEqual(voice.options, { sendAudioAsVoice: true });
+  assert.deepStrictEqual(location.content, { latitude: 51.5, longitude: -0.12, name: 'London', address: undefined });
+});
+
+test('invalid media is rejected before it reaches the client', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] }, { mediaLimits: { image: 4 } });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  await assert.rejects(
+    whatsappManager.deliverMessage('+1234567890', '1111', { image: Buffer.from('too-large') }),
+    { code: 'MEDIA_TOO_LARGE' }
+  );
+  await assert.rejects(
+    whatsappManager.deliverMessage('+1234567890', '1111', { location: { latitude: 200, longitude: 0 } }),
+    { code: 'UNSUPPORTED_CONTENT' }
+  );
+  assert.strictEqual(driver.getClient('1234567890').sentMessages.length, 0);
+});
+
+test('incoming messages are converted and passed to the message handler', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const received = [];
+  whatsappManager.onMessage(message => received.push(message));
+  const raw = driver.getClient('1234567890').receiveMessage({
+    id: 'ABC',
+    from: '1111@c.us',
+    body: 'Hi there',
+    timestamp: 1700000000,
+    notifyName: 'Ann'
+  });
+
+  assert.strictEqual(received.length, 1);
+  const [message] = received;
+  assert.strictEqual(message.schemaVersion, 2);
+  assert.strictEqual(message.id, raw.id._serialized);
+  assert.strictEqual(message.clientId, '1234567890');
+  assert.strictEqual(message.chatId, '1111@c.us');
+  assert.strictEqual(message.timestamp, 1700000000);
+  assert.strictEqual(message.type, 'chat');
+  assert.strictEqual(message.body, 'Hi there');
+  assert.deepStrictEqual(message.sender, { id: '1111@c.us', phoneNumber: '+1111', name: 'Ann' });
+  assert.strictEqual(message.group, null);
+  assert.strictEqual(message.quoted, null);
+
+  // Schema version 1 fields
+  assert.deepStrictEqual(message.key, { remoteJid: '1111@c.us', fromMe: false });
+  assert.deepStrictEqual(message.message, { conversation: 'Hi there' });
+  assert.deepStrictEqual(message.clientInfo, { id: '1234567890', phoneNumber: '1234567890' });
+});
+
+test('group replies carry the author, group, mentions and quoted message', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const received = [];
+  whatsappManager.on('message', message => received.push(message));
+  driver.getClient('1234567890').receiveMessage({
+    from: '120363000000@g.us',
+    author: '2222@c.us',
+    body: '@1234567890 agreed',
+    mentionedIds: ['1234567890@c.us'],
+    quoted: { id: 'Q1', author: '3333@c.us', body: 'Lunch at 1?' }
+  });
+
+  const [message] = received;
+  assert.strictEqual(message.isGroup, true);
+  assert.deepStrictEqual(message.group, { id: '120363000000@g.us', participant: '2222@c.us' });
+  assert.strictEqual(message.sender.phoneNumber, '+2222');
+  assert.deepStrictEqual(message.mentions, ['1234567890@c.us']);
+  assert.deepStrictEqual(message.quoted, { id: 'Q1', author: '3333@c.us', type: 'chat', body: 'Lunch at 1?' });
+});
+
+test('reactions, edits and deletions are emitted as messages', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const received = [];
+  whatsappManager.on('message', message => received.push(message));
+  const client = driver.getClient('1234567890');
+  const original = client.receiveMessage({ from: '1111@c.us', body: 'See you at 5' });
+  client.receiveReaction({ message: original, from: '1111@c.us', reaction: '👍' });
+  client.editMessage(original, 'See you at 6');
+  client.revokeMessage(original);
+
+  const [, reaction, edit, revoke] = received;
+  assert.strictEqual(reaction.type, 'reaction');
+  assert.deepStrictEqual(reaction.reaction, { emoji: '👍', messageId: original.id._serialized });
+  assert.strictEqual(edit.body, 'See you at 6');
+  assert.strictEqual(edit.edit.previousBody, 'See you at 5');
+  assert.strictEqual(revoke.type, 'revoked');
+  assert.deepStrictEqual(revoke.revoke, { messageId: original.id._serialized, previousBody: 'See you at 6' });
+});
+
+test('received media is stored and referenced in the converted message, in order', async () => {
+  const store = createFileMediaStore({ dir: makeTempDir() });
+  driver = resetManager({ authenticatedSessions: ['1234567890'] }, { mediaDownload: { store } });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const received = [];
+  whatsappManager.onMessage(message => received.push(message));
+  const client = driver.getClient('1234567890');
+  const photo = Buffer.from('png-bytes');
+  client.receiveMessage({
+    from: '1111@c.us',
+    type: 'image',
+    body: 'Look',
+    media: { mimetype: 'image/png', data: photo.toString('base64') }
+  });
+  client.receiveMessage({ from: '1111@c.us', body: 'Did you see it?' });
+  client.receiveMessage({
+    from: '1111@c.us',
+    type: 'document',
+    media: { mimetype: 'application/x-msdownload', data: 'TVo=', filename: 'setup.exe' }
+  });
+  await whatsappManager.inboundQueues.get('1234567890');
+
+  assert.deepStrictEqual(received.map(message => message.message.conversation), ['Look', 'Did you see it?', '']);
+  const [image, text, executable] = received;
+  assert.strictEqual(image.message.imageMessage.caption, 'Look');
+  assert.strictEqual(image.media.mimetype, 'image/png');
+  assert.deepStrictEqual((await store.get(image.media.id)).buffer, photo);
+  assert.strictEqual(text.media, null);
+  assert.strictEqual(executable.media.code, 'MEDIA_NOT_ALLOWED');
+});
+
+test('disconnected clients stay in the manager in the disconnected state', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const events = [];
+  whatsappManager.on('disconnected', event => events.push(event));
+  driver.getClient('1234567890').disconnect('NAVIGATION');
+  whatsappManager.removeAllListeners('disconnected');
+
+  assert.deepStrictEqual(events, [{ clientId: '1234567890', reason: 'NAVIGATION' }]);
+  assert.strictEqual(whatsappManager.hasClient('+1234567890'), true);
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'disconnected');
+  assert.strictEqual(whatsappManager.isAuthenticated('+1234567890'), false);
+});
+
+test('a QR login emits every lifecycle transition in order', async () => {
+  const transitions = [];
+  const onStateChange = change => transitions.push([change.from, change.to]);
+  whatsappManager.on('state_change', onStateChange);
+
+  const qrEvents = [];
+  const onQR = event => qrEvents.push(event);
+  whatsappManager.on('qr', onQR);
+
+  await whatsappManager.getLoginQR('+1234567890');
+  driver.getClient('1234567890').scanQR();
+
+  whatsappManager.removeListener('state_change', onStateChange);
+  whatsappManager.removeListener('qr', onQR);
+
+  assert.deepStrictEqual(transitions, [
+    [null, 'initializing'],
+    ['initializing', 'awaiting_qr'],
+    ['awaiting_qr', 'authenticating'],
+    ['authenticating', 'ready']
+  ]);
+  assert.deepStrictEqual(qrEvents, [{ clientId: '1234567890', qr: 'simulated-qr:1234567890:1' }]);
+});
+
+test('getLoginQR reuses a client that is still waiting for its QR scan', async () => {
+  const first = await whatsappManager.getLoginQR('+1234567890');
+  const second = await whatsappManager.getLoginQR('+1234567890');
+
+  assert.strictEqual(second.qr, first.qr);
+  assert.strictEqual(driver.getClient('1234567890').qrCount, 1);
+});
+
+test('auth failures move the client to the failed state', async () => {
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const failures = [];
+  whatsappManager.on('auth_failure', event => failures.push(event));
+  driver.getClient('1234567890').failAuth('bad session');
+  whatsappManager.removeAllListeners('auth_failure');
+
+  assert.deepStrictEqual(failures, [{ clientId: '1234567890', error: 'bad session' }]);
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'failed');
+});
+
+test('getOrInitializeClient reports the state and restarts inactive clients', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+  const original = driver.getClient('1234567890');
+
+  original.disconnect('LOGOUT');
+  assert.strictEqual(whatsappManager.getState('+1234567890'), 'logged_out');
+
+  const result = await whatsappManager.getOrInitializeClient('+1234567890');
+
+  assert.notStrictEqual(driver.getClient('1234567890'), original);
+  assert.strictEqual(result.state, 'awaiting_qr');
+  assert.strictEqual(result.requiresQR, true);
+  assert.strictEqual(result.authenticated, false);
+});
+
+test('getLast10Messages returns the newest messages first', async () => {
+  driver = resetManager({ authenticatedSessions: ['1234567890'] });
+  await whatsappManager.getLoginQR('+1234567890');
+
+  const client = driver.getClient('1234567890');
+  client.receiveMessage({ from: '1111@c.us', body: 'first', timestamp: 100 });
+  client.receiveMessage({ from: '1111@c.us', body: 'second', timestamp: 200 });
+
+  const messages = await whatsappManager.getLast10Messages('+1234567890');
+
+  assert.deepStrictEqual(messages.map(message => message.body), ['second', 'first']);
+});
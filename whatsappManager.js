@@ -1,85 +1,344 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const EventEmitter = require('events');
 const fs = require('fs');
-const path = require('path');
+const { resolveDriver } = require('./lib/drivers');
+const { CLIENT_STATES, canTransition, isInactive } = require('./lib/clientState');
+const { createReconnectSupervisor } = require('./lib/reconnectSupervisor');
+const { WhatsAppManagerError, ERROR_CODES } = require('./lib/errors');
+const { buildMedia, describeContent, getMediaLimits, validateMediaContent } = require('./lib/media');
+const { createMediaDownloader } = require('./lib/mediaDownloader');
+const { convertMessage, convertReaction, convertChat, convertGroup, convertContact, serializeId } = require('./lib/messageConverter');
+const { encodeCursor, parseBound, pageLimit } = require('./lib/pagination');
+const { ackStatus } = require('./lib/receipts');
+const { normalizePhoneNumber, isChatId } = require('./lib/phone');
+const { createLogger } = require('./lib/logger');
+const { createMessageHandlers } = require('./lib/messageHandlers');
+const { createFileSessionStore } = require('./lib/sessionStore');
+const { sealSessionArchive, openSessionArchive } = require('./lib/sessionArchive');
+
+// GroupChat method behind each participant action of updateGroupParticipants
+const GROUP_PARTICIPANT_ACTIONS = Object.freeze({
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants'
+});
+
+// Chat method behind each presence state of sendPresence
+const PRESENCE_STATES = Object.freeze({
+  typing: 'sendStateTyping',
+  recording: 'sendStateRecording',
+  paused: 'clearState'
+});
+
+// Group invite links are this URL followed by the invite code
+const GROUP_INVITE_URL = 'https://chat.whatsapp.com/';
 
 /**
  * Simple WhatsApp Manager - Singleton module to manage WhatsApp clients
  * 
  * Terminology:
- * - phoneNumber: The user's phone number in international format (e.g., '+1234567890')
- * - clientId: Internally used identifier derived from phoneNumber by removing the '+' prefix
- *   (e.g., phoneNumber '+1234567890' becomes clientId '1234567890')
+ * - phoneNumber: The user's phone number in international format (e.g., '+1234567890'); separators
+ *   and a '00' prefix are accepted ('+1 234-567-890', '001234567890'), see lib/phone
+ * - clientId: Internally used identifier derived from phoneNumber by normalizing it to E.164 and
+ *   removing the '+' prefix (e.g., phoneNumber '+1234567890' becomes clientId '1234567890')
+ *
+ * The manager is an EventEmitter. Every event payload carries the clientId:
+ * - state_change: { clientId, from, to, at, reason?, error? } on every lifecycle transition
+ * - qr: { clientId, qr } each time a (new) QR code is shown
+ * - ready: { clientId } when a client is connected
+ * - disconnected: { clientId, reason } when WhatsApp closes the connection
+ * - auth_failure: { clientId, error } when authentication fails
+ * - reconnect_failed: { clientId, attempts } when the reconnect supervisor gives up
+ * - message: the converted message (see lib/messageConverter) for every incoming message, reaction,
+ *   edit and deletion
+ * - message_sent: the converted message for every message sent by deliverMessage / sendMessage
+ * - message_failed: { clientId, chatId, content: { type, body, filename }, error, code } when a send fails
+ *   (both send events pass { durationMs } as a second argument: how long the send took)
+ * - message_ack: { clientId, messageId, chatId, ack, status, at } when WhatsApp reports the delivery
+ *   progress of a sent message (status: error, pending, server, device, read, played; see lib/receipts)
  */
-const whatsappManager = {
+const whatsappManager = Object.assign(new EventEmitter(), {
+  // Lifecycle states a client can be in (see lib/clientState)
+  STATES: CLIENT_STATES,
+
+  // Participant actions accepted by updateGroupParticipants
+  GROUP_PARTICIPANT_ACTIONS: Object.keys(GROUP_PARTICIPANT_ACTIONS),
+
+  // Presence states accepted by sendPresence
+  PRESENCE_STATES: Object.keys(PRESENCE_STATES),
+
   // Map to store active WhatsApp clients, keyed by clientId (formatted phoneNumber)
   clients: new Map(),
+
+  // Client IDs logged out with logout(), which drops their client, until they log in again or
+  // cleanupSessions() removes their session
+  loggedOutClients: new Set(),
   
-  // Global message handler
-  globalMessageHandler: null,
+  // Subscriptions and middleware for incoming messages (see lib/messageHandlers)
+  messageHandlers: null,
+
+  // Handle of the subscription made by onMessage
+  globalMessageSubscription: null,
+
+  // How long a message handler or middleware is waited for before it is logged as timed out
+  handlerTimeoutMs: 30000,
+
+  // Global handler for delivery and read receipts of sent messages
+  globalAckHandler: null,
+
+  // Driver used to create clients and media (see lib/drivers)
+  driver: resolveDriver(),
+
+  // Where the login of each client is kept (see lib/sessionStore)
+  sessionStore: createFileSessionStore(),
+
+  // Directory holding the session files (the session store's root)
+  sessionsRoot: './sessions',
+
+  // Reconnect supervisor (null when reconnection is disabled)
+  supervisor: null,
+
+  // Logger (see lib/logger); replaced by the logger passed to initialize()
+  logger: createLogger(),
+
+  // When initialize() last ran (null before the first call)
+  initializedAt: null,
+
+  // Promise for the session restore started by initialize()
+  sessionsRestored: Promise.resolve([]),
+
+  // Size limits in bytes per media type (see lib/media)
+  mediaLimits: getMediaLimits(),
+
+  // Media URL hosts that may resolve to private addresses (see lib/remoteMedia)
+  mediaUrlAllowedHosts: [],
+
+  // Downloader for the media of incoming messages (null when media downloading is off)
+  mediaDownloader: null,
+
+  // Per-client promise for the incoming messages still being processed, so they are emitted in order
+  inboundQueues: new Map(),
+
+  // Most messages of one chat loaded to answer a getMessages call (WhatsApp Web loads history from the newest message)
+  historyScanLimit: 5000,
 
   /**
    * Initialize the WhatsApp Manager
+   * @param {Object} options - Optional configuration
+   * @param {Object|string} options.driver - Client driver object, or 'whatsapp-web' / 'simulated'
+   * @param {string} options.sessionsRoot - Directory holding the session directories (default './sessions')
+   * @param {Object} options.sessionStore - Session store (see lib/sessionStore); default: LocalAuth sessions in sessionsRoot
+   * @param {Object|boolean} options.reconnect - Reconnect supervisor options, or false to disable reconnection
+   * @param {boolean} options.restoreSessions - Restore stored sessions in the background (default true)
+   * @param {Object} options.mediaLimits - Size limits in bytes keyed by media type (image, video, audio, sticker, document)
+   * @param {Array<string>} options.mediaUrlAllowedHosts - Media URL hosts that may resolve to private or loopback addresses (default none)
+   * @param {Object} options.mediaDownload - Download incoming media: { store, maxBytes, mimeTypes } (see lib/mediaDownloader); off when omitted
+   * @param {Object} options.logger - pino-compatible logger (default: JSON lines on stdout at level info, see lib/logger)
+   * @param {number} options.handlerTimeoutMs - How long a message handler or middleware is waited for (default 30000)
    * @returns {Object} - The WhatsApp Manager instance
    */
-  initialize: function() {
-    console.log('WhatsApp Manager initialized (using whatsapp-web.js)');
+  initialize: function(options = {}) {
+    this.logger = options.logger || createLogger();
+    this.driver = resolveDriver(options.driver);
+    this.sessionStore = options.sessionStore || createFileSessionStore({ root: options.sessionsRoot || './sessions' });
+    this.sessionsRoot = this.sessionStore.root;
+    this.mediaLimits = getMediaLimits(options.mediaLimits);
+    this.mediaUrlAllowedHosts = options.mediaUrlAllowedHosts || [];
+    this.mediaDownloader = options.mediaDownload ? createMediaDownloader(options.mediaDownload) : null;
+    this.handlerTimeoutMs = options.handlerTimeoutMs || 30000;
+
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    this.supervisor = options.reconnect === false
+      ? null
+      : createReconnectSupervisor(this, options.reconnect || {});
+
+    this.initializedAt = new Date();
+    this.logger.info({ driver: this.driver.name || 'custom' }, 'WhatsApp Manager initialized');
+
+    this.sessionsRestored = options.restoreSessions === false
+      ? Promise.resolve([])
+      : this.restoreSessions();
     return this;
   },
 
+  /**
+   * Start a client for every stored authenticated session that is not running yet
+   * @returns {Promise<Array<string>>} - Client IDs that were restored
+   */
+  restoreSessions: async function() {
+    let clientIds;
+    try {
+      clientIds = await this.driver.listStoredSessions(this.sessionStore);
+    } catch (error) {
+      this.logger.error({ err: error }, 'Error listing stored sessions');
+      return [];
+    }
+
+    const restored = [];
+    // One at a time, so a restart doesn't launch every browser at once
+    for (const clientId of clientIds) {
+      if (this.clients.has(clientId)) continue;
+
+      try {
+        this.logFor(clientId).info('Restoring session');
+        const { authenticated } = await this.getLoginQR(clientId);
+        if (authenticated) {
+          restored.push(clientId);
+        } else {
+          this.logFor(clientId).warn('Stored session is no longer valid, QR scan required');
+        }
+      } catch (error) {
+        this.logFor(clientId).error({ err: error }, 'Error restoring session');
+      }
+    }
+    return restored;
+  },
+
+  /**
+   * Stop every client without logging out, so their sessions are restored on the next start
+   * @returns {Promise<void>}
+   */
+  shutdown: async function() {
+    if (this.supervisor) {
+      this.supervisor.stop();
+      this.supervisor = null;
+    }
+    const clientIds = Array.from(this.clients.keys());
+    await Promise.all(clientIds.map(clientId => this.removeClient(clientId)));
+  },
+
   /**
    * Format phone number to ensure correct format for internal use as clientId
-   * @param {string} phoneNumber - Phone number to format (e.g., '+1234567890')
-   * @returns {string} - Formatted phone number as clientId (e.g., '1234567890')
+   * @param {string} phoneNumber - Phone number to format (e.g., '+1 234-567-890')
+   * @returns {string} - Formatted phone number as clientId (e.g., '1234567890'); values that are
+   *   not E.164 numbers only lose a leading '+' (and match no client)
    */
   formatPhoneNumber: function(phoneNumber) {
-    // Remove any '+' prefix if present to create clientId
-    return phoneNumber.startsWith('+') ? phoneNumber.substring(1) : phoneNumber;
+    const normalized = normalizePhoneNumber(phoneNumber);
+    if (normalized) {
+      return normalized.substring(1);
+    }
+    const value = String(phoneNumber);
+    return value.startsWith('+') ? value.substring(1) : value;
   },
 
   /**
-   * Process an incoming message and pass to the global handler
+   * Process an incoming message, emit it as a 'message' event and hand it to the subscribed handlers
+   *
+   * When media downloading is on, a media message is emitted once its media is stored, with the
+   * stored media reference in 'media' ({ error, code } when the media was refused or could not
+   * be downloaded). Messages of a client are emitted in the order they were received.
    * @param {string} clientId - Client ID (formatted phoneNumber) that received the message
    * @param {Object} message - Raw message from whatsapp-web.js
+   * @param {Object} [details] - Edit or revoke details passed to the converter
+   * @returns {Promise<void>} - Resolves once the message has been emitted
    * @private
    */
-  processMessage: function(clientId, message) {
-    if (!this.globalMessageHandler) return;
+  processMessage: function(clientId, message, details = {}) {
+    // Edits and deletions refer to media that was handled when the message arrived
+    const download = Boolean(this.mediaDownloader && message.hasMedia && !details.edit && !details.revoke);
+    const media = download ? this.downloadMedia(clientId, message) : null;
     
-    // Convert whatsapp-web.js message format to a consistent format
-    const convertedMessage = {
-      key: {
-        remoteJid: message.from,
-        fromMe: message.fromMe
-      },
-      message: {
-        conversation: message.body
-      },
-      // Include client information
-      // Both id and phoneNumber are set to clientId for backward compatibility
-      clientInfo: {
-        id: clientId,
-        phoneNumber: clientId 
-      }
+    return this.queueIncoming(clientId, media, reference =>
+      convertMessage(clientId, message, reference ? { ...details, media: reference } : details)
+    );
+  },
+
+  /**
+   * Process an incoming reaction like a message of type 'reaction'
+   * @param {string} clientId - Client ID (formatted phoneNumber) that received the reaction
+   * @param {Object} reaction - Raw reaction from whatsapp-web.js
+   * @returns {Promise<void>}
+   * @private
+   */
+  processReaction: function(clientId, reaction) {
+    return this.queueIncoming(clientId, null, () => convertReaction(clientId, reaction));
+  },
+
+  /**
+   * Emit a delivery or read receipt and pass it to the global ack handler
+   * @param {string} clientId - Client ID (formatted phoneNumber) that sent the message
+   * @param {Object} message - whatsapp-web.js message the receipt is for
+   * @param {number} ack - whatsapp-web.js ack level (-1 error, 0 pending, 1 server, 2 device, 3 read, 4 played)
+   * @private
+   */
+  processAck: function(clientId, message, ack) {
+    const event = {
+      clientId,
+      messageId: serializeId(message.id),
+      chatId: message.fromMe ? message.to : message.from,
+      ack,
+      status: ackStatus(ack),
+      at: new Date().toISOString()
     };
+    this.emit('message_ack', event);
     
-    // Handle media messages
-    if (message.hasMedia) {
-      if (message.type === 'image') {
-        convertedMessage.message.imageMessage = {
-          caption: message.body
-        };
-      } else if (message.type === 'document') {
-        convertedMessage.message.documentMessage = {
-          fileName: message.filename || 'document'
-        };
-      }
+    if (!this.globalAckHandler) return;
+    try {
+      this.globalAckHandler(event);
+    } catch (error) {
+      this.logFor(event.clientId).error({ err: error }, 'Error in ack handler');
+    }
+  },
+
+  /**
+   * Emit an incoming message once the messages received before it have been emitted
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @param {Promise|null} work - Work to wait for (e.g. a media download), or null
+   * @param {Function} build - Builds the converted message from the work's result
+   * @returns {Promise<void>}
+   * @private
+   */
+  queueIncoming: function(clientId, work, build) {
+    const pending = this.inboundQueues.get(clientId);
+    
+    // Nothing to wait for: emit right away
+    if (!pending && !work) {
+      this.emitIncoming(build(null));
+      return Promise.resolve();
     }
     
-    // Call the global handler
+    // Work runs in parallel, but each message waits for the ones received before it
+    const done = Promise.all([pending, work])
+      .then(([, result]) => this.emitIncoming(build(result)))
+      .catch(error => this.logFor(clientId).error({ err: error }, 'Error processing message'))
+      .finally(() => {
+        if (this.inboundQueues.get(clientId) === done) {
+          this.inboundQueues.delete(clientId);
+        }
+      });
+    this.inboundQueues.set(clientId, done);
+    return done;
+  },
+
+  /**
+   * Emit a converted message and hand it to the subscribed handlers
+   *
+   * The handlers are not waited for, so a slow handler holds back the handlers of the account's
+   * next messages but not their 'message' events.
+   * @param {Object} convertedMessage - Converted message
+   * @private
+   */
+  emitIncoming: function(convertedMessage) {
+    this.emit('message', convertedMessage);
+    this.messageHandlers.dispatch(convertedMessage);
+  },
+
+  /**
+   * Download and store the media of an incoming message
+   * @param {string} clientId - Client ID (formatted phoneNumber) that received the message
+   * @param {Object} message - Raw message from whatsapp-web.js
+   * @returns {Promise<Object>} - Media reference, or { error, code } if the media was not stored
+   * @private
+   */
+  downloadMedia: async function(clientId, message) {
     try {
-      this.globalMessageHandler(convertedMessage);
+      return await this.mediaDownloader.download(message);
     } catch (error) {
-      console.error(`Error in message handler:`, error);
+      this.logFor(clientId).warn({ err: error }, 'Media of a message was not stored');
+      return { error: error.message, code: error.code || ERROR_CODES.MEDIA_DOWNLOAD_FAILED };
     }
   },
 
@@ -88,109 +347,231 @@ const whatsappManager = {
    * @param {string} phoneNumber - Phone number in international format (e.g., '+1234567890')
    * @param {Object} options - Optional configuration
    * @returns {Promise<{qr: string, clientId: string, authenticated: boolean}>}
+   * @throws {WhatsAppManagerError} - PHONE_INVALID when phoneNumber is not an E.164 number
    */
   getLoginQR: async function(phoneNumber, options = {}) {
+    if (!normalizePhoneNumber(phoneNumber)) {
+      throw new WhatsAppManagerError(ERROR_CODES.PHONE_INVALID, `${phoneNumber} is not a valid phone number`, { phoneNumber });
+    }
+
     // Convert phoneNumber to clientId for internal tracking
     const clientId = this.formatPhoneNumber(phoneNumber);
+    const existing = this.clients.get(clientId);
     
-    // Check if client already exists and is authenticated
-    if (this.clients.has(clientId) && this.clients.get(clientId).authenticated) {
-      return { qr: null, clientId, authenticated: true };
+    if (existing && !isInactive(existing.state)) {
+      // Check if client already exists and is authenticated
+      if (existing.state === CLIENT_STATES.READY) {
+        return { qr: null, clientId, authenticated: true };
+      }
+      // Reuse a client that is still logging in instead of starting a second one
+      if (existing.state === CLIENT_STATES.AWAITING_QR && existing.qr) {
+        return { qr: existing.qr, clientId, authenticated: false };
+      }
+      return this.waitForLogin(clientId);
     }
 
     // Set up session directory
-    const sessionDir = options.sessionDir || path.join('./sessions', clientId);
+    const sessionDir = options.sessionDir || (existing && existing.sessionDir) || this.sessionStore.sessionDir(clientId);
     
-    // Create a new client
-    const client = new Client({
-      authStrategy: new LocalAuth({
-          // store session data 
-          // and store auth to reuse between restarts 
-          dataPath: path.resolve(sessionDir),
-          // Using phoneNumber as the clientId parameter for whatsapp-web.js
-          // (This is different from our internal clientId)
-          clientId: phoneNumber,
-      }),
-      restartOnAuthFail: true,
-      puppeteer: {
-          headless: true,
-          bypassCSPL: true,
-          timeout: 60000,
-          args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--disable-gpu',
-              '--window-size=1920,1080',
-          ]
-      },
-      mediaOptions: {
-          disableMedia: true,
-          ffmpegPath: null,
-          downloadMedia: false
-      }
-  });
+    // Stop a client that disconnected, failed or logged out before replacing it
+    if (existing) {
+      Promise.resolve(existing.client.destroy()).catch(() => {});
+    }
+
+    // Create a new client through the configured driver
+    this.loggedOutClients.delete(clientId);
+    const client = this.driver.createClient({
+      clientId,
+      phoneNumber,
+      sessionDir,
+      sessionStore: this.sessionStore,
+      downloadMedia: Boolean(this.mediaDownloader)
+    });
     
+    // Store client information (keeping the creation time of a client being replaced)
+    const now = new Date();
+    this.clients.set(clientId, {
+      client,
+      sessionDir,
+      state: existing ? existing.state : null,
+      authenticated: false,
+      qr: null,
+      createdAt: existing ? existing.createdAt : now,
+      lastSeen: now,
+      stateChangedAt: now
+    });
+    this.setState(clientId, CLIENT_STATES.INITIALIZING);
+
+    // Events from a client that has since been replaced are ignored
+    const isCurrent = () => {
+      const clientInfo = this.clients.get(clientId);
+      return clientInfo && clientInfo.client === client;
+    };
+
     // Set up message handling
     client.on('message', (message) => {
-      if (this.globalMessageHandler) {
-        this.processMessage(clientId, message);
-      }
+      if (!isCurrent()) return;
+      this.touch(clientId);
+      this.processMessage(clientId, message);
     });
 
-    // Create a promise to get the QR code
-    const qrPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('QR code generation timed out'));
-      }, 100000); // timeout (whatsapp-web.js can take longer to initialize)
+    client.on('message_reaction', (reaction) => {
+      if (!isCurrent()) return;
+      this.processReaction(clientId, reaction);
+    });
 
-      // QR code event
-      client.on('qr', (qr) => {
-        clearTimeout(timeout);
-        resolve({ qr, clientId, authenticated: false });
+    client.on('message_edit', (message, newBody, prevBody) => {
+      if (!isCurrent()) return;
+      this.processMessage(clientId, message, {
+        edit: { previousBody: prevBody, editedAt: new Date().toISOString() }
       });
+    });
 
-      // Ready event (already authenticated)
-      client.on('ready', () => {
-        clearTimeout(timeout);
-        resolve({ qr: null, clientId, authenticated: true });
-      });
+    client.on('message_ack', (message, ack) => {
+      if (!isCurrent()) return;
+      this.processAck(clientId, message, ack);
+    });
 
-      // Authentication failure event
-      client.on('auth_failure', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`Authentication failed: ${error}`));
+    client.on('message_revoke_everyone', (message, revokedMessage) => {
+      if (!isCurrent()) return;
+      this.processMessage(clientId, message, {
+        revoke: {
+          messageId: revokedMessage && revokedMessage.id ? revokedMessage.id._serialized : null,
+          previousBody: revokedMessage ? revokedMessage.body : null
+        }
       });
     });
 
-    // Store client information
-    this.clients.set(clientId, {
-      client,
-      sessionDir,
-      authenticated: false
+    // Set up connection event handling
+    client.on('qr', (qr) => {
+      if (!isCurrent()) return;
+      this.clients.get(clientId).qr = qr;
+      this.setState(clientId, CLIENT_STATES.AWAITING_QR);
+      this.emit('qr', { clientId, qr });
+    });
+
+    client.on('authenticated', () => {
+      if (!isCurrent()) return;
+      this.setState(clientId, CLIENT_STATES.AUTHENTICATING);
     });
 
-    // Set up connection event handling
     client.on('ready', () => {
-      console.log(`Connection established for ${clientId}`);
-      const clientInfo = this.clients.get(clientId);
-      if (clientInfo) {
-        clientInfo.authenticated = true;
-      }
+      if (!isCurrent()) return;
+      this.logFor(clientId).info('Connection established');
+      this.clients.get(clientId).qr = null;
+      this.setState(clientId, CLIENT_STATES.READY);
+      this.emit('ready', { clientId });
+    });
+
+    client.on('auth_failure', (error) => {
+      if (!isCurrent()) return;
+      this.setState(clientId, CLIENT_STATES.FAILED, { error: String(error) });
+      this.emit('auth_failure', { clientId, error: String(error) });
     });
 
     client.on('disconnected', (reason) => {
-      console.log(`Connection closed for ${clientId}. Reason: ${reason}`);
-      this.clients.delete(clientId);
+      if (!isCurrent()) return;
+      this.logFor(clientId).info({ reason }, 'Connection closed');
+      const state = reason === 'LOGOUT' ? CLIENT_STATES.LOGGED_OUT : CLIENT_STATES.DISCONNECTED;
+      this.setState(clientId, state, { reason });
+      this.emit('disconnected', { clientId, reason });
     });
 
+    // Wait for the QR code or ready event
+    const loginPromise = this.waitForLogin(clientId);
+
     // Initialize the client
     client.initialize().catch(error => {
-      console.error(`Error initializing client ${clientId}:`, error);
+      this.logFor(clientId).error({ err: error }, 'Error initializing client');
+      if (isCurrent()) {
+        this.setState(clientId, CLIENT_STATES.FAILED, { error: error.message });
+      }
+    });
+
+    return loginPromise;
+  },
+
+  /**
+   * Wait until a client shows a QR code or becomes ready
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @param {number} timeoutMs - Time to wait before giving up
+   * @returns {Promise<{qr: string, clientId: string, authenticated: boolean}>}
+   * @private
+   */
+  waitForLogin: function(clientId, timeoutMs = 100000) {
+    return new Promise((resolve, reject) => {
+      const finish = (error, result) => {
+        clearTimeout(timeout);
+        this.removeListener('state_change', onStateChange);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const onStateChange = (change) => {
+        if (change.clientId !== clientId) return;
+
+        if (change.to === CLIENT_STATES.AWAITING_QR) {
+          finish(null, { qr: this.clients.get(clientId).qr, clientId, authenticated: false });
+        } else if (change.to === CLIENT_STATES.READY) {
+          finish(null, { qr: null, clientId, authenticated: true });
+        } else if (change.to === CLIENT_STATES.FAILED) {
+          finish(new Error(`Authentication failed: ${change.error}`));
+        } else if (isInactive(change.to)) {
+          finish(new Error(`Client ${clientId} became ${change.to} before login completed`));
+        }
+      };
+
+      // timeout (whatsapp-web.js can take longer to initialize)
+      const timeout = setTimeout(() => {
+        finish(new Error('QR code generation timed out'));
+      }, timeoutMs);
+
+      this.on('state_change', onStateChange);
     });
+  },
+
+  /**
+   * Move a client to a new lifecycle state and emit 'state_change'
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @param {string} state - New state (see CLIENT_STATES)
+   * @param {Object} details - Extra fields for the event (e.g. reason, error)
+   * @returns {boolean} - True if the transition was applied
+   * @private
+   */
+  setState: function(clientId, state, details = {}) {
+    const clientInfo = this.clients.get(clientId);
+    if (!clientInfo) return false;
+
+    const from = clientInfo.state;
+    if (from === state) return false;
+
+    if (!canTransition(from, state)) {
+      this.logFor(clientId).warn({ from, to: state }, 'Ignoring invalid state transition');
+      return false;
+    }
 
-    return qrPromise;
+    const now = new Date();
+    clientInfo.state = state;
+    clientInfo.authenticated = state === CLIENT_STATES.READY;
+    clientInfo.stateChangedAt = now;
+    clientInfo.lastSeen = now;
+
+    this.logFor(clientId).debug({ from, to: state, reason: details.reason }, 'State changed');
+    this.emit('state_change', { clientId, from, to: state, at: now.toISOString(), ...details });
+    return true;
+  },
+
+  /**
+   * Get the logger of a client (every line carries its clientId)
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @returns {Object} - Child logger
+   * @private
+   */
+  logFor: function(clientId) {
+    return this.logger.child({ clientId });
   },
   
   /**
@@ -206,202 +587,1247 @@ const whatsappManager = {
 
     try {
       await clientInfo.client.logout();
+      this.setState(clientId, CLIENT_STATES.LOGGED_OUT, { reason: 'LOGOUT' });
       this.clients.delete(clientId);
+      this.loggedOutClients.add(clientId);
       return true;
     } catch (error) {
-      console.error(`Error logging out client ${clientId}:`, error);
+      this.logFor(clientId).error({ err: error }, 'Error logging out client');
       return false;
     }
   },
   
   /**
-   * Check if a client is authenticated
+   * Stop a client without logging it out, keeping its stored session
    * @param {string} phoneNumber - Phone number in international format
-   * @returns {boolean} - Authentication status
+   * @returns {Promise<boolean>} - True if a client was removed
    */
-  isAuthenticated: function(phoneNumber) {
+  removeClient: async function(phoneNumber) {
     const clientId = this.formatPhoneNumber(phoneNumber);
     const clientInfo = this.clients.get(clientId);
-    return clientInfo ? clientInfo.authenticated === true : false;
+
+    if (!clientInfo) return false;
+
+    this.clients.delete(clientId);
+    try {
+      await clientInfo.client.destroy();
+    } catch (error) {
+      this.logFor(clientId).error({ err: error }, 'Error destroying client');
+    }
+    return true;
   },
 
   /**
-   * Send a message
+   * Export the stored login of an account as an encrypted archive, to import it on another host
    * @param {string} phoneNumber - Phone number in international format
-   * @param {string} recipient - Recipient phone number (without @s.whatsapp.net)
-   * @param {string|Object} content - Message content
-   * @returns {Promise<Object|null>} - Message info if sent successfully
+   * @param {string} passphrase - Passphrase the archive is encrypted with (see lib/sessionArchive)
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.remove - Stop the client and delete the session from this host, so
+   *   the account only runs where the archive is imported (default false)
+   * @returns {Promise<Buffer>} - Archive
+   * @throws {WhatsAppManagerError} - PHONE_INVALID, SESSION_NOT_FOUND when no logged-in session is stored
    */
-  sendMessage: async function(phoneNumber, recipient, content) {
-    const clientId = this.formatPhoneNumber(phoneNumber);
-    const clientInfo = this.clients.get(clientId);
-    
-    if (!clientInfo) return null;
+  exportSession: async function(phoneNumber, passphrase, { remove = false } = {}) {
+    const clientId = this.requireClientId(phoneNumber);
 
-    try {
-      // Format recipient to whatsapp-web.js format (just the number with country code)
-      const formattedRecipient = recipient.includes('@s.whatsapp.net') 
-        ? recipient.split('@')[0] 
-        : recipient.replace(/[^0-9]/g, '');
-      
-      // Send the message
-      if (typeof content === 'string') {
-        // Text message
-        return await clientInfo.client.sendMessage(`${formattedRecipient}@c.us`, content);
-      } else if (content.image) {
-        // Image message
-        const media = content.image instanceof Buffer 
-          ? new MessageMedia('image/jpeg', content.image.toString('base64'))
-          : await MessageMedia.fromUrl(content.image);
-        
-        return await clientInfo.client.sendMessage(
-          `${formattedRecipient}@c.us`, 
-          media, 
-          { caption: content.caption || '' }
-        );
-      } else {
-        // Other message types
-        console.warn('Unsupported message type:', content);
-        return null;
+    // Stopping first means the profile is not being written while it is read
+    if (remove) {
+      await this.removeClient(clientId);
+    }
+
+    const exported = await this.sessionStore.exportSession(clientId);
+    if (!exported) {
+      throw new WhatsAppManagerError(ERROR_CODES.SESSION_NOT_FOUND, `No logged-in session is stored for ${phoneNumber}`, { phoneNumber });
+    }
+    const archive = await sealSessionArchive({ clientId, ...exported }, passphrase);
+
+    if (remove) {
+      await this.sessionStore.removeSession(clientId);
+    }
+    this.logFor(clientId).info({ files: exported.files.length, removed: remove }, 'Session exported');
+    return archive;
+  },
+
+  /**
+   * Import a session exported by exportSession and start the account's client with it
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {Buffer} archive - Archive made by exportSession
+   * @param {string} passphrase - Passphrase the archive was encrypted with
+   * @returns {Promise<{qr: string, clientId: string, authenticated: boolean}>} - Login result
+   *   (see getLoginQR); a QR code means WhatsApp no longer accepts the session
+   * @throws {WhatsAppManagerError} - PHONE_INVALID, SESSION_IN_USE when the account's client is
+   *   running, SESSION_ARCHIVE_INVALID when the archive cannot be read with the passphrase, belongs
+   *   to another account or was exported by another type of session store
+   */
+  importSession: async function(phoneNumber, archive, passphrase) {
+    const clientId = this.requireClientId(phoneNumber);
+
+    const existing = this.clients.get(clientId);
+    if (existing && !isInactive(existing.state)) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.SESSION_IN_USE,
+        `${phoneNumber} is ${existing.state}; remove its session before importing another one`,
+        { phoneNumber, state: existing.state }
+      );
+    }
+
+    const session = await openSessionArchive(archive, passphrase);
+    if (session.clientId !== clientId) {
+      throw new WhatsAppManagerError(ERROR_CODES.SESSION_ARCHIVE_INVALID, `The archive holds the session of +${session.clientId}`, { phoneNumber });
+    }
+
+    await this.sessionStore.importSession(clientId, session);
+    this.logFor(clientId).info({ exportedAt: session.exportedAt }, 'Session imported');
+    return this.getLoginQR(clientId);
+  },
+
+  /**
+   * Remove stored sessions that can no longer log in: those of clients logged out (from the phone
+   * or with logout()), those that never logged in and are not used by a client, and RemoteAuth
+   * leftovers of accounts that are not running
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.dryRun - Only report what would be removed (default false)
+   * @returns {Promise<Array<{clientId: string|null, path: string, reason: string}>>} - Removed
+   *   sessions (reason: logged_out, no_login or orphaned, see lib/sessionStore)
+   */
+  cleanupSessions: async function({ dryRun = false } = {}) {
+    const inUse = [];
+    const loggedOut = Array.from(this.loggedOutClients);
+    for (const [clientId, clientInfo] of this.clients) {
+      (clientInfo.state === CLIENT_STATES.LOGGED_OUT ? loggedOut : inUse).push(clientId);
+    }
+
+    const removed = await this.sessionStore.cleanup({ inUse, loggedOut, dryRun });
+    if (removed.length > 0 && !dryRun) {
+      for (const entry of removed) {
+        this.loggedOutClients.delete(entry.clientId);
       }
-    } catch (error) {
-      console.error(`Error sending message:`, error);
-      return null;
+      this.logger.info({ removed: removed.length }, 'Removed stale sessions');
     }
+    return removed;
   },
 
   /**
-   * Set the global message handler for all clients
-   * @param {Function} callback - Callback function to handle messages from any client
-   * @returns {boolean} - True if set successfully, false otherwise
+   * Get the clientId of an account phone number
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {string} - Client ID
+   * @throws {WhatsAppManagerError} - PHONE_INVALID when phoneNumber is not an E.164 number
+   * @private
    */
-  onMessage: function(callback) {
-    if (typeof callback !== 'function') {
-      return false;
+  requireClientId: function(phoneNumber) {
+    if (!normalizePhoneNumber(phoneNumber)) {
+      throw new WhatsAppManagerError(ERROR_CODES.PHONE_INVALID, `${phoneNumber} is not a valid phone number`, { phoneNumber });
     }
-    
-    this.globalMessageHandler = callback;
-    return true;
+    return this.formatPhoneNumber(phoneNumber);
   },
 
   /**
-   * Remove the global message handler
-   * @returns {boolean} - Always returns true
+   * Check if a client is authenticated
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {boolean} - Authentication status
    */
-  offMessage: function() {
-    this.globalMessageHandler = null;
-    return true;
+  isAuthenticated: function(phoneNumber) {
+    return this.getState(phoneNumber) === CLIENT_STATES.READY;
   },
 
   /**
-   * Check if a client is initialized
+   * Get the QR code a client is currently showing
    * @param {string} phoneNumber - Phone number in international format
-   * @returns {boolean} - True if client exists
+   * @returns {string|null} - Latest QR code, or null if the client is not awaiting a scan
    */
-  hasClient: function(phoneNumber) {
+  getCurrentQR: function(phoneNumber) {
     const clientId = this.formatPhoneNumber(phoneNumber);
-    return this.clients.has(clientId);
+    const clientInfo = this.clients.get(clientId);
+    return clientInfo && clientInfo.state === CLIENT_STATES.AWAITING_QR ? clientInfo.qr : null;
   },
 
   /**
-   * Get the last 10 messages for a client
+   * Get the lifecycle state of a client
    * @param {string} phoneNumber - Phone number in international format
-   * @returns {Promise<Array|null>} - Array of messages or null if client not found/authenticated
+   * @returns {string|null} - One of CLIENT_STATES, or null if the client does not exist
    */
-  getLast10Messages: async function(phoneNumber) {
-    // Convert phoneNumber to clientId for internal tracking
-    const formattedClientId = this.formatPhoneNumber(phoneNumber);
-    const clientInfo = this.clients.get(formattedClientId);
-    
-    if (!clientInfo || !clientInfo.authenticated) return null;
-    
+  getState: function(phoneNumber) {
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const clientInfo = this.clients.get(clientId);
+    return clientInfo ? clientInfo.state : null;
+  },
+
+  /**
+   * Send a message
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} recipient - Recipient phone number, contact id or group id ('...@g.us')
+   * @param {string|Object} content - Message content
+   * @returns {Promise<Object|null>} - Message info if sent successfully
+   */
+  sendMessage: async function(phoneNumber, recipient, content) {
     try {
-      const client = clientInfo.client;
-      const chats = await client.getChats();
-      const messages = [];
-      
-      // Get messages from all chats, up to 10 total
-      for (const chat of chats) {
-        if (messages.length >= 10) break;
-        
-        // Get messages from this chat
-        const chatMessages = await chat.fetchMessages({ limit: 10 - messages.length });
-        
-        // Add messages to our array
-        for (const msg of chatMessages) {
-          messages.push({
-            id: msg.id._serialized,
-            from: msg.from,
-            to: msg.to,
-            body: msg.body,
-            timestamp: msg.timestamp,
-            fromMe: msg.fromMe,
-            hasMedia: msg.hasMedia,
-            type: msg.type
-          });
-          
-          if (messages.length >= 10) break;
-        }
-      }
-      
-      // Sort messages by timestamp (newest first)
-      messages.sort((a, b) => b.timestamp - a.timestamp);
-      
-      return messages.slice(0, 10); // Ensure we return at most 10 messages
+      return await this.deliverMessage(phoneNumber, recipient, content);
     } catch (error) {
-      console.error(`Error getting messages for ${clientId}:`, error);
+      this.logFor(this.formatPhoneNumber(phoneNumber)).error({ err: error }, 'Error sending message');
       return null;
     }
   },
 
   /**
-   * Get or initialize a client (attempting to restore session if possible)
+   * Send a message, throwing instead of returning null when it cannot be sent
    * @param {string} phoneNumber - Phone number in international format
-   * @returns {Promise<{client: Object|null, authenticated: boolean, requiresQR: boolean, error: string|null}>}
+   * @param {string} recipient - Recipient phone number, contact id or group id ('...@g.us')
+   * @param {string|Object} content - Message content
+   * @param {Object} [options] - Optional send options
+   * @param {string} [options.quotedMessageId] - Serialized id of the message to reply to
+   * @returns {Promise<Object>} - The sent whatsapp-web.js message
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, RECIPIENT_INVALID,
+   *   RECIPIENT_NOT_REGISTERED, UNSUPPORTED_CONTENT or SEND_FAILED
    */
-  getOrInitializeClient: async function(phoneNumber) {
+  deliverMessage: async function(phoneNumber, recipient, content, options = {}) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
     const clientId = this.formatPhoneNumber(phoneNumber);
+
+    // Format recipient to whatsapp-web.js format ('<number>@c.us', or a group's '...@g.us')
+    let chatId = this.formatChatId(recipient);
+    const startedAt = Date.now();
     
-    // If client already exists, return its status
-    if (this.clients.has(clientId)) {
-      const clientInfo = this.clients.get(clientId);
-      return {
-        client: clientInfo.client,
-        authenticated: clientInfo.authenticated,
-        requiresQR: false,
-        error: null
-      };
+    try {
+      chatId = await this.resolveRecipient(clientInfo.client, recipient);
+      const sendOptions = options.quotedMessageId ? { quotedMessageId: options.quotedMessageId } : {};
+      const sent = await this.sendContent(clientInfo.client, chatId, content, sendOptions);
+      if (sent) {
+        this.emit('message_sent', convertMessage(clientId, sent), { durationMs: Date.now() - startedAt });
+      }
+      return sent;
+    } catch (error) {
+      this.emit('message_failed', {
+        clientId,
+        chatId,
+        content: describeContent(content),
+        error: error.message,
+        code: error.code || ERROR_CODES.SEND_FAILED
+      }, { durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  },
+
+  /**
+   * Get the chat id to send to: ids are used as given, phone numbers are looked up on WhatsApp
+   * (which also corrects numbers WhatsApp stores in another form, such as Brazilian mobiles)
+   * @param {Object} client - whatsapp-web.js client
+   * @param {string} recipient - Phone number, contact id or group id
+   * @returns {Promise<string>} - Chat id
+   * @throws {WhatsAppManagerError} - RECIPIENT_INVALID, RECIPIENT_NOT_REGISTERED, or SEND_FAILED when the lookup fails
+   * @private
+   */
+  resolveRecipient: async function(client, recipient) {
+    if (isChatId(recipient)) {
+      return this.formatChatId(recipient);
+    }
+
+    const number = normalizePhoneNumber(recipient);
+    if (!number) {
+      throw new WhatsAppManagerError(ERROR_CODES.RECIPIENT_INVALID, `${recipient} is not a valid phone number or WhatsApp id`, {
+        recipient
+      });
+    }
+
+    let wid;
+    try {
+      wid = await client.getNumberId(number.substring(1));
+    } catch (error) {
+      throw new WhatsAppManagerError(ERROR_CODES.SEND_FAILED, `Failed to look up ${recipient}: ${error.message}`, {
+        cause: error.message
+      });
+    }
+    if (!wid) {
+      throw new WhatsAppManagerError(ERROR_CODES.RECIPIENT_NOT_REGISTERED, `${recipient} is not registered on WhatsApp`, {
+        recipient
+      });
+    }
+    return serializeId(wid);
+  },
+
+  /**
+   * Build the whatsapp-web.js payload for message content and send it
+   * @param {Object} client - whatsapp-web.js client
+   * @param {string} chatId - Recipient chat id
+   * @param {string|Object} content - Message content
+   * @param {Object} [extraOptions] - whatsapp-web.js send options added to those of the content (e.g. quotedMessageId)
+   * @returns {Promise<Object>} - The sent whatsapp-web.js message
+   * @throws {WhatsAppManagerError} - UNSUPPORTED_CONTENT, INVALID_MEDIA, MEDIA_TOO_LARGE or SEND_FAILED
+   * @private
+   */
+  sendContent: async function(client, chatId, content, extraOptions = {}) {
+    // Build what to send before sending, so invalid content is reported as such
+    let payload = content;
+    let sendOptions = {};
+    if (typeof content !== 'string') {
+      const validationError = this.validateContent(content, { skipMedia: true });
+      if (validationError) {
+        throw new WhatsAppManagerError(ERROR_CODES.UNSUPPORTED_CONTENT, validationError);
+      }
+      if (content.location) {
+        // Location message
+        const { latitude, longitude, name, address } = content.location;
+        payload = this.driver.createLocation(latitude, longitude, { name, address });
+      } else {
+        // Media message (image, document, audio, video or sticker)
+        ({ media: payload, options: sendOptions } = await buildMedia(content, this.driver, this.mediaLimits, this.mediaUrlAllowedHosts));
+      }
     }
     
-    // Try to initialize the client
     try {
-      const { qr, authenticated } = await this.getLoginQR(clientId);
-      
-      if (authenticated) {
+      // Send the message
+      return await client.sendMessage(chatId, payload, { ...sendOptions, ...extraOptions });
+    } catch (error) {
+      throw new WhatsAppManagerError(ERROR_CODES.SEND_FAILED, `Failed to send message: ${error.message}`, {
+        cause: error.message
+      });
+    }
+  },
+
+  /**
+   * Get the entry of a ready client and mark it as active
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {Object} - Client entry
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND or CLIENT_NOT_READY
+   * @private
+   */
+  requireReadyClient: function(phoneNumber) {
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const clientInfo = this.clients.get(clientId);
+    
+    if (!clientInfo) {
+      throw new WhatsAppManagerError(ERROR_CODES.CLIENT_NOT_FOUND, `No client for ${clientId}`);
+    }
+    if (clientInfo.state !== CLIENT_STATES.READY) {
+      throw new WhatsAppManagerError(ERROR_CODES.CLIENT_NOT_READY, `Client ${clientId} is ${clientInfo.state}`);
+    }
+
+    clientInfo.lastSeen = new Date();
+    return clientInfo;
+  },
+
+  /**
+   * Check that message content can be sent (media URLs are not downloaded)
+   * @param {string|Object} content - Message content
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.skipMedia - Only check the content's shape, not its media
+   * @returns {string|null} - Error message, or null if the content is valid
+   */
+  validateContent: function(content, options = {}) {
+    if (typeof content === 'string') {
+      return content.length ? null : 'Message text must not be empty';
+    }
+    if (!content || typeof content !== 'object') {
+      return 'Message must be a string or an object';
+    }
+    if (content.location) {
+      const { latitude, longitude } = content.location;
+      const valid = Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+      return valid ? null : 'Location needs a numeric latitude (-90..90) and longitude (-180..180)';
+    }
+    if (options.skipMedia) return null;
+    return validateMediaContent(content, this.mediaLimits);
+  },
+
+  /**
+   * Subscribe a handler to the incoming messages of every client, optionally filtered
+   * @param {Function} handler - Called with each matching message; may be async
+   * @param {Object} [filter] - { account, chatId, sender, type, isGroup, fromMe, body } (see lib/messageHandlers)
+   * @returns {{id: number, unsubscribe: Function}} - Handle removing the subscription
+   * @throws {TypeError} - When the handler is not a function or the filter is invalid
+   */
+  subscribe: function(handler, filter = {}) {
+    return this.messageHandlers.subscribe(handler, filter);
+  },
+
+  /**
+   * Remove a subscription or middleware
+   * @param {Object|number} handle - Handle returned by subscribe or use, or its id
+   * @returns {boolean} - False if it was already removed
+   */
+  unsubscribe: function(handle) {
+    return this.messageHandlers.unsubscribe(handle);
+  },
+
+  /**
+   * Add a middleware that runs, in the order added, before incoming messages reach the handlers
+   * @param {Function} middleware - Called with the message; returns it (changed or replaced) or null/false to drop it; may be async
+   * @returns {{id: number, remove: Function}} - Handle removing the middleware
+   * @throws {TypeError} - When the middleware is not a function
+   */
+  use: function(middleware) {
+    return this.messageHandlers.use(middleware);
+  },
+
+  /**
+   * Set the global message handler for all clients, replacing the one set before
+   *
+   * The handler is a subscription without a filter; use subscribe() to add more than one.
+   * @param {Function} callback - Callback function to handle messages from any client
+   * @returns {boolean} - True if set successfully, false otherwise
+   */
+  onMessage: function(callback) {
+    if (typeof callback !== 'function') {
+      return false;
+    }
+    
+    this.offMessage();
+    this.globalMessageSubscription = this.subscribe(callback);
+    return true;
+  },
+
+  /**
+   * Remove the global message handler (subscriptions made with subscribe() are kept)
+   * @returns {boolean} - Always returns true
+   */
+  offMessage: function() {
+    if (this.globalMessageSubscription) {
+      this.globalMessageSubscription.unsubscribe();
+      this.globalMessageSubscription = null;
+    }
+    return true;
+  },
+
+  /**
+   * Set the global handler for delivery and read receipts of sent messages
+   * @param {Function} callback - Called with { clientId, messageId, chatId, ack, status, at }
+   * @returns {boolean} - True if set successfully, false otherwise
+   */
+  onMessageAck: function(callback) {
+    if (typeof callback !== 'function') {
+      return false;
+    }
+    
+    this.globalAckHandler = callback;
+    return true;
+  },
+
+  /**
+   * Remove the global ack handler
+   * @returns {boolean} - Always returns true
+   */
+  offMessageAck: function() {
+    this.globalAckHandler = null;
+    return true;
+  },
+
+  /**
+   * Check if a client is initialized
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {boolean} - True if client exists
+   */
+  hasClient: function(phoneNumber) {
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    return this.clients.has(clientId);
+  },
+
+  /**
+   * Get a serializable description of a client session
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {Object|null} - Session info or null if the client does not exist
+   */
+  getSessionInfo: function(phoneNumber) {
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const clientInfo = this.clients.get(clientId);
+
+    if (!clientInfo) return null;
+
+    return {
+      clientId,
+      phoneNumber: `+${clientId}`,
+      state: clientInfo.state,
+      authenticated: clientInfo.authenticated,
+      createdAt: clientInfo.createdAt.toISOString(),
+      lastSeen: clientInfo.lastSeen.toISOString(),
+      stateChangedAt: clientInfo.stateChangedAt.toISOString(),
+      sessionDir: clientInfo.sessionDir
+    };
+  },
+
+  /**
+   * List every client known to the manager
+   * @returns {Array<Object>} - Session info for each client (see getSessionInfo)
+   */
+  listSessions: function() {
+    return Array.from(this.clients.keys()).map(clientId => this.getSessionInfo(clientId));
+  },
+
+  /**
+   * Record activity for a client
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @private
+   */
+  touch: function(clientId) {
+    const clientInfo = this.clients.get(clientId);
+    if (clientInfo) {
+      clientInfo.lastSeen = new Date();
+    }
+  },
+
+  /**
+   * List the chats of a client, most recent first
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {Object} options - Optional filters and paging
+   * @param {number} options.limit - Chats per page (default 50, at most 200)
+   * @param {string} options.before - Cursor (nextCursor of the previous page) or time bound
+   * @param {boolean} options.isGroup - Only group chats (true) or only one-to-one chats (false)
+   * @param {boolean} options.unread - Only chats with unread messages
+   * @returns {Promise<{chats: Array<Object>, nextCursor: string|null}>} - Chats (see lib/messageConverter convertChat)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or INVALID_CURSOR
+   */
+  listChats: async function(phoneNumber, options = {}) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const limit = pageLimit(options.limit);
+    const before = options.before ? parseBound(options.before) : null;
+
+    const chats = (await clientInfo.client.getChats())
+      .map(chat => convertChat(clientId, chat))
+      .filter(chat => options.isGroup === undefined || chat.isGroup === options.isGroup)
+      .filter(chat => !options.unread || chat.unreadCount > 0)
+      // Newest first; chats with the same timestamp ordered by id, so cursors are stable
+      .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0) || (a.id < b.id ? 1 : -1));
+
+    const remaining = before
+      ? chats.filter(chat => (chat.timestamp || 0) < before.timestamp ||
+          (before.id !== null && (chat.timestamp || 0) === before.timestamp && chat.id < before.id))
+      : chats;
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+      chats: page,
+      nextCursor: remaining.length > limit ? encodeCursor(last.timestamp || 0, last.id) : null
+    };
+  },
+
+  /**
+   * Get the messages of a chat, newest first, one page at a time
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} chatId - Chat id ('1111@c.us', '...@g.us') or a phone number
+   * @param {Object} options - Optional filters and paging
+   * @param {number} options.limit - Messages per page (default 50, at most 200)
+   * @param {string} options.before - Cursor (nextCursor of the previous page) or time bound: only older messages
+   * @param {string} options.after - Time bound or cursor: only newer messages
+   * @param {boolean} options.fromMe - Only sent (true) or only received (false) messages
+   * @param {string|Array<string>} options.type - Only messages of these types (e.g. 'chat', ['image', 'video'])
+   * @returns {Promise<{messages: Array<Object>, nextCursor: string|null, hasMore: boolean}>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, CHAT_NOT_FOUND or INVALID_CURSOR
+   */
+  getMessages: async function(phoneNumber, chatId, options = {}) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const limit = pageLimit(options.limit);
+    const before = options.before ? parseBound(options.before) : null;
+    const after = options.after ? parseBound(options.after) : null;
+    const types = options.type ? [].concat(options.type) : null;
+
+    const chat = await this.requireChat(phoneNumber, chatId);
+
+    // WhatsApp Web only loads history backwards from the newest message, so load a growing
+    // window until it holds a full page older than 'before', or the history runs out
+    let window = Math.min(this.historyScanLimit, Math.max(limit * 2, 50));
+    for (;;) {
+      // Oldest first
+      const loaded = await chat.fetchMessages({ limit: window, fromMe: options.fromMe });
+      const historyEnd = loaded.length < window;
+
+      let end = loaded.length;
+      if (before) {
+        const index = before.id ? loaded.findIndex(message => serializeId(message.id) === before.id) : -1;
+        end = index >= 0 ? index : loaded.findIndex(message => message.timestamp >= before.timestamp);
+        if (end < 0) end = loaded.length;
+      }
+
+      let start = 0;
+      if (after) {
+        const index = after.id ? loaded.findIndex(message => serializeId(message.id) === after.id) : -1;
+        start = index >= 0 ? index + 1 : loaded.findIndex(message => message.timestamp > after.timestamp);
+        if (start < 0) start = loaded.length;
+      }
+      // The window reaches back past 'after': nothing older is wanted
+      const reachedAfter = Boolean(after) && start > 0;
+
+      const candidates = loaded.slice(start, Math.max(start, end))
+        .filter(message => !types || types.includes(message.type));
+
+      const scanLimitReached = window >= this.historyScanLimit;
+      if (candidates.length > limit || historyEnd || reachedAfter || scanLimitReached) {
+        const page = candidates.slice(-limit).reverse();
+        const hasMore = candidates.length > limit || (!historyEnd && !reachedAfter);
+        // Continue below the oldest message of the page (or of the scanned range, if none matched)
+        const oldest = page.length ? page[page.length - 1] : loaded[start];
+
         return {
-          client: this.clients.get(clientId).client,
-          authenticated: true,
-          requiresQR: false,
-          error: null
+          messages: page.map(message => convertMessage(clientId, message)),
+          nextCursor: hasMore && oldest ? encodeCursor(oldest.timestamp, serializeId(oldest.id)) : null,
+          hasMore
         };
-      } else {
-        // Session couldn't be restored, QR needed
+      }
+
+      window = Math.min(this.historyScanLimit, window * 2);
+    }
+  },
+
+  /**
+   * Load a chat of a ready client
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} chatId - Chat id or phone number
+   * @returns {Promise<Object>} - whatsapp-web.js Chat
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or CHAT_NOT_FOUND
+   * @private
+   */
+  requireChat: async function(phoneNumber, chatId) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    try {
+      return await clientInfo.client.getChatById(this.formatChatId(chatId));
+    } catch (error) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.CHAT_NOT_FOUND,
+        `No chat ${chatId} for ${this.formatPhoneNumber(phoneNumber)}`,
+        { cause: error.message }
+      );
+    }
+  },
+
+  /**
+   * Format a chat id or phone number as a whatsapp-web.js chat id
+   * @param {string} chatId - Chat id ('1111@c.us', '...@g.us') or phone number ('+1111')
+   * @returns {string} - Chat id
+   */
+  formatChatId: function(chatId) {
+    if (chatId.includes('@')) {
+      return chatId.endsWith('@s.whatsapp.net') ? `${chatId.split('@')[0]}@c.us` : chatId;
+    }
+    return `${chatId.replace(/[^0-9]/g, '')}@c.us`;
+  },
+
+  /**
+   * Load a message of a ready client by its serialized id
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id ('true_1111@c.us_3EB0...')
+   * @returns {Promise<Object>} - whatsapp-web.js Message
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or MESSAGE_NOT_FOUND
+   * @private
+   */
+  requireMessage: async function(phoneNumber, messageId) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+
+    let message = null;
+    try {
+      message = await clientInfo.client.getMessageById(messageId);
+    } catch (error) {
+      // Reported below
+    }
+    if (!message) {
+      throw new WhatsAppManagerError(ERROR_CODES.MESSAGE_NOT_FOUND, `No message ${messageId}`, { messageId });
+    }
+    return message;
+  },
+
+  /**
+   * Run a message action, reporting whatsapp-web.js errors as MESSAGE_ACTION_FAILED
+   * @param {string} action - What is being done, for the error message
+   * @param {Function} change - Async function doing it
+   * @returns {Promise<*>} - The result of change
+   * @throws {WhatsAppManagerError} - MESSAGE_ACTION_FAILED
+   * @private
+   */
+  runMessageAction: async function(action, change) {
+    try {
+      return await change();
+    } catch (error) {
+      throw new WhatsAppManagerError(ERROR_CODES.MESSAGE_ACTION_FAILED, `Failed to ${action}: ${error.message}`, {
+        cause: error.message
+      });
+    }
+  },
+
+  /**
+   * Reply to a message, quoting it, in the chat it belongs to
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized id of the message to reply to
+   * @param {string|Object} content - Message content (text, media or location)
+   * @returns {Promise<Object>} - The sent whatsapp-web.js message
+   * @throws {WhatsAppManagerError} - MESSAGE_NOT_FOUND, and the errors of deliverMessage
+   */
+  replyToMessage: async function(phoneNumber, messageId, content) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    const chatId = message.fromMe ? message.to : message.from;
+    return this.deliverMessage(phoneNumber, chatId, content, { quotedMessageId: serializeId(message.id) });
+  },
+
+  /**
+   * React to a message with an emoji, or remove the client's reaction
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id
+   * @param {string} emoji - Emoji, or '' to remove the reaction
+   * @returns {Promise<void>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, MESSAGE_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  reactToMessage: async function(phoneNumber, messageId, emoji) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    await this.runMessageAction('react to the message', () => message.react(emoji || ''));
+  },
+
+  /**
+   * Edit the text of a message the client sent (WhatsApp allows this for 15 minutes)
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id
+   * @param {string} body - New text
+   * @returns {Promise<Object>} - The edited message (see lib/messageConverter)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, MESSAGE_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  editMessage: async function(phoneNumber, messageId, body) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    if (!message.fromMe) {
+      throw new WhatsAppManagerError(ERROR_CODES.MESSAGE_ACTION_FAILED, 'Only messages sent by the client can be edited');
+    }
+
+    // whatsapp-web.js resolves to null when WhatsApp refuses the edit
+    const edited = await this.runMessageAction('edit the message', () => message.edit(body));
+    if (!edited) {
+      throw new WhatsAppManagerError(ERROR_CODES.MESSAGE_ACTION_FAILED, 'WhatsApp refused the edit; messages can only be edited for 15 minutes');
+    }
+    return convertMessage(this.formatPhoneNumber(phoneNumber), edited);
+  },
+
+  /**
+   * Delete a message for everyone, or only on the client's devices
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id
+   * @param {Object} [options] - Optional settings
+   * @param {boolean} [options.everyone] - Delete for everyone (default true)
+   * @returns {Promise<void>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, MESSAGE_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  deleteMessage: async function(phoneNumber, messageId, { everyone = true } = {}) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    await this.runMessageAction('delete the message', () => message.delete(everyone));
+  },
+
+  /**
+   * Forward a message to another chat
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id
+   * @param {string} recipient - Recipient phone number, contact id or group id
+   * @returns {Promise<string>} - The chat id the message was forwarded to
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, MESSAGE_NOT_FOUND,
+   *   RECIPIENT_NOT_REGISTERED or MESSAGE_ACTION_FAILED
+   */
+  forwardMessage: async function(phoneNumber, messageId, recipient) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    const chatId = await this.resolveRecipient(this.requireReadyClient(phoneNumber).client, recipient);
+    await this.runMessageAction('forward the message', () => message.forward(chatId));
+    return chatId;
+  },
+
+  /**
+   * Star or unstar a message
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} messageId - Serialized message id
+   * @param {boolean} starred - True to star, false to unstar
+   * @returns {Promise<void>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, MESSAGE_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  starMessage: async function(phoneNumber, messageId, starred = true) {
+    const message = await this.requireMessage(phoneNumber, messageId);
+    await this.runMessageAction(starred ? 'star the message' : 'unstar the message', () =>
+      (starred ? message.star() : message.unstar())
+    );
+  },
+
+  /**
+   * Mark every message of a chat as read (sends read receipts when the client has them on)
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} chatId - Chat id or phone number
+   * @returns {Promise<void>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, CHAT_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  markChatRead: async function(phoneNumber, chatId) {
+    const chat = await this.requireChat(phoneNumber, chatId);
+    await this.runMessageAction('mark the chat as read', () => chat.sendSeen());
+  },
+
+  /**
+   * Show the client as typing or recording audio in a chat, or clear that state
+   *
+   * WhatsApp shows the state for about 25 seconds; send it again to keep it visible.
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} chatId - Chat id or phone number
+   * @param {string} state - One of PRESENCE_STATES ('typing', 'recording', 'paused')
+   * @returns {Promise<void>}
+   * @throws {WhatsAppManagerError} - VALIDATION_FAILED, CLIENT_NOT_FOUND, CLIENT_NOT_READY, CHAT_NOT_FOUND or MESSAGE_ACTION_FAILED
+   */
+  sendPresence: async function(phoneNumber, chatId, state) {
+    const method = PRESENCE_STATES[state];
+    if (!method) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.VALIDATION_FAILED,
+        `Unknown presence state ${state}; use ${Object.keys(PRESENCE_STATES).join(', ')}`
+      );
+    }
+    const chat = await this.requireChat(phoneNumber, chatId);
+    await this.runMessageAction(`send the ${state} state`, () => chat[method]());
+  },
+
+  /**
+   * Format a group id as a whatsapp-web.js chat id
+   * @param {string} groupId - Group id ('120363...@g.us', or without the '@g.us' suffix)
+   * @returns {string} - Group chat id
+   */
+  formatGroupId: function(groupId) {
+    return String(groupId).includes('@') ? String(groupId) : `${groupId}@g.us`;
+  },
+
+  /**
+   * Load a group chat of a ready client
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @returns {Promise<Object>} - whatsapp-web.js GroupChat
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or GROUP_NOT_FOUND
+   * @private
+   */
+  requireGroup: async function(phoneNumber, groupId) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const chatId = this.formatGroupId(groupId);
+
+    let chat = null;
+    try {
+      chat = await clientInfo.client.getChatById(chatId);
+    } catch (error) {
+      // Reported below
+    }
+    if (!chat || !chat.isGroup) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.GROUP_NOT_FOUND,
+        `No group ${chatId} for ${this.formatPhoneNumber(phoneNumber)}`,
+        { groupId: chatId }
+      );
+    }
+    return chat;
+  },
+
+  /**
+   * Run a group change, reporting WhatsApp's refusal as GROUP_ACTION_FAILED
+   * @param {string} action - What is being done, for the error message
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} - The result of change
+   * @throws {WhatsAppManagerError} - GROUP_ACTION_FAILED
+   * @private
+   */
+  runGroupAction: async function(action, change) {
+    try {
+      return await change();
+    } catch (error) {
+      if (error instanceof WhatsAppManagerError) throw error;
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, `Failed to ${action}: ${error.message}`, {
+        cause: error.message
+      });
+    }
+  },
+
+  /**
+   * List the groups a client is a member of, most recent first
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {Promise<Array<Object>>} - Groups (see lib/messageConverter convertGroup)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND or CLIENT_NOT_READY
+   */
+  listGroups: async function(phoneNumber) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const clientId = this.formatPhoneNumber(phoneNumber);
+
+    return (await clientInfo.client.getChats())
+      .filter(chat => chat.isGroup)
+      .map(chat => convertGroup(clientId, chat));
+  },
+
+  /**
+   * Get a group with its description and participants
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @returns {Promise<Object>} - Group (see lib/messageConverter convertGroup)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or GROUP_NOT_FOUND
+   */
+  getGroup: async function(phoneNumber, groupId) {
+    const chat = await this.requireGroup(phoneNumber, groupId);
+    return convertGroup(this.formatPhoneNumber(phoneNumber), chat);
+  },
+
+  /**
+   * Create a group with the client as its owner
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} name - Group subject
+   * @param {Array<string>} participants - Phone numbers or contact ids to add
+   * @returns {Promise<{group: Object, participants: Array<Object>}>} - The group and one
+   *   { id, success, code, message } per requested participant
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or GROUP_ACTION_FAILED
+   */
+  createGroup: async function(phoneNumber, name, participants = []) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const participantIds = participants.map(participant => this.formatChatId(String(participant)));
+
+    const result = await this.runGroupAction('create the group', () =>
+      clientInfo.client.createGroup(name, participantIds)
+    );
+    // whatsapp-web.js returns an error message instead of throwing
+    if (typeof result === 'string' || !result || !result.gid) {
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, `Failed to create the group: ${result}`);
+    }
+
+    const added = result.participants || {};
+    return {
+      group: await this.getGroup(phoneNumber, serializeId(result.gid)),
+      participants: participantIds.map(id => {
+        const outcome = added[id] || {};
         return {
-          client: null,
-          authenticated: false,
-          requiresQR: true,
-          error: 'Client requires QR authentication'
+          id,
+          success: outcome.statusCode === 200,
+          code: outcome.statusCode || null,
+          message: outcome.message || null
         };
+      })
+    };
+  },
+
+  /**
+   * Add, remove, promote or demote group participants
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @param {string} action - One of GROUP_PARTICIPANT_ACTIONS ('add', 'remove', 'promote', 'demote')
+   * @param {Array<string>} participants - Phone numbers or contact ids
+   * @returns {Promise<Array<Object>>} - One { id, success, code, message } per participant
+   * @throws {WhatsAppManagerError} - VALIDATION_FAILED, CLIENT_NOT_FOUND, CLIENT_NOT_READY, GROUP_NOT_FOUND or GROUP_ACTION_FAILED
+   */
+  updateGroupParticipants: async function(phoneNumber, groupId, action, participants) {
+    const method = GROUP_PARTICIPANT_ACTIONS[action];
+    if (!method) {
+      throw new WhatsAppManagerError(
+        ERROR_CODES.VALIDATION_FAILED,
+        `Unknown participant action ${action}; use ${Object.keys(GROUP_PARTICIPANT_ACTIONS).join(', ')}`
+      );
+    }
+    const chat = await this.requireGroup(phoneNumber, groupId);
+    const participantIds = participants.map(participant => this.formatChatId(String(participant)));
+
+    const result = await this.runGroupAction(`${action} participants`, () => chat[method](participantIds));
+    if (typeof result === 'string') {
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, `Failed to ${action} participants: ${result}`);
+    }
+
+    // addParticipants answers per participant; the others answer { status } for the whole change
+    if (action === 'add') {
+      return participantIds.map(id => {
+        const outcome = (result && result[id]) || {};
+        return {
+          id,
+          success: outcome.code === 200,
+          code: outcome.code || null,
+          message: outcome.message || null,
+          inviteSent: Boolean(outcome.isInviteV4Sent)
+        };
+      });
+    }
+    const status = result && result.status;
+    if (status !== 200) {
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, `Failed to ${action} participants (status ${status})`, {
+        status
+      });
+    }
+    return participantIds.map(id => ({ id, success: true, code: 200, message: null }));
+  },
+
+  /**
+   * Change the subject and/or description of a group
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @param {Object} changes - Fields to change
+   * @param {string} changes.subject - New subject
+   * @param {string} changes.description - New description
+   * @returns {Promise<Object>} - The updated group (see lib/messageConverter convertGroup)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, GROUP_NOT_FOUND or GROUP_ACTION_FAILED
+   */
+  updateGroup: async function(phoneNumber, groupId, { subject, description } = {}) {
+    const chat = await this.requireGroup(phoneNumber, groupId);
+
+    // Both setters resolve to false when WhatsApp refuses the change
+    if (subject !== undefined && !(await this.runGroupAction('set the subject', () => chat.setSubject(subject)))) {
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, 'Failed to set the subject; only admins may change it');
+    }
+    if (description !== undefined && !(await this.runGroupAction('set the description', () => chat.setDescription(description)))) {
+      throw new WhatsAppManagerError(ERROR_CODES.GROUP_ACTION_FAILED, 'Failed to set the description; only admins may change it');
+    }
+    return this.getGroup(phoneNumber, groupId);
+  },
+
+  /**
+   * Get the invite link of a group (the client must be an admin)
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @returns {Promise<{code: string, link: string}>}
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, GROUP_NOT_FOUND or GROUP_ACTION_FAILED
+   */
+  getGroupInvite: async function(phoneNumber, groupId) {
+    const chat = await this.requireGroup(phoneNumber, groupId);
+    const code = await this.runGroupAction('get the invite link', () => chat.getInviteCode());
+    return { code, link: `${GROUP_INVITE_URL}${code}` };
+  },
+
+  /**
+   * Revoke the invite link of a group, so a new one replaces it
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} groupId - Group id
+   * @returns {Promise<{code: string, link: string}>} - The new invite
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY, GROUP_NOT_FOUND or GROUP_ACTION_FAILED
+   */
+  revokeGroupInvite: async function(phoneNumber, groupId) {
+    const chat = await this.requireGroup(phoneNumber, groupId);
+    await this.runGroupAction('revoke the invite link', () => chat.revokeInvite());
+    const code = await this.runGroupAction('get the invite link', () => chat.getInviteCode());
+    return { code, link: `${GROUP_INVITE_URL}${code}` };
+  },
+
+  /**
+   * Join a group with an invite code or link
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} invite - Invite code ('AbCdEf123') or link ('https://chat.whatsapp.com/AbCdEf123')
+   * @returns {Promise<Object>} - The joined group (see lib/messageConverter convertGroup)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or INVALID_INVITE
+   */
+  joinGroup: async function(phoneNumber, invite) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const code = String(invite || '').trim().replace(/^(https?:\/\/)?chat\.whatsapp\.com\//i, '');
+    if (!/^[A-Za-z0-9]+$/.test(code)) {
+      throw new WhatsAppManagerError(ERROR_CODES.INVALID_INVITE, `Not an invite code or link: ${invite}`);
+    }
+
+    let groupId;
+    try {
+      groupId = serializeId(await clientInfo.client.acceptInvite(code));
+    } catch (error) {
+      throw new WhatsAppManagerError(ERROR_CODES.INVALID_INVITE, `Failed to join with invite ${code}: ${error.message}`, {
+        cause: error.message
+      });
+    }
+    return this.getGroup(phoneNumber, groupId);
+  },
+
+  /**
+   * Check which phone numbers are registered on WhatsApp and resolve them to WhatsApp ids
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {Array<string>} numbers - Phone numbers to check
+   * @returns {Promise<Array<{number: string, registered: boolean, id: string|null}>>} - One result per
+   *   number, in order; id is the contact id to message ('1111@c.us'), null when unregistered
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or LOOKUP_FAILED
+   */
+  checkRegistered: async function(phoneNumber, numbers) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+
+    // One lookup at a time, so a large batch does not flood WhatsApp Web
+    const results = [];
+    for (const number of numbers) {
+      const digits = String(number).split('@')[0].replace(/[^0-9]/g, '');
+      let wid = null;
+      if (digits) {
+        try {
+          wid = await clientInfo.client.getNumberId(digits);
+        } catch (error) {
+          throw new WhatsAppManagerError(ERROR_CODES.LOOKUP_FAILED, `Failed to look up ${number}: ${error.message}`, {
+            cause: error.message
+          });
+        }
       }
+      results.push({ number, registered: Boolean(wid), id: serializeId(wid) });
+    }
+    return results;
+  },
+
+  /**
+   * Resolve a phone number to the WhatsApp id to message it at
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} number - Phone number to resolve
+   * @returns {Promise<string|null>} - Contact id ('1111@c.us'), or null if the number is not on WhatsApp
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or LOOKUP_FAILED
+   */
+  resolveContactId: async function(phoneNumber, number) {
+    const [result] = await this.checkRegistered(phoneNumber, [number]);
+    return result.id;
+  },
+
+  /**
+   * Load a contact of a ready client
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} contactId - Contact id or phone number
+   * @returns {Promise<Object>} - whatsapp-web.js Contact
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or CONTACT_NOT_FOUND
+   * @private
+   */
+  requireContact: async function(phoneNumber, contactId) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+    const id = this.formatChatId(String(contactId));
+
+    let contact = null;
+    try {
+      contact = await clientInfo.client.getContactById(id);
+    } catch (error) {
+      // Reported below
+    }
+    if (!contact || contact.isGroup) {
+      throw new WhatsAppManagerError(ERROR_CODES.CONTACT_NOT_FOUND, `No contact ${id}`, { contactId: id });
+    }
+    return contact;
+  },
+
+  /**
+   * Get a contact with its about text and profile picture
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} contactId - Contact id or phone number
+   * @returns {Promise<Object>} - Contact (see lib/messageConverter convertContact) plus about and
+   *   profilePicUrl (null when hidden by the contact's privacy settings)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or CONTACT_NOT_FOUND
+   */
+  getContact: async function(phoneNumber, contactId) {
+    const contact = await this.requireContact(phoneNumber, contactId);
+
+    const [about, profilePicUrl] = await Promise.all([
+      contact.getAbout().catch(() => null),
+      contact.getProfilePicUrl().catch(() => null)
+    ]);
+    return {
+      ...convertContact(contact),
+      about: about || null,
+      profilePicUrl: profilePicUrl || null
+    };
+  },
+
+  /**
+   * List the contacts a client knows, sorted by name
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {Object} options - Optional filters
+   * @param {boolean} options.onlyMyContacts - Only contacts saved in the phone's address book
+   * @param {boolean} options.blocked - Only blocked contacts
+   * @returns {Promise<Array<Object>>} - Contacts (see lib/messageConverter convertContact)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND or CLIENT_NOT_READY
+   */
+  listContacts: async function(phoneNumber, options = {}) {
+    const clientInfo = this.requireReadyClient(phoneNumber);
+
+    const contacts = options.blocked
+      ? await clientInfo.client.getBlockedContacts()
+      : await clientInfo.client.getContacts();
+
+    return contacts
+      .filter(contact => contact.isUser !== false && !contact.isGroup)
+      .filter(contact => !options.onlyMyContacts || contact.isMyContact)
+      .map(convertContact)
+      .sort((a, b) => (a.name || a.pushname || a.id).localeCompare(b.name || b.pushname || b.id));
+  },
+
+  /**
+   * Block or unblock a contact
+   * @param {string} phoneNumber - Phone number in international format
+   * @param {string} contactId - Contact id or phone number
+   * @param {boolean} blocked - True to block, false to unblock
+   * @returns {Promise<Object>} - The contact (see lib/messageConverter convertContact)
+   * @throws {WhatsAppManagerError} - CLIENT_NOT_FOUND, CLIENT_NOT_READY or CONTACT_NOT_FOUND
+   */
+  setContactBlocked: async function(phoneNumber, contactId, blocked) {
+    const contact = await this.requireContact(phoneNumber, contactId);
+    if (blocked) {
+      await contact.block();
+    } else {
+      await contact.unblock();
+    }
+    return { ...convertContact(contact), isBlocked: Boolean(blocked) };
+  },
+
+  /**
+   * Get the last 10 messages of a client across its most recent chats
+   * @deprecated Use listChats and getMessages, which can page and filter
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {Promise<Array|null>} - Messages (see lib/messageConverter) newest first, or null if client not found/authenticated
+   */
+  getLast10Messages: async function(phoneNumber) {
+    if (!this.isAuthenticated(phoneNumber)) return null;
+    
+    try {
+      // The newest 10 messages are among the newest 10 messages of the 10 most recent chats
+      const { chats } = await this.listChats(phoneNumber, { limit: 10 });
+      const messages = [];
+      for (const chat of chats) {
+        const page = await this.getMessages(phoneNumber, chat.id, { limit: 10 });
+        messages.push(...page.messages);
+      }
+      
+      // Sort messages by timestamp (newest first)
+      messages.sort((a, b) => b.timestamp - a.timestamp);
+      
+      return messages.slice(0, 10);
+    } catch (error) {
+      this.logFor(this.formatPhoneNumber(phoneNumber)).error({ err: error }, 'Error getting messages');
+      return null;
+    }
+  },
+
+  /**
+   * Get or initialize a client (attempting to restore session if possible)
+   * @param {string} phoneNumber - Phone number in international format
+   * @returns {Promise<{client: Object|null, state: string|null, authenticated: boolean, requiresQR: boolean,
+   *   error: string|null, code: string|null}>} - code is null when authenticated, otherwise QR_REQUIRED,
+   *   NOT_AUTHENTICATED (starting, reconnecting, failed, ...) or PHONE_INVALID
+   */
+  getOrInitializeClient: async function(phoneNumber) {
+    const clientId = this.formatPhoneNumber(phoneNumber);
+    const existing = this.clients.get(clientId);
+    
+    // If a running client already exists, report its current state
+    if (existing && !isInactive(existing.state)) {
+      return this.describeClient(clientId);
+    }
+    
+    // Try to initialize the client (or restart one that disconnected, failed or logged out)
+    try {
+      await this.getLoginQR(clientId);
+      return this.describeClient(clientId);
     } catch (error) {
       return {
         client: null,
+        state: this.getState(clientId),
         authenticated: false,
         requiresQR: false,
-        error: `Failed to initialize client: ${error.message}`
+        error: `Failed to initialize client: ${error.message}`,
+        code: error.code === ERROR_CODES.PHONE_INVALID ? ERROR_CODES.PHONE_INVALID : ERROR_CODES.NOT_AUTHENTICATED
       };
     }
+  },
+
+  /**
+   * Describe a client in the shape returned by getOrInitializeClient
+   * @param {string} clientId - Client ID (formatted phoneNumber)
+   * @returns {{client: Object|null, state: string, authenticated: boolean, requiresQR: boolean, error: string|null, code: string|null}}
+   * @private
+   */
+  describeClient: function(clientId) {
+    const { client, state } = this.clients.get(clientId);
+    
+    if (state === CLIENT_STATES.READY) {
+      return { client, state, authenticated: true, requiresQR: false, error: null, code: null };
+    }
+    if (state === CLIENT_STATES.AWAITING_QR) {
+      // Session couldn't be restored, QR needed
+      return {
+        client: null,
+        state,
+        authenticated: false,
+        requiresQR: true,
+        error: 'Client requires QR authentication',
+        code: ERROR_CODES.QR_REQUIRED
+      };
+    }
+    return { client: null, state, authenticated: false, requiresQR: false, error: `Client is ${state}`, code: ERROR_CODES.NOT_AUTHENTICATED };
   }
-};
+});
+
+whatsappManager.messageHandlers = createMessageHandlers(whatsappManager);
 
 module.exports = whatsappManager;